@@ -0,0 +1,34 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+let broadcastUpdatedListener = null;
+
+contextBridge.exposeInMainWorld('electronAPI', {
+  close: () => ipcRenderer.send('close-tool-page'),
+
+  // Live broadcast
+  getTargets: () => ipcRenderer.invoke('broadcast-get-targets'),
+  getCurrent: () => ipcRenderer.invoke('broadcast-get-current'),
+  send: (prompt, tabIds) => ipcRenderer.invoke('broadcast-send', prompt, tabIds),
+  save: () => ipcRenderer.invoke('broadcast-save'),
+  openTab: (tabId) => ipcRenderer.send('switch-service', tabId),
+
+  // Saved comparisons
+  listArchive: () => ipcRenderer.invoke('broadcast-archive-list'),
+  getArchived: (id) => ipcRenderer.invoke('broadcast-archive-get', id),
+  deleteArchived: (id) => ipcRenderer.invoke('broadcast-archive-delete', id),
+
+  onBroadcastUpdated: (callback) => {
+    if (broadcastUpdatedListener) {
+      ipcRenderer.removeListener('broadcast-updated', broadcastUpdatedListener);
+    }
+    broadcastUpdatedListener = (event, broadcast) => callback(broadcast);
+    ipcRenderer.on('broadcast-updated', broadcastUpdatedListener);
+  }
+});
+
+// Cleanup on page unload
+window.addEventListener('beforeunload', () => {
+  if (broadcastUpdatedListener) {
+    ipcRenderer.removeListener('broadcast-updated', broadcastUpdatedListener);
+  }
+});
@@ -0,0 +1,7 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('electronAPI', {
+  search: (query) => ipcRenderer.invoke('palette-search', query),
+  execute: (itemId) => ipcRenderer.send('palette-execute', itemId),
+  close: () => ipcRenderer.send('palette-close')
+});
@@ -0,0 +1,31 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+let conversationsUpdatedListener = null;
+
+contextBridge.exposeInMainWorld('electronAPI', {
+  close: () => ipcRenderer.send('close-tool-page'),
+
+  getFilters: () => ipcRenderer.invoke('conversations-get-filters'),
+  search: (filters) => ipcRenderer.invoke('conversations-search', filters),
+  get: (id) => ipcRenderer.invoke('conversations-get', id),
+  delete: (id) => ipcRenderer.invoke('conversations-delete', id),
+  clear: () => ipcRenderer.invoke('conversations-clear'),
+  setEnabled: (enabled) => ipcRenderer.invoke('conversations-set-enabled', enabled),
+  export: (format, filters) => ipcRenderer.invoke('conversations-export', format, filters),
+  openTab: (tabId) => ipcRenderer.send('switch-service', tabId),
+
+  onConversationsUpdated: (callback) => {
+    if (conversationsUpdatedListener) {
+      ipcRenderer.removeListener('conversations-updated', conversationsUpdatedListener);
+    }
+    conversationsUpdatedListener = () => callback();
+    ipcRenderer.on('conversations-updated', conversationsUpdatedListener);
+  }
+});
+
+// Cleanup on page unload
+window.addEventListener('beforeunload', () => {
+  if (conversationsUpdatedListener) {
+    ipcRenderer.removeListener('conversations-updated', conversationsUpdatedListener);
+  }
+});
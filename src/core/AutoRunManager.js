@@ -0,0 +1,354 @@
+/**
+ * AutoRunManager - Works through a terminal tab's prompt queue on its own
+ *
+ * - Per tab: sends the next pending project prompt, waits for Claude Code to
+ *   finish (main.js forwards the Stop hook, which ViewManager only reports
+ *   once no subagents are running), marks the prompt testing, sends the next
+ * - Skips prompts it can't send unattended (images, template variables with
+ *   no value) and lists them with the reason on the run
+ * - Pauses when Claude needs the user's attention (a Notification other than
+ *   a permission prompt), when the prompt's checkpoint fails or when a prompt
+ *   can't be sent; the user resumes from the panel
+ * - Waits while a permission request is open and carries on by itself once
+ *   it is answered (or the turn ends)
+ * - Ends when the queue is empty or the run's prompt or time limit is used.
+ *   The time limit is checked before each send: a prompt in flight is never
+ *   cut off
+ *
+ * Run status: running -> paused -> running ... -> finished
+ *
+ * Events:
+ * - 'run-updated' (tabId, run|null) on any change
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_MAX_PROMPTS = 5;
+const DEFAULT_MAX_MINUTES = 60;
+const MAX_PROMPTS_LIMIT = 50;
+const MAX_MINUTES_LIMIT = 8 * 60;
+
+class AutoRunManager extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {PromptLibraryManager} options.promptLibraryManager
+   * @param {Function} options.sendPrompt - Submit a prompt in a tab (tabId, prompt);
+   *   may return a promise, throws if the prompt can't be sent
+   * @param {Function} [options.getSkipReason] - Why a prompt can't be sent
+   *   unattended in a tab (tabId, prompt), or null; may return a promise
+   * @param {Function} [options.isBusy] - Whether Claude is mid-turn in a tab (tabId)
+   * @param {Function} [options.onPromptChanged] - Called after a prompt is marked testing (cwd, prompt)
+   */
+  constructor({ promptLibraryManager, sendPrompt, getSkipReason, isBusy, onPromptChanged }) {
+    super();
+    this.promptLibraryManager = promptLibraryManager;
+    this.sendPrompt = sendPrompt;
+    this.getSkipReason = getSkipReason || (() => null);
+    this.isBusy = isBusy || (() => false);
+    this.onPromptChanged = onPromptChanged || null;
+    this.runs = new Map(); // tabId -> run
+  }
+
+  /**
+   * The next prompt a run would send: the first pending, unblocked project
+   * prompt, the same pick as the MCP get_next_prompt tool (notes are never sent)
+   * @param {string} cwd
+   * @returns {Object|null}
+   */
+  getNextPrompt(cwd) {
+    return this._getPending(cwd).find(p => !this.promptLibraryManager.isBlocked(cwd, p)) || null;
+  }
+
+  /**
+   * @private
+   */
+  _getPending(cwd) {
+    return this.promptLibraryManager.getProjectPrompts(cwd).filter(p =>
+      p.type !== 'note' && !p.done && !p.testing && !p.reusable
+    );
+  }
+
+  /**
+   * Get a copy of a tab's run
+   * @param {string} tabId
+   * @returns {Object|null}
+   */
+  getRun(tabId) {
+    const run = this.runs.get(tabId);
+    if (!run) return null;
+    const { inFlight, permissionRequests, ...copy } = run;
+    return { ...copy, skipped: copy.skipped.map(entry => ({ ...entry })) };
+  }
+
+  /**
+   * Start auto-run in a tab, replacing any previous run. If Claude is busy
+   * the first prompt goes out when the current turn ends.
+   * @param {string} tabId
+   * @param {string} cwd - The tab's project folder
+   * @param {Object} [limits]
+   * @param {number} [limits.maxPrompts=5] - Prompts to send at most
+   * @param {number} [limits.maxMinutes=60] - Minutes after which no new prompt is sent
+   * @returns {Promise<Object>} The run
+   * @throws {Error} On invalid limits
+   */
+  async start(tabId, cwd, { maxPrompts = DEFAULT_MAX_PROMPTS, maxMinutes = DEFAULT_MAX_MINUTES } = {}) {
+    if (!cwd) {
+      throw new Error('This tab has no project folder');
+    }
+    if (!Number.isInteger(maxPrompts) || maxPrompts < 1 || maxPrompts > MAX_PROMPTS_LIMIT) {
+      throw new Error(`Prompt limit must be between 1 and ${MAX_PROMPTS_LIMIT}`);
+    }
+    if (!Number.isInteger(maxMinutes) || maxMinutes < 1 || maxMinutes > MAX_MINUTES_LIMIT) {
+      throw new Error(`Time limit must be between 1 and ${MAX_MINUTES_LIMIT} minutes`);
+    }
+
+    const now = Date.now();
+    const run = {
+      tabId,
+      cwd,
+      status: 'running',
+      reason: null,
+      promptId: null,
+      promptTitle: null,
+      sent: 0,
+      maxPrompts,
+      maxMinutes,
+      startedAt: now,
+      endsAt: now + maxMinutes * 60 * 1000,
+      // Prompts passed over: { promptId, title, reason }
+      skipped: [],
+      // Open permission request ids while paused for permission, else null
+      permissionRequests: null,
+      // Waiting on a Stop: for our prompt, or for a turn already under way
+      inFlight: this.isBusy(tabId)
+    };
+    this.runs.set(tabId, run);
+    if (run.inFlight) {
+      run.reason = 'Waiting for the current turn to finish';
+      this._emit(run);
+    } else {
+      await this._sendNext(run);
+    }
+    return this.getRun(tabId);
+  }
+
+  /**
+   * Pause a running run; a prompt already sent keeps going
+   * @param {string} tabId
+   * @param {string} reason - Shown to the user
+   * @returns {boolean} True if a run was paused
+   */
+  pause(tabId, reason) {
+    const run = this.runs.get(tabId);
+    if (!run || run.status !== 'running') return false;
+    run.status = 'paused';
+    run.reason = reason || 'Paused';
+    this._emit(run);
+    return true;
+  }
+
+  /**
+   * Resume a paused run: sends the next prompt unless one is still in flight
+   * @param {string} tabId
+   * @returns {Promise<boolean>} True if a run was resumed
+   */
+  async resume(tabId) {
+    const run = this.runs.get(tabId);
+    if (!run || run.status !== 'paused') return false;
+    run.status = 'running';
+    run.reason = null;
+    run.permissionRequests = null;
+    if (run.inFlight) {
+      this._emit(run);
+    } else {
+      await this._sendNext(run);
+    }
+    return true;
+  }
+
+  /**
+   * Turn auto-run off for a tab (also when the tab closes)
+   * @param {string} tabId
+   */
+  stop(tabId) {
+    if (!this.runs.delete(tabId)) return;
+    this.emit('run-updated', tabId, null);
+  }
+
+  /**
+   * Claude finished a turn in the tab (Stop hook, no subagents running)
+   * @param {string} tabId
+   * @returns {Promise<void>}
+   */
+  async handleStop(tabId) {
+    const run = this.runs.get(tabId);
+    if (!run || run.status === 'finished' || !run.inFlight) return;
+    run.inFlight = false;
+    // The turn is over, so whatever Claude asked permission for is settled
+    if (run.permissionRequests) {
+      run.permissionRequests = null;
+      run.status = 'running';
+    }
+
+    if (run.promptId) {
+      try {
+        const prompt = await this.promptLibraryManager.markAsTesting(run.cwd, run.promptId);
+        if (this.onPromptChanged && prompt) this.onPromptChanged(run.cwd, prompt);
+      } catch (err) {
+        // Deleted or edited meanwhile: move on without it
+        console.warn('[AutoRunManager] Failed to mark prompt testing:', err.message);
+      }
+    }
+    if (this.runs.get(tabId) !== run) return;
+
+    if (run.status === 'running') {
+      run.reason = null;
+      await this._sendNext(run);
+    } else {
+      this._emit(run);
+    }
+  }
+
+  /**
+   * Claude needs the user's attention (Notification hook)
+   * @param {string} tabId
+   * @param {string} message
+   */
+  handleAttention(tabId, message) {
+    this.pause(tabId, message || 'Claude needs your input');
+  }
+
+  /**
+   * Claude is asking permission to use a tool. The run waits until every
+   * request it saw is answered; a run paused for another reason stays paused.
+   * @param {string} tabId
+   * @param {string|null} requestId - Null when only Claude Code's own prompt is
+   *   known, which then lasts until the turn ends
+   * @param {string} [message]
+   */
+  handlePermissionRequest(tabId, requestId, message) {
+    const run = this.runs.get(tabId);
+    if (!run) return;
+    if (run.status === 'running') {
+      this.pause(tabId, `Waiting for permission: ${message || 'Claude wants to use a tool'}`);
+      run.permissionRequests = new Set();
+    }
+    if (run.permissionRequests && requestId) run.permissionRequests.add(requestId);
+  }
+
+  /**
+   * A permission request was answered, timed out or withdrawn: carry on once
+   * none is left open
+   * @param {string} tabId
+   * @param {string} requestId
+   * @returns {Promise<void>}
+   */
+  async handlePermissionResolved(tabId, requestId) {
+    const run = this.runs.get(tabId);
+    if (!run || !run.permissionRequests || !run.permissionRequests.delete(requestId)) return;
+    if (run.permissionRequests.size > 0) return;
+    await this.resume(tabId);
+  }
+
+  /**
+   * Checkpointing the working tree before a prompt failed
+   * @param {string} tabId
+   * @param {Error} err
+   */
+  handleCheckpointFailed(tabId, err) {
+    this.pause(tabId, `Checkpoint failed: ${err && err.message ? err.message : err}`);
+  }
+
+  /**
+   * @private
+   */
+  async _sendNext(run) {
+    if (run.sent >= run.maxPrompts) {
+      this._finish(run, `Sent ${run.sent} prompt${run.sent === 1 ? '' : 's'}, the limit for this run`);
+      return;
+    }
+    if (Date.now() >= run.endsAt) {
+      this._finish(run, 'Time limit reached');
+      return;
+    }
+    const next = await this._pickNext(run);
+    if (this.runs.get(run.tabId) !== run || run.status !== 'running') return;
+    if (!next) {
+      const skippedIds = new Set(run.skipped.map(entry => entry.promptId));
+      const left = this._getPending(run.cwd).filter(p => !skippedIds.has(p.id));
+      let reason = left.length > 0
+        ? 'The remaining prompts are blocked until their blockers are done'
+        : 'No pending prompts left';
+      if (run.skipped.length > 0) {
+        reason += `, ${run.skipped.length} skipped`;
+      }
+      this._finish(run, reason);
+      return;
+    }
+
+    run.promptId = next.id;
+    run.promptTitle = this._titleOf(next);
+    run.inFlight = true;
+    run.sent++;
+    this._emit(run);
+
+    try {
+      await this.sendPrompt(run.tabId, next);
+    } catch (err) {
+      if (this.runs.get(run.tabId) !== run) return;
+      run.inFlight = false;
+      run.promptId = null;
+      run.sent--;
+      this.pause(run.tabId, `Could not send "${run.promptTitle}": ${err.message}`);
+    }
+  }
+
+  /**
+   * The next prompt that can be sent unattended; the ones passed over are
+   * added to run.skipped with the reason
+   * @private
+   */
+  async _pickNext(run) {
+    const skippedIds = new Set(run.skipped.map(entry => entry.promptId));
+    const candidates = this._getPending(run.cwd).filter(p =>
+      !skippedIds.has(p.id) && !this.promptLibraryManager.isBlocked(run.cwd, p));
+    for (const prompt of candidates) {
+      let reason;
+      try {
+        reason = await this.getSkipReason(run.tabId, prompt);
+      } catch (err) {
+        reason = err.message;
+      }
+      if (!reason) return prompt;
+      run.skipped.push({ promptId: prompt.id, title: this._titleOf(prompt), reason });
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _titleOf(prompt) {
+    return prompt.title || prompt.prompt.split('\n')[0].slice(0, 80);
+  }
+
+  /**
+   * @private
+   */
+  _finish(run, reason) {
+    run.status = 'finished';
+    run.reason = reason;
+    run.inFlight = false;
+    run.promptId = null;
+    this._emit(run);
+  }
+
+  /**
+   * @private
+   */
+  _emit(run) {
+    this.emit('run-updated', run.tabId, this.getRun(run.tabId));
+  }
+}
+
+module.exports = AutoRunManager;
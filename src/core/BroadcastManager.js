@@ -0,0 +1,287 @@
+/**
+ * BroadcastManager - Send one prompt to several web AI tabs and collect the
+ * answers side by side.
+ *
+ * - Tracks the live broadcast: per-target status moves
+ *   sending -> waiting -> done | error | timeout
+ * - A tab that never confirms the injection (page still loading, preload
+ *   gone) is marked as an error after the send timeout
+ * - Responses arrive through the regular ai-response-complete plumbing;
+ *   main.js forwards them here via recordResponse()
+ * - Finished comparisons can be saved to userData/comparisons/<id>.json
+ *
+ * Events:
+ * - 'broadcast-updated' (broadcast) on any status change
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_PROMPT_LENGTH = 20000;
+const MAX_TARGETS = 8;
+const SEND_TIMEOUT_MS = 30 * 1000;
+const RESPONSE_TIMEOUT_MS = 5 * 60 * 1000;
+const ID_RE = /^cmp-[0-9a-f-]{36}$/;
+
+class BroadcastManager extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.userDataPath - Electron app.getPath('userData')
+   * @param {number} [options.sendTimeoutMs] - Per-target injection wait (tests only)
+   * @param {number} [options.responseTimeoutMs] - Per-target answer wait (tests only)
+   */
+  constructor({ userDataPath, sendTimeoutMs, responseTimeoutMs }) {
+    super();
+    this.archiveDir = path.join(userDataPath, 'comparisons');
+    this.sendTimeoutMs = sendTimeoutMs || SEND_TIMEOUT_MS;
+    this.responseTimeoutMs = responseTimeoutMs || RESPONSE_TIMEOUT_MS;
+    this.current = null;
+    this.timers = new Map(); // tabId -> timeout ID for the current broadcast
+  }
+
+  /**
+   * Start a new broadcast, replacing any previous one
+   * @param {string} prompt - Text to send
+   * @param {Object[]} targets - [{ tabId, tabName, serviceType }]
+   * @returns {Object} The broadcast
+   * @throws {Error} On invalid prompt or targets
+   */
+  start(prompt, targets) {
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+      throw new Error('Prompt cannot be empty');
+    }
+    if (prompt.length > MAX_PROMPT_LENGTH) {
+      throw new Error(`Prompt exceeds maximum length of ${MAX_PROMPT_LENGTH} characters`);
+    }
+    if (!Array.isArray(targets) || targets.length === 0) {
+      throw new Error('Select at least one tab');
+    }
+    if (targets.length > MAX_TARGETS) {
+      throw new Error(`Broadcast to at most ${MAX_TARGETS} tabs at a time`);
+    }
+
+    this._clearTimers();
+    this.current = {
+      id: `cmp-${crypto.randomUUID()}`,
+      prompt,
+      createdAt: Date.now(),
+      saved: false,
+      targets: targets.map(t => ({
+        tabId: t.tabId,
+        tabName: t.tabName,
+        serviceType: t.serviceType,
+        status: 'sending',
+        response: null,
+        error: null,
+        completedAt: null
+      }))
+    };
+    this.current.targets.forEach(target => {
+      this._startTimer(target, 'sending', this.sendTimeoutMs, 'error', 'Tab did not respond');
+    });
+    this._emit();
+    return this.getCurrent();
+  }
+
+  /**
+   * Get a copy of the live broadcast
+   * @returns {Object|null}
+   */
+  getCurrent() {
+    return this.current ? JSON.parse(JSON.stringify(this.current)) : null;
+  }
+
+  _findTarget(broadcastId, tabId) {
+    if (!this.current || this.current.id !== broadcastId) return null;
+    return this.current.targets.find(t => t.tabId === tabId) || null;
+  }
+
+  /**
+   * The prompt was injected and submitted; start waiting for the answer
+   */
+  markSent(broadcastId, tabId) {
+    const target = this._findTarget(broadcastId, tabId);
+    if (!target || target.status !== 'sending') return;
+    target.status = 'waiting';
+    this._startTimer(target, 'waiting', this.responseTimeoutMs, 'timeout', 'No response detected');
+    this._emit();
+  }
+
+  /**
+   * Injection failed for a target
+   */
+  markError(broadcastId, tabId, error) {
+    const target = this._findTarget(broadcastId, tabId);
+    if (!target || (target.status !== 'sending' && target.status !== 'waiting')) return;
+    target.status = 'error';
+    target.error = error || 'Failed to send';
+    this._clearTimer(tabId);
+    this._emit();
+  }
+
+  /**
+   * Record a completed response from a tab (from ai-response-complete)
+   * @param {string} tabId
+   * @param {string} text - Full response text
+   * @returns {boolean} True if the response belonged to the live broadcast
+   */
+  recordResponse(tabId, text) {
+    if (!this.current) return false;
+    const target = this.current.targets.find(t => t.tabId === tabId);
+    if (!target || target.status !== 'waiting') return false;
+
+    target.status = 'done';
+    target.response = typeof text === 'string' ? text : '';
+    target.completedAt = Date.now();
+    this._clearTimer(tabId);
+    this._emit();
+    return true;
+  }
+
+  // ==================== Archive ====================
+
+  _archivePath(id) {
+    if (typeof id !== 'string' || !ID_RE.test(id)) {
+      throw new Error(`Invalid comparison id: ${id}`);
+    }
+    return path.join(this.archiveDir, `${id}.json`);
+  }
+
+  /**
+   * Save the live broadcast to the comparison archive
+   * @returns {Promise<Object>} Archive summary
+   */
+  async saveCurrent() {
+    if (!this.current) {
+      throw new Error('Nothing to save');
+    }
+    const doc = { ...this.getCurrent(), savedAt: Date.now() };
+    delete doc.saved;
+
+    await fs.promises.mkdir(this.archiveDir, { recursive: true });
+    const filePath = this._archivePath(doc.id);
+    const tempPath = `${filePath}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify(doc, null, 2), 'utf-8');
+      await fs.promises.rename(tempPath, filePath);
+    } catch (err) {
+      try {
+        await fs.promises.unlink(tempPath);
+      } catch {
+        // Ignore cleanup errors
+      }
+      throw err;
+    }
+
+    this.current.saved = true;
+    this._emit();
+    return this._summarize(doc);
+  }
+
+  _summarize(doc) {
+    return {
+      id: doc.id,
+      prompt: doc.prompt.slice(0, 200),
+      createdAt: doc.createdAt,
+      savedAt: doc.savedAt,
+      services: doc.targets.map(t => t.serviceType)
+    };
+  }
+
+  /**
+   * List saved comparisons, newest first
+   * @returns {Object[]} Summaries
+   */
+  listArchive() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.archiveDir).filter(f => f.endsWith('.json'));
+    } catch {
+      return [];
+    }
+
+    const summaries = [];
+    files.forEach(file => {
+      try {
+        const doc = JSON.parse(fs.readFileSync(path.join(this.archiveDir, file), 'utf-8'));
+        summaries.push(this._summarize(doc));
+      } catch (err) {
+        console.warn(`[BroadcastManager] Skipping unreadable comparison ${file}: ${err.message}`);
+      }
+    });
+    return summaries.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Read a saved comparison
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  getArchived(id) {
+    try {
+      return JSON.parse(fs.readFileSync(this._archivePath(id), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Delete a saved comparison
+   * @param {string} id
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteArchived(id) {
+    try {
+      await fs.promises.unlink(this._archivePath(id));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // ==================== Internals ====================
+
+  /**
+   * Move a target to `nextStatus` if it is still in `status` after `ms`
+   */
+  _startTimer(target, status, ms, nextStatus, error) {
+    this._clearTimer(target.tabId);
+    const timer = setTimeout(() => {
+      this.timers.delete(target.tabId);
+      if (target.status === status) {
+        target.status = nextStatus;
+        target.error = error;
+        this._emit();
+      }
+    }, ms);
+    this.timers.set(target.tabId, timer);
+  }
+
+  _clearTimer(tabId) {
+    const timer = this.timers.get(tabId);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(tabId);
+    }
+  }
+
+  _clearTimers() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  _emit() {
+    this.emit('broadcast-updated', this.getCurrent());
+  }
+
+  destroy() {
+    this._clearTimers();
+    this.removeAllListeners();
+  }
+}
+
+module.exports = BroadcastManager;
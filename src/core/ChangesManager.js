@@ -0,0 +1,377 @@
+/**
+ * ChangesManager - What changed in a terminal tab's folder during a session
+ *
+ * On each UserPromptSubmit hook the tab's working tree is snapshotted as a
+ * git tree object. The first snapshot after the session starts is the
+ * baseline for "this session"; the latest one is the baseline for "last
+ * prompt". The Changes tab diffs a baseline against a fresh snapshot.
+ *
+ * Snapshots include untracked (non-ignored) files and never touch the user's
+ * index, branches or stash: they are written through a temporary index file
+ * (GIT_INDEX_FILE) seeded from the real one so unchanged files aren't
+ * re-hashed. Only tracked files and the untracked paths `git status` reports
+ * are added, and untracked files over MAX_UNTRACKED_FILE_BYTES are left out,
+ * so a big working tree doesn't get hashed into loose objects on every
+ * prompt. The tree objects are unreferenced and only live for the app
+ * session.
+ *
+ * Paths are relative to the tab's cwd; a cwd below the repo root only sees
+ * changes inside it.
+ */
+
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GIT_TIMEOUT_MS = 30 * 1000;
+const MAX_DIFF_BYTES = 2 * 1024 * 1024;
+// Untracked files bigger than this (build output, data dumps) aren't snapshotted
+const MAX_UNTRACKED_FILE_BYTES = 1024 * 1024;
+
+const STATUS_NAMES = { A: 'added', M: 'modified', D: 'deleted', R: 'renamed', C: 'copied', T: 'modified' };
+
+class ChangesManager {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.gitPath='git'] - git executable
+   * @param {string} [options.tmpDir] - Where temporary index files go
+   */
+  constructor({ gitPath = 'git', tmpDir = os.tmpdir() } = {}) {
+    this.gitPath = gitPath;
+    this.tmpDir = tmpDir;
+    this.sessions = new Map(); // tabId -> { cwd, base, last }
+  }
+
+  /**
+   * Run git and resolve with stdout (string, or Buffer with encoding 'buffer')
+   * @private
+   */
+  _git(cwd, args, { env = null, encoding = 'utf8', input = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const options = {
+        cwd,
+        encoding,
+        timeout: GIT_TIMEOUT_MS,
+        maxBuffer: MAX_DIFF_BYTES * 2,
+        env: env ? { ...process.env, ...env } : process.env
+      };
+      const child = execFile(this.gitPath, args, options, (error, stdout, stderr) => {
+        if (error) {
+          const message = String(stderr || '').trim() || error.message;
+          reject(new Error(message.replace(/^(fatal|error): /, '')));
+          return;
+        }
+        resolve(stdout);
+      });
+      if (input !== null) child.stdin.end(input);
+    });
+  }
+
+  /**
+   * Run git commands against a temporary copy of the repo's index
+   * @private
+   */
+  async _withTempIndex(cwd, fn) {
+    const realIndex = path.resolve(cwd, (await this._git(cwd, ['rev-parse', '--git-path', 'index'])).trim());
+    const tempIndex = path.join(this.tmpDir, `crossai-index-${crypto.randomUUID()}`);
+    try {
+      if (fs.existsSync(realIndex)) {
+        fs.copyFileSync(realIndex, tempIndex);
+      }
+      return await fn({ GIT_INDEX_FILE: tempIndex });
+    } finally {
+      fs.rmSync(tempIndex, { force: true });
+    }
+  }
+
+  /**
+   * Snapshot the whole working tree (tracked + untracked, minus ignored and
+   * large untracked files)
+   * @param {string} cwd - Folder inside the repo
+   * @returns {Promise<{ tree: string, takenAt: number }>}
+   * @throws {Error} If the folder isn't in a git repository
+   */
+  async snapshot(cwd) {
+    const root = (await this._git(cwd, ['rev-parse', '--show-toplevel'])).trim();
+    const tree = await this._withTempIndex(cwd, async (env) => {
+      // Tracked files: the seeded index's stat data skips unchanged ones
+      await this._git(root, ['add', '--update', ':/'], { env });
+      const untracked = await this._listUntracked(root, env);
+      if (untracked.length > 0) {
+        // --remove: a file deleted since `git status` ran is simply left out
+        await this._git(root, ['update-index', '--add', '--remove', '-z', '--stdin'], {
+          env, input: untracked.map(file => `${file}\0`).join('')
+        });
+      }
+      return (await this._git(root, ['write-tree'], { env })).trim();
+    });
+    return { tree, takenAt: Date.now() };
+  }
+
+  /**
+   * Untracked, non-ignored files up to MAX_UNTRACKED_FILE_BYTES, relative to
+   * the repo root
+   * @private
+   */
+  async _listUntracked(root, env) {
+    // Through the temp index too, so status's index refresh stays off the real one
+    const parts = (await this._git(root, ['status', '--porcelain', '-z', '--untracked-files=all'], { env })).split('\0');
+    const files = [];
+    for (let i = 0; i < parts.length; i++) {
+      const entry = parts[i];
+      if (entry[0] === 'R' || entry[0] === 'C') {
+        i++; // Followed by the original path
+        continue;
+      }
+      if (!entry.startsWith('?? ')) continue;
+      const file = entry.slice(3);
+      try {
+        const stat = fs.lstatSync(path.join(root, file));
+        // A folder here is a nested repository: left out like git add would
+        if (!stat.isDirectory() && stat.size <= MAX_UNTRACKED_FILE_BYTES) files.push(file);
+      } catch (err) {
+        // Deleted meanwhile
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Forget the baselines for a tab (a new session started in it)
+   * @param {string} tabId
+   */
+  resetSession(tabId) {
+    this.sessions.delete(tabId);
+  }
+
+  /**
+   * Record a prompt: the first one of a session sets the session baseline
+   * @param {string} tabId
+   * @param {string} cwd
+   * @returns {Promise<boolean>} False if the folder isn't a git repository
+   */
+  async recordPrompt(tabId, cwd) {
+    let snap;
+    try {
+      snap = await this.snapshot(cwd);
+    } catch (err) {
+      return false;
+    }
+    const session = this.sessions.get(tabId);
+    if (!session || session.cwd !== cwd) {
+      this.sessions.set(tabId, { cwd, base: snap, last: snap });
+    } else {
+      session.last = snap;
+    }
+    return true;
+  }
+
+  /**
+   * Baseline for a tab
+   * @private
+   */
+  _getBaseline(tabId, cwd, since) {
+    const session = this.sessions.get(tabId);
+    if (!session || session.cwd !== cwd) return null;
+    return since === 'prompt' ? session.last : session.base;
+  }
+
+  /**
+   * List files changed since a baseline
+   * @param {string} tabId
+   * @param {string} cwd
+   * @param {Object} [options]
+   * @param {'session'|'prompt'} [options.since='session']
+   * @returns {Promise<Object>} { status: 'ok'|'no-baseline'|'not-git', since, takenAt, files: [{ path, oldPath, status, additions, deletions, binary }] }
+   */
+  async getChanges(tabId, cwd, { since = 'session' } = {}) {
+    const baseline = this._getBaseline(tabId, cwd, since);
+    let current;
+    try {
+      current = await this.snapshot(cwd);
+    } catch (err) {
+      return { status: 'not-git', since, files: [] };
+    }
+    if (!baseline) {
+      return { status: 'no-baseline', since, files: [] };
+    }
+
+    const range = [baseline.tree, current.tree];
+    const [nameStatus, numstat] = await Promise.all([
+      this._git(cwd, ['diff', '--relative', '-M', '--name-status', '-z', ...range]),
+      this._git(cwd, ['diff', '--relative', '-M', '--numstat', '-z', ...range])
+    ]);
+
+    const files = parseNameStatus(nameStatus);
+    const stats = parseNumstat(numstat);
+    files.forEach(file => {
+      const stat = stats.get(file.path) || { additions: 0, deletions: 0, binary: false };
+      Object.assign(file, stat);
+    });
+
+    return { status: 'ok', since, takenAt: baseline.takenAt, files };
+  }
+
+  /**
+   * The most recently modified file with uncommitted changes, tracked or
+   * untracked (deleted files are skipped)
+   * @param {string} cwd
+   * @returns {Promise<string|null>} Path relative to cwd; null if there are no
+   *   changes or it isn't a git repo
+   */
+  async getRecentlyChangedFile(cwd) {
+    const list = (args) => this._git(cwd, args).then(out => out.split('\0').filter(Boolean), () => []);
+    const [tracked, untracked] = await Promise.all([
+      list(['diff', '--relative', '--name-only', '-z', 'HEAD']),
+      list(['ls-files', '--others', '--exclude-standard', '-z'])
+    ]);
+
+    let recent = null;
+    let recentMtime = -Infinity;
+    for (const file of new Set([...tracked, ...untracked])) {
+      try {
+        const { mtimeMs } = fs.statSync(path.join(cwd, file));
+        if (mtimeMs > recentMtime) {
+          recent = file;
+          recentMtime = mtimeMs;
+        }
+      } catch (err) {
+        // Deleted
+      }
+    }
+    return recent;
+  }
+
+  /**
+   * Unified diff of one file since a baseline
+   * @param {string} tabId
+   * @param {string} cwd
+   * @param {string} filePath - Path relative to cwd (as returned by getChanges)
+   * @param {Object} [options]
+   * @param {'session'|'prompt'} [options.since='session']
+   * @returns {Promise<{ diff: string, truncated: boolean }>}
+   * @throws {Error} If there's no baseline
+   */
+  async getFileDiff(tabId, cwd, filePath, { since = 'session' } = {}) {
+    const baseline = this._getBaseline(tabId, cwd, since);
+    if (!baseline) {
+      throw new Error('No snapshot for this session yet');
+    }
+    const current = await this.snapshot(cwd);
+    const diff = await this._git(cwd, ['diff', '--relative', '-M', baseline.tree, current.tree, '--', assertRelative(filePath)]);
+    if (diff.length > MAX_DIFF_BYTES) {
+      return { diff: diff.slice(0, MAX_DIFF_BYTES), truncated: true };
+    }
+    return { diff, truncated: false };
+  }
+
+  /**
+   * Put a file back the way it was at the baseline (deletes files that
+   * didn't exist then)
+   * @param {string} tabId
+   * @param {string} cwd
+   * @param {string} filePath - Path relative to cwd
+   * @param {Object} [options]
+   * @param {'session'|'prompt'} [options.since='session']
+   * @returns {Promise<{ restored: boolean, deleted: boolean }>}
+   * @throws {Error} If there's no baseline or the path is a folder
+   */
+  async revertFile(tabId, cwd, filePath, { since = 'session' } = {}) {
+    const baseline = this._getBaseline(tabId, cwd, since);
+    if (!baseline) {
+      throw new Error('No snapshot for this session yet');
+    }
+    const relPath = assertRelative(filePath);
+    const absPath = path.join(cwd, relPath);
+    const isFolder = () => {
+      try {
+        return fs.lstatSync(absPath).isDirectory();
+      } catch (err) {
+        return false;
+      }
+    };
+    if (isFolder()) {
+      throw new Error('Only files can be reverted, not folders');
+    }
+
+    return this._withTempIndex(cwd, async (env) => {
+      await this._git(cwd, ['read-tree', baseline.tree], { env });
+      const listed = (await this._git(cwd, ['ls-files', '-z', '--', relPath], { env })).split('\0').filter(Boolean);
+      if (listed.length > 0 && !listed.includes(relPath.split(path.sep).join('/'))) {
+        // Files below it: it was a folder at the baseline
+        throw new Error('Only files can be reverted, not folders');
+      }
+      if (listed.length > 0) {
+        await this._git(cwd, ['checkout-index', '--force', '--', relPath], { env });
+        return { restored: true, deleted: false };
+      }
+      fs.rmSync(absPath, { force: true });
+      return { restored: false, deleted: true };
+    });
+  }
+}
+
+/**
+ * Reject absolute paths and paths escaping the cwd
+ * @private
+ */
+function assertRelative(filePath) {
+  if (typeof filePath !== 'string' || !filePath || path.isAbsolute(filePath)) {
+    throw new Error('Invalid file path');
+  }
+  const normalized = path.normalize(filePath);
+  if (normalized === '..' || normalized.startsWith(`..${path.sep}`)) {
+    throw new Error('Invalid file path');
+  }
+  return normalized;
+}
+
+/**
+ * Parse `git diff --name-status -z`
+ * @private
+ */
+function parseNameStatus(output) {
+  const parts = output.split('\0').filter(Boolean);
+  const files = [];
+  for (let i = 0; i < parts.length; i++) {
+    const code = parts[i][0];
+    if (code === 'R' || code === 'C') {
+      files.push({ path: parts[i + 2], oldPath: parts[i + 1], status: STATUS_NAMES[code] });
+      i += 2;
+    } else {
+      files.push({ path: parts[i + 1], oldPath: null, status: STATUS_NAMES[code] || 'modified' });
+      i += 1;
+    }
+  }
+  return files;
+}
+
+/**
+ * Parse `git diff --numstat -z` into path -> { additions, deletions, binary }
+ * @private
+ */
+function parseNumstat(output) {
+  const stats = new Map();
+  const parts = output.split('\0');
+  for (let i = 0; i < parts.length; i++) {
+    const match = parts[i].match(/^(-|\d+)\t(-|\d+)\t(.*)$/);
+    if (!match) continue;
+    let filePath = match[3];
+    if (!filePath) {
+      // Rename: "<add>\t<del>\t\0<old>\0<new>"
+      filePath = parts[i + 2];
+      i += 2;
+    }
+    const binary = match[1] === '-';
+    stats.set(filePath, {
+      additions: binary ? 0 : parseInt(match[1], 10),
+      deletions: binary ? 0 : parseInt(match[2], 10),
+      binary
+    });
+  }
+  return stats;
+}
+
+module.exports = ChangesManager;
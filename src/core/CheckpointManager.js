@@ -0,0 +1,211 @@
+/**
+ * CheckpointManager - A restorable checkpoint of a tab's folder per prompt
+ *
+ * On each UserPromptSubmit hook the working tree is snapshotted (see
+ * ChangesManager.snapshot) and committed onto a per-tab ref,
+ * `refs/crossai/checkpoints/<tabId>`. Each checkpoint's parent is the
+ * previous one, so the ref's history is the tab's timeline, newest first.
+ * Branches, HEAD, the index and the stash are never touched, and the
+ * checkpoints survive app restarts until the tab is closed.
+ *
+ * Restoring puts the files under the tab's cwd back the way they were at a
+ * checkpoint (deleting files that didn't exist then). The current state is
+ * checkpointed first, so a restore can itself be undone.
+ */
+
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GIT_TIMEOUT_MS = 30 * 1000;
+const MAX_LISTED = 50;
+const REF_PREFIX = 'refs/crossai/checkpoints/';
+
+// Checkpoint commits must not depend on the user having a git identity
+const COMMIT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'CrossAI', GIT_AUTHOR_EMAIL: 'checkpoints@crossai.local',
+  GIT_COMMITTER_NAME: 'CrossAI', GIT_COMMITTER_EMAIL: 'checkpoints@crossai.local'
+};
+
+class CheckpointManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.changesManager - Takes the working tree snapshots
+   * @param {string} [options.gitPath='git'] - git executable
+   * @param {string} [options.tmpDir] - Where temporary index files go
+   */
+  constructor({ changesManager, gitPath = 'git', tmpDir = os.tmpdir() }) {
+    this.changesManager = changesManager;
+    this.gitPath = gitPath;
+    this.tmpDir = tmpDir;
+    this.queues = new Map(); // tabId -> promise of the last queued operation
+  }
+
+  /**
+   * Run git and resolve with trimmed stdout
+   * @private
+   */
+  _git(cwd, args, env = null) {
+    return new Promise((resolve, reject) => {
+      const options = {
+        cwd,
+        timeout: GIT_TIMEOUT_MS,
+        maxBuffer: 4 * 1024 * 1024,
+        env: env ? { ...process.env, ...env } : process.env
+      };
+      execFile(this.gitPath, args, options, (error, stdout, stderr) => {
+        if (error) {
+          const message = (stderr || '').trim() || error.message;
+          reject(new Error(message.replace(/^(fatal|error): /, '')));
+          return;
+        }
+        resolve(stdout.trim());
+      });
+    });
+  }
+
+  /**
+   * Run operations on one tab's ref one at a time
+   * @private
+   */
+  _enqueue(tabId, fn) {
+    const previous = this.queues.get(tabId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    this.queues.set(tabId, next);
+    next.catch(() => {}).then(() => {
+      if (this.queues.get(tabId) === next) this.queues.delete(tabId);
+    });
+    return next;
+  }
+
+  /**
+   * Ref holding a tab's checkpoints
+   * @param {string} tabId
+   * @returns {string}
+   */
+  getRef(tabId) {
+    return REF_PREFIX + String(tabId).replace(/[^\w-]/g, '_');
+  }
+
+  /**
+   * @private
+   */
+  async _resolveRef(cwd, ref) {
+    try {
+      return await this._git(cwd, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _commit(tabId, cwd, label) {
+    const { tree, takenAt } = await this.changesManager.snapshot(cwd);
+    const ref = this.getRef(tabId);
+    const parent = await this._resolveRef(cwd, ref);
+    const message = (label || '').trim().replace(/\s+/g, ' ') || 'Checkpoint';
+
+    const args = ['commit-tree', tree, '-m', message];
+    if (parent) args.push('-p', parent);
+    const env = { ...COMMIT_IDENTITY, GIT_AUTHOR_DATE: `@${Math.floor(takenAt / 1000)} +0000` };
+    const id = await this._git(cwd, args, env);
+    // Fails if another process moved the ref since we read it
+    await this._git(cwd, ['update-ref', '-m', 'checkpoint', ref, id, parent || '']);
+    return { id, label: message, createdAt: takenAt };
+  }
+
+  /**
+   * Record a checkpoint of the tab's folder
+   * @param {string} tabId
+   * @param {string} cwd
+   * @param {string} label - Shown in the timeline (usually the prompt)
+   * @returns {Promise<Object|null>} { id, label, createdAt }, or null if the
+   *   folder isn't in a git repository
+   */
+  create(tabId, cwd, label) {
+    return this._enqueue(tabId, async () => {
+      try {
+        await this._git(cwd, ['rev-parse', '--git-dir']);
+      } catch (err) {
+        return null;
+      }
+      return this._commit(tabId, cwd, label);
+    });
+  }
+
+  /**
+   * A tab's checkpoints, newest first
+   * @param {string} tabId
+   * @param {string} cwd
+   * @returns {Promise<Array<{ id: string, label: string, createdAt: number }>>}
+   */
+  async list(tabId, cwd) {
+    const ref = this.getRef(tabId);
+    if (!(await this._resolveRef(cwd, ref))) {
+      return [];
+    }
+    const output = await this._git(cwd, ['log', `-n${MAX_LISTED}`, '--format=%H%x1f%at%x1f%s%x1e', ref]);
+    return output.split('\x1e').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [id, seconds, label] = entry.split('\x1f');
+      return { id, label, createdAt: parseInt(seconds, 10) * 1000 };
+    });
+  }
+
+  /**
+   * Put the files under cwd back the way they were at a checkpoint
+   * @param {string} tabId
+   * @param {string} cwd
+   * @param {string} checkpointId - Commit id from list()
+   * @returns {Promise<{ backup: Object }>} The checkpoint taken just before
+   * @throws {Error} If the checkpoint isn't one of this tab's
+   */
+  restore(tabId, cwd, checkpointId) {
+    return this._enqueue(tabId, async () => {
+      const ref = this.getRef(tabId);
+      if (!/^[0-9a-f]{7,64}$/i.test(String(checkpointId || '')) || !(await this._resolveRef(cwd, ref))) {
+        throw new Error('Checkpoint not found');
+      }
+      try {
+        await this._git(cwd, ['merge-base', '--is-ancestor', checkpointId, ref]);
+      } catch (err) {
+        throw new Error('Checkpoint not found');
+      }
+
+      const target = await this._git(cwd, ['log', '-1', '--format=%s', checkpointId]);
+      const backup = await this._commit(tabId, cwd, `Before restoring "${target}"`);
+
+      // A throwaway index listing every file in the backup lets `git restore`
+      // delete the files the checkpoint doesn't have, untracked ones included
+      const tempIndex = path.join(this.tmpDir, `crossai-index-${crypto.randomUUID()}`);
+      try {
+        const env = { GIT_INDEX_FILE: tempIndex };
+        await this._git(cwd, ['read-tree', backup.id], env);
+        await this._git(cwd, ['restore', `--source=${checkpointId}`, '--worktree', '--', '.'], env);
+      } finally {
+        fs.rmSync(tempIndex, { force: true });
+      }
+      return { backup };
+    });
+  }
+
+  /**
+   * Drop a tab's checkpoints (the tab was closed)
+   * @param {string} tabId
+   * @param {string} cwd
+   * @returns {Promise<void>}
+   */
+  clear(tabId, cwd) {
+    return this._enqueue(tabId, async () => {
+      const ref = this.getRef(tabId);
+      if (await this._resolveRef(cwd, ref)) {
+        await this._git(cwd, ['update-ref', '-d', ref]);
+      }
+    });
+  }
+}
+
+module.exports = CheckpointManager;
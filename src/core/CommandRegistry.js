@@ -0,0 +1,194 @@
+/**
+ * CommandRegistry - Entries for the Cmd+K command palette
+ *
+ * Two kinds of sources, listed in the order they were registered:
+ * - Commands: fixed actions (restart Claude, open settings, ...) added with
+ *   register(). An optional `when(context)` hides them when they don't apply.
+ * - Providers: functions that build items when the palette searches (open
+ *   and archived tabs, services, prompts, history sessions), added with
+ *   registerProvider().
+ *
+ * search() fuzzy-matches every entry and remembers the results, so the
+ * renderer only ever sees serializable items and asks execute(id) to run one.
+ *
+ * Item shape: { id, title, subtitle?, category, keywords?, shortcut?, run(context) }
+ */
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Fuzzy subsequence match. Every query character must appear in order;
+ * consecutive runs, word starts and a prefix match score higher.
+ * @param {string} query - Lowercase search text (spaces ignored)
+ * @param {string} text - Text to match against
+ * @returns {{ score: number, indices: number[] }|null} Null if no match
+ */
+function fuzzyMatch(query, text) {
+  const needle = query.replace(/\s+/g, '').toLowerCase();
+  if (!needle) return { score: 0, indices: [] };
+  if (!text) return null;
+
+  const haystack = text.toLowerCase();
+  const indices = [];
+  let score = 0;
+  let from = 0;
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) return null;
+
+    const previous = indices[indices.length - 1];
+    if (previous !== undefined && index === previous + 1) {
+      score += 5; // Consecutive
+    } else if (index === 0 || /[\s\-_/.:]/.test(haystack[index - 1])) {
+      score += 4; // Word start
+    } else if (text[index] !== haystack[index]) {
+      score += 2; // camelCase boundary
+    } else {
+      score += 1;
+    }
+    if (previous !== undefined) {
+      score -= Math.min(index - previous - 1, 3); // Gap penalty
+    }
+
+    indices.push(index);
+    from = index + 1;
+  }
+
+  if (haystack.startsWith(needle)) score += 10;
+  score -= haystack.length / 100; // Prefer shorter titles on ties
+  return { score, indices };
+}
+
+class CommandRegistry {
+  constructor() {
+    this.sources = [];      // [{ command }] | [{ provider }] in registration order
+    this.commandIds = new Set();
+    this.lastResults = new Map(); // id -> item from the latest search()
+  }
+
+  /**
+   * Register a fixed command
+   * @param {Object} command
+   * @param {string} command.id - Unique ID
+   * @param {string} command.title - Label shown in the palette
+   * @param {string} [command.category='Action'] - Group label
+   * @param {string} [command.subtitle] - Secondary text
+   * @param {string[]} [command.keywords] - Extra search terms
+   * @param {string} [command.shortcut] - Accelerator to display (e.g. 'Cmd+W')
+   * @param {Function} [command.when] - (context) => boolean, hide when false
+   * @param {Function} command.run - (context) => void|Promise
+   */
+  register(command) {
+    if (!command || typeof command.id !== 'string' || !command.id) {
+      throw new Error('Command id is required');
+    }
+    if (typeof command.title !== 'string' || !command.title) {
+      throw new Error(`Command ${command.id} needs a title`);
+    }
+    if (typeof command.run !== 'function') {
+      throw new Error(`Command ${command.id} needs a run function`);
+    }
+    if (this.commandIds.has(command.id)) {
+      throw new Error(`Command ${command.id} is already registered`);
+    }
+    this.commandIds.add(command.id);
+    this.sources.push({ command: { category: 'Action', ...command } });
+  }
+
+  /**
+   * Register a function that supplies items at search time
+   * @param {Function} provider - (context) => Object[] of items
+   */
+  registerProvider(provider) {
+    if (typeof provider !== 'function') {
+      throw new Error('Provider must be a function');
+    }
+    this.sources.push({ provider });
+  }
+
+  /**
+   * Collect every entry that applies to the context
+   * @param {Object} context - Passed to `when` and providers
+   * @returns {Object[]} Items in registration order
+   */
+  getItems(context = {}) {
+    const items = [];
+    for (const source of this.sources) {
+      if (source.command) {
+        const { when } = source.command;
+        if (!when || when(context)) items.push(source.command);
+        continue;
+      }
+      try {
+        items.push(...(source.provider(context) || []));
+      } catch (err) {
+        console.error('[CommandRegistry] Provider failed:', err);
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Search entries. An empty query lists everything in registration order.
+   * @param {string} query
+   * @param {Object} [context]
+   * @param {Object} [options]
+   * @param {number} [options.limit=50]
+   * @returns {Object[]} [{ id, title, subtitle, category, shortcut, matches }]
+   */
+  search(query = '', context = {}, { limit = DEFAULT_LIMIT } = {}) {
+    const trimmed = String(query).trim();
+    const scored = [];
+
+    this.getItems(context).forEach((item, order) => {
+      const titleMatch = fuzzyMatch(trimmed, item.title);
+      if (titleMatch) {
+        scored.push({ item, order, score: titleMatch.score, matches: titleMatch.indices });
+        return;
+      }
+      // Fall back to subtitle, category and keywords, ranked below title hits
+      const extra = [item.subtitle, item.category, ...(item.keywords || [])].filter(Boolean).join(' ');
+      const extraMatch = fuzzyMatch(trimmed, extra);
+      if (extraMatch) {
+        scored.push({ item, order, score: extraMatch.score - 20, matches: [] });
+      }
+    });
+
+    if (trimmed) {
+      scored.sort((a, b) => b.score - a.score || a.order - b.order);
+    }
+
+    this.lastResults = new Map();
+    return scored.slice(0, limit).map(({ item, matches }) => {
+      this.lastResults.set(item.id, item);
+      return {
+        id: item.id,
+        title: item.title,
+        subtitle: item.subtitle || '',
+        category: item.category,
+        shortcut: item.shortcut || '',
+        matches
+      };
+    });
+  }
+
+  /**
+   * Run an item returned by the latest search()
+   * @param {string} id
+   * @param {Object} [context]
+   * @returns {Promise<*>} Whatever the item's run() returns
+   * @throws {Error} If the ID wasn't in the latest results
+   */
+  async execute(id, context = {}) {
+    const item = this.lastResults.get(id);
+    if (!item) {
+      throw new Error(`Unknown palette item: ${id}`);
+    }
+    return item.run(context);
+  }
+}
+
+CommandRegistry.fuzzyMatch = fuzzyMatch;
+
+module.exports = CommandRegistry;
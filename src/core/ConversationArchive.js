@@ -0,0 +1,329 @@
+/**
+ * ConversationArchive - Local, searchable copy of web AI exchanges
+ *
+ * - One file per tab: userData/conversations/<serviceType>/<tabId>.jsonl,
+ *   one exchange (prompt + response) per line, appended as they complete
+ * - Exchanges come from the ai-response-complete message, which carries the
+ *   full text of the last user/assistant message (selector-pack driven)
+ * - Files are read lazily on the first query and kept in memory afterwards
+ * - Capture can be switched off; settings live in electron-store under
+ *   `conversationArchive`
+ *
+ * Events:
+ * - 'archive-updated' after an exchange is added or removed
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORE_KEY = 'conversationArchive';
+const MAX_TEXT_LENGTH = 100000;
+const SNIPPET_LENGTH = 160;
+const SEGMENT_RE = /^[a-z0-9][a-z0-9-]{0,80}$/;
+
+class ConversationArchive extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - electron-store instance
+   * @param {string} options.userDataPath - Electron app.getPath('userData')
+   */
+  constructor({ store, userDataPath }) {
+    super();
+    this.store = store;
+    this.baseDir = path.join(userDataPath, 'conversations');
+    this.exchanges = null; // Loaded lazily: array sorted oldest first
+  }
+
+  // ==================== Settings ====================
+
+  isEnabled() {
+    return this.store.get(STORE_KEY, {}).enabled !== false;
+  }
+
+  setEnabled(enabled) {
+    this.store.set(STORE_KEY, { ...this.store.get(STORE_KEY, {}), enabled: Boolean(enabled) });
+  }
+
+  // ==================== Storage ====================
+
+  _tabPath(serviceType, tabId) {
+    if (!SEGMENT_RE.test(serviceType) || !SEGMENT_RE.test(tabId)) {
+      throw new Error(`Invalid archive key: ${serviceType}/${tabId}`);
+    }
+    return path.join(this.baseDir, serviceType, `${tabId}.jsonl`);
+  }
+
+  /**
+   * Read every tab file once
+   * @private
+   */
+  _ensureLoaded() {
+    if (this.exchanges) return;
+    this.exchanges = [];
+
+    let services = [];
+    try {
+      services = fs.readdirSync(this.baseDir);
+    } catch {
+      return;
+    }
+
+    services.forEach(serviceType => {
+      let files = [];
+      try {
+        files = fs.readdirSync(path.join(this.baseDir, serviceType)).filter(f => f.endsWith('.jsonl'));
+      } catch {
+        return;
+      }
+      files.forEach(file => {
+        const content = fs.readFileSync(path.join(this.baseDir, serviceType, file), 'utf-8');
+        content.split('\n').forEach(line => {
+          if (!line.trim()) return;
+          try {
+            this.exchanges.push(JSON.parse(line));
+          } catch {
+            console.warn(`[ConversationArchive] Skipping corrupt line in ${serviceType}/${file}`);
+          }
+        });
+      });
+    });
+
+    this.exchanges.sort((a, b) => a.capturedAt - b.capturedAt);
+  }
+
+  /**
+   * Rewrite one tab's file from memory (after replace/delete)
+   * @private
+   */
+  _rewriteTab(serviceType, tabId) {
+    const filePath = this._tabPath(serviceType, tabId);
+    const lines = this.exchanges
+      .filter(e => e.serviceType === serviceType && e.tabId === tabId)
+      .map(e => JSON.stringify(e));
+
+    if (lines.length === 0) {
+      try { fs.unlinkSync(filePath); } catch { /* already gone */ }
+      return;
+    }
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, lines.join('\n') + '\n', 'utf-8');
+    fs.renameSync(tempPath, filePath);
+  }
+
+  // ==================== Capture ====================
+
+  /**
+   * Record a completed exchange from a web tab
+   * @param {Object} exchange
+   * @param {string} exchange.tabId
+   * @param {string} exchange.tabName
+   * @param {string} exchange.serviceType
+   * @param {string} exchange.prompt - Full text of the last user message
+   * @param {string} exchange.response - Full text of the last assistant message
+   * @param {string} [exchange.url] - Conversation URL
+   * @returns {Object|null} The stored exchange, or null if nothing was recorded
+   */
+  record({ tabId, tabName, serviceType, prompt, response, url }) {
+    if (!this.isEnabled()) return null;
+    response = typeof response === 'string' ? response.trim().slice(0, MAX_TEXT_LENGTH) : '';
+    prompt = typeof prompt === 'string' ? prompt.trim().slice(0, MAX_TEXT_LENGTH) : '';
+    if (!response) return null;
+
+    const filePath = this._tabPath(serviceType, tabId);
+    this._ensureLoaded();
+
+    // Completion can fire more than once for the same answer (e.g. after a
+    // "continue"); keep one entry per prompt, updated to the longest text
+    let last = null;
+    for (let i = this.exchanges.length - 1; i >= 0; i--) {
+      const e = this.exchanges[i];
+      if (e.tabId === tabId && e.serviceType === serviceType) {
+        last = e;
+        break;
+      }
+    }
+    if (last && last.prompt === prompt && last.url === (url || null)) {
+      if (last.response === response) return null;
+      if (response.startsWith(last.response)) {
+        last.response = response;
+        last.tabName = tabName;
+        this._rewriteTab(serviceType, tabId);
+        this.emit('archive-updated');
+        return { ...last };
+      }
+    }
+
+    const exchange = {
+      id: `conv-${crypto.randomUUID()}`,
+      tabId,
+      tabName,
+      serviceType,
+      prompt,
+      response,
+      url: url || null,
+      capturedAt: Date.now()
+    };
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(exchange) + '\n', 'utf-8');
+    this.exchanges.push(exchange);
+    this.emit('archive-updated');
+    return { ...exchange };
+  }
+
+  // ==================== Query ====================
+
+  /**
+   * Search exchanges, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.query] - Words that must all appear (case-insensitive)
+   * @param {string} [filters.serviceType]
+   * @param {string} [filters.tabId]
+   * @param {number} [filters.from] - Earliest capturedAt (ms)
+   * @param {number} [filters.to] - Latest capturedAt (ms)
+   * @param {number} [filters.limit=200] - 0 for no limit
+   * @returns {{ results: Object[], total: number }} Results carry a `snippet`
+   */
+  search({ query = '', serviceType, tabId, from, to, limit = 200 } = {}) {
+    this._ensureLoaded();
+    const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+
+    const matches = [];
+    for (let i = this.exchanges.length - 1; i >= 0; i--) {
+      const e = this.exchanges[i];
+      if (serviceType && e.serviceType !== serviceType) continue;
+      if (tabId && e.tabId !== tabId) continue;
+      if (from && e.capturedAt < from) continue;
+      if (to && e.capturedAt > to) continue;
+      if (terms.length > 0) {
+        const haystack = `${e.prompt}\n${e.response}\n${e.tabName}`.toLowerCase();
+        if (!terms.every(term => haystack.includes(term))) continue;
+      }
+      matches.push(e);
+    }
+
+    const page = limit > 0 ? matches.slice(0, limit) : matches;
+    return {
+      total: matches.length,
+      results: page.map(e => ({
+        id: e.id,
+        tabId: e.tabId,
+        tabName: e.tabName,
+        serviceType: e.serviceType,
+        capturedAt: e.capturedAt,
+        prompt: e.prompt.slice(0, 200),
+        snippet: this._snippet(e.response, terms)
+      }))
+    };
+  }
+
+  /**
+   * Text around the first matching term (or the start of the response)
+   * @private
+   */
+  _snippet(text, terms) {
+    const flat = text.replace(/\s+/g, ' ');
+    const lower = flat.toLowerCase();
+    let index = -1;
+    for (const term of terms) {
+      index = lower.indexOf(term);
+      if (index !== -1) break;
+    }
+    const start = Math.max(0, index - SNIPPET_LENGTH / 4);
+    const snippet = flat.slice(start, start + SNIPPET_LENGTH);
+    return (start > 0 ? '...' : '') + snippet + (start + SNIPPET_LENGTH < flat.length ? '...' : '');
+  }
+
+  /**
+   * Get a full exchange
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    this._ensureLoaded();
+    const exchange = this.exchanges.find(e => e.id === id);
+    return exchange ? { ...exchange } : null;
+  }
+
+  /**
+   * Tabs that have archived exchanges (for the tab filter)
+   * @returns {Object[]} [{ tabId, tabName, serviceType, count }]
+   */
+  listTabs() {
+    this._ensureLoaded();
+    const tabs = new Map();
+    this.exchanges.forEach(e => {
+      const entry = tabs.get(e.tabId) || { tabId: e.tabId, serviceType: e.serviceType, count: 0 };
+      entry.tabName = e.tabName; // Latest name wins
+      entry.count++;
+      tabs.set(e.tabId, entry);
+    });
+    return Array.from(tabs.values()).sort((a, b) => a.tabName.localeCompare(b.tabName));
+  }
+
+  /**
+   * Delete one exchange
+   * @param {string} id
+   * @returns {boolean} True if deleted
+   */
+  delete(id) {
+    this._ensureLoaded();
+    const exchange = this.exchanges.find(e => e.id === id);
+    if (!exchange) return false;
+    this.exchanges = this.exchanges.filter(e => e.id !== id);
+    this._rewriteTab(exchange.serviceType, exchange.tabId);
+    this.emit('archive-updated');
+    return true;
+  }
+
+  /**
+   * Delete every archived exchange
+   */
+  async clear() {
+    await fs.promises.rm(this.baseDir, { recursive: true, force: true });
+    this.exchanges = [];
+    this.emit('archive-updated');
+  }
+
+  // ==================== Export ====================
+
+  /**
+   * Full exchanges matching the filters, oldest first
+   * @param {Object} filters - Same as search()
+   * @returns {Object[]}
+   */
+  getForExport(filters = {}) {
+    const { results } = this.search({ ...filters, limit: 0 });
+    return results.reverse().map(r => this.get(r.id));
+  }
+
+  /**
+   * Render exchanges as Markdown
+   * @param {Object[]} exchanges - From getForExport()
+   * @param {Object} [serviceNames] - serviceType -> display name
+   * @returns {string}
+   */
+  toMarkdown(exchanges, serviceNames = {}) {
+    const parts = ['# Conversation archive', ''];
+    exchanges.forEach(e => {
+      const service = serviceNames[e.serviceType] || e.serviceType;
+      parts.push(`## ${e.tabName} (${service}) - ${new Date(e.capturedAt).toISOString()}`);
+      if (e.url) parts.push('', `<${e.url}>`);
+      parts.push('', '**Prompt**', '', e.prompt || '_(not captured)_', '', '**Response**', '', e.response, '', '---', '');
+    });
+    return parts.join('\n');
+  }
+
+  /**
+   * Render exchanges as JSON
+   * @param {Object[]} exchanges - From getForExport()
+   * @returns {string}
+   */
+  toJSON(exchanges) {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), exchanges }, null, 2);
+  }
+}
+
+module.exports = ConversationArchive;
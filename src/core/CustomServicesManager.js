@@ -0,0 +1,216 @@
+/**
+ * CustomServicesManager - User-defined web AI services (Perplexity, Le Chat,
+ * self-hosted chat UIs, ...) persisted in electron-store under `customServices`.
+ *
+ * - Every entry is validated on load; invalid entries are skipped (and kept in
+ *   the store untouched) rather than crashing startup
+ * - Valid entries are pushed into ServiceRegistry so TabManager, ViewManager
+ *   and the renderers see them like built-in services
+ * - Icons are user-supplied SVG and end up in renderer innerHTML. The
+ *   renderers sanitize them with DOMPurify's SVG profile when saving and again
+ *   before rendering; the checks here only reject obviously unsafe markup early
+ */
+
+const crypto = require('crypto');
+const { SERVICE_TYPES, setCustomServiceTypes } = require('./ServiceRegistry');
+
+const STORE_KEY = 'customServices';
+const MAX_NAME_LENGTH = 40;
+const MAX_HOSTS = 10;
+const MAX_ICON_LENGTH = 8 * 1024;
+const DEFAULT_PARTITION = 'persist:shared';
+const DEFAULT_COLOR = '#6b7280';
+
+const HOST_RE = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/;
+const COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+const PARTITION_RE = /^persist:[a-z0-9-]{1,40}$/;
+const UNSAFE_SVG_RE = /<script|<foreignobject|<iframe|<image|<use|<a[\s>]|\son[a-z]+\s*=|javascript:|href\s*=/i;
+
+class CustomServicesManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - electron-store instance
+   */
+  constructor({ store }) {
+    this.store = store;
+    this.services = [];
+    this.load();
+  }
+
+  /**
+   * Read, validate and register all stored services
+   * @returns {Object[]} The valid services
+   */
+  load() {
+    const saved = this.store.get(STORE_KEY, []);
+    const valid = [];
+    const seen = new Set();
+
+    (Array.isArray(saved) ? saved : []).forEach(entry => {
+      try {
+        const service = this.validate(entry);
+        if (seen.has(service.id)) {
+          throw new Error(`Duplicate service id "${service.id}"`);
+        }
+        seen.add(service.id);
+        valid.push(service);
+      } catch (err) {
+        console.warn(`[CustomServicesManager] Skipping invalid custom service: ${err.message}`);
+      }
+    });
+
+    this.services = valid;
+    setCustomServiceTypes(valid);
+    return valid;
+  }
+
+  /**
+   * Validate and normalize a service definition
+   * @param {Object} input - Raw definition
+   * @returns {Object} Normalized definition
+   * @throws {Error} If any field is invalid
+   */
+  validate(input) {
+    if (!input || typeof input !== 'object') {
+      throw new Error('Service definition must be an object');
+    }
+
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) {
+      throw new Error('Service name is required');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw new Error(`Service name must be ${MAX_NAME_LENGTH} characters or less`);
+    }
+
+    let url;
+    try {
+      url = new URL(input.url);
+    } catch {
+      throw new Error('Service URL must be a valid URL');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error('Service URL must use http or https');
+    }
+
+    const id = typeof input.id === 'string' && input.id ? input.id : null;
+    if (id !== null && !/^custom-[a-z0-9-]+$/.test(id)) {
+      throw new Error(`Invalid service id "${id}"`);
+    }
+    if (id && SERVICE_TYPES[id]) {
+      throw new Error(`"${id}" is a built-in service`);
+    }
+
+    const rawHosts = Array.isArray(input.allowedHosts) ? input.allowedHosts : [];
+    const hosts = new Set([url.hostname.toLowerCase()]);
+    rawHosts.forEach(host => {
+      const normalized = typeof host === 'string' ? host.trim().toLowerCase() : '';
+      if (!normalized) return;
+      if (!HOST_RE.test(normalized)) {
+        throw new Error(`Invalid allowed host "${host}"`);
+      }
+      hosts.add(normalized);
+    });
+    if (hosts.size > MAX_HOSTS) {
+      throw new Error(`A service can have at most ${MAX_HOSTS} allowed hosts`);
+    }
+
+    const color = input.color || DEFAULT_COLOR;
+    if (!COLOR_RE.test(color)) {
+      throw new Error('Color must be a hex value like #10a37f');
+    }
+
+    const sessionPartition = input.sessionPartition || DEFAULT_PARTITION;
+    if (!PARTITION_RE.test(sessionPartition)) {
+      throw new Error('Session partition must look like "persist:name" (lowercase letters, digits, dashes)');
+    }
+
+    const icon = typeof input.icon === 'string' ? input.icon.trim() : '';
+    if (icon) {
+      if (icon.length > MAX_ICON_LENGTH) {
+        throw new Error('Icon SVG is too large (max 8 KB)');
+      }
+      if (!/^<svg[\s>]/i.test(icon) || !/<\/svg>$/i.test(icon)) {
+        throw new Error('Icon must be a single <svg> element');
+      }
+      if (UNSAFE_SVG_RE.test(icon)) {
+        throw new Error('Icon SVG may not contain scripts, links or event handlers');
+      }
+    }
+
+    return {
+      id,
+      name,
+      url: url.toString(),
+      allowedHosts: Array.from(hosts),
+      color,
+      icon,
+      sessionPartition,
+      createdAt: input.createdAt || Date.now()
+    };
+  }
+
+  /**
+   * Get all valid custom services
+   * @returns {Object[]}
+   */
+  list() {
+    return this.services.map(s => ({ ...s }));
+  }
+
+  /**
+   * Get a custom service by ID
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    const service = this.services.find(s => s.id === id);
+    return service ? { ...service } : null;
+  }
+
+  /**
+   * Create a new service, or update an existing one when input.id is set
+   * @param {Object} input - Service definition
+   * @returns {Object} The saved service
+   * @throws {Error} On validation failure or unknown id
+   */
+  save(input) {
+    const service = this.validate(input);
+    const saved = this.store.get(STORE_KEY, []);
+    const entries = Array.isArray(saved) ? saved.slice() : [];
+
+    if (service.id) {
+      const index = entries.findIndex(e => e && e.id === service.id);
+      if (index === -1) {
+        throw new Error(`Custom service not found: ${service.id}`);
+      }
+      service.createdAt = entries[index].createdAt || service.createdAt;
+      entries[index] = service;
+    } else {
+      service.id = `custom-${crypto.randomUUID().slice(0, 8)}`;
+      entries.push(service);
+    }
+
+    this.store.set(STORE_KEY, entries);
+    this.load();
+    return this.get(service.id);
+  }
+
+  /**
+   * Delete a custom service
+   * @param {string} id
+   * @returns {boolean} True if deleted
+   */
+  delete(id) {
+    const saved = this.store.get(STORE_KEY, []);
+    const entries = Array.isArray(saved) ? saved : [];
+    const remaining = entries.filter(e => !(e && e.id === id));
+    if (remaining.length === entries.length) return false;
+
+    this.store.set(STORE_KEY, remaining);
+    this.load();
+    return true;
+  }
+}
+
+module.exports = CustomServicesManager;
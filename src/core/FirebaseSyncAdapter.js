@@ -278,7 +278,7 @@ class FirebaseSyncAdapter extends EventEmitter {
       for (const prompt of mergedPrompts) {
         const localExists = localPrompts.some(p => p.id === prompt.id);
         if (!localExists) {
-          await this.promptLibraryManager.createPrompt(cwd, prompt);
+          await this.promptLibraryManager.createPrompt(cwd, prompt, { source: 'remote' });
         }
       }
 
@@ -527,6 +527,8 @@ class FirebaseSyncAdapter extends EventEmitter {
       prompt: prompt.prompt || '',
       labels: prompt.labels || [],
       images: remoteImages,
+      variables: prompt.variables || [],
+      blockedBy: prompt.blockedBy || [],
       isFavorite: prompt.isFavorite || false,
       reusable: isNote ? false : (prompt.reusable || false),
       done: isNote ? false : (prompt.done || false),
@@ -607,7 +609,9 @@ class FirebaseSyncAdapter extends EventEmitter {
     const synced = this._getSyncedImages();
     if (synced.has(image.id)) return { success: true, skipped: true };
 
-    const originalPath = image.path;
+    // Prompts stored in a repository don't carry local paths
+    const originalPath = image.path
+      || (this.promptImageManager ? this.promptImageManager.findLocalImagePath(image.id) : null);
     const thumbPath = image.thumbnailPath;
     if (!originalPath || !fs.existsSync(originalPath)) {
       return { success: false, error: 'Local file missing' };
@@ -836,6 +840,10 @@ class FirebaseSyncAdapter extends EventEmitter {
       // Merge arrays (union)
       labels: [...new Set([...(local.labels || []), ...(remote.labels || [])])],
       images: [...new Set([...(local.images || []), ...(remote.images || [])])],
+      // Template variables go with the text they belong to
+      variables: contentSource.variables || [],
+      // Dependency links are edited as a whole, like the text
+      blockedBy: contentSource.blockedBy || [],
       // Boolean flags - if either is true, keep true. Notes force all lifecycle flags off.
       isFavorite: local.isFavorite || remote.isFavorite,
       reusable: isNote ? false : (local.reusable || remote.reusable),
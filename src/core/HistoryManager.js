@@ -3,6 +3,7 @@
  *
  * Manages:
  * - Session lifecycle (start, capture, finalize)
+ * - Per-session tool timeline (Claude Code tool calls and subagents)
  * - Metadata persistence via electron-store
  * - Retention policy enforcement
  * - UI event emission
@@ -17,6 +18,9 @@ const StorageEngine = require('./history/StorageEngine');
 const SessionRecorder = require('./history/SessionRecorder');
 const RetentionPolicy = require('./history/RetentionPolicy');
 
+// Oldest timeline entries are dropped past this
+const MAX_TIMELINE_ENTRIES = 2000;
+
 class HistoryManager extends EventEmitter {
   /**
    * @param {Object} options
@@ -94,7 +98,8 @@ class HistoryManager extends EventEmitter {
       tabId,
       cwd,
       metadata,
-      startTime: Date.now()
+      startTime: Date.now(),
+      timeline: []
     });
 
     this.emit('session-started', {
@@ -146,6 +151,9 @@ class HistoryManager extends EventEmitter {
 
       // Write to disk
       await this.storageEngine.writeSession(filePath, result.compressed);
+      const timelineSize = recording.timeline.length > 0
+        ? await this.storageEngine.writeTimeline(filePath, recording.timeline)
+        : 0;
 
       // Create session metadata
       const sessionMeta = {
@@ -160,6 +168,8 @@ class HistoryManager extends EventEmitter {
         exitCode: result.exitCode,
         uncompressedSize: result.uncompressedSize,
         compressedSize: result.compressedSize,
+        timelineSize,
+        toolCount: recording.timeline.filter(e => e.kind === 'tool').length,
         filePath,
         ...recording.metadata
       };
@@ -184,6 +194,53 @@ class HistoryManager extends EventEmitter {
     }
   }
 
+  /**
+   * Append an entry to a live session's tool timeline
+   * @param {string} sessionId - Session ID
+   * @param {Object} entry - { kind: 'tool'|'subagent-start'|'subagent-stop', ... }
+   * @returns {Object|null} The stored entry (with id and at), or null if the
+   *   session isn't recording
+   */
+  addTimelineEntry(sessionId, entry) {
+    const recording = this.activeRecorders.get(sessionId);
+    if (!recording) {
+      return null;
+    }
+
+    const stored = { id: crypto.randomUUID(), at: Date.now(), ...entry };
+    recording.timeline.push(stored);
+    if (recording.timeline.length > MAX_TIMELINE_ENTRIES) {
+      recording.timeline.splice(0, recording.timeline.length - MAX_TIMELINE_ENTRIES);
+    }
+    return stored;
+  }
+
+  /**
+   * Update the latest running tool entry matching a tool call
+   * @param {string} sessionId - Session ID
+   * @param {Object} match - { toolUseId, toolName }; toolName is used when
+   *   the hook payload has no tool_use_id
+   * @param {Object} changes - Fields to set (e.g. status, error)
+   * @returns {Object|null} The updated entry, or null if none matched
+   */
+  updateTimelineEntry(sessionId, { toolUseId, toolName }, changes) {
+    const recording = this.activeRecorders.get(sessionId);
+    if (!recording) {
+      return null;
+    }
+
+    for (let i = recording.timeline.length - 1; i >= 0; i--) {
+      const entry = recording.timeline[i];
+      if (entry.kind !== 'tool' || entry.status !== 'running') continue;
+      const matches = toolUseId ? entry.toolUseId === toolUseId : entry.toolName === toolName;
+      if (matches) {
+        Object.assign(entry, changes);
+        return entry;
+      }
+    }
+    return null;
+  }
+
   /**
    * Abort a session without saving
    * @param {string} sessionId - Session ID
@@ -211,6 +268,12 @@ class HistoryManager extends EventEmitter {
    * @private
    */
   async _runRetentionCleanup() {
+    try {
+      await this.storageEngine.removeOrphanedTimelines();
+    } catch (err) {
+      console.error('Failed to remove orphaned timelines:', err);
+    }
+
     const history = this.store.get('history');
     const plan = this.retentionPolicy.calculateCleanup(history.sessions);
 
@@ -282,6 +345,46 @@ class HistoryManager extends EventEmitter {
     return history.sessions.find(s => s.id === sessionId) || null;
   }
 
+  /**
+   * Sessions recorded in a tab, the live one first
+   * @param {string} tabId - Terminal tab ID
+   * @param {number} limit - Max sessions to return
+   * @returns {Array<Object>} [{ id, timestamp, live, toolCount }]
+   */
+  getSessionsForTab(tabId, limit = 20) {
+    const live = [...this.activeRecorders.entries()]
+      .filter(([, recording]) => recording.tabId === tabId)
+      .map(([id, recording]) => ({
+        id,
+        timestamp: recording.startTime,
+        live: true,
+        toolCount: recording.timeline.filter(e => e.kind === 'tool').length
+      }));
+    const ended = this.store.get('history').sessions
+      .filter(s => s.tabId === tabId)
+      .map(s => ({ id: s.id, timestamp: s.timestamp, live: false, toolCount: s.toolCount || 0 }));
+
+    return [...live, ...ended].slice(0, limit);
+  }
+
+  /**
+   * Get a session's tool timeline, oldest first
+   * @param {string} sessionId - Session ID (live or saved)
+   * @returns {Promise<Array<Object>>}
+   */
+  async getTimeline(sessionId) {
+    const recording = this.activeRecorders.get(sessionId);
+    if (recording) {
+      return recording.timeline.map(entry => ({ ...entry }));
+    }
+
+    const session = this.getSessionById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    return this.storageEngine.readTimeline(session.filePath);
+  }
+
   // ==================== Action Methods ====================
 
   /**
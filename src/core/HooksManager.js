@@ -4,36 +4,55 @@
  * Responsibilities:
  * - Start/stop local HTTP server for hook callbacks
  * - Install hooks into ~/.claude/settings.json
- * - Validate and route incoming hook requests
- * - Emit events for hook triggers (UserPromptSubmit, Stop, Notification, SubagentStart, SubagentStop, TaskCompleted, PreToolUse)
+ * - Validate and route incoming hook requests (only with this launch's token)
+ * - Emit events for hook triggers (UserPromptSubmit, Stop, Notification, SubagentStart, SubagentStop, TaskCompleted,
+ *   PreToolUse, PostToolUse, PreCompact, SessionStart, SessionEnd, PermissionRequest)
+ * - Hold PermissionRequest hooks open until the app answers allow/deny, or
+ *   time out with no decision so Claude Code shows its own terminal prompt
  */
 
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 const { EventEmitter } = require('events');
+const { createToken, isAuthorized } = require('./localServerAuth');
 
 // Hook types we support
 const SUPPORTED_HOOKS = [
   'UserPromptSubmit', 'Stop', 'Notification',
-  'SubagentStart', 'SubagentStop', 'TaskCompleted', 'PreToolUse'
+  'SubagentStart', 'SubagentStop', 'TaskCompleted', 'PreToolUse',
+  'PostToolUse', 'PreCompact', 'SessionStart', 'SessionEnd', 'PermissionRequest'
 ];
 
-// Max request body size (64KB - last_assistant_message can be large)
-const MAX_BODY_SIZE = 64 * 1024;
+// How long a permission request waits for an answer in the app
+const DEFAULT_PERMISSION_TIMEOUT_MS = 60 * 1000;
+
+// Max request body size (1MB - PostToolUse carries the tool's whole output)
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Longest tool error kept on a PostToolUse event
+const MAX_TOOL_ERROR_LENGTH = 300;
 
 class HooksManager extends EventEmitter {
   /**
    * @param {Object} options
    * @param {Object} options.store - electron-store instance
+   * @param {number} [options.permissionTimeoutMs] - How long a PermissionRequest
+   *   waits for an answer before falling back to the terminal prompt
    */
-  constructor({ store }) {
+  constructor({ store, permissionTimeoutMs = DEFAULT_PERMISSION_TIMEOUT_MS }) {
     super();
     this.store = store;
+    this.permissionTimeoutMs = permissionTimeoutMs;
     this.server = null;
     this.port = null;
+    // Sent by the installed hook commands; anything else local is rejected
+    this.token = createToken();
     this.isInitialized = false;
+    // Open PermissionRequest hooks: requestId -> { res, timer }
+    this.pendingPermissions = new Map();
   }
 
   /**
@@ -86,8 +105,6 @@ class HooksManager extends EventEmitter {
    * @private
    */
   _handleRequest(req, res) {
-    // Set CORS headers for local requests
-    res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Content-Type', 'application/json');
 
     // Only accept POST to /hook
@@ -97,6 +114,12 @@ class HooksManager extends EventEmitter {
       return;
     }
 
+    if (!isAuthorized(req, this.token)) {
+      res.statusCode = 401;
+      res.end(JSON.stringify({ success: false, error: 'Unauthorized' }));
+      return;
+    }
+
     // Collect request body with proper cleanup to prevent memory leaks
     let body = '';
     let bodySize = 0;
@@ -199,6 +222,28 @@ class HooksManager extends EventEmitter {
     } else if (hookType === 'PreToolUse') {
       eventData.toolName = data.tool_name;
       eventData.toolInput = data.tool_input;
+      eventData.toolUseId = data.tool_use_id;
+    } else if (hookType === 'PostToolUse') {
+      eventData.toolName = data.tool_name;
+      eventData.toolInput = data.tool_input;
+      eventData.toolUseId = data.tool_use_id;
+      // Only the outcome is kept; tool output can be large
+      eventData.toolError = getToolError(data.tool_response);
+    } else if (hookType === 'PreCompact') {
+      eventData.trigger = data.trigger; // 'manual' | 'auto'
+    } else if (hookType === 'SessionStart') {
+      eventData.source = data.source; // 'startup' | 'resume' | 'clear' | 'compact'
+    } else if (hookType === 'SessionEnd') {
+      eventData.reason = data.reason; // 'clear' | 'logout' | 'prompt_input_exit' | 'other'
+    } else if (hookType === 'PermissionRequest') {
+      eventData.toolName = data.tool_name;
+      eventData.toolInput = data.tool_input;
+      eventData.requestId = crypto.randomUUID();
+      eventData.timeoutMs = this.permissionTimeoutMs;
+      // The response is the decision: keep it open until respondToPermission()
+      this._holdPermissionRequest(eventData.requestId, res);
+      this.emit('hook-triggered', eventData);
+      return;
     }
 
     // Emit event for listeners
@@ -209,6 +254,65 @@ class HooksManager extends EventEmitter {
     res.end(JSON.stringify({ success: true }));
   }
 
+  /**
+   * Keep a PermissionRequest response open until it is answered, times out
+   * or the hook process goes away
+   * @private
+   */
+  _holdPermissionRequest(requestId, res) {
+    const timer = setTimeout(() => {
+      this._settlePermission(requestId, null, 'timeout');
+    }, this.permissionTimeoutMs);
+    this.pendingPermissions.set(requestId, { res, timer });
+    // Claude Code was interrupted or killed the hook (curl gave up)
+    res.on('close', () => {
+      if (this.pendingPermissions.has(requestId)) {
+        clearTimeout(timer);
+        this.pendingPermissions.delete(requestId);
+        this.emit('permission-settled', { requestId, decision: null, reason: 'cancelled' });
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _settlePermission(requestId, decision, reason, message) {
+    const pending = this.pendingPermissions.get(requestId);
+    if (!pending) return false;
+    clearTimeout(pending.timer);
+    this.pendingPermissions.delete(requestId);
+
+    // No decision means Claude Code falls back to its own prompt
+    let output = {};
+    if (decision === 'allow' || decision === 'deny') {
+      output = {
+        hookSpecificOutput: {
+          hookEventName: 'PermissionRequest',
+          decision: decision === 'allow'
+            ? { behavior: 'allow' }
+            : { behavior: 'deny', message: message || 'Denied from the CrossAI app' }
+        }
+      };
+    }
+    pending.res.statusCode = 200;
+    pending.res.end(JSON.stringify(output));
+    this.emit('permission-settled', { requestId, decision, reason });
+    return true;
+  }
+
+  /**
+   * Answer an open PermissionRequest hook
+   * @param {string} requestId - From the PermissionRequest event
+   * @param {'allow'|'deny'|null} decision - null hands the request back to
+   *   the terminal prompt
+   * @param {string} [message] - Reason shown to Claude on deny
+   * @returns {boolean} False if the request was already settled
+   */
+  respondToPermission(requestId, decision, message) {
+    return this._settlePermission(requestId, decision, 'answered', message);
+  }
+
   /**
    * Get the server URL for hook configuration
    * @returns {string|null}
@@ -237,13 +341,15 @@ class HooksManager extends EventEmitter {
           return false;
         }
 
-        // Check if any hook command includes our server URL and the current
-        // command shape (tab ID header) — otherwise reinstall to upgrade it
+        // Check if any hook command includes our server URL, this launch's
+        // token and the current command shape (tab ID header) — otherwise
+        // reinstall to upgrade it
         const hasOurHook = hookConfig.some(entry => {
           if (!entry.hooks || !Array.isArray(entry.hooks)) return false;
           return entry.hooks.some(h =>
             h.type === 'command' && h.command &&
             h.command.includes(`127.0.0.1:${this.port}`) &&
+            h.command.includes(this.token) &&
             h.command.includes('X-CrossAI-Tab-Id')
           );
         });
@@ -283,19 +389,18 @@ class HooksManager extends EventEmitter {
       // and hook commands run as shell children of that terminal, so the
       // expansion identifies the exact tab. For sessions outside the app the
       // var is unset, the header value is blank, and curl drops the header.
-      const curlCommand = `curl -s --max-time 2 -X POST ${serverUrl} -H 'Content-Type: application/json' -H "X-CrossAI-Tab-Id: $CROSSAI_TAB_ID" -d @-`;
+      const curlCommand = (maxTimeSeconds) =>
+        `curl -s --max-time ${maxTimeSeconds} -X POST ${serverUrl} -H 'Content-Type: application/json' -H 'Authorization: Bearer ${this.token}' -H "X-CrossAI-Tab-Id: $CROSSAI_TAB_ID" -d @-`;
+      // PermissionRequest waits for the user; its output is the decision
+      const permissionSeconds = Math.ceil(this.permissionTimeoutMs / 1000) + 5;
 
       for (const hookType of SUPPORTED_HOOKS) {
         // Create or update the hook config
         // We use a specific marker in the command to identify our hooks
-        const hookEntry = {
-          hooks: [
-            {
-              type: 'command',
-              command: curlCommand
-            }
-          ]
-        };
+        const hook = hookType === 'PermissionRequest'
+          ? { type: 'command', command: curlCommand(permissionSeconds), timeout: permissionSeconds + 5 }
+          : { type: 'command', command: curlCommand(2) };
+        const hookEntry = { hooks: [hook] };
 
         // Check if there's already an entry without our hook
         const existingHooks = settings.hooks[hookType] || [];
@@ -360,6 +465,9 @@ class HooksManager extends EventEmitter {
    * Stop the HTTP server and cleanup
    */
   destroy() {
+    for (const requestId of [...this.pendingPermissions.keys()]) {
+      this._settlePermission(requestId, null, 'cancelled');
+    }
     if (this.server) {
       this.server.close();
       this.server = null;
@@ -371,4 +479,31 @@ class HooksManager extends EventEmitter {
   }
 }
 
+/**
+ * Error text of a failed tool call from PostToolUse's tool_response, or null
+ * if it succeeded. Tools report failures in different shapes.
+ * @param {*} response - tool_response from the hook payload
+ * @returns {string|null}
+ */
+function getToolError(response) {
+  let error = null;
+  if (typeof response === 'string') {
+    const text = response.trim();
+    if (/^(Error\b|<tool_use_error>)/.test(text)) {
+      error = text.replace(/<\/?tool_use_error>/g, '');
+    }
+  } else if (response && typeof response === 'object') {
+    if (response.is_error === true || response.isError === true || response.success === false) {
+      error = String(response.error || response.message || response.stderr || 'Tool failed');
+    } else if (response.interrupted === true) {
+      error = 'Interrupted';
+    }
+  }
+  if (error === null) return null;
+  const firstLine = error.trim().split('\n')[0] || 'Tool failed';
+  return firstLine.length > MAX_TOOL_ERROR_LENGTH
+    ? firstLine.slice(0, MAX_TOOL_ERROR_LENGTH) + '...'
+    : firstLine;
+}
+
 module.exports = HooksManager;
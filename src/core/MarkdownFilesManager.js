@@ -113,17 +113,25 @@ class MarkdownFilesManager {
     return { relPath: path.relative(this.cwd, toAbs) };
   }
 
+  // onChange gets the relative paths that changed since the last call (empty
+  // when the platform doesn't say which file it was)
   watch(onChange) {
     if (this._watcher) return;
+    const changed = new Set();
     try {
       this._watcher = this.fs.watch(this.cwd, { recursive: true }, (_event, filename) => {
         if (filename) {
           const name = filename.toString();
           if (!name.toLowerCase().endsWith('.md')) return;
           if (name.split(path.sep).some(p => SKIP_DIRS.has(p))) return;
+          changed.add(name);
         }
         clearTimeout(this._watchTimer);
-        this._watchTimer = setTimeout(() => onChange(), 150);
+        this._watchTimer = setTimeout(() => {
+          const relPaths = [...changed];
+          changed.clear();
+          onChange(relPaths);
+        }, 150);
       });
     } catch {
       this._watcher = null; // recursive watch unsupported on this platform
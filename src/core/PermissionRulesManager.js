@@ -0,0 +1,142 @@
+/**
+ * PermissionRulesManager - Per-project "always allow" rules for Claude Code
+ * permission requests answered in the app
+ *
+ * Rules live in electron-store under `permissionRules`, keyed by project
+ * folder (the terminal tab's cwd):
+ *
+ *   { [projectPath]: [{ id, tool, commandPrefix, createdAt }] }
+ *
+ * A rule allows one tool in that folder and anything below it. For tools
+ * that take a path (Edit, Write, Read, Glob...) the path must be in that
+ * folder too, so "always allow Edit" in /code/app doesn't allow editing
+ * /etc/hosts. Bash rules also carry the approved command and only allow that
+ * command plus extra arguments, so approving `npm test` allows
+ * `npm test -- --watch` but not `rm -rf` or `npm test && rm -rf`.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const STORE_KEY = 'permissionRules';
+
+// Anything that could chain or substitute another command after the prefix
+const SHELL_OPERATORS = /[;&|<>`$()\n]/;
+
+// Tool input fields that name a file or folder the tool works on
+const PATH_FIELDS = ['file_path', 'notebook_path', 'path'];
+
+class PermissionRulesManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - electron-store instance
+   */
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    const rules = this.store.get(STORE_KEY, {});
+    return rules && typeof rules === 'object' ? rules : {};
+  }
+
+  /**
+   * Every project's rules
+   * @returns {Array<{ project: string, rules: Object[] }>} Sorted by project
+   */
+  listAll() {
+    const all = this._load();
+    return Object.keys(all).sort().map(project => ({ project, rules: all[project] }));
+  }
+
+  /**
+   * Whether a request is covered by a rule for the folder or a parent of it
+   * @param {string} cwd - Tab folder
+   * @param {string} toolName
+   * @param {Object} [toolInput]
+   * @returns {boolean}
+   */
+  isAllowed(cwd, toolName, toolInput) {
+    if (!cwd || !toolName) return false;
+    const folder = path.resolve(cwd);
+    const command = toolName === 'Bash' && toolInput && typeof toolInput.command === 'string'
+      ? toolInput.command.trim()
+      : null;
+    // Relative paths are relative to the session's folder
+    const targets = PATH_FIELDS
+      .map(field => toolInput && toolInput[field])
+      .filter(value => typeof value === 'string' && value)
+      .map(value => path.resolve(folder, value));
+    const isInside = (target, project) => target === project || target.startsWith(project + path.sep);
+
+    return Object.entries(this._load()).some(([project, rules]) => {
+      if (!isInside(folder, project)) return false;
+      if (!targets.every(target => isInside(target, project))) return false;
+      return rules.some(rule => {
+        if (rule.tool !== toolName) return false;
+        if (!rule.commandPrefix) return true;
+        if (command === null) return false;
+        if (command === rule.commandPrefix) return true;
+        return command.startsWith(rule.commandPrefix + ' ') &&
+          !SHELL_OPERATORS.test(command.slice(rule.commandPrefix.length));
+      });
+    });
+  }
+
+  /**
+   * Always allow a tool (and for Bash, this command) in a project
+   * @param {string} cwd - Project folder
+   * @param {string} toolName
+   * @param {Object} [toolInput] - Input of the approved request
+   * @returns {Object} The rule (an existing identical one is reused)
+   * @throws {Error} If the folder or tool is missing, or a Bash request has no command
+   */
+  addRule(cwd, toolName, toolInput) {
+    if (!cwd || !toolName) {
+      throw new Error('A project folder and a tool are required');
+    }
+    let commandPrefix = null;
+    if (toolName === 'Bash') {
+      commandPrefix = toolInput && typeof toolInput.command === 'string' ? toolInput.command.trim() : '';
+      if (!commandPrefix) {
+        throw new Error('Bash rules need a command');
+      }
+    }
+
+    const project = path.resolve(cwd);
+    const all = this._load();
+    const rules = all[project] || [];
+    const existing = rules.find(r => r.tool === toolName && (r.commandPrefix || null) === commandPrefix);
+    if (existing) return existing;
+
+    const rule = { id: crypto.randomUUID(), tool: toolName, commandPrefix, createdAt: Date.now() };
+    all[project] = [...rules, rule];
+    this.store.set(STORE_KEY, all);
+    return rule;
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} project - Project folder as returned by listAll()
+   * @param {string} ruleId
+   * @returns {boolean} False if there was no such rule
+   */
+  removeRule(project, ruleId) {
+    const all = this._load();
+    const rules = all[project];
+    if (!rules || !rules.some(r => r.id === ruleId)) return false;
+    const remaining = rules.filter(r => r.id !== ruleId);
+    if (remaining.length) {
+      all[project] = remaining;
+    } else {
+      delete all[project];
+    }
+    this.store.set(STORE_KEY, all);
+    return true;
+  }
+}
+
+module.exports = PermissionRulesManager;
@@ -0,0 +1,414 @@
+/**
+ * PromptBundleManager - Export and import a project's (or the global)
+ * prompt library as a portable bundle, for backups and sharing outside
+ * Firebase sync.
+ *
+ * Two file variants of the same bundle:
+ * - JSON: images embedded as base64
+ * - Markdown: a header block, then one frontmatter block per prompt with the
+ *   prompt text as its body (see promptMarkdown); images are written to a
+ *   folder next to the file and referenced by relative path
+ *
+ * Importing keeps prompt IDs so "blocked by" links survive. A prompt whose
+ * ID already exists in the target scope is skipped, overwritten or imported
+ * as a copy with a new ID. Labels are added through addLabel and images go
+ * through PromptImageManager.addImage, so they get fresh IDs and thumbnails.
+ *
+ * Bundle format (version 1):
+ * {
+ *   format: 'crossai-prompts', version: 1, scope: 'project'|'global', exportedAt,
+ *   prompts: [{ id, type, title, prompt, labels, variables, blockedBy,
+ *     isFavorite, reusable, done, testing, createdAt,
+ *     images: [{ filename, data }] }]
+ * }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { formatDocument, parseDocument, parseDocuments } = require('./promptMarkdown');
+
+const FORMAT = 'crossai-prompts';
+const FORMAT_VERSION = 1;
+const MAX_BUNDLE_PROMPTS = 100;
+const COLLISION_MODES = ['skip', 'overwrite', 'duplicate'];
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif'];
+// IDs createPrompt accepts; others are imported under a new ID
+const PROMPT_ID_PATTERN = /^prompt-[\w-]{1,100}$/;
+
+class PromptBundleManager {
+  /**
+   * @param {Object} options
+   * @param {PromptLibraryManager} options.promptLibraryManager
+   * @param {PromptImageManager} [options.promptImageManager] - Without it,
+   *   images are left out of exports and imports
+   */
+  constructor({ promptLibraryManager, promptImageManager }) {
+    this.promptLibraryManager = promptLibraryManager;
+    this.promptImageManager = promptImageManager || null;
+  }
+
+  /**
+   * Build a bundle of every prompt and note in a scope
+   * @param {string} cwd - Working directory path
+   * @param {string} [scope='project'] - 'project' or 'global'
+   * @returns {Promise<Object>} Bundle
+   */
+  async exportBundle(cwd, scope = 'project') {
+    const prompts = scope === 'global'
+      ? this.promptLibraryManager.getGlobalPrompts()
+      : this.promptLibraryManager.getProjectPrompts(cwd);
+
+    const entries = [];
+    for (const p of prompts) {
+      entries.push({
+        id: p.id,
+        type: p.type === 'note' ? 'note' : 'prompt',
+        title: p.title || null,
+        prompt: p.prompt,
+        labels: p.labels || [],
+        variables: p.variables || [],
+        blockedBy: p.blockedBy || [],
+        isFavorite: !!p.isFavorite,
+        reusable: !!p.reusable,
+        done: !!p.done,
+        testing: !!p.testing,
+        createdAt: p.createdAt,
+        images: await this._readImages(p.images || [])
+      });
+    }
+    return {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      scope: scope === 'global' ? 'global' : 'project',
+      exportedAt: new Date().toISOString(),
+      prompts: entries
+    };
+  }
+
+  /**
+   * @param {Object} bundle
+   * @returns {string} JSON text
+   */
+  toJSON(bundle) {
+    return JSON.stringify(bundle, null, 2);
+  }
+
+  /**
+   * @param {Object} bundle
+   * @param {string} imagesDirName - Folder next to the Markdown file for images
+   * @returns {{ text: string, files: Array<{ relPath: string, data: Buffer }> }}
+   */
+  toMarkdown(bundle, imagesDirName) {
+    const files = [];
+    const documents = [formatDocument({
+      format: bundle.format,
+      version: bundle.version,
+      scope: bundle.scope,
+      exportedAt: bundle.exportedAt
+    }, '')];
+
+    bundle.prompts.forEach((entry, i) => {
+      const images = entry.images.map((img, k) => {
+        const ext = path.extname(img.filename).toLowerCase();
+        const relPath = `${imagesDirName}/${i + 1}-${k + 1}${IMAGE_EXTENSIONS.includes(ext) ? ext : '.png'}`;
+        files.push({ relPath, data: Buffer.from(img.data, 'base64') });
+        return relPath;
+      });
+      const { prompt, images: _images, ...fields } = entry;
+      documents.push(formatDocument({ ...fields, images: images.length ? images : undefined }, prompt));
+    });
+
+    return { text: documents.join('\n'), files };
+  }
+
+  /**
+   * Read a JSON bundle. Images must carry their data inline.
+   * @param {string} text
+   * @returns {Object} Validated bundle
+   * @throws {Error} On invalid content
+   */
+  parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('Bundle file is not valid JSON');
+    }
+    return this._validateBundle(data);
+  }
+
+  /**
+   * Read a Markdown bundle. Image paths are resolved against baseDir and may
+   * not point outside it.
+   * @param {string} text
+   * @param {string} baseDir - Folder the Markdown file is in
+   * @returns {Object} Validated bundle
+   * @throws {Error} On invalid content
+   */
+  parseMarkdown(text, baseDir) {
+    let header;
+    try {
+      header = parseDocument(text).fields;
+    } catch (err) {
+      throw new Error(`Bundle header: ${err.message}`);
+    }
+    const root = path.resolve(baseDir);
+    const prompts = parseDocuments(text, 'id').map(({ fields, body }, i) => {
+      const images = Array.isArray(fields.images) ? fields.images : [];
+      return {
+        ...fields,
+        prompt: body,
+        images: images.map((relPath, k) => {
+          const filePath = path.resolve(root, String(relPath));
+          if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`prompts[${i}].images[${k}] points outside the bundle folder`);
+          }
+          return { filename: path.basename(filePath), path: filePath };
+        })
+      };
+    });
+    return this._validateBundle({ ...header, prompts }, { allowImagePaths: true });
+  }
+
+  /**
+   * Add a bundle's prompts to a scope
+   * @param {string} cwd - Working directory path
+   * @param {Object} bundle - From parseJSON/parseMarkdown
+   * @param {Object} [options]
+   * @param {string} [options.scope] - Target scope, defaults to the bundle's
+   * @param {string} [options.onCollision='skip'] - 'skip', 'overwrite' or 'duplicate'
+   * @returns {Promise<{ created: Object[], overwritten: Object[], skipped: number, errors: string[] }>}
+   * @throws {Error} On an unknown collision mode
+   */
+  async importBundle(cwd, bundle, { scope = bundle.scope, onCollision = 'skip' } = {}) {
+    if (!COLLISION_MODES.includes(onCollision)) {
+      throw new Error(`Collision mode must be one of ${COLLISION_MODES.join(', ')}`);
+    }
+    const library = this.promptLibraryManager;
+    const targetScope = scope === 'global' ? 'global' : 'project';
+    const getSiblings = () => (targetScope === 'global' ? library.getGlobalPrompts() : library.getProjectPrompts(cwd));
+
+    const errors = [];
+    const known = new Set(library.getLabels());
+    for (const label of new Set(bundle.prompts.flatMap(p => p.labels))) {
+      if (known.has(label)) continue;
+      try {
+        library.addLabel(label);
+      } catch (err) {
+        errors.push(`Label "${label}": ${err.message}`);
+      }
+    }
+
+    const idMap = new Map(); // bundle ID -> library ID
+    const imported = []; // [entry, library ID, overwritten prompt or null]
+    let skipped = 0;
+    for (const entry of bundle.prompts) {
+      // IDs are looked up across both scopes (project first), so a bundle ID
+      // used in the other scope can't be kept either
+      const taken = entry.id ? library.getPromptsForCwd(cwd).filter(p => p.id === entry.id) : [];
+      const existing = taken.find(p => p.scope === targetScope) || null;
+      if (existing && onCollision === 'skip') {
+        idMap.set(entry.id, existing.id);
+        skipped++;
+        continue;
+      }
+      if (existing && onCollision === 'overwrite' && taken.length > 1) {
+        errors.push(`"${entry.title || entry.prompt.split('\n')[0].slice(0, 40)}": its ID is used in both the project and the global library, not overwritten`);
+        continue;
+      }
+
+      let images = [];
+      try {
+        images = await this._ingestImages(entry.images);
+        const fields = {
+          type: entry.type,
+          prompt: entry.prompt,
+          title: entry.title,
+          labels: entry.labels,
+          variables: entry.variables,
+          images,
+          isFavorite: entry.isFavorite,
+          reusable: entry.reusable
+        };
+        let prompt;
+        if (existing && onCollision === 'overwrite') {
+          prompt = await library.updatePrompt(cwd, existing.id, fields, { source: 'import' });
+          if (this.promptImageManager && (existing.images || []).length > 0) {
+            await this.promptImageManager.removeImages(existing.images);
+          }
+        } else {
+          const keepId = taken.length === 0 && PROMPT_ID_PATTERN.test(entry.id || '');
+          prompt = await library.createPrompt(cwd, { ...fields, scope: targetScope },
+            { source: 'import', id: keepId ? entry.id : undefined });
+        }
+        if (entry.id) idMap.set(entry.id, prompt.id);
+        imported.push([entry, prompt.id, existing && onCollision === 'overwrite' ? existing : null]);
+      } catch (err) {
+        if (this.promptImageManager && images.length > 0) {
+          await this.promptImageManager.removeImages(images);
+        }
+        errors.push(`"${entry.title || entry.prompt.split('\n')[0].slice(0, 40)}": ${err.message}`);
+      }
+    }
+
+    // Queue state and links once every prompt exists
+    for (const [entry, id, overwritten] of imported) {
+      try {
+        if (entry.done) {
+          await library.markAsDone(cwd, id);
+        } else if (entry.testing) {
+          await library.markAsTesting(cwd, id);
+        } else if (overwritten && (overwritten.done || overwritten.testing)) {
+          await library.restorePrompt(cwd, id);
+        }
+        const blockedBy = [...new Set(entry.blockedBy.map(blocker => idMap.get(blocker)).filter(Boolean))];
+        if (blockedBy.length > 0 || overwritten) {
+          await library.updatePrompt(cwd, id, { blockedBy }, { source: 'import' });
+        }
+      } catch (err) {
+        errors.push(`"${entry.title || entry.prompt.split('\n')[0].slice(0, 40)}": ${err.message}`);
+      }
+    }
+
+    const current = (id) => getSiblings().find(p => p.id === id);
+    return {
+      created: imported.filter(([, , overwritten]) => !overwritten).map(([, id]) => current(id)).filter(Boolean),
+      overwritten: imported.filter(([, , overwritten]) => overwritten).map(([, id]) => current(id)).filter(Boolean),
+      skipped,
+      errors
+    };
+  }
+
+  /**
+   * Embed a prompt's images; images missing on disk are left out
+   * @private
+   */
+  async _readImages(images) {
+    if (!this.promptImageManager) return [];
+    const result = [];
+    for (const img of images) {
+      const filePath = this.promptImageManager.findLocalImagePath(img.id);
+      if (!filePath) {
+        console.warn(`[PromptBundleManager] Image ${img.id} not found, leaving it out`);
+        continue;
+      }
+      const data = await fs.promises.readFile(filePath);
+      const ext = path.extname(filePath);
+      const filename = img.filename && path.extname(img.filename) ? img.filename : `${img.id}${ext}`;
+      result.push({ filename, data: data.toString('base64') });
+    }
+    return result;
+  }
+
+  /**
+   * Store a bundle entry's images as new library images
+   * @private
+   */
+  async _ingestImages(images) {
+    if (!this.promptImageManager || images.length === 0) return [];
+    const added = [];
+    let tempDir = null;
+    try {
+      for (const img of images) {
+        let sourcePath = img.path;
+        if (!sourcePath) {
+          tempDir = tempDir || await fs.promises.mkdtemp(path.join(os.tmpdir(), 'prompt-bundle-'));
+          sourcePath = path.join(tempDir, `${added.length}${path.extname(img.filename).toLowerCase()}`);
+          await fs.promises.writeFile(sourcePath, Buffer.from(img.data, 'base64'));
+        }
+        const result = await this.promptImageManager.addImage(sourcePath);
+        if (!result.success) {
+          throw new Error(`Image ${img.filename}: ${result.error}`);
+        }
+        added.push({ ...result.image, filename: img.filename });
+      }
+      return added;
+    } catch (err) {
+      if (added.length > 0) await this.promptImageManager.removeImages(added);
+      throw err;
+    } finally {
+      if (tempDir) await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Validate and normalize a parsed bundle
+   * @private
+   * @param {Object} data
+   * @param {Object} [options]
+   * @param {boolean} [options.allowImagePaths=false] - Images may name a file
+   *   instead of carrying data; only for paths parseMarkdown confined to the
+   *   bundle folder
+   */
+  _validateBundle(data, { allowImagePaths = false } = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Bundle must contain a JSON object');
+    }
+    if (data.format !== FORMAT) {
+      throw new Error('Not a prompt bundle');
+    }
+    if (data.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported bundle version ${data.version}`);
+    }
+    if (!Array.isArray(data.prompts) || data.prompts.length > MAX_BUNDLE_PROMPTS) {
+      throw new Error(`prompts must be an array of at most ${MAX_BUNDLE_PROMPTS}`);
+    }
+    const stringList = (value, name, i) => {
+      if (value === undefined || value === null) return [];
+      if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+        throw new Error(`prompts[${i}].${name} must be a list of strings`);
+      }
+      return value;
+    };
+
+    const prompts = data.prompts.map((p, i) => {
+      if (!p || typeof p.prompt !== 'string' || !p.prompt.trim()) {
+        throw new Error(`prompts[${i}] needs prompt text`);
+      }
+      if (p.title !== undefined && p.title !== null && typeof p.title !== 'string') {
+        throw new Error(`prompts[${i}].title must be a string`);
+      }
+      if (p.images !== undefined && !Array.isArray(p.images)) {
+        throw new Error(`prompts[${i}].images must be an array`);
+      }
+      const images = (p.images || []).map((img, k) => {
+        if (img && img.path !== undefined && !allowImagePaths) {
+          throw new Error(`prompts[${i}].images[${k}] must carry its data inline, not a file path`);
+        }
+        const hasSource = img && (typeof img.data === 'string' || typeof img.path === 'string');
+        if (!hasSource || typeof img.filename !== 'string'
+          || !IMAGE_EXTENSIONS.includes(path.extname(img.filename).toLowerCase())) {
+          throw new Error(`prompts[${i}].images[${k}] is invalid`);
+        }
+        return typeof img.path === 'string'
+          ? { filename: img.filename, path: img.path }
+          : { filename: img.filename, data: img.data };
+      });
+      return {
+        id: typeof p.id === 'string' ? p.id : null,
+        type: p.type === 'note' ? 'note' : 'prompt',
+        title: p.title || null,
+        prompt: p.prompt,
+        labels: stringList(p.labels, 'labels', i),
+        variables: Array.isArray(p.variables) ? p.variables : [],
+        blockedBy: stringList(p.blockedBy, 'blockedBy', i),
+        isFavorite: p.isFavorite === true,
+        reusable: p.reusable === true,
+        done: p.done === true,
+        testing: p.testing === true,
+        images
+      };
+    });
+
+    return {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      scope: data.scope === 'global' ? 'global' : 'project',
+      exportedAt: typeof data.exportedAt === 'string' ? data.exportedAt : null,
+      prompts
+    };
+  }
+}
+
+module.exports = PromptBundleManager;
@@ -8,12 +8,20 @@
  * - Panel state persistence per terminal tab
  * - Label management (multiple labels per prompt)
  * - Favorites management
+ * - Template variables with defaults (see promptTemplate)
+ * - Revision history of title/text/variables, with diff and restore
+ * - "Blocked by" links between prompts of the same scope (no cycles)
+ * - Opt-in per-project storage inside the repository (.crossai/prompts),
+ *   reloaded when the files change on disk
  * - Event emission for UI updates
  */
 
 const { EventEmitter } = require('events');
 const crypto = require('crypto');
+const path = require('path');
 const PromptStorageEngine = require('./PromptStorageEngine');
+const { normalizeVariables } = require('./promptTemplate');
+const { diffLines } = require('./lineDiff');
 
 // Validation constants
 const MAX_TITLE_LENGTH = 100;
@@ -23,6 +31,15 @@ const MAX_LABEL_LENGTH = 30;
 const MAX_LABELS = 50;
 const MAX_LABELS_PER_PROMPT = 5;
 const MAX_IMAGES_PER_PROMPT = 10;
+const MAX_BLOCKERS_PER_PROMPT = 10;
+
+// Where a revision came from: the app's own editor, Firebase/PWA sync, an
+// MCP client (Claude Code) or an imported bundle
+const REVISION_SOURCES = ['local', 'remote', 'mcp', 'import'];
+const PROMPT_ID_PATTERN = /^prompt-[\w-]{1,100}$/;
+
+// Projects that opted in to keeping their prompts in .crossai/prompts
+const REPO_PROJECTS_KEY = 'promptLibrary.repoProjects';
 
 class PromptLibraryManager extends EventEmitter {
   /**
@@ -33,7 +50,17 @@ class PromptLibraryManager extends EventEmitter {
   constructor({ store, userDataPath }) {
     super();
     this.store = store;
-    this.storageEngine = new PromptStorageEngine(userDataPath);
+    this.storageEngine = new PromptStorageEngine(userDataPath, {
+      isRepoProject: (cwd) => this.getRepoStorageProjects().includes(path.resolve(cwd)),
+      // git pull, checkout or a hand edit of in-repo prompt files
+      onRepoPromptsChanged: (cwd) => {
+        this.emit('prompts-updated', { cwd, prompts: this.getPromptsForCwd(cwd) });
+      },
+      // In-repo files are untrusted: same limits as prompts made here
+      validatePrompt: (prompt, siblings) => {
+        this._validatePrompt(prompt, siblings && siblings.map(p => this._migratePrompt(p)));
+      }
+    });
 
     // Initialize panel states in store if not present
     if (!this.store.has('promptPanels')) {
@@ -89,6 +116,7 @@ class PromptLibraryManager extends EventEmitter {
     if (migrated.isFavorite === undefined) migrated.isFavorite = false;
     if (migrated.scope === undefined) migrated.scope = 'project';
     if (migrated.type !== 'note' && migrated.type !== 'prompt') migrated.type = 'prompt';
+    if (!Array.isArray(migrated.blockedBy)) migrated.blockedBy = [];
 
     return migrated;
   }
@@ -100,8 +128,11 @@ class PromptLibraryManager extends EventEmitter {
   /**
    * Validate a prompt object
    * @private
+   * @param {Object} prompt
+   * @param {Array} [siblings] - Prompts of the same scope; when given,
+   *   blockers must be among them and may not form a cycle
    */
-  _validatePrompt(prompt) {
+  _validatePrompt(prompt, siblings = null) {
     if (!prompt.prompt || typeof prompt.prompt !== 'string') {
       throw new Error('Prompt content is required');
     }
@@ -124,6 +155,28 @@ class PromptLibraryManager extends EventEmitter {
         }
       }
     }
+    if (prompt.variables !== undefined) {
+      normalizeVariables(prompt.variables);
+    }
+    if (prompt.blockedBy !== undefined) {
+      if (!Array.isArray(prompt.blockedBy) || prompt.blockedBy.some(id => typeof id !== 'string' || !id)) {
+        throw new Error('Blocked by must be a list of prompt IDs');
+      }
+      if (prompt.blockedBy.length > MAX_BLOCKERS_PER_PROMPT) {
+        throw new Error(`Maximum of ${MAX_BLOCKERS_PER_PROMPT} blocking prompts per prompt`);
+      }
+      if (prompt.id && prompt.blockedBy.includes(prompt.id)) {
+        throw new Error('A prompt cannot block itself');
+      }
+      if (siblings) {
+        if (prompt.blockedBy.some(id => !siblings.some(p => p.id === id))) {
+          throw new Error('Blocking prompt not found in the same scope');
+        }
+        if (prompt.id && this._findDependencyCycle(prompt.id, prompt.blockedBy, siblings)) {
+          throw new Error('Blocked by would create a dependency cycle');
+        }
+      }
+    }
     if (prompt.images !== undefined) {
       if (!Array.isArray(prompt.images)) {
         throw new Error('Images must be an array');
@@ -139,6 +192,62 @@ class PromptLibraryManager extends EventEmitter {
     }
   }
 
+  /**
+   * Whether a prompt blocked by `blockedBy` would end up (indirectly)
+   * blocked by itself
+   * @private
+   */
+  _findDependencyCycle(promptId, blockedBy, siblings) {
+    const edges = new Map(siblings.map(p => [p.id, p.blockedBy || []]));
+    edges.set(promptId, blockedBy);
+    const seen = new Set();
+    const stack = [...blockedBy];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (id === promptId) return true;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      stack.push(...(edges.get(id) || []));
+    }
+    return false;
+  }
+
+  /**
+   * Blockers that still hold a prompt back. A blocker is resolved once it is
+   * done, deleted, or no longer a queue prompt (a note or reusable).
+   * @param {string} cwd - Working directory path
+   * @param {Object} prompt - Prompt object
+   * @returns {Array<Object>} Unresolved blocking prompts
+   */
+  getUnresolvedBlockers(cwd, prompt) {
+    if (!prompt || !prompt.blockedBy || prompt.blockedBy.length === 0) return [];
+    const siblings = prompt.scope === 'global' ? this.getGlobalPrompts() : this.getProjectPrompts(cwd);
+    return prompt.blockedBy
+      .map(id => siblings.find(p => p.id === id))
+      .filter(p => p && !p.done && p.type !== 'note' && !p.reusable);
+  }
+
+  /**
+   * @param {string} cwd - Working directory path
+   * @param {Object} prompt - Prompt object
+   * @returns {boolean} True while any blocker is unresolved
+   */
+  isBlocked(cwd, prompt) {
+    return this.getUnresolvedBlockers(cwd, prompt).length > 0;
+  }
+
+  /**
+   * Drop links to prompts that were removed
+   * @private
+   */
+  _unlinkBlockers(prompts, removedIds) {
+    for (const prompt of prompts) {
+      if (prompt.blockedBy && prompt.blockedBy.some(id => removedIds.includes(id))) {
+        prompt.blockedBy = prompt.blockedBy.filter(id => !removedIds.includes(id));
+      }
+    }
+  }
+
   /**
    * Get all prompts for a working directory (project + global combined)
    * @param {string} cwd - Working directory path
@@ -202,16 +311,30 @@ class PromptLibraryManager extends EventEmitter {
    * Create a new prompt
    * @param {string} cwd - Working directory path
    * @param {Object} promptData - Prompt data (prompt, title, labels, isFavorite, scope)
+   * @param {Object} [options]
+   * @param {string} [options.source='local'] - Revision source
+   * @param {string} [options.id] - Keep this ID (imports) instead of making one
    * @returns {Promise<Object>} Created prompt
    */
-  async createPrompt(cwd, promptData) {
-    this._validatePrompt(promptData);
-
+  async createPrompt(cwd, promptData, { source = 'local', id } = {}) {
     const scope = promptData.scope || 'project';
     const prompts = scope === 'global'
       ? this.getGlobalPrompts()
       : this.getProjectPrompts(cwd);
 
+    this._validatePrompt(promptData, prompts);
+    if (id !== undefined) {
+      if (typeof id !== 'string' || !PROMPT_ID_PATTERN.test(id)) {
+        throw new Error('Invalid prompt ID');
+      }
+      // Project prompts shadow global ones with the same ID, so an ID must be
+      // free in both scopes
+      const taken = cwd ? this.getPromptsForCwd(cwd) : prompts;
+      if (taken.some(p => p.id === id)) {
+        throw new Error('A prompt with this ID already exists');
+      }
+    }
+
     if (prompts.length >= MAX_PROMPTS_PER_DIRECTORY) {
       throw new Error(`Maximum of ${MAX_PROMPTS_PER_DIRECTORY} prompts per ${scope === 'global' ? 'global library' : 'directory'}`);
     }
@@ -226,12 +349,14 @@ class PromptLibraryManager extends EventEmitter {
     const isNote = this._isNote(type);
     const now = Date.now();
     const prompt = {
-      id: `prompt-${crypto.randomUUID()}`,
+      id: id || `prompt-${crypto.randomUUID()}`,
       type,
       prompt: promptData.prompt.trim(),
       title: promptData.title ? promptData.title.trim() : null,
       labels,
       images: promptData.images || [],
+      variables: normalizeVariables(promptData.variables),
+      blockedBy: isNote ? [] : [...new Set(promptData.blockedBy || [])],
       isFavorite: promptData.isFavorite || false,
       // Notes can never be reusable/done/testing — force false.
       reusable: isNote ? false : (promptData.reusable || false),
@@ -250,6 +375,7 @@ class PromptLibraryManager extends EventEmitter {
       await this.storageEngine.writePrompts(cwd, prompts);
     }
 
+    await this._recordRevision(this.storageEngine.getRevisionLog(cwd, scope), prompt, source);
     this.emit('prompts-updated', { cwd, prompts: this.getPromptsForCwd(cwd) });
     return prompt;
   }
@@ -259,9 +385,12 @@ class PromptLibraryManager extends EventEmitter {
    * @param {string} cwd - Working directory path
    * @param {string} promptId - Prompt ID
    * @param {Object} updates - Fields to update
+   * @param {Object} [options]
+   * @param {string} [options.source='local'] - Revision source
+   * @param {string} [options.restoredFrom] - Revision ID being restored
    * @returns {Promise<Object>} Updated prompt
    */
-  async updatePrompt(cwd, promptId, updates) {
+  async updatePrompt(cwd, promptId, updates, { source = 'local', restoredFrom } = {}) {
     // Find the prompt to determine its scope
     const existingPrompt = this.getPromptById(cwd, promptId);
     if (!existingPrompt) {
@@ -292,6 +421,10 @@ class PromptLibraryManager extends EventEmitter {
     }
 
     const prompt = prompts[promptIndex];
+    if (updates.blockedBy !== undefined) {
+      this._validatePrompt({ ...prompt, blockedBy: updates.blockedBy }, prompts);
+    }
+    const previous = { ...prompt };
     if (updates.prompt !== undefined) {
       prompt.prompt = updates.prompt.trim();
     }
@@ -305,6 +438,12 @@ class PromptLibraryManager extends EventEmitter {
         .filter(l => l.length > 0)
         .filter((l, i, arr) => arr.indexOf(l) === i);
     }
+    if (updates.variables !== undefined) {
+      prompt.variables = normalizeVariables(updates.variables);
+    }
+    if (updates.blockedBy !== undefined) {
+      prompt.blockedBy = [...new Set(updates.blockedBy)];
+    }
     if (updates.isFavorite !== undefined) {
       prompt.isFavorite = updates.isFavorite;
     }
@@ -316,6 +455,7 @@ class PromptLibraryManager extends EventEmitter {
         prompt.reusable = false;
         prompt.done = false;
         prompt.testing = false;
+        prompt.blockedBy = [];
         delete prompt.doneAt;
         delete prompt.testingStartedAt;
       }
@@ -342,6 +482,7 @@ class PromptLibraryManager extends EventEmitter {
       await this.storageEngine.writePrompts(cwd, prompts);
     }
 
+    await this._recordRevision(this.storageEngine.getRevisionLog(cwd, scope), prompt, source, { previous, restoredFrom });
     this.emit('prompts-updated', { cwd, prompts: this.getPromptsForCwd(cwd) });
     return prompt;
   }
@@ -370,6 +511,7 @@ class PromptLibraryManager extends EventEmitter {
     }
 
     prompts.splice(promptIndex, 1);
+    this._unlinkBlockers(prompts, [promptId]);
 
     // Renormalize order values
     prompts.forEach((prompt, index) => {
@@ -382,6 +524,7 @@ class PromptLibraryManager extends EventEmitter {
       await this.storageEngine.writePrompts(cwd, prompts);
     }
 
+    await this._deleteRevisions(this.storageEngine.getRevisionLog(cwd, scope), [promptId]);
     this.emit('prompts-updated', { cwd, prompts: this.getPromptsForCwd(cwd) });
     return true;
   }
@@ -420,6 +563,8 @@ class PromptLibraryManager extends EventEmitter {
       title: promptData.title ? promptData.title.trim() : null,
       labels: promptData.labels || [],
       images: promptData.images || [],
+      variables: this._remoteVariables(promptData.variables),
+      blockedBy: [],
       isFavorite: promptData.isFavorite || false,
       reusable: isNote ? false : (promptData.reusable || false),
       done: isNote ? false : (promptData.done || false),
@@ -429,6 +574,7 @@ class PromptLibraryManager extends EventEmitter {
       createdAt: promptData.createdAt || now,
       updatedAt: promptData.updatedAt || now
     };
+    if (!isNote) prompt.blockedBy = this._remoteBlockedBy(prompt, promptData.blockedBy, prompts);
 
     prompts.push(prompt);
 
@@ -438,10 +584,42 @@ class PromptLibraryManager extends EventEmitter {
       await this.storageEngine.writePrompts(cwd, prompts);
     }
 
+    await this._recordRevision(this.storageEngine.getRevisionLog(cwd, isGlobal ? 'global' : 'project'), prompt, 'remote');
     this.emit('prompts-updated', { cwd, prompts: this.getPromptsForCwd(cwd) });
     return prompt;
   }
 
+  /**
+   * Template variables from another client; invalid lists are dropped rather
+   * than failing the whole sync
+   * @private
+   */
+  _remoteVariables(variables) {
+    try {
+      return normalizeVariables(variables);
+    } catch (err) {
+      console.warn('[PromptLibraryManager] Ignoring invalid remote variables:', err.message);
+      return [];
+    }
+  }
+
+  /**
+   * Blocker links from another client. Blockers may not have synced yet, so
+   * unknown IDs are kept; a list that would close a cycle (two clients
+   * linking prompts both ways at once) is dropped in favour of the current one.
+   * @private
+   */
+  _remoteBlockedBy(prompt, blockedBy, prompts) {
+    if (!Array.isArray(blockedBy)) return prompt.blockedBy || [];
+    const ids = [...new Set(blockedBy.filter(id => typeof id === 'string' && id && id !== prompt.id))]
+      .slice(0, MAX_BLOCKERS_PER_PROMPT);
+    if (this._findDependencyCycle(prompt.id, ids, prompts)) {
+      console.warn('[PromptLibraryManager] Ignoring remote blockers that would create a cycle');
+      return prompt.blockedBy || [];
+    }
+    return ids;
+  }
+
   /**
    * Update a prompt from remote data
    * Used for real-time sync from Firebase/PWA
@@ -464,12 +642,15 @@ class PromptLibraryManager extends EventEmitter {
     }
 
     const prompt = prompts[promptIndex];
+    const previous = { ...prompt };
 
     // Update fields from remote
     if (updates.prompt !== undefined) prompt.prompt = (updates.prompt || '').trim();
     if (updates.title !== undefined) prompt.title = updates.title ? updates.title.trim() : null;
     if (updates.labels !== undefined) prompt.labels = updates.labels || [];
     if (updates.images !== undefined) prompt.images = updates.images || [];
+    if (updates.variables !== undefined) prompt.variables = this._remoteVariables(updates.variables);
+    if (updates.blockedBy !== undefined) prompt.blockedBy = this._remoteBlockedBy(prompt, updates.blockedBy, prompts);
     if (updates.isFavorite !== undefined) prompt.isFavorite = updates.isFavorite;
     if (updates.type !== undefined) prompt.type = updates.type === 'note' ? 'note' : 'prompt';
     if (updates.reusable !== undefined) prompt.reusable = updates.reusable;
@@ -482,6 +663,7 @@ class PromptLibraryManager extends EventEmitter {
       prompt.reusable = false;
       prompt.done = false;
       prompt.testing = false;
+      prompt.blockedBy = [];
     }
 
     prompt.updatedAt = Date.now();
@@ -492,6 +674,7 @@ class PromptLibraryManager extends EventEmitter {
       await this.storageEngine.writePrompts(cwd, prompts);
     }
 
+    await this._recordRevision(this.storageEngine.getRevisionLog(cwd, isGlobal ? 'global' : 'project'), prompt, 'remote', { previous });
     this.emit('prompts-updated', { cwd, prompts: this.getPromptsForCwd(cwd) });
     return prompt;
   }
@@ -510,6 +693,7 @@ class PromptLibraryManager extends EventEmitter {
       globalPrompts.splice(globalIndex, 1);
       globalPrompts.forEach((p, i) => p.order = i);
       await this.storageEngine.writeGlobalPrompts(globalPrompts);
+      await this._deleteRevisions('global', [promptId]);
       this.emit('prompts-updated', { cwd: '__global__', prompts: globalPrompts });
       return true;
     }
@@ -529,6 +713,8 @@ class PromptLibraryManager extends EventEmitter {
           prompts.splice(index, 1);
           prompts.forEach((p, i) => p.order = i);
           await fs.promises.writeFile(filePath, JSON.stringify(prompts, null, 2));
+          // Project files are named after the cwd hash, as are their logs
+          await this._deleteRevisions(file.replace('.json', ''), [promptId]);
           // We don't know the actual cwd here, but emit with a placeholder
           this.emit('prompts-updated', { cwd: file.replace('.json', ''), prompts });
           return true;
@@ -571,6 +757,8 @@ class PromptLibraryManager extends EventEmitter {
       title: existingPrompt.title ? `${existingPrompt.title} (copy)` : null,
       labels: [...(existingPrompt.labels || [])],
       images: [], // Don't copy images to avoid shared references
+      variables: (existingPrompt.variables || []).map(v => ({ ...v })),
+      blockedBy: [...(existingPrompt.blockedBy || [])],
       isFavorite: false,
       reusable: this._isNote(type) ? false : (existingPrompt.reusable || false),
       done: false,
@@ -593,6 +781,7 @@ class PromptLibraryManager extends EventEmitter {
       await this.storageEngine.writePrompts(cwd, prompts);
     }
 
+    await this._recordRevision(this.storageEngine.getRevisionLog(cwd, scope), newPrompt, 'local');
     this.emit('prompts-updated', { cwd, prompts: this.getPromptsForCwd(cwd) });
     return newPrompt;
   }
@@ -860,6 +1049,7 @@ class PromptLibraryManager extends EventEmitter {
     const activeProjectPrompts = projectPrompts.filter(p => !p.done);
     const projectCleared = projectPrompts.length - activeProjectPrompts.length;
 
+    this._unlinkBlockers(activeProjectPrompts, projectPrompts.filter(p => p.done).map(p => p.id));
     activeProjectPrompts.forEach((prompt, index) => {
       prompt.order = index;
     });
@@ -870,15 +1060,222 @@ class PromptLibraryManager extends EventEmitter {
     const activeGlobalPrompts = globalPrompts.filter(p => !p.done);
     const globalCleared = globalPrompts.length - activeGlobalPrompts.length;
 
+    this._unlinkBlockers(activeGlobalPrompts, globalPrompts.filter(p => p.done).map(p => p.id));
     activeGlobalPrompts.forEach((prompt, index) => {
       prompt.order = index;
     });
     await this.storageEngine.writeGlobalPrompts(activeGlobalPrompts);
 
+    await this._deleteRevisions(this.storageEngine.getRevisionLog(cwd, 'project'), projectPrompts.filter(p => p.done).map(p => p.id));
+    await this._deleteRevisions('global', globalPrompts.filter(p => p.done).map(p => p.id));
     this.emit('prompts-updated', { cwd, prompts: this.getPromptsForCwd(cwd) });
     return projectCleared + globalCleared;
   }
 
+  // --- Revision History ---
+
+  /**
+   * The versioned part of a prompt
+   * @private
+   */
+  _revisionContent(prompt) {
+    return {
+      title: prompt.title || null,
+      prompt: prompt.prompt || '',
+      variables: (prompt.variables || []).map(v => ({ name: v.name, defaultValue: v.defaultValue || '' }))
+    };
+  }
+
+  /**
+   * @private
+   */
+  _sameRevisionContent(a, b) {
+    return JSON.stringify(this._revisionContent(a)) === JSON.stringify(this._revisionContent(b));
+  }
+
+  /**
+   * Log the prompt's current title/text/variables if they changed since the
+   * last revision. History is best-effort: failures are logged, never thrown.
+   * @private
+   * @param {string} log - The prompt's scope, from storageEngine.getRevisionLog()
+   * @param {Object} prompt - Prompt as just saved
+   * @param {string} source - One of REVISION_SOURCES
+   * @param {Object} [extra]
+   * @param {Object} [extra.previous] - Prompt before the change; seeds the log
+   *   for prompts created before history was kept
+   * @param {string} [extra.restoredFrom] - Revision ID being restored
+   */
+  async _recordRevision(log, prompt, source, { previous, restoredFrom } = {}) {
+    try {
+      const revisions = this.storageEngine.readRevisions(log, prompt.id);
+      const last = revisions[revisions.length - 1];
+      if (last ? this._sameRevisionContent(last, prompt) : previous && this._sameRevisionContent(previous, prompt)) {
+        return;
+      }
+      if (!last && previous) {
+        await this.storageEngine.appendRevision(log, prompt.id, {
+          id: `rev-${crypto.randomUUID()}`,
+          at: previous.updatedAt || previous.createdAt || Date.now(),
+          source: 'local',
+          ...this._revisionContent(previous)
+        });
+      }
+      await this.storageEngine.appendRevision(log, prompt.id, {
+        id: `rev-${crypto.randomUUID()}`,
+        at: Date.now(),
+        source: REVISION_SOURCES.includes(source) ? source : 'local',
+        ...this._revisionContent(prompt),
+        ...(restoredFrom ? { restoredFrom } : {})
+      });
+    } catch (err) {
+      console.warn('[PromptLibraryManager] Failed to record revision:', err.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _deleteRevisions(log, promptIds) {
+    for (const promptId of promptIds) {
+      try {
+        await this.storageEngine.deleteRevisions(log, promptId);
+      } catch (err) {
+        console.warn('[PromptLibraryManager] Failed to delete revisions:', err.message);
+      }
+    }
+  }
+
+  /**
+   * Get a prompt's revisions, newest first
+   * @param {string} cwd - Working directory path
+   * @param {string} promptId - Prompt ID
+   * @returns {Array<Object>} Revisions ({ id, at, source, title, prompt, variables, restoredFrom? })
+   */
+  getRevisions(cwd, promptId) {
+    const prompt = this.getPromptById(cwd, promptId);
+    if (!prompt) {
+      throw new Error('Prompt not found');
+    }
+    const log = this.storageEngine.getRevisionLog(cwd, prompt.scope || 'project');
+    return this.storageEngine.readRevisions(log, promptId).reverse();
+  }
+
+  /**
+   * Line diff of a revision's text against an older revision
+   * @param {string} cwd - Working directory path
+   * @param {string} promptId - Prompt ID
+   * @param {string} revisionId - Revision to show
+   * @param {string|null} [baseRevisionId] - Revision to compare against;
+   *   defaults to the one before revisionId (empty for the first)
+   * @returns {{ title: { from: string|null, to: string|null }, lines: Array<{ type: string, text: string }> }}
+   */
+  diffRevisions(cwd, promptId, revisionId, baseRevisionId = null) {
+    const revisions = this.getRevisions(cwd, promptId).reverse();
+    const index = revisions.findIndex(r => r.id === revisionId);
+    if (index === -1) {
+      throw new Error('Revision not found');
+    }
+    let base = index > 0 ? revisions[index - 1] : null;
+    if (baseRevisionId) {
+      base = revisions.find(r => r.id === baseRevisionId);
+      if (!base) throw new Error('Revision not found');
+    }
+    const revision = revisions[index];
+    return {
+      title: { from: base ? base.title : null, to: revision.title },
+      lines: diffLines(base ? base.prompt : '', revision.prompt)
+    };
+  }
+
+  /**
+   * Put a revision's title/text/variables back as the prompt's current
+   * content. Logged as a new local revision pointing at the restored one.
+   * @param {string} cwd - Working directory path
+   * @param {string} promptId - Prompt ID
+   * @param {string} revisionId - Revision ID
+   * @returns {Promise<Object>} Updated prompt
+   */
+  async restoreRevision(cwd, promptId, revisionId) {
+    const revision = this.getRevisions(cwd, promptId).find(r => r.id === revisionId);
+    if (!revision) {
+      throw new Error('Revision not found');
+    }
+    return this.updatePrompt(cwd, promptId, {
+      title: revision.title,
+      prompt: revision.prompt,
+      variables: revision.variables || []
+    }, { source: 'local', restoredFrom: revisionId });
+  }
+
+  // --- In-repo storage ---
+
+  /**
+   * @returns {string[]} Project folders that keep their prompts in the repository
+   */
+  getRepoStorageProjects() {
+    const projects = this.store.get(REPO_PROJECTS_KEY, []);
+    return Array.isArray(projects) ? projects : [];
+  }
+
+  /**
+   * @param {string} cwd - Working directory path
+   * @returns {boolean} True if the project's prompts live in `.crossai/prompts`
+   */
+  isRepoStorage(cwd) {
+    return this.storageEngine.isRepoStorage(cwd);
+  }
+
+  /**
+   * @param {string} cwd - Working directory path
+   * @returns {boolean} True if the repository has a `.crossai/prompts` folder
+   *   the project doesn't use yet; its prompts aren't shown until it does
+   */
+  hasUnusedRepoPrompts(cwd) {
+    return this.storageEngine.hasUnusedRepoPrompts(cwd);
+  }
+
+  /**
+   * Move a project's prompts and notes into its repository, or back
+   * @param {string} cwd - Working directory path
+   * @param {boolean} enabled
+   * @returns {Promise<boolean>} Whether the project now uses in-repo storage
+   * @throws {Error} If the folder isn't an absolute path
+   */
+  async setRepoStorage(cwd, enabled) {
+    if (typeof cwd !== 'string' || !path.isAbsolute(cwd)) {
+      throw new Error('Project folder must be an absolute path');
+    }
+    const folder = path.resolve(cwd);
+    if (Boolean(enabled) === this.isRepoStorage(folder)) return this.isRepoStorage(folder);
+
+    if (enabled) {
+      // Stored prompts may predate the current format; the files get the current one
+      await this.storageEngine.writePrompts(folder, this.getProjectPrompts(folder));
+    }
+    await this.storageEngine.setRepoStorage(folder, Boolean(enabled));
+    const projects = this.getRepoStorageProjects().filter(p => p !== folder);
+    if (enabled) projects.push(folder);
+    this.store.set(REPO_PROJECTS_KEY, projects.sort());
+
+    this.emit('prompts-updated', { cwd, prompts: this.getPromptsForCwd(cwd) });
+    return this.isRepoStorage(folder);
+  }
+
+  /**
+   * Stop watching a project's in-repo prompts (no open tab uses it)
+   * @param {string} cwd - Working directory path
+   */
+  releaseProject(cwd) {
+    this.storageEngine.releaseProject(cwd);
+  }
+
+  /**
+   * Stop watching every project's in-repo prompts
+   */
+  close() {
+    this.storageEngine.close();
+  }
+
   // --- Label Management ---
 
   /**
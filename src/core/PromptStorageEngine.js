@@ -4,21 +4,44 @@
  * Handles:
  * - Path generation with cwd hashing (reuses history pattern)
  * - Atomic JSON file writes (temp file → rename)
- * - Per-directory prompt storage (project scope)
+ * - Per-directory prompt storage (project scope), or in the project's own
+ *   `.crossai/prompts` folder for projects that opted in (see RepoPromptStorage)
  * - Global prompt storage (global scope)
+ * - Per-prompt revision logs, kept per scope like the prompts
+ *   (prompts/revisions/<cwdHash or global>/<promptId>.json)
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const RepoPromptStorage = require('./RepoPromptStorage');
+
+// Oldest revisions are dropped past this many per prompt
+const MAX_REVISIONS = 50;
+const PROMPT_ID_PATTERN = /^[\w-]+$/;
+// A revision log's folder: 'global' or a project's cwd hash
+const REVISION_LOG_PATTERN = /^(global|[0-9a-f]{16})$/;
 
 class PromptStorageEngine {
   /**
    * @param {string} userDataPath - Electron app.getPath('userData')
+   * @param {Object} [options]
+   * @param {Function} [options.isRepoProject] - Returns true for a project
+   *   path that opted in to keeping its prompts in the repository
+   * @param {Function} [options.onRepoPromptsChanged] - Called with the project
+   *   path when its in-repo prompt files change outside the app
+   * @param {Function} [options.validatePrompt] - Checks a prompt read from the
+   *   repository (and its siblings); throws if it isn't acceptable
    */
-  constructor(userDataPath) {
+  constructor(userDataPath, { isRepoProject, onRepoPromptsChanged, validatePrompt } = {}) {
     this.baseDir = path.join(userDataPath, 'prompts');
     this.globalFilePath = path.join(this.baseDir, 'global.json');
+    this.revisionsDir = path.join(this.baseDir, 'revisions');
+    this.isRepoProject = isRepoProject || (() => false);
+    this.repoStorage = new RepoPromptStorage({
+      onExternalChange: onRepoPromptsChanged,
+      validate: validatePrompt
+    });
     this._ensureBaseDir();
   }
 
@@ -62,6 +85,17 @@ class PromptStorageEngine {
    * @returns {Array} Array of prompt objects, empty array if none exist
    */
   readPrompts(cwd) {
+    if (this.isRepoStorage(cwd)) {
+      return this.repoStorage.read(cwd);
+    }
+    return this._readLocalPrompts(cwd);
+  }
+
+  /**
+   * Read a working directory's prompts from userData
+   * @private
+   */
+  _readLocalPrompts(cwd) {
     const filePath = this.getPromptsPath(cwd);
 
     if (!fs.existsSync(filePath)) {
@@ -92,6 +126,17 @@ class PromptStorageEngine {
    * @returns {Promise<void>}
    */
   async writePrompts(cwd, prompts) {
+    if (this.isRepoStorage(cwd)) {
+      return this.repoStorage.write(cwd, prompts);
+    }
+    return this._writeLocalPrompts(cwd, prompts);
+  }
+
+  /**
+   * Write a working directory's prompts to userData
+   * @private
+   */
+  async _writeLocalPrompts(cwd, prompts) {
     const filePath = this.getPromptsPath(cwd);
     const tempPath = `${filePath}.tmp`;
 
@@ -157,6 +202,63 @@ class PromptStorageEngine {
     }
   }
 
+  /**
+   * @param {string} cwd - Working directory
+   * @returns {boolean} True if the project's prompts live in its repository
+   */
+  isRepoStorage(cwd) {
+    return Boolean(this.isRepoProject(cwd));
+  }
+
+  /**
+   * @param {string} cwd - Working directory
+   * @returns {boolean} True if the repository has a prompts folder the
+   *   project hasn't opted in to (e.g. brought in by a clone or pull)
+   */
+  hasUnusedRepoPrompts(cwd) {
+    return !this.isRepoStorage(cwd) && this.repoStorage.exists(cwd);
+  }
+
+  /**
+   * Move a project's prompts into its repository or back to userData. Both
+   * ways merge with what is already there, the repo's copy winning on the
+   * same ID, so prompts a project had here before a clone brought in the
+   * folder are kept. The caller records the opt-in once this resolves.
+   * @param {string} cwd - Working directory
+   * @param {boolean} enabled
+   * @returns {Promise<void>}
+   */
+  async setRepoStorage(cwd, enabled) {
+    if (enabled && !(fs.existsSync(cwd) && fs.statSync(cwd).isDirectory())) {
+      throw new Error('Project folder not found');
+    }
+    const shared = this.repoStorage.read(cwd);
+    const local = this._readLocalPrompts(cwd).filter(p => !shared.some(s => s.id === p.id));
+    const merged = [...shared, ...local];
+    if (enabled) {
+      await this.repoStorage.write(cwd, merged);
+      await this.deletePrompts(cwd);
+    } else {
+      await this.repoStorage.remove(cwd);
+      await this._writeLocalPrompts(cwd, merged);
+    }
+  }
+
+  /**
+   * Stop watching a project's in-repo prompt folder
+   * @param {string} cwd - Working directory
+   */
+  releaseProject(cwd) {
+    this.repoStorage.release(cwd);
+  }
+
+  /**
+   * Stop watching in-repo prompt folders
+   */
+  close() {
+    this.repoStorage.close();
+  }
+
   /**
    * Delete prompts file for a working directory
    * @param {string} cwd - Working directory
@@ -212,6 +314,97 @@ class PromptStorageEngine {
     return results;
   }
 
+  /**
+   * Which revision logs a scope's prompts use. Logs are kept per project like
+   * the prompt files, since the same prompt ID can exist in several projects
+   * (imports keep IDs, repo prompts are shared across clones).
+   * @param {string} cwd - Working directory (ignored for global)
+   * @param {string} scope - 'project' or 'global'
+   * @returns {string} 'global' or the cwd hash
+   */
+  getRevisionLog(cwd, scope) {
+    return scope === 'global' ? 'global' : this.getCwdHash(cwd);
+  }
+
+  /**
+   * Get the full path for a prompt's revision log
+   * @param {string} log - From getRevisionLog()
+   * @param {string} promptId - Prompt ID
+   * @returns {string}
+   */
+  getRevisionsPath(log, promptId) {
+    if (typeof log !== 'string' || !REVISION_LOG_PATTERN.test(log)) {
+      throw new Error('Invalid revision log');
+    }
+    if (typeof promptId !== 'string' || !PROMPT_ID_PATTERN.test(promptId)) {
+      throw new Error('Invalid prompt ID');
+    }
+    return path.join(this.revisionsDir, log, `${promptId}.json`);
+  }
+
+  /**
+   * Read a prompt's revisions, oldest first
+   * @param {string} log - From getRevisionLog()
+   * @param {string} promptId - Prompt ID
+   * @returns {Array} Array of revision objects, empty array if none exist
+   */
+  readRevisions(log, promptId) {
+    const filePath = this.getRevisionsPath(log, promptId);
+
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      return Array.isArray(data) ? data : [];
+    } catch (err) {
+      console.error('Failed to read prompt revisions:', err.message);
+      return [];
+    }
+  }
+
+  /**
+   * Append a revision, keeping only the newest MAX_REVISIONS
+   * @param {string} log - From getRevisionLog()
+   * @param {string} promptId - Prompt ID
+   * @param {Object} revision - Revision object
+   * @returns {Promise<Array>} The stored revisions, oldest first
+   */
+  async appendRevision(log, promptId, revision) {
+    const filePath = this.getRevisionsPath(log, promptId);
+    const tempPath = `${filePath}.tmp`;
+    const revisions = [...this.readRevisions(log, promptId), revision].slice(-MAX_REVISIONS);
+
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(revisions, null, 2), 'utf-8');
+      await fs.promises.rename(tempPath, filePath);
+    } catch (err) {
+      try {
+        await fs.promises.unlink(tempPath);
+      } catch {
+        // Ignore cleanup errors
+      }
+      throw err;
+    }
+    return revisions;
+  }
+
+  /**
+   * Delete a prompt's revision log
+   * @param {string} log - From getRevisionLog()
+   * @param {string} promptId - Prompt ID
+   * @returns {Promise<void>}
+   */
+  async deleteRevisions(log, promptId) {
+    const filePath = this.getRevisionsPath(log, promptId);
+
+    if (fs.existsSync(filePath)) {
+      await fs.promises.unlink(filePath);
+    }
+  }
+
   // Legacy aliases for backward compatibility during migration
   readCards(cwd) {
     return this.readPrompts(cwd);
@@ -0,0 +1,365 @@
+/**
+ * RepoPromptStorage - Project prompts kept inside the repository, so a team
+ * can share them through git and they survive a fresh clone
+ *
+ * - One Markdown file per prompt or note in `<project>/.crossai/prompts/`,
+ *   named after the prompt ID: frontmatter with the prompt's fields in a
+ *   fixed order, the prompt text as the body (see promptMarkdown)
+ * - Which projects use it is up to the caller (an explicit per-project
+ *   opt-in); this class only reads and writes the folder
+ * - Image entries are written and read without local file paths, which differ
+ *   per machine; the image files themselves stay in userData
+ * - Files come from the repository, so they are untrusted: only known fields
+ *   with values of the right type are accepted, and each prompt also goes
+ *   through the caller's `validate` (the library's own limits)
+ * - Writes only touch files whose content changed and only delete files of
+ *   prompts that were removed; files that don't parse or don't validate
+ *   (e.g. with merge conflict markers) are skipped and left alone
+ * - Folders are watched once read; changes that aren't our own writes
+ *   (git pull, checkout, a hand edit) are reported through onExternalChange
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { formatDocument, parseDocument } = require('./promptMarkdown');
+
+const PROMPTS_DIR = path.join('.crossai', 'prompts');
+const FILE_ID_PATTERN = /^[\w-]{1,120}$/;
+const IMAGE_ID_PATTERN = /^[\w-]{1,100}$/;
+const MAX_FILES = 100;
+const WATCH_DEBOUNCE_MS = 300;
+
+const isBoolean = v => typeof v === 'boolean';
+const isTime = v => Number.isFinite(v);
+const isOptionalTime = v => v === null || Number.isFinite(v);
+
+// The fields a prompt file may carry, in frontmatter order, and the values
+// each accepts; the library's validation checks the contents further
+const FIELDS = {
+  id: v => typeof v === 'string' && v.length > 0 && v.length <= 200,
+  type: v => v === 'prompt' || v === 'note',
+  title: v => v === null || typeof v === 'string',
+  labels: Array.isArray,
+  variables: Array.isArray,
+  blockedBy: Array.isArray,
+  images: Array.isArray,
+  isFavorite: isBoolean,
+  reusable: isBoolean,
+  done: isBoolean,
+  testing: isBoolean,
+  order: isTime,
+  createdAt: isTime,
+  updatedAt: isTime,
+  doneAt: isOptionalTime,
+  testingStartedAt: isOptionalTime
+};
+
+// Image fields kept in the repository; paths are per machine
+const IMAGE_FIELDS = ['id', 'filename', 'size', 'width', 'height', 'addedAt'];
+
+class RepoPromptStorage {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onExternalChange] - Called with the project
+   *   path when its prompt files change on disk
+   * @param {Function} [options.validate] - Called with a prompt read from a
+   *   file and the other valid prompts; throws if the prompt isn't acceptable
+   */
+  constructor({ onExternalChange, validate } = {}) {
+    this.onExternalChange = onExternalChange || null;
+    this.validate = validate || (() => {});
+    this.watchers = new Map(); // dir -> { watcher, timer }
+    this.signatures = new Map(); // dir -> signature of the files we last read or wrote
+  }
+
+  /**
+   * @param {string} cwd - Project path
+   * @returns {string} The project's prompts folder
+   */
+  getDir(cwd) {
+    return path.join(cwd, PROMPTS_DIR);
+  }
+
+  /**
+   * @param {string} cwd - Project path
+   * @returns {boolean} True if the project has a prompts folder
+   */
+  exists(cwd) {
+    try {
+      return fs.statSync(this.getDir(cwd)).isDirectory();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Read a project's prompts, in no particular order
+   * @param {string} cwd - Project path
+   * @returns {Array} Prompt objects
+   */
+  read(cwd) {
+    const dir = this.getDir(cwd);
+    const files = this._readFiles(dir);
+    const signature = this._signature(files);
+    const prompts = this._validateFiles(files);
+    if (signature !== this.signatures.get(dir)) {
+      for (const file of files) {
+        if (file.error) console.warn(`[RepoPromptStorage] Skipping ${file.name}: ${file.error}`);
+      }
+    }
+    this.signatures.set(dir, signature);
+    this._watch(cwd, dir);
+    return prompts;
+  }
+
+  /**
+   * Write a project's prompts
+   * @param {string} cwd - Project path
+   * @param {Array} prompts - Prompt objects
+   * @returns {Promise<void>}
+   */
+  async write(cwd, prompts) {
+    const dir = this.getDir(cwd);
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const existing = this._readFiles(dir);
+    this._validateFiles(existing);
+    const wanted = new Map(prompts.map(p => [this._fileName(p.id), this._format(p)]));
+    for (const [name, text] of wanted) {
+      const current = existing.find(f => f.name === name);
+      if (current && current.text === text) continue;
+      const filePath = path.join(dir, name);
+      const tempPath = `${filePath}.tmp`;
+      try {
+        await fs.promises.writeFile(tempPath, text, 'utf-8');
+        await fs.promises.rename(tempPath, filePath);
+      } catch (err) {
+        try {
+          await fs.promises.unlink(tempPath);
+        } catch {
+          // Ignore cleanup errors
+        }
+        throw err;
+      }
+    }
+    // Removed prompts; files we couldn't read aren't ours to delete
+    for (const file of existing) {
+      if (file.prompt && !wanted.has(file.name)) {
+        await fs.promises.unlink(path.join(dir, file.name));
+      }
+    }
+
+    this.signatures.set(dir, this._signature(this._readFiles(dir)));
+  }
+
+  /**
+   * Delete the prompt files and the folder (and `.crossai` if that is left empty)
+   * @param {string} cwd - Project path
+   * @returns {Promise<void>}
+   */
+  async remove(cwd) {
+    const dir = this.getDir(cwd);
+    this._unwatch(dir);
+    this.signatures.delete(dir);
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    try {
+      await fs.promises.rmdir(path.dirname(dir));
+    } catch {
+      // Not empty: other files live in .crossai
+    }
+  }
+
+  /**
+   * Stop watching a project's folder (it is watched again on the next read)
+   * @param {string} cwd - Project path
+   */
+  release(cwd) {
+    const dir = this.getDir(cwd);
+    this._unwatch(dir);
+    this.signatures.delete(dir);
+  }
+
+  /**
+   * Stop watching every folder
+   */
+  close() {
+    for (const dir of [...this.watchers.keys()]) this._unwatch(dir);
+  }
+
+  /**
+   * Prompt IDs are used as file names when they are safe to
+   * @private
+   */
+  _fileName(id) {
+    if (typeof id === 'string' && FILE_ID_PATTERN.test(id)) return `${id}.md`;
+    return `prompt-${crypto.createHash('sha256').update(String(id)).digest('hex').slice(0, 16)}.md`;
+  }
+
+  /**
+   * @private
+   */
+  _format(prompt) {
+    const { prompt: text, scope, ...fields } = prompt;
+    if (Array.isArray(fields.images)) {
+      fields.images = fields.images.map(({ path: _path, thumbnailPath: _thumbnailPath, ...image }) => image);
+    }
+    const ordered = {};
+    for (const key of Object.keys(FIELDS)) {
+      if (key in fields) ordered[key] = fields[key];
+    }
+    return formatDocument(ordered, text || '');
+  }
+
+  /**
+   * The prompt in a file's fields, or throws if a field is unknown or has
+   * the wrong type
+   * @private
+   */
+  _toPrompt(fields, body) {
+    for (const [key, value] of Object.entries(fields)) {
+      if (!FIELDS[key]) throw new Error(`Unknown field "${key}"`);
+      if (!FIELDS[key](value)) throw new Error(`Invalid value for "${key}"`);
+    }
+    if (!fields.id) throw new Error('Missing id');
+    const prompt = { ...fields, prompt: body };
+    if (fields.images) {
+      prompt.images = fields.images.map(image => {
+        if (!image || typeof image.id !== 'string' || !IMAGE_ID_PATTERN.test(image.id)) {
+          throw new Error('Invalid image entry');
+        }
+        const kept = {};
+        for (const key of IMAGE_FIELDS) {
+          if (image[key] !== undefined) kept[key] = image[key];
+        }
+        return kept;
+      });
+    }
+    return prompt;
+  }
+
+  /**
+   * Run the parsed prompts through `validate`, first on their own and then
+   * against each other (blocking links), keeping the first MAX_FILES. Files
+   * that fail get the error and lose their prompt.
+   * @private
+   */
+  _validateFiles(files) {
+    const check = (file, siblings) => {
+      try {
+        this.validate(file.prompt, siblings);
+      } catch (err) {
+        file.prompt = null;
+        file.error = err.message;
+      }
+    };
+    for (const file of files) {
+      if (file.prompt) check(file, null);
+    }
+    let valid = files.filter(f => f.prompt);
+    for (const file of valid.slice(MAX_FILES)) {
+      file.prompt = null;
+      file.error = `Only the first ${MAX_FILES} prompts are read`;
+    }
+    valid = valid.slice(0, MAX_FILES);
+    const siblings = valid.map(f => f.prompt);
+    for (const file of valid) check(file, siblings);
+    return files.map(f => f.prompt).filter(Boolean);
+  }
+
+  /**
+   * Every `.md` file in the folder with its prompt, or prompt null and the
+   * error if it doesn't parse
+   * @private
+   */
+  _readFiles(dir) {
+    let names;
+    try {
+      names = fs.readdirSync(dir).filter(name => name.endsWith('.md')).sort();
+    } catch {
+      return [];
+    }
+    const files = [];
+    for (const name of names) {
+      let text;
+      try {
+        text = fs.readFileSync(path.join(dir, name), 'utf-8');
+      } catch {
+        continue;
+      }
+      let prompt = null;
+      let error = null;
+      try {
+        const { fields, body } = parseDocument(text);
+        prompt = this._toPrompt(fields, body);
+      } catch (err) {
+        error = err.message;
+      }
+      files.push({ name, text, prompt, error });
+    }
+    return files;
+  }
+
+  /**
+   * @private
+   */
+  _signature(files) {
+    const hash = crypto.createHash('sha256');
+    for (const file of files) hash.update(`${file.name}\0${file.text}\0`);
+    return hash.digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  _watch(cwd, dir) {
+    if (!this.onExternalChange || this.watchers.has(dir)) return;
+    let watcher;
+    try {
+      watcher = fs.watch(dir, { persistent: false });
+    } catch {
+      return;
+    }
+    const entry = { watcher, timer: null };
+    watcher.on('change', () => {
+      clearTimeout(entry.timer);
+      entry.timer = setTimeout(() => this._checkForChanges(cwd, dir), WATCH_DEBOUNCE_MS);
+    });
+    // The folder itself went away (e.g. checking out a branch without it)
+    watcher.on('error', () => {
+      this._unwatch(dir);
+      this.signatures.delete(dir);
+      this.onExternalChange(cwd);
+    });
+    this.watchers.set(dir, entry);
+  }
+
+  /**
+   * @private
+   */
+  _checkForChanges(cwd, dir) {
+    if (!fs.existsSync(dir)) {
+      this._unwatch(dir);
+      this.signatures.delete(dir);
+      this.onExternalChange(cwd);
+      return;
+    }
+    const signature = this._signature(this._readFiles(dir));
+    if (signature === this.signatures.get(dir)) return;
+    this.signatures.set(dir, signature);
+    this.onExternalChange(cwd);
+  }
+
+  /**
+   * @private
+   */
+  _unwatch(dir) {
+    const entry = this.watchers.get(dir);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    entry.watcher.close();
+    this.watchers.delete(dir);
+  }
+}
+
+module.exports = RepoPromptStorage;
@@ -0,0 +1,334 @@
+/**
+ * SelectorPackManager - Versioned DOM selector packs for web service
+ * streaming/completion detection (consumed by webview-preload.js).
+ *
+ * - Built-in packs ship in src/core/selector-packs/<serviceId>.json
+ * - Hot-fix packs live in userData/selector-packs/<serviceId>.json; the
+ *   folder is watched so edits apply without a rebuild
+ * - When both exist, the higher `version` wins (ties go to the user pack), so
+ *   a newer built-in pack supersedes a stale local hot-fix
+ * - Packs are validated here; CSS selectors themselves can only be checked
+ *   in the page, so the preload reports bad selectors via diagnostics
+ *
+ * Pack format (schemaVersion 1):
+ * {
+ *   schemaVersion: 1,
+ *   serviceId: 'chatgpt',
+ *   version: '1.2.0',
+ *   debug: false,
+ *   streaming: {
+ *     stopButtons: [rule],          // Visible "stop generating" controls
+ *     indicators: [rule],           // Any other streaming/loading signal
+ *     growth: { selectors: [], windowMs: 1500 }  // Optional fallback
+ *   },
+ *   messages: {
+ *     assistant: [selector],        // First selector with text wins; last match used
+ *     user: [selector],
+ *     generatedImage: { srcPattern, altPattern }  // Optional
+ *   },
+ *   composer: {                     // Optional; needed for broadcast
+ *     input: [selector],            // First visible match receives the text
+ *     submit: [selector]            // First visible, enabled match is clicked
+ *   }
+ * }
+ *
+ * A rule matches when any element for `selector` passes every given check:
+ * name, selector, visible, within, last, textPattern, labelPattern,
+ * labelFrom, excludePattern, hasChild, lacksChild, caseSensitive.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_VERSION = 1;
+const MAX_PACK_BYTES = 256 * 1024;
+const SERVICE_ID_RE = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const VERSION_RE = /^\d+(\.\d+){0,3}$/;
+const LABEL_SOURCES = ['aria-label', 'mattooltip', 'data-mat-tooltip', 'title', 'fonticon', 'text'];
+const PATTERN_FIELDS = ['textPattern', 'labelPattern', 'excludePattern'];
+const SELECTOR_FIELDS = ['within', 'hasChild', 'lacksChild'];
+
+/**
+ * Compare dotted numeric versions ('1.10.0' > '1.9.3')
+ * @returns {number} Negative, zero or positive
+ */
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(Number);
+  const pb = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function assertSelector(value, field) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`${field} must be a non-empty CSS selector string`);
+  }
+}
+
+function assertPattern(value, field) {
+  if (typeof value !== 'string' || !value) {
+    throw new Error(`${field} must be a non-empty regex string`);
+  }
+  try {
+    new RegExp(value);
+  } catch (err) {
+    throw new Error(`${field} is not a valid regex: ${err.message}`);
+  }
+}
+
+function validateRule(rule, field) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`${field} must be an object`);
+  }
+  assertSelector(rule.selector, `${field}.selector`);
+  SELECTOR_FIELDS.forEach(key => {
+    if (rule[key] !== undefined) assertSelector(rule[key], `${field}.${key}`);
+  });
+  PATTERN_FIELDS.forEach(key => {
+    if (rule[key] !== undefined) assertPattern(rule[key], `${field}.${key}`);
+  });
+  if (rule.labelFrom !== undefined) {
+    if (!Array.isArray(rule.labelFrom) || rule.labelFrom.some(s => !LABEL_SOURCES.includes(s))) {
+      throw new Error(`${field}.labelFrom must be a list of: ${LABEL_SOURCES.join(', ')}`);
+    }
+  }
+}
+
+function validateSelectorList(list, field) {
+  if (!Array.isArray(list)) {
+    throw new Error(`${field} must be an array`);
+  }
+  list.forEach((selector, i) => assertSelector(selector, `${field}[${i}]`));
+}
+
+class SelectorPackManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.userDataPath - Electron app.getPath('userData')
+   * @param {string} [options.builtinDir] - Built-in packs directory (tests only)
+   */
+  constructor({ userDataPath, builtinDir }) {
+    this.builtinDir = builtinDir || path.join(__dirname, 'selector-packs');
+    this.userDir = path.join(userDataPath, 'selector-packs');
+    this.packs = new Map(); // serviceId -> { pack, source, path, builtinVersion }
+    this.errors = []; // [{ file, error }]
+    this.watcher = null;
+    this.debounceTimer = null;
+    if (!fs.existsSync(this.userDir)) {
+      fs.mkdirSync(this.userDir, { recursive: true });
+    }
+    this.load();
+  }
+
+  /**
+   * Validate a parsed pack
+   * @param {Object} pack
+   * @returns {Object} The pack
+   * @throws {Error} Describing the first problem found
+   */
+  validate(pack) {
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      throw new Error('Pack must be a JSON object');
+    }
+    if (pack.schemaVersion !== SCHEMA_VERSION) {
+      throw new Error(`Unsupported schemaVersion ${pack.schemaVersion} (expected ${SCHEMA_VERSION})`);
+    }
+    if (typeof pack.serviceId !== 'string' || !SERVICE_ID_RE.test(pack.serviceId)) {
+      throw new Error('serviceId must be a lowercase service id');
+    }
+    if (typeof pack.version !== 'string' || !VERSION_RE.test(pack.version)) {
+      throw new Error('version must look like "1.2.0"');
+    }
+
+    const streaming = pack.streaming || {};
+    ['stopButtons', 'indicators'].forEach(key => {
+      if (streaming[key] === undefined) return;
+      if (!Array.isArray(streaming[key])) {
+        throw new Error(`streaming.${key} must be an array`);
+      }
+      streaming[key].forEach((rule, i) => validateRule(rule, `streaming.${key}[${i}]`));
+    });
+    if (streaming.growth !== undefined) {
+      validateSelectorList(streaming.growth.selectors, 'streaming.growth.selectors');
+      if (streaming.growth.windowMs !== undefined &&
+          (!Number.isInteger(streaming.growth.windowMs) || streaming.growth.windowMs <= 0)) {
+        throw new Error('streaming.growth.windowMs must be a positive integer');
+      }
+    }
+
+    const messages = pack.messages || {};
+    ['assistant', 'user'].forEach(key => {
+      if (messages[key] !== undefined) validateSelectorList(messages[key], `messages.${key}`);
+    });
+    if (messages.generatedImage !== undefined) {
+      ['srcPattern', 'altPattern'].forEach(key => {
+        if (messages.generatedImage[key] !== undefined) {
+          assertPattern(messages.generatedImage[key], `messages.generatedImage.${key}`);
+        }
+      });
+    }
+
+    if (pack.composer !== undefined) {
+      ['input', 'submit'].forEach(key => {
+        validateSelectorList(pack.composer[key], `composer.${key}`);
+      });
+    }
+
+    return pack;
+  }
+
+  /**
+   * Read and validate every pack in a directory
+   * @private
+   */
+  _readDir(dir, source) {
+    const result = new Map();
+    let files = [];
+    try {
+      files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+    } catch {
+      return result;
+    }
+
+    files.forEach(file => {
+      const filePath = path.join(dir, file);
+      try {
+        const stat = fs.statSync(filePath);
+        if (stat.size > MAX_PACK_BYTES) {
+          throw new Error('Pack file is too large (max 256 KB)');
+        }
+        const pack = this.validate(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+        if (`${pack.serviceId}.json` !== file) {
+          throw new Error(`File name must be ${pack.serviceId}.json`);
+        }
+        result.set(pack.serviceId, { pack, source, path: filePath });
+      } catch (err) {
+        this.errors.push({ file: filePath, error: err.message });
+        console.warn(`[SelectorPackManager] Ignoring ${source} pack ${file}: ${err.message}`);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * (Re)load built-in and user packs
+   * @returns {string[]} Service IDs whose effective pack changed
+   */
+  load() {
+    const previous = new Map(Array.from(this.packs, ([id, entry]) => [id, entry.pack]));
+    this.errors = [];
+
+    const builtin = this._readDir(this.builtinDir, 'builtin');
+    const user = this._readDir(this.userDir, 'user');
+
+    this.packs.clear();
+    builtin.forEach((entry, serviceId) => {
+      this.packs.set(serviceId, { ...entry, builtinVersion: entry.pack.version });
+    });
+    user.forEach((entry, serviceId) => {
+      const current = this.packs.get(serviceId);
+      if (current && compareVersions(entry.pack.version, current.pack.version) < 0) {
+        console.warn(`[SelectorPackManager] User pack ${serviceId}@${entry.pack.version} is older than built-in ${current.pack.version}; using built-in`);
+        return;
+      }
+      this.packs.set(serviceId, { ...entry, builtinVersion: current ? current.builtinVersion : null });
+    });
+
+    const changed = [];
+    const ids = new Set([...previous.keys(), ...this.packs.keys()]);
+    ids.forEach(id => {
+      const entry = this.packs.get(id);
+      if (JSON.stringify(previous.get(id)) !== JSON.stringify(entry && entry.pack)) {
+        changed.push(id);
+      }
+    });
+    return changed;
+  }
+
+  /**
+   * Get the effective pack for a service
+   * @param {string} serviceId
+   * @returns {Object|null}
+   */
+  getPack(serviceId) {
+    const entry = this.packs.get(serviceId);
+    return entry ? entry.pack : null;
+  }
+
+  /**
+   * Summaries for the settings UI
+   * @returns {{ packs: Object[], errors: Object[], userDir: string }}
+   */
+  list() {
+    const packs = Array.from(this.packs.entries())
+      .map(([serviceId, entry]) => ({
+        serviceId,
+        version: entry.pack.version,
+        source: entry.source,
+        path: entry.path,
+        builtinVersion: entry.builtinVersion
+      }))
+      .sort((a, b) => a.serviceId.localeCompare(b.serviceId));
+    return { packs, errors: this.errors.slice(), userDir: this.userDir };
+  }
+
+  /**
+   * Copy the effective pack into the user folder as a starting point for a
+   * hot-fix. Existing user packs are left alone.
+   * @param {string} serviceId
+   * @returns {string} Path of the user pack
+   * @throws {Error} If there is no pack for the service
+   */
+  copyToUserDir(serviceId) {
+    const pack = this.getPack(serviceId);
+    if (!pack) {
+      throw new Error(`No selector pack for ${serviceId}`);
+    }
+    const target = path.join(this.userDir, `${serviceId}.json`);
+    if (!fs.existsSync(target)) {
+      const tempPath = `${target}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(pack, null, 2) + '\n', 'utf-8');
+      fs.renameSync(tempPath, target);
+    }
+    return target;
+  }
+
+  /**
+   * Watch the user folder and reload on change
+   * @param {Function} onChange - Called with the changed service IDs
+   */
+  watch(onChange) {
+    this.unwatch();
+    try {
+      this.watcher = fs.watch(this.userDir, () => {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => {
+          const changed = this.load();
+          if (changed.length > 0) onChange(changed);
+        }, 150);
+      });
+      this.watcher.on('error', (err) => {
+        console.warn('[SelectorPackManager] Watcher error:', err.message);
+        this.unwatch();
+      });
+    } catch (err) {
+      console.warn('[SelectorPackManager] Cannot watch user packs:', err.message);
+    }
+  }
+
+  unwatch() {
+    clearTimeout(this.debounceTimer);
+    if (this.watcher) {
+      try { this.watcher.close(); } catch { /* already closed */ }
+      this.watcher = null;
+    }
+  }
+}
+
+SelectorPackManager.compareVersions = compareVersions;
+
+module.exports = SelectorPackManager;
@@ -9,6 +9,14 @@
  * - color: brand color for UI
  * - icon: SVG icon markup
  * - sessionPartition: (web only) shared session partition name
+ * - allowedHosts: (custom web only) hostnames the view may navigate to
+ * - custom: true for user-defined services (see CustomServicesManager)
+ * - terminal: (terminal only) how to launch the CLI inside the PTY:
+ *   - command: executable run through the login shell (null = the shell itself)
+ *   - args: arguments for a new session
+ *   - continueArgs: arguments to continue the last session (null = no resume)
+ *   - resumeArgs: arguments to pick a past session (falls back to continueArgs)
+ *   - supportsHooks: true if the CLI reports events through HooksManager
  */
 
 // Check if node-pty is available (needed for terminal services)
@@ -66,25 +74,143 @@ const SERVICE_TYPES = {
     icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
       <polyline points="4 17 10 11 4 5"></polyline>
       <line x1="12" y1="19" x2="20" y2="19"></line>
-    </svg>`
+    </svg>`,
+    terminal: {
+      command: 'claude',
+      args: [],
+      continueArgs: ['--continue'],
+      resumeArgs: ['--resume'],
+      supportsHooks: true
+    }
+  },
+
+  codex: {
+    id: 'codex',
+    name: 'Codex CLI',
+    type: 'terminal',
+    color: '#10a37f',
+    icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <path d="M12 2l8.66 5v10L12 22l-8.66-5V7z"></path>
+      <polyline points="9 10 7 12 9 14"></polyline>
+      <polyline points="15 10 17 12 15 14"></polyline>
+    </svg>`,
+    terminal: {
+      command: 'codex',
+      args: [],
+      continueArgs: ['resume', '--last'],
+      resumeArgs: ['resume'],
+      supportsHooks: false
+    }
+  },
+
+  aider: {
+    id: 'aider',
+    name: 'Aider',
+    type: 'terminal',
+    color: '#f59e0b',
+    icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <path d="M4 20L12 4l8 16"></path>
+      <line x1="7.5" y1="13" x2="16.5" y2="13"></line>
+    </svg>`,
+    terminal: {
+      command: 'aider',
+      args: [],
+      continueArgs: ['--restore-chat-history'],
+      resumeArgs: null,
+      supportsHooks: false
+    }
+  },
+
+  'gemini-cli': {
+    id: 'gemini-cli',
+    name: 'Gemini CLI',
+    type: 'terminal',
+    color: '#8ab4f8',
+    icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <path d="M12 3l2 7 7 2-7 2-2 7-2-7-7-2 7-2z"></path>
+    </svg>`,
+    terminal: {
+      command: 'gemini',
+      args: [],
+      continueArgs: ['--resume', 'latest'],
+      resumeArgs: null,
+      supportsHooks: false
+    }
+  },
+
+  shell: {
+    id: 'shell',
+    name: 'Shell',
+    type: 'terminal',
+    color: '#a1a1aa',
+    icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <rect x="2" y="4" width="20" height="16" rx="2"></rect>
+      <polyline points="6 9 9 12 6 15"></polyline>
+      <line x1="12" y1="15" x2="17" y2="15"></line>
+    </svg>`,
+    terminal: {
+      command: null,
+      args: [],
+      continueArgs: null,
+      resumeArgs: null,
+      supportsHooks: false
+    }
   }
 };
 
+// Fallback icon for user-defined services that don't provide their own
+const DEFAULT_CUSTOM_ICON = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <circle cx="12" cy="12" r="10"></circle>
+      <line x1="2" y1="12" x2="22" y2="12"></line>
+      <path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path>
+    </svg>`;
+
+// User-defined web services, keyed by id. Populated by CustomServicesManager
+// after validation; built-in SERVICE_TYPES always win on id collisions.
+let customServiceTypes = {};
+
+/**
+ * Replace the set of user-defined services.
+ * Entries must already be validated (CustomServicesManager.validate).
+ * @param {Object[]} services - Custom service definitions
+ */
+function setCustomServiceTypes(services) {
+  customServiceTypes = {};
+  (services || []).forEach(service => {
+    if (service && service.id && !SERVICE_TYPES[service.id]) {
+      customServiceTypes[service.id] = {
+        ...service,
+        type: 'web',
+        custom: true,
+        icon: service.icon || DEFAULT_CUSTOM_ICON
+      };
+    }
+  });
+}
+
+/**
+ * Get all user-defined service types
+ * @returns {Object[]} Array of custom service definitions
+ */
+function getCustomServiceTypes() {
+  return Object.values(customServiceTypes);
+}
+
 /**
  * Get a service type definition by ID
  * @param {string} serviceId - The service type ID
  * @returns {Object|null} The service type definition or null
  */
 function getServiceType(serviceId) {
-  return SERVICE_TYPES[serviceId] || null;
+  return SERVICE_TYPES[serviceId] || customServiceTypes[serviceId] || null;
 }
 
 /**
- * Get all service types
+ * Get all service types (built-in and user-defined)
  * @returns {Object} All service type definitions
  */
 function getAllServiceTypes() {
-  return SERVICE_TYPES;
+  return { ...SERVICE_TYPES, ...customServiceTypes };
 }
 
 /**
@@ -92,7 +218,7 @@ function getAllServiceTypes() {
  * @returns {Object[]} Array of web service definitions
  */
 function getWebServiceTypes() {
-  return Object.values(SERVICE_TYPES).filter(s => s.type === 'web');
+  return Object.values(getAllServiceTypes()).filter(s => s.type === 'web');
 }
 
 /**
@@ -104,6 +230,50 @@ function getTerminalServiceTypes() {
   return Object.values(SERVICE_TYPES).filter(s => s.type === 'terminal');
 }
 
+/**
+ * Quote one argument for the shell that runs terminal commands
+ * (POSIX sh via `-c`, or PowerShell via `-Command` on Windows)
+ * @param {string} arg
+ * @param {string} platform - process.platform value
+ * @returns {string}
+ */
+function quoteShellArg(arg, platform) {
+  const value = String(arg);
+  if (/^[\w@%+=:,./-]+$/.test(value)) return value;
+  if (platform === 'win32') return `'${value.replace(/'/g, "''")}'`;
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Build the command line a terminal service runs in its PTY
+ * @param {Object} service - Terminal service definition
+ * @param {string|boolean} [mode='normal'] - 'normal', 'continue' (or true), or 'resume'
+ * @param {string} [platform=process.platform]
+ * @returns {string|null} Command for the shell's -c/-Command, or null to run the shell itself
+ */
+function buildTerminalCommand(service, mode = 'normal', platform = process.platform) {
+  const spec = service && service.terminal;
+  if (!spec || !spec.command) return null;
+
+  let args = spec.args || [];
+  if ((mode === 'continue' || mode === true) && spec.continueArgs) {
+    args = spec.continueArgs;
+  } else if (mode === 'resume' && (spec.resumeArgs || spec.continueArgs)) {
+    args = spec.resumeArgs || spec.continueArgs;
+  }
+
+  return [spec.command, ...args].map(arg => quoteShellArg(arg, platform)).join(' ');
+}
+
+/**
+ * Check whether a terminal service can pick up a previous session
+ * @param {Object} service - Terminal service definition
+ * @returns {boolean}
+ */
+function canResumeTerminal(service) {
+  return !!(service && service.terminal && service.terminal.command && service.terminal.continueArgs);
+}
+
 /**
  * Check if terminal features are available
  * @returns {boolean} True if node-pty is available
@@ -118,7 +288,7 @@ function isTerminalAvailable() {
  * @returns {boolean} True if the service type exists
  */
 function isValidServiceType(serviceId) {
-  return serviceId in SERVICE_TYPES;
+  return serviceId in SERVICE_TYPES || serviceId in customServiceTypes;
 }
 
 /**
@@ -128,7 +298,7 @@ function isValidServiceType(serviceId) {
  * @returns {string} The generated name (e.g., "ChatGPT" or "ChatGPT (2)")
  */
 function generateTabName(serviceId, existingTabs) {
-  const serviceType = SERVICE_TYPES[serviceId];
+  const serviceType = getServiceType(serviceId);
   if (!serviceType) return 'Unknown';
 
   const baseName = serviceType.name;
@@ -159,11 +329,16 @@ function generateTabName(serviceId, existingTabs) {
 
 module.exports = {
   SERVICE_TYPES,
+  DEFAULT_CUSTOM_ICON,
   getServiceType,
   getAllServiceTypes,
   getWebServiceTypes,
+  getCustomServiceTypes,
+  setCustomServiceTypes,
   getTerminalServiceTypes,
   isValidServiceType,
   isTerminalAvailable,
+  buildTerminalCommand,
+  canResumeTerminal,
   generateTabName
 };
@@ -9,12 +9,23 @@
  *   order: number,       // Position in sidebar (0-based)
  *   createdAt: number,   // Timestamp
  *   archived: boolean,   // Whether tab is archived (hidden from active list)
+ *   groupId: string|null // Tab group, or null for ungrouped
  * }
+ *
+ * Tab groups are persisted under `tabGroups`:
+ * { id: 'group-uuid', name, color: '#rrggbb', collapsed: boolean, order, createdAt }
+ *
+ * Ordering is one sequence across all active tabs, kept contiguous per group:
+ * ungrouped tabs first, then each group in group order.
  */
 
 const crypto = require('crypto');
 const { generateTabName, isValidServiceType } = require('./ServiceRegistry');
 
+const GROUP_COLORS = ['#6366f1', '#22c55e', '#f59e0b', '#ef4444', '#06b6d4', '#ec4899', '#a855f7', '#64748b'];
+const MAX_GROUP_NAME_LENGTH = 40;
+const COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+
 class TabManager {
   /**
    * @param {Object} store - electron-store instance for persistence
@@ -22,6 +33,10 @@ class TabManager {
   constructor(store) {
     this.store = store;
     this.tabs = new Map();
+    this.groups = new Map();
+    // Tabs of user-defined services that failed validation on load. Kept
+    // verbatim so fixing the service definition brings them back.
+    this.orphanedTabs = [];
     this.listeners = new Set();
     this._loadFromStore();
   }
@@ -32,10 +47,31 @@ class TabManager {
    */
   _loadFromStore() {
     const savedTabs = this.store.get('tabs', []);
+    const savedGroups = this.store.get('tabGroups', []);
     this.tabs.clear();
+    this.groups.clear();
+    this.orphanedTabs = [];
+
+    (Array.isArray(savedGroups) ? savedGroups : []).forEach(group => {
+      if (!group || typeof group.id !== 'string' || this.groups.has(group.id)) return;
+      this.groups.set(group.id, {
+        id: group.id,
+        name: typeof group.name === 'string' && group.name.trim() ? group.name.trim() : 'Group',
+        color: COLOR_RE.test(group.color) ? group.color : GROUP_COLORS[0],
+        collapsed: !!group.collapsed,
+        order: typeof group.order === 'number' ? group.order : this.groups.size,
+        createdAt: group.createdAt || Date.now()
+      });
+    });
+    this._normalizeGroupOrder();
 
     // Validate and load each tab
     savedTabs.forEach(tab => {
+      if (tab.id && typeof tab.serviceType === 'string' && tab.serviceType.startsWith('custom-') &&
+          !isValidServiceType(tab.serviceType)) {
+        this.orphanedTabs.push(tab);
+        return;
+      }
       if (tab.id && tab.serviceType && isValidServiceType(tab.serviceType)) {
         this.tabs.set(tab.id, {
           id: tab.id,
@@ -43,7 +79,8 @@ class TabManager {
           name: tab.name || tab.serviceType,
           order: typeof tab.order === 'number' ? tab.order : this.tabs.size,
           createdAt: tab.createdAt || Date.now(),
-          archived: tab.archived || false
+          archived: tab.archived || false,
+          groupId: tab.groupId && this.groups.has(tab.groupId) ? tab.groupId : null
         });
       }
     });
@@ -57,22 +94,39 @@ class TabManager {
    * @private
    */
   _saveToStore() {
-    // Save ALL tabs (active + archived) to the store
+    // Save ALL tabs (active + archived + orphaned custom) to the store
     const allTabs = Array.from(this.tabs.values());
-    this.store.set('tabs', allTabs);
+    this.store.set('tabs', [...allTabs, ...this.orphanedTabs]);
+    this.store.set('tabGroups', this.getGroups());
   }
 
   /**
-   * Normalize order indices to be sequential (0, 1, 2, ...)
+   * Normalize order indices to be sequential (0, 1, 2, ...), keeping each
+   * group's tabs together (ungrouped first, then groups in group order)
    * @private
    */
   _normalizeOrder() {
-    const ordered = this.getOrderedTabs();
+    const groupRank = (tab) => {
+      const group = tab.groupId ? this.groups.get(tab.groupId) : null;
+      return group ? group.order + 1 : 0;
+    };
+    const ordered = this.getOrderedTabs()
+      .sort((a, b) => groupRank(a) - groupRank(b) || a.order - b.order);
     ordered.forEach((tab, index) => {
       tab.order = index;
     });
   }
 
+  /**
+   * Normalize group order indices to be sequential
+   * @private
+   */
+  _normalizeGroupOrder() {
+    this.getGroups().forEach((group, index) => {
+      this.groups.get(group.id).order = index;
+    });
+  }
+
   /**
    * Notify all listeners of tab changes
    * @private
@@ -143,7 +197,8 @@ class TabManager {
       name,
       order: this.getOrderedTabs().length,
       createdAt: Date.now(),
-      archived: false
+      archived: false,
+      groupId: null
     };
 
     this.tabs.set(tab.id, tab);
@@ -213,10 +268,11 @@ class TabManager {
     ordered.splice(currentIndex, 1);
     ordered.splice(clampedIndex, 0, tab);
 
-    // Update order values
+    // Update order values (a tab can't leave its group this way)
     ordered.forEach((t, index) => {
       t.order = index;
     });
+    this._normalizeOrder();
 
     this._saveToStore();
     this._notifyListeners();
@@ -225,7 +281,8 @@ class TabManager {
   }
 
   /**
-   * Move a tab relative to another tab (for drag-drop)
+   * Move a tab relative to another tab (for drag-drop). The dragged tab joins
+   * the target tab's group.
    * @param {string} draggedTabId - The tab being dragged
    * @param {string} targetTabId - The tab to drop onto
    * @param {string} position - 'before' or 'after'
@@ -241,6 +298,7 @@ class TabManager {
     if (draggedIndex === -1 || targetIndex === -1) return false;
 
     const draggedTab = ordered[draggedIndex];
+    draggedTab.groupId = ordered[targetIndex].groupId;
     ordered.splice(draggedIndex, 1);
 
     // Calculate new index after removal
@@ -289,7 +347,10 @@ class TabManager {
     if (!tab || !tab.archived) return null;
 
     tab.archived = false;
-    tab.order = this.getOrderedTabs().length; // Append to end
+    if (tab.groupId && !this.groups.has(tab.groupId)) {
+      tab.groupId = null; // Group was deleted while archived
+    }
+    tab.order = this.getOrderedTabs().length; // Append to end (of its group)
     this._normalizeOrder();
     this._saveToStore();
     this._notifyListeners();
@@ -327,6 +388,177 @@ class TabManager {
     return ordered.findIndex(t => t.id === tabId);
   }
 
+  // ==================== Tab groups ====================
+
+  /**
+   * Get all groups ordered by position
+   * @returns {Object[]} Copies of the groups
+   */
+  getGroups() {
+    return Array.from(this.groups.values())
+      .sort((a, b) => a.order - b.order)
+      .map(group => ({ ...group }));
+  }
+
+  /**
+   * Get a group by ID
+   * @param {string} groupId
+   * @returns {Object|null} Copy of the group
+   */
+  getGroup(groupId) {
+    const group = this.groups.get(groupId);
+    return group ? { ...group } : null;
+  }
+
+  /**
+   * Get the active tabs of one group, in order
+   * @param {string|null} groupId - null for ungrouped tabs
+   * @returns {Object[]}
+   */
+  getTabsInGroup(groupId) {
+    return this.getOrderedTabs().filter(t => t.groupId === (groupId || null));
+  }
+
+  _validateGroupName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error('Group name cannot be empty');
+    }
+    if (trimmed.length > MAX_GROUP_NAME_LENGTH) {
+      throw new Error(`Group name must be ${MAX_GROUP_NAME_LENGTH} characters or less`);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Create a group
+   * @param {Object} [options]
+   * @param {string} [options.name] - Defaults to "Group N"
+   * @param {string} [options.color] - Hex color; defaults to the next palette color
+   * @returns {Object} The created group
+   * @throws {Error} On invalid name or color
+   */
+  createGroup({ name, color } = {}) {
+    if (color !== undefined && !COLOR_RE.test(color)) {
+      throw new Error('Group color must be a hex value like #6366f1');
+    }
+    const group = {
+      id: `group-${crypto.randomUUID()}`,
+      name: this._validateGroupName(name === undefined ? `Group ${this.groups.size + 1}` : name),
+      color: color || GROUP_COLORS[this.groups.size % GROUP_COLORS.length],
+      collapsed: false,
+      order: this.groups.size,
+      createdAt: Date.now()
+    };
+
+    this.groups.set(group.id, group);
+    this._saveToStore();
+    this._notifyListeners();
+
+    return { ...group };
+  }
+
+  /**
+   * Update a group's name, color or collapsed state
+   * @param {string} groupId
+   * @param {Object} changes - { name?, color?, collapsed? }
+   * @returns {Object|null} The updated group, or null if not found
+   * @throws {Error} On invalid name or color
+   */
+  updateGroup(groupId, changes = {}) {
+    const group = this.groups.get(groupId);
+    if (!group) return null;
+
+    const name = changes.name !== undefined ? this._validateGroupName(changes.name) : group.name;
+    if (changes.color !== undefined && !COLOR_RE.test(changes.color)) {
+      throw new Error('Group color must be a hex value like #6366f1');
+    }
+
+    group.name = name;
+    if (changes.color !== undefined) group.color = changes.color;
+    if (changes.collapsed !== undefined) group.collapsed = !!changes.collapsed;
+
+    this._saveToStore();
+    this._notifyListeners();
+
+    return { ...group };
+  }
+
+  /**
+   * Delete a group; its tabs (active and archived) become ungrouped
+   * @param {string} groupId
+   * @returns {boolean} True if deleted
+   */
+  deleteGroup(groupId) {
+    if (!this.groups.has(groupId)) return false;
+
+    // Ungrouped tabs already sort first, so the group's tabs land after them
+    this.tabs.forEach(tab => {
+      if (tab.groupId === groupId) tab.groupId = null;
+    });
+    this.groups.delete(groupId);
+
+    this._normalizeGroupOrder();
+    this._normalizeOrder();
+    this._saveToStore();
+    this._notifyListeners();
+
+    return true;
+  }
+
+  /**
+   * Move a tab to the end of a group
+   * @param {string} tabId
+   * @param {string|null} groupId - null to ungroup
+   * @returns {boolean} True if successful
+   */
+  moveTabToGroup(tabId, groupId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab || tab.archived) return false;
+    if (groupId && !this.groups.has(groupId)) return false;
+
+    const members = this.getTabsInGroup(groupId).filter(t => t.id !== tabId);
+    if (members.length > 0) {
+      return this.moveTabRelative(tabId, members[members.length - 1].id, 'after');
+    }
+
+    // Empty group: nothing to drop next to
+    tab.groupId = groupId || null;
+    this._normalizeOrder();
+    this._saveToStore();
+    this._notifyListeners();
+
+    return true;
+  }
+
+  /**
+   * Move a group relative to another group (for drag-drop)
+   * @param {string} draggedGroupId
+   * @param {string} targetGroupId
+   * @param {string} position - 'before' or 'after'
+   * @returns {boolean} True if successful
+   */
+  moveGroupRelative(draggedGroupId, targetGroupId, position = 'before') {
+    if (draggedGroupId === targetGroupId) return true;
+    if (!this.groups.has(draggedGroupId) || !this.groups.has(targetGroupId)) return false;
+
+    const ordered = this.getGroups().filter(g => g.id !== draggedGroupId);
+    let newIndex = ordered.findIndex(g => g.id === targetGroupId);
+    if (position === 'after') {
+      newIndex += 1;
+    }
+    ordered.splice(newIndex, 0, this.groups.get(draggedGroupId));
+    ordered.forEach((g, index) => {
+      this.groups.get(g.id).order = index;
+    });
+
+    this._normalizeOrder();
+    this._saveToStore();
+    this._notifyListeners();
+
+    return true;
+  }
+
   /**
    * Add a listener for tab changes
    * @param {Function} callback - Called with ordered tabs array on change
@@ -353,9 +585,12 @@ class TabManager {
       id: tab.id,
       serviceType: tab.serviceType,
       name: tab.name,
-      order: tab.order
+      order: tab.order,
+      groupId: tab.groupId
     }));
   }
 }
 
+TabManager.GROUP_COLORS = GROUP_COLORS;
+
 module.exports = TabManager;
@@ -3,8 +3,10 @@
  *
  * Manages:
  * - WebContentsView creation/destruction for web services
- * - Terminal WebContentsView + PTY processes for Claude Code
+ * - Terminal WebContentsView + PTY processes for terminal agents (Claude Code, Codex, ...)
  * - View switching and bounds management
+ * - Split view: two tabs laid out side by side (or stacked), with the
+ *   focused pane tracked as the active tab
  * - Session sharing for web services of the same type
  */
 
@@ -12,7 +14,7 @@ const { WebContentsView, dialog, shell, Menu, clipboard, BrowserWindow } = requi
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
-const { getServiceType } = require('./ServiceRegistry');
+const { SERVICE_TYPES, getServiceType, buildTerminalCommand, canResumeTerminal } = require('./ServiceRegistry');
 const UsageMonitor = require('./UsageMonitor');
 
 // Allowed origins for navigation security
@@ -32,11 +34,15 @@ const ALLOWED_WEB_ORIGINS = [
 /**
  * Check if a URL origin is in the allowed list
  * @param {string} urlString - The URL to check
+ * @param {string[]} [extraHosts] - Additional hostnames (custom service allowedHosts)
  * @returns {boolean} True if the origin is allowed
  */
-function isAllowedOrigin(urlString) {
+function isAllowedOrigin(urlString, extraHosts = []) {
   try {
     const url = new URL(urlString);
+    if (extraHosts.some(host => url.hostname === host || url.hostname.endsWith('.' + host))) {
+      return true;
+    }
     return ALLOWED_WEB_ORIGINS.some(allowed => {
       const allowedUrl = new URL(allowed);
       // Check exact origin match or valid subdomain
@@ -58,6 +64,22 @@ try {
 
 const DEFAULT_SIDEBAR_WIDTH = 160;
 
+// Split view: gap between panes (the sidebar renderer draws the divider there)
+const SPLIT_DIVIDER_SIZE = 6;
+const SPLIT_MIN_RATIO = 0.15;
+const SPLIT_MAX_RATIO = 0.85;
+
+// Pause between pasting a submitted prompt and pressing Enter
+const SUBMIT_DELAY_MS = 150;
+
+// Sidebar status line for a SessionStart hook, by its `source`
+const SESSION_START_LABELS = {
+  startup: 'Session started',
+  resume: 'Session resumed',
+  clear: 'Context cleared',
+  compact: 'Context compacted'
+};
+
 
 class ViewManager {
   /**
@@ -67,25 +89,37 @@ class ViewManager {
    * @param {Function} options.getSidebarWidth - Function to get current sidebar width
    * @param {Function} options.onTabsChanged - Callback when tabs change
    * @param {Function} options.onTerminalComplete - Callback when terminal task completes (tabId, message, event)
+   * @param {Function} options.onPromptSubmitted - Callback when a prompt is submitted in a terminal (tabId, event, taskDescription)
+   * @param {Function} options.onTerminalStarted - Callback when a terminal's PTY is spawned (tabId, cwd)
+   * @param {Function} options.onPermissionRequest - Callback when Claude Code asks to use a tool
+   *   (tabId, event, toolDescription); returns true if the request is waiting on the user in the app
    * @param {HistoryManager} options.historyManager - Optional history manager for session recording
    * @param {HooksManager} options.hooksManager - Optional hooks manager for Claude Code hooks
    * @param {FirebaseSyncAdapter} options.firebaseSyncAdapter - Optional Firebase sync adapter
+   * @param {Function} options.onPaneFocused - Callback when the user focuses the other split pane (tabId)
+   * @param {Function} options.onSplitChanged - Callback when the split layout changes (state|null)
    */
-  constructor({ mainWindow, store, getSidebarWidth, onTabsChanged, onTerminalComplete, historyManager, hooksManager, firebaseSyncAdapter, secretsManager }) {
+  constructor({ mainWindow, store, getSidebarWidth, onTabsChanged, onTerminalComplete, onPromptSubmitted, onTerminalStarted, onPermissionRequest, historyManager, hooksManager, firebaseSyncAdapter, secretsManager, onPaneFocused, onSplitChanged }) {
     this.mainWindow = mainWindow;
     this.store = store;
     this.getSidebarWidth = getSidebarWidth || (() => DEFAULT_SIDEBAR_WIDTH);
     this.onTabsChanged = onTabsChanged;
     this.onTerminalComplete = onTerminalComplete;
+    this.onPromptSubmitted = onPromptSubmitted;
+    this.onTerminalStarted = onTerminalStarted;
+    this.onPermissionRequest = onPermissionRequest;
     this.historyManager = historyManager;
     this.hooksManager = hooksManager;
     this.firebaseSyncAdapter = firebaseSyncAdapter;
     this.secretsManager = secretsManager;
+    this.onPaneFocused = onPaneFocused;
+    this.onSplitChanged = onSplitChanged;
 
     // View storage
     this.webViews = new Map();      // tabId -> WebContentsView
     this.terminalViews = new Map(); // tabId -> WebContentsView
     this.terminalPtys = new Map();  // tabId -> PTY process
+    this.terminalServices = new Map(); // tabId -> terminal service definition
 
     // Terminal state
     this.terminalReadyState = new Map();
@@ -102,6 +136,9 @@ class ViewManager {
     this.streamingTimeouts = new Map();
     // Subagent depth tracking: tabId -> count of active subagents
     this.subagentDepth = new Map();
+    // Sidebar status line from hook events: tabId -> { kind, text, detail }
+    // kind: 'tool-success' | 'tool-failure' | 'compacting' | 'session' | 'session-end'
+    this.tabStatus = new Map();
     this.STREAMING_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
 
     // Hook session routing: bind a Claude Code sessionId to a specific tab so
@@ -109,6 +146,11 @@ class ViewManager {
     this.hookSessionToTab = new Map();   // sessionId -> tabId
     this.hookTabToSession = new Map();   // tabId -> sessionId (active binding)
 
+    // Selector diagnostics requests awaiting a web view reply:
+    // requestId -> { webContents, resolve, timer }
+    this.pendingDiagnostics = new Map();
+    this.diagnosticsRequestSeq = 0;
+
     // Usage bars for Claude Code tabs — polling/parsing lives in UsageMonitor;
     // we just broadcast its payloads to terminal views.
     this.usageMonitor = new UsageMonitor({
@@ -116,9 +158,12 @@ class ViewManager {
       hasConsumers: () => this.terminalViews.size > 0
     });
 
-    // Active tab tracking
+    // Active tab tracking (in split view, the focused pane)
     this.activeTabId = null;
 
+    // Split view: { tabIds: [first, second], orientation: 'horizontal'|'vertical', ratio } or null
+    this.split = null;
+
     // Hooks installation tracking
     this.hooksInstallAttempted = false;
 
@@ -150,6 +195,10 @@ class ViewManager {
     const tabId = this._getTabIdForHookEvent(sessionId, cwd, event.tabId);
     if (!tabId) {
       console.warn('[ViewManager] Hook event for unknown cwd:', cwd);
+      if (type === 'PermissionRequest') {
+        // Not one of our tabs: let Claude Code ask in its own terminal
+        this.hooksManager.respondToPermission(event.requestId, null);
+      }
       return;
     }
 
@@ -157,7 +206,12 @@ class ViewManager {
       case 'UserPromptSubmit':
         // Claude started working - start streaming with safety timeout
         this.subagentDepth.set(tabId, 0);
-        this._setStreamingWithTimeout(tabId, true, this._extractTaskDescription(event.prompt));
+        this._setTabStatus(tabId, null);
+        const taskDescription = this._extractTaskDescription(event.prompt);
+        this._setStreamingWithTimeout(tabId, true, taskDescription);
+        if (this.onPromptSubmitted) {
+          this.onPromptSubmitted(tabId, event, taskDescription);
+        }
         break;
 
       case 'Stop': {
@@ -174,6 +228,7 @@ class ViewManager {
         }
         // Fully stopped - clear streaming and notify
         this._setStreamingWithTimeout(tabId, false, null);
+        this._clearTransientStatus(tabId);
         const completionMessage = this._extractMessageFromHook(event.lastAssistantMessage);
         this._sendCompletionEvent(tabId, completionMessage);
         if (this.onTerminalComplete) {
@@ -182,15 +237,21 @@ class ViewManager {
         break;
       }
 
-      case 'SubagentStart':
-        this.subagentDepth.set(tabId, (this.subagentDepth.get(tabId) || 0) + 1);
+      case 'SubagentStart': {
+        const depth = this.subagentDepth.get(tabId) || 0;
+        this._addTimelineEntry(tabId, { kind: 'subagent-start', depth, agentType: event.agentType || null });
+        this.subagentDepth.set(tabId, depth + 1);
         this._resetStreamingTimeout(tabId);
         break;
+      }
 
-      case 'SubagentStop':
-        this.subagentDepth.set(tabId, Math.max(0, (this.subagentDepth.get(tabId) || 0) - 1));
+      case 'SubagentStop': {
+        const depth = Math.max(0, (this.subagentDepth.get(tabId) || 0) - 1);
+        this.subagentDepth.set(tabId, depth);
+        this._addTimelineEntry(tabId, { kind: 'subagent-stop', depth, agentType: event.agentType || null });
         this._resetStreamingTimeout(tabId);
         break;
+      }
 
       // case 'TaskCompleted': {
       //   // Task finished - always stop streaming
@@ -223,26 +284,180 @@ class ViewManager {
           this._sendStreamingState(tabId, true, toolDesc);
           this._resetStreamingTimeout(tabId);
         }
+        this._addTimelineEntry(tabId, {
+          kind: 'tool',
+          depth: this.subagentDepth.get(tabId) || 0,
+          toolName: event.toolName || null,
+          toolUseId: event.toolUseId || null,
+          summary: toolDesc || 'Tool',
+          target: this._getTimelineTarget(tabId, event.toolName, event.toolInput),
+          status: 'running',
+          error: null
+        });
+        break;
+      }
+
+      case 'PostToolUse': {
+        const toolDesc = this._formatToolActivity(event.toolName, event.toolInput) || event.toolName || 'Tool';
+        this._updateTimelineEntry(tabId, { toolUseId: event.toolUseId, toolName: event.toolName }, {
+          status: event.toolError ? 'error' : 'ok',
+          error: event.toolError || null
+        });
+        this._setTabStatus(tabId, event.toolError
+          ? { kind: 'tool-failure', text: `Failed: ${toolDesc}`, detail: event.toolError }
+          : { kind: 'tool-success', text: toolDesc, detail: null });
+        if (this.streamingTimeouts.has(tabId)) {
+          this._resetStreamingTimeout(tabId);
+        }
+        break;
+      }
+
+      case 'PermissionRequest': {
+        const toolDesc = this._formatToolActivity(event.toolName, event.toolInput) || `Use ${event.toolName || 'a tool'}`;
+        if (!this.onPermissionRequest) {
+          this.hooksManager.respondToPermission(event.requestId, null);
+          break;
+        }
+        // False when a project rule already answered it
+        if (!this.onPermissionRequest(tabId, event, toolDesc)) break;
+
+        // Badge + notification, like Claude Code's own permission prompt
+        const permissionEvent = { ...event, type: 'Notification', notificationType: 'permission_prompt' };
+        this._sendCompletionEvent(tabId, toolDesc);
+        if (this.onTerminalComplete) {
+          this.onTerminalComplete(tabId, toolDesc, permissionEvent);
+        }
+        if (this.streamingTimeouts.has(tabId)) {
+          this._resetStreamingTimeout(tabId);
+        }
         break;
       }
+
+      case 'PreCompact':
+        this._setTabStatus(tabId, {
+          kind: 'compacting',
+          text: event.trigger === 'auto' ? 'Context full, compacting…' : 'Compacting context…',
+          detail: null
+        });
+        if (this.streamingTimeouts.has(tabId)) {
+          this._resetStreamingTimeout(tabId);
+        }
+        break;
+
+      case 'SessionStart':
+        this._setTabStatus(tabId, {
+          kind: 'session',
+          text: SESSION_START_LABELS[event.source] || SESSION_START_LABELS.startup,
+          detail: null
+        });
+        break;
+
+      case 'SessionEnd':
+        // The session is over: nothing is streaming and its binding is stale
+        this._clearStreamingTimeout(tabId);
+        this.subagentDepth.delete(tabId);
+        this._clearHookSessionBinding(tabId);
+        this._sendStreamingState(tabId, false, null);
+        // A /clear is followed by SessionStart, which sets the status
+        if (event.reason !== 'clear') {
+          this._setTabStatus(tabId, { kind: 'session-end', text: 'Session ended', detail: event.reason || null });
+        }
+        break;
+    }
+  }
+
+  /**
+   * Add an entry to the tab's tool timeline (kept with its history session)
+   * and show it in the tab's Activity list
+   * @private
+   */
+  _addTimelineEntry(tabId, entry) {
+    const sessionId = this.terminalSessions.get(tabId);
+    if (!sessionId || !this.historyManager) return;
+    const stored = this.historyManager.addTimelineEntry(sessionId, entry);
+    if (stored) {
+      this.sendToTerminalView(tabId, 'tool-timeline-entry', { sessionId, entry: stored });
+    }
+  }
+
+  /**
+   * Record a tool call's outcome on its timeline entry
+   * @private
+   */
+  _updateTimelineEntry(tabId, match, changes) {
+    const sessionId = this.terminalSessions.get(tabId);
+    if (!sessionId || !this.historyManager) return;
+    const updated = this.historyManager.updateTimelineEntry(sessionId, match, changes);
+    if (updated) {
+      this.sendToTerminalView(tabId, 'tool-timeline-entry', { sessionId, entry: { ...updated } });
+    }
+  }
+
+  /**
+   * What a timeline entry jumps to: the file a tool touched or the command it ran
+   * @private
+   */
+  _getTimelineTarget(tabId, toolName, toolInput) {
+    if (!toolInput) return null;
+    if (toolName === 'Bash' && typeof toolInput.command === 'string') {
+      return { type: 'command', command: toolInput.command };
+    }
+    const filePath = toolInput.file_path || toolInput.notebook_path;
+    if (typeof filePath !== 'string' || !path.isAbsolute(filePath)) return null;
+
+    // Relative to the tab folder when inside it, so the Changes tab can open it
+    const cwd = this.store.get(`tabData.${tabId}.cwd`);
+    const relPath = cwd ? path.relative(cwd, filePath) : '';
+    const inside = relPath && !relPath.startsWith('..') && !path.isAbsolute(relPath);
+    return { type: 'file', path: filePath, relPath: inside ? relPath.split(path.sep).join('/') : null };
+  }
+
+  /**
+   * Show a tab's hook status line in the sidebar, or clear it with null
+   * @private
+   */
+  _setTabStatus(tabId, status) {
+    if (status) {
+      this.tabStatus.set(tabId, status);
+    } else if (!this.tabStatus.delete(tabId)) {
+      return;
+    }
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('tab-status-changed', { tabId, status });
+    }
+  }
+
+  /**
+   * Drop statuses that only matter while Claude is working (failures stay
+   * until the next prompt)
+   * @private
+   */
+  _clearTransientStatus(tabId) {
+    const status = this.tabStatus.get(tabId);
+    if (status && (status.kind === 'tool-success' || status.kind === 'compacting')) {
+      this._setTabStatus(tabId, null);
     }
   }
 
   /**
    * Find every tab ID whose cwd matches the given path (exact match preferred,
    * then subdirectory matches for subagent invocations from child dirs).
+   * Worktree tabs store their worktree folder as cwd, and worktrees live
+   * outside the main checkout, so their events never fall back to a tab
+   * opened on the repo itself. Paths are compared after resolving symlinks
+   * since hook events report the resolved process cwd.
    * @private
    */
   _findTabIdsForCwd(cwd) {
     if (!cwd) return [];
-    const normalizedCwd = cwd.replace(/\/+$/, '');
+    const normalizedCwd = this._normalizeCwd(cwd);
 
     const exact = [];
     const subdir = [];
     for (const [tabId] of this.terminalViews) {
       const tabCwd = this.store.get(`tabData.${tabId}.cwd`);
       if (!tabCwd) continue;
-      const normalizedTabCwd = tabCwd.replace(/\/+$/, '');
+      const normalizedTabCwd = this._normalizeCwd(tabCwd);
       if (normalizedCwd === normalizedTabCwd) {
         exact.push(tabId);
       } else if (normalizedCwd.startsWith(normalizedTabCwd + '/')) {
@@ -261,6 +476,20 @@ class ViewManager {
     return [...exact, ...subdir.map(s => s.tabId)];
   }
 
+  /**
+   * Resolve symlinks (e.g. /tmp -> /private/tmp) and drop trailing slashes
+   * @private
+   */
+  _normalizeCwd(cwd) {
+    let resolved = cwd;
+    try {
+      resolved = fs.realpathSync(cwd);
+    } catch (e) {
+      // Folder removed (e.g. a deleted worktree); compare the path as given
+    }
+    return resolved.replace(/\/+$/, '');
+  }
+
   /**
    * Find tab ID by working directory (back-compat: returns the first match).
    * Prefer `_getTabIdForHookEvent` when a sessionId is available — it
@@ -293,7 +522,11 @@ class ViewManager {
       this.hookTabToSession.delete(cached);
     }
 
-    const candidates = this._findTabIdsForCwd(cwd);
+    // Only agents that report hooks can own an unattributed event.
+    const candidates = this._findTabIdsForCwd(cwd).filter(tabId => {
+      const { terminal } = this._getTerminalService(tabId);
+      return !!(terminal && terminal.supportsHooks);
+    });
     if (candidates.length === 0) return null;
 
     // Prefer a tab not already bound to a different (live) session.
@@ -672,6 +905,14 @@ class ViewManager {
    * @private
    */
   _createWebView(tab, serviceType) {
+    const customHosts = serviceType.custom ? serviceType.allowedHosts || [] : [];
+
+    // The sandboxed preload can't reach the registry, so custom services hand
+    // it their id and hosts on the command line for getServiceId().
+    const additionalArguments = serviceType.custom
+      ? [`--crossai-service-id=${serviceType.id}`, `--crossai-service-hosts=${customHosts.join(',')}`]
+      : [];
+
     const view = new WebContentsView({
       webPreferences: {
         preload: this._getPreloadPath('web'),
@@ -681,7 +922,8 @@ class ViewManager {
         partition: serviceType.sessionPartition,
         webSecurity: true,
         allowRunningInsecureContent: false,
-        acceptFirstMouse: true
+        acceptFirstMouse: true,
+        additionalArguments
       }
     });
 
@@ -689,6 +931,7 @@ class ViewManager {
 
     // Standard browser-style right-click menu (spelling, links, images, clipboard)
     this._attachContextMenu(view);
+    this._trackPaneFocus(view, tab.id);
 
     // Set custom user agent
     const userAgent = view.webContents.getUserAgent().replace(/Electron\/\S+ /, '');
@@ -699,7 +942,7 @@ class ViewManager {
 
     // Navigation security: Restrict navigation to allowed origins
     view.webContents.on('will-navigate', (event, navigationUrl) => {
-      if (!isAllowedOrigin(navigationUrl)) {
+      if (!isAllowedOrigin(navigationUrl, customHosts)) {
         console.warn(`[ViewManager] Blocked navigation to: ${navigationUrl}`);
         event.preventDefault();
         // Open blocked URLs in external browser
@@ -732,7 +975,9 @@ class ViewManager {
         'auth.openai.com',
         'auth0.openai.com',
         'claude.ai',
-        'gemini.google.com'
+        'gemini.google.com',
+        // Hosts declared by a user-defined service
+        ...customHosts
       ];
 
       // Check if hostname exactly matches or is a valid subdomain of allowed hosts
@@ -757,6 +1002,9 @@ class ViewManager {
    * @private
    */
   _createTerminalView(tab) {
+    const service = getServiceType(tab.serviceType) || SERVICE_TYPES['claude-code'];
+    this.terminalServices.set(tab.id, service);
+
     const view = new WebContentsView({
       webPreferences: {
         preload: this._getPreloadPath('terminal'),
@@ -772,6 +1020,7 @@ class ViewManager {
     // Context menu for terminal tabs too (mainly enables Paste and spelling in
     // the prompt library editor that lives inside the same WebContentsView).
     this._attachContextMenu(view);
+    this._trackPaneFocus(view, tab.id);
 
     this.usageMonitor.start();
 
@@ -786,11 +1035,24 @@ class ViewManager {
 
     // Load terminal HTML
     const terminalHtmlPath = path.join(__dirname, '..', 'renderer', 'terminal.html');
-    view.webContents.loadURL(`file://${terminalHtmlPath}?id=${tab.id}`);
+    const query = new URLSearchParams({
+      id: tab.id,
+      service: service.name,
+      resume: canResumeTerminal(service) ? '1' : '0'
+    });
+    view.webContents.loadURL(`file://${terminalHtmlPath}?${query}`);
 
     return view;
   }
 
+  /**
+   * Get the terminal service a tab was created with
+   * @private
+   */
+  _getTerminalService(tabId) {
+    return this.terminalServices.get(tabId) || SERVICE_TYPES['claude-code'];
+  }
+
   /**
    * Setup PTY process for a terminal tab
    * @param {string} tabId - The tab ID
@@ -813,20 +1075,20 @@ class ViewManager {
 
     const shell = process.platform === 'win32' ? 'powershell.exe' : process.env.SHELL || '/bin/zsh';
 
-    // Build claude command based on mode
-    let claudeCmd = 'claude';
-    if (mode === 'continue' || mode === true) {
-      claudeCmd = 'claude --continue';
-    } else if (mode === 'resume') {
-      claudeCmd = 'claude --resume';
-    }
+    // Build the service's command (e.g. `claude --continue`) based on mode.
+    // Null means the tab is a plain shell, so run the shell itself.
+    const service = this._getTerminalService(tabId);
+    const command = buildTerminalCommand(service, mode);
 
     // Use login + interactive shell (-l -i) so both .zprofile/.zlogin and .zshrc
     // are sourced. Login mode ensures PATH is set up for packaged apps launched
     // from Finder; interactive mode picks up aliases/functions/exports in .zshrc.
-    const shellArgs = process.platform === 'win32'
-      ? ['-Command', claudeCmd]
-      : ['-l', '-i', '-c', claudeCmd];
+    let shellArgs;
+    if (process.platform === 'win32') {
+      shellArgs = command ? ['-Command', command] : ['-NoLogo'];
+    } else {
+      shellArgs = command ? ['-l', '-i', '-c', command] : ['-l', '-i'];
+    }
 
     // Build environment with common PATH additions for CLI tools.
     // CROSSAI_TAB_ID lets the Claude Code hook command report exactly which
@@ -883,13 +1145,18 @@ class ViewManager {
 
       // Notify sidebar that terminal is running
       this._sendTerminalRunningState(tabId, true);
+      if (this.onTerminalStarted) {
+        this.onTerminalStarted(tabId, cwd);
+      }
 
       // Ensure Claude Code hooks are installed (on first terminal spawn)
-      this._ensureHooksInstalled();
+      if (service.terminal && service.terminal.supportsHooks) {
+        this._ensureHooksInstalled();
+      }
 
       // Start history recording if enabled
       if (this.historyManager) {
-        const sessionId = this.historyManager.startSession(tabId, cwd, { mode });
+        const sessionId = this.historyManager.startSession(tabId, cwd, { mode, serviceType: service.id });
         if (sessionId) {
           this.terminalSessions.set(tabId, sessionId);
         }
@@ -972,8 +1239,9 @@ class ViewManager {
 
     const view = this.terminalViews.get(tabId);
     if (view && !view.webContents.isDestroyed()) {
-      if (exitCode === 127) {
-        this._sendTerminalError(tabId, 'Error: "claude" command not found. Please install Claude Code CLI first.');
+      const service = this._getTerminalService(tabId);
+      if (exitCode === 127 && service.terminal && service.terminal.command) {
+        this._sendTerminalError(tabId, `Error: "${service.terminal.command}" command not found. Please install ${service.name} first.`);
       }
       view.webContents.send('terminal-exit', { exitCode, signal });
       // The overlay is now up; don't let a stray resize auto-spawn behind it.
@@ -987,6 +1255,7 @@ class ViewManager {
     this.subagentDepth.delete(tabId);
     this._clearHookSessionBinding(tabId);
     this._sendStreamingState(tabId, false, null);
+    this._clearTransientStatus(tabId);
 
     // Notify sidebar that terminal stopped
     this._sendTerminalRunningState(tabId, false);
@@ -1058,6 +1327,33 @@ class ViewManager {
     }
   }
 
+  /**
+   * Type text into the terminal and press Enter, as if the user submitted it.
+   * The text goes in as a bracketed paste so its newlines don't submit early;
+   * Enter follows once the paste has been taken in.
+   * @param {string} tabId - The tab ID
+   * @param {string} text - Prompt text
+   * @returns {boolean} False if the tab has no running terminal
+   */
+  submitTerminalInput(tabId, text) {
+    const ptyProcess = this.terminalPtys.get(tabId);
+    if (!ptyProcess) return false;
+    ptyProcess.write(`\x1b[200~${text}\x1b[201~`);
+    setTimeout(() => {
+      if (this.terminalPtys.get(tabId) === ptyProcess) ptyProcess.write('\r');
+    }, SUBMIT_DELAY_MS);
+    return true;
+  }
+
+  /**
+   * Whether Claude is working in a tab (between a prompt and its Stop)
+   * @param {string} tabId - The tab ID
+   * @returns {boolean}
+   */
+  isTerminalStreaming(tabId) {
+    return this.streamingTimeouts.has(tabId);
+  }
+
   /**
    * Offer the Resume / New Session / Close choice for a non-brand-new terminal
    * instead of auto-starting a session. Records the latest size and asks the
@@ -1122,7 +1418,7 @@ class ViewManager {
   }
 
   /**
-   * Reload a terminal (restart Claude)
+   * Reload a terminal (restart its agent with a new session)
    * @param {string} tabId - The tab ID
    * @param {string} cwd - Working directory
    */
@@ -1143,10 +1439,11 @@ class ViewManager {
     this.subagentDepth.delete(tabId);
     this._clearHookSessionBinding(tabId);
     this._sendStreamingState(tabId, false, null);
+    this._setTabStatus(tabId, null);
 
     // Clear and restart
     view.webContents.send('terminal-data', '\x1b[2J\x1b[H');
-    view.webContents.send('terminal-data', '\x1b[90mRestarting Claude Code...\x1b[0m\r\n\r\n');
+    view.webContents.send('terminal-data', `\x1b[90mRestarting ${this._getTerminalService(tabId).name}...\x1b[0m\r\n\r\n`);
 
     const promptState = this.terminalPromptState.get(tabId) || {};
     const { cols = 80, rows = 30 } = promptState;
@@ -1183,7 +1480,7 @@ class ViewManager {
     // Send shutdown message to terminal view
     const view = this.terminalViews.get(tabId);
     if (view && !view.webContents.isDestroyed()) {
-      view.webContents.send('terminal-data', '\r\n\x1b[90mClaude Code has been shut down.\x1b[0m\r\n');
+      view.webContents.send('terminal-data', `\r\n\x1b[90m${this._getTerminalService(tabId).name} has been shut down.\x1b[0m\r\n`);
       view.webContents.send('terminal-exit', { exitCode: 0, signal: null });
       this.awaitingSessionChoice.add(tabId);
     }
@@ -1215,9 +1512,10 @@ class ViewManager {
     this.subagentDepth.delete(tabId);
     this._clearHookSessionBinding(tabId);
     this._sendStreamingState(tabId, false, null);
+    this._setTabStatus(tabId, null);
 
     view.webContents.send('terminal-data', '\x1b[2J\x1b[H');
-    view.webContents.send('terminal-data', '\x1b[90mResuming Claude Code session...\x1b[0m\r\n\r\n');
+    view.webContents.send('terminal-data', `\x1b[90mResuming ${this._getTerminalService(tabId).name} session...\x1b[0m\r\n\r\n`);
 
     const promptState = this.terminalPromptState.get(tabId) || {};
     const { cols = 80, rows = 30 } = promptState;
@@ -1248,6 +1546,11 @@ class ViewManager {
   switchToTab(tabId) {
     if (this.activeTabId === tabId) return;
 
+    if (this.split) {
+      this._switchSplitPane(tabId);
+      return;
+    }
+
     // Remove current view
     if (this.activeTabId) {
       const currentWebView = this.webViews.get(this.activeTabId);
@@ -1286,21 +1589,222 @@ class ViewManager {
   updateViewBounds() {
     if (!this.mainWindow) return;
 
+    const viewBounds = this._getContentBounds();
+
+    // Update all views
+    for (const view of this.webViews.values()) {
+      view.setBounds(viewBounds);
+    }
+    for (const view of this.terminalViews.values()) {
+      view.setBounds(viewBounds);
+    }
+
+    // Split panes share the content area
+    if (this.split) {
+      const { panes } = this._getSplitLayout();
+      this.split.tabIds.forEach((tabId, i) => {
+        const view = this._getView(tabId);
+        if (view) view.setBounds(panes[i]);
+      });
+    }
+  }
+
+  /**
+   * Area right of the sidebar
+   * @private
+   */
+  _getContentBounds() {
     const sidebarWidth = this.getSidebarWidth();
     const [width, height] = this.mainWindow.getContentSize();
-    const viewBounds = {
+    return {
       x: sidebarWidth,
       y: 0,
       width: width - sidebarWidth,
       height: height
     };
+  }
 
-    // Update all views
-    for (const view of this.webViews.values()) {
-      view.setBounds(viewBounds);
+  /**
+   * Get the WebContentsView (web or terminal) for a tab
+   * @private
+   */
+  _getView(tabId) {
+    return this.webViews.get(tabId) || this.terminalViews.get(tabId) || null;
+  }
+
+  // ==================== Split view ====================
+
+  /**
+   * Pane and divider rectangles for the current split
+   * @private
+   * @returns {{ panes: Object[], divider: Object }}
+   */
+  _getSplitLayout() {
+    const area = this._getContentBounds();
+    const { orientation, ratio } = this.split;
+
+    if (orientation === 'vertical') {
+      const first = Math.round((area.height - SPLIT_DIVIDER_SIZE) * ratio);
+      return {
+        panes: [
+          { x: area.x, y: area.y, width: area.width, height: first },
+          { x: area.x, y: area.y + first + SPLIT_DIVIDER_SIZE, width: area.width, height: area.height - first - SPLIT_DIVIDER_SIZE }
+        ],
+        divider: { x: area.x, y: area.y + first, width: area.width, height: SPLIT_DIVIDER_SIZE }
+      };
+    }
+
+    const first = Math.round((area.width - SPLIT_DIVIDER_SIZE) * ratio);
+    return {
+      panes: [
+        { x: area.x, y: area.y, width: first, height: area.height },
+        { x: area.x + first + SPLIT_DIVIDER_SIZE, y: area.y, width: area.width - first - SPLIT_DIVIDER_SIZE, height: area.height }
+      ],
+      divider: { x: area.x + first, y: area.y, width: SPLIT_DIVIDER_SIZE, height: area.height }
+    };
+  }
+
+  /**
+   * Get the split layout for the sidebar renderer (which draws the divider)
+   * @returns {{ tabIds: string[], focusedTabId: string, orientation: string, ratio: number, area: Object, divider: Object }|null}
+   */
+  getSplitState() {
+    if (!this.split) return null;
+    return {
+      tabIds: [...this.split.tabIds],
+      focusedTabId: this.activeTabId,
+      orientation: this.split.orientation,
+      ratio: this.split.ratio,
+      area: this._getContentBounds(),
+      divider: this._getSplitLayout().divider
+    };
+  }
+
+  /**
+   * Get the tab sharing the split with a tab
+   * @param {string} tabId
+   * @returns {string|null} The other pane's tab ID, or null if not split
+   */
+  getSplitPartner(tabId) {
+    if (!this.split || !this.split.tabIds.includes(tabId)) return null;
+    return this.split.tabIds.find(id => id !== tabId);
+  }
+
+  /**
+   * Show a second tab next to the active one. The new pane gets focus.
+   * @param {string} tabId - Tab to open in the second pane
+   * @param {string} [orientation='horizontal'] - 'horizontal' (side by side) or 'vertical' (stacked)
+   * @returns {boolean} True if the split was opened
+   */
+  openSplit(tabId, orientation = 'horizontal') {
+    if (!this.activeTabId || tabId === this.activeTabId || !this._getView(tabId)) {
+      return false;
+    }
+    if (this.split) {
+      // Replace the unfocused pane
+      const other = this.getSplitPartner(this.activeTabId);
+      this._removeView(other);
+      this.split.tabIds[this.split.tabIds.indexOf(other)] = tabId;
+      this.split.orientation = orientation;
+    } else {
+      this.split = { tabIds: [this.activeTabId, tabId], orientation, ratio: 0.5 };
     }
-    for (const view of this.terminalViews.values()) {
-      view.setBounds(viewBounds);
+
+    this.mainWindow.contentView.addChildView(this._getView(tabId));
+    this.activeTabId = tabId;
+    this.updateViewBounds();
+    this.focusActiveView();
+    this._notifySplitChanged();
+    return true;
+  }
+
+  /**
+   * Leave split view, keeping the focused pane
+   */
+  closeSplit() {
+    if (!this.split) return;
+    const other = this.getSplitPartner(this.activeTabId);
+    this.split = null;
+    this._removeView(other);
+    this.updateViewBounds();
+    this._notifySplitChanged();
+  }
+
+  /**
+   * Set the split orientation
+   * @param {string} orientation - 'horizontal' or 'vertical'
+   */
+  setSplitOrientation(orientation) {
+    if (!this.split || !['horizontal', 'vertical'].includes(orientation)) return;
+    this.split.orientation = orientation;
+    this.updateViewBounds();
+    this._notifySplitChanged();
+  }
+
+  /**
+   * Set the share of the content area given to the first pane
+   * @param {number} ratio - 0..1, clamped to keep both panes usable
+   */
+  setSplitRatio(ratio) {
+    if (!this.split || typeof ratio !== 'number' || Number.isNaN(ratio)) return;
+    this.split.ratio = Math.min(SPLIT_MAX_RATIO, Math.max(SPLIT_MIN_RATIO, ratio));
+    this.updateViewBounds();
+    this._notifySplitChanged();
+  }
+
+  /**
+   * Switch while split: focus a visible pane, or load the tab into the
+   * focused pane
+   * @private
+   */
+  _switchSplitPane(tabId) {
+    const index = this.split.tabIds.indexOf(tabId);
+    if (index === -1) {
+      const focusedIndex = this.split.tabIds.indexOf(this.activeTabId);
+      this._removeView(this.activeTabId);
+      this.split.tabIds[focusedIndex] = tabId;
+    }
+
+    // Re-add both panes in case an overlay (settings, tool page) hid them
+    this.split.tabIds.forEach(id => {
+      const view = this._getView(id);
+      if (view) this.mainWindow.contentView.addChildView(view);
+    });
+    this.activeTabId = tabId;
+    this.updateViewBounds();
+    this.focusActiveView();
+    this._notifySplitChanged();
+
+    if (this.terminalViews.has(tabId)) {
+      this.requestUsageData(tabId);
+    }
+  }
+
+  /**
+   * Keep the active tab in sync with the pane the user clicks into
+   * @private
+   */
+  _trackPaneFocus(view, tabId) {
+    view.webContents.on('focus', () => {
+      if (!this.split || this.activeTabId === tabId || !this.split.tabIds.includes(tabId)) return;
+      this.activeTabId = tabId;
+      this._notifySplitChanged();
+      if (this.onPaneFocused) {
+        this.onPaneFocused(tabId);
+      }
+    });
+  }
+
+  _removeView(tabId) {
+    const view = this._getView(tabId);
+    if (view) {
+      this.mainWindow.contentView.removeChildView(view);
+    }
+  }
+
+  _notifySplitChanged() {
+    if (this.onSplitChanged) {
+      this.onSplitChanged(this.getSplitState());
     }
   }
 
@@ -1368,6 +1872,8 @@ class ViewManager {
    * @param {string} tabId - The tab ID
    */
   destroyView(tabId) {
+    const splitPartner = this.getSplitPartner(tabId);
+
     // End or abort history session
     const sessionId = this.terminalSessions.get(tabId);
     if (sessionId && this.historyManager) {
@@ -1395,7 +1901,7 @@ class ViewManager {
     const terminalView = this.terminalViews.get(tabId);
 
     if (webView) {
-      if (this.activeTabId === tabId) {
+      if (this.activeTabId === tabId || splitPartner) {
         this.mainWindow.contentView.removeChildView(webView);
       }
       this.webViews.delete(tabId);
@@ -1403,7 +1909,7 @@ class ViewManager {
     }
 
     if (terminalView) {
-      if (this.activeTabId === tabId) {
+      if (this.activeTabId === tabId || splitPartner) {
         this.mainWindow.contentView.removeChildView(terminalView);
       }
       this.terminalViews.delete(tabId);
@@ -1414,9 +1920,11 @@ class ViewManager {
     this.terminalReadyState.delete(tabId);
     this.terminalOutputBuffer.delete(tabId);
     this.terminalPromptState.delete(tabId);
+    this.terminalServices.delete(tabId);
     this.awaitingSessionChoice.delete(tabId);
     this._clearStreamingTimeout(tabId);
     this.subagentDepth.delete(tabId);
+    this.tabStatus.delete(tabId);
 
     // Drop any hook session binding pointing at this tab
     this._clearHookSessionBinding(tabId);
@@ -1426,6 +1934,16 @@ class ViewManager {
       this.usageMonitor.stop();
     }
 
+    // Closing a split pane leaves the other pane as the only view
+    if (splitPartner) {
+      this.split = null;
+      if (this.activeTabId === tabId) {
+        this.activeTabId = splitPartner;
+      }
+      this.updateViewBounds();
+      this._notifySplitChanged();
+    }
+
     // Clear active if this was the active tab
     if (this.activeTabId === tabId) {
       this.activeTabId = null;
@@ -1488,6 +2006,11 @@ class ViewManager {
   hideActiveView() {
     if (!this.activeTabId) return;
 
+    if (this.split) {
+      this.split.tabIds.forEach(tabId => this._removeView(tabId));
+      return;
+    }
+
     const webView = this.webViews.get(this.activeTabId);
     const terminalView = this.terminalViews.get(this.activeTabId);
 
@@ -1505,6 +2028,15 @@ class ViewManager {
   showActiveView() {
     if (!this.activeTabId) return;
 
+    if (this.split) {
+      this.split.tabIds.forEach(tabId => {
+        const view = this._getView(tabId);
+        if (view) this.mainWindow.contentView.addChildView(view);
+      });
+      this.updateViewBounds();
+      return;
+    }
+
     const webView = this.webViews.get(this.activeTabId);
     const terminalView = this.terminalViews.get(this.activeTabId);
 
@@ -1558,6 +2090,10 @@ class ViewManager {
     for (const timer of this.streamingTimeouts.values()) {
       clearTimeout(timer);
     }
+    for (const pending of this.pendingDiagnostics.values()) {
+      clearTimeout(pending.timer);
+    }
+    this.pendingDiagnostics.clear();
 
     // Close all webContents before clearing
     for (const view of this.webViews.values()) {
@@ -1575,10 +2111,84 @@ class ViewManager {
     this.terminalPromptState.clear();
     this.streamingTimeouts.clear();
     this.subagentDepth.clear();
+    this.tabStatus.clear();
     this.hookSessionToTab.clear();
     this.hookTabToSession.clear();
   }
 
+  /**
+   * Broadcast a message to all web service views
+   * @param {string} channel - IPC channel name
+   * @param {*} data - Data to send
+   */
+  broadcastToWebViews(channel, data) {
+    for (const view of this.webViews.values()) {
+      try {
+        view.webContents.send(channel, data);
+      } catch (e) {
+        // View may be destroyed
+      }
+    }
+  }
+
+  /**
+   * Send a message to one web service view
+   * @param {string} tabId - The web tab ID
+   * @param {string} channel - IPC channel name
+   * @param {*} data - Data to send
+   * @returns {boolean} True if the view exists (delivery waits for page load)
+   */
+  sendToWebView(tabId, channel, data) {
+    const view = this.webViews.get(tabId);
+    if (!view || view.webContents.isDestroyed()) return false;
+    if (view.webContents.isLoading()) {
+      // Freshly created (or reloading) views miss messages sent before load
+      view.webContents.once('did-finish-load', () => {
+        if (!view.webContents.isDestroyed()) view.webContents.send(channel, data);
+      });
+    } else {
+      view.webContents.send(channel, data);
+    }
+    return true;
+  }
+
+  /**
+   * Ask a web view which selector-pack rules match its current page
+   * @param {string} tabId - The web tab ID
+   * @returns {Promise<Object>} Diagnostics report from webview-preload
+   */
+  requestSelectorDiagnostics(tabId) {
+    const view = this.webViews.get(tabId);
+    if (!view || view.webContents.isDestroyed()) {
+      return Promise.reject(new Error('Web tab is not open'));
+    }
+
+    const requestId = `diag-${++this.diagnosticsRequestSeq}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingDiagnostics.delete(requestId);
+        reject(new Error('Page did not respond (is it still loading?)'));
+      }, 3000);
+      this.pendingDiagnostics.set(requestId, { webContents: view.webContents, resolve, timer });
+      view.webContents.send('selector-diagnostics-request', requestId);
+    });
+  }
+
+  /**
+   * Complete a pending diagnostics request. Replies from any other
+   * webContents than the one asked are ignored.
+   * @param {string} requestId
+   * @param {Object} report
+   * @param {WebContents} sender
+   */
+  resolveSelectorDiagnostics(requestId, report, sender) {
+    const pending = this.pendingDiagnostics.get(requestId);
+    if (!pending || pending.webContents !== sender) return;
+    clearTimeout(pending.timer);
+    this.pendingDiagnostics.delete(requestId);
+    pending.resolve(report);
+  }
+
   /**
    * Broadcast a message to all terminal views
    * @param {string} channel - IPC channel name
@@ -1593,6 +2203,20 @@ class ViewManager {
       }
     }
   }
+
+  /**
+   * Send a message to one terminal view
+   * @param {string} tabId - The terminal tab ID
+   * @param {string} channel - IPC channel name
+   * @param {*} data - Data to send
+   * @returns {boolean} True if the view exists
+   */
+  sendToTerminalView(tabId, channel, data) {
+    const view = this.terminalViews.get(tabId);
+    if (!view || view.webContents.isDestroyed()) return false;
+    view.webContents.send(channel, data);
+    return true;
+  }
 }
 
 module.exports = ViewManager;
@@ -0,0 +1,421 @@
+/**
+ * WorkspaceManager - Named snapshots of the tab layout ("frontend day",
+ * "infra day") persisted in electron-store under `workspaces`.
+ *
+ * A snapshot captures:
+ * - The active tab list from TabManager (service, name, group, order)
+ * - The tab groups those tabs belong to
+ * - The tabData cwd of each terminal tab
+ * - The prompt panel state of each terminal (PromptLibraryManager.getPanelState)
+ *
+ * Restoring creates fresh tabs (new IDs) from the snapshot; main.js then
+ * builds their views through ViewManager.createViewForTab. Snapshots can be
+ * exported/imported as JSON files; cwds under the home directory are written
+ * as `~/...` so they resolve on a teammate's machine.
+ *
+ * Snapshot format (version 1):
+ * {
+ *   version: 1, id: 'ws-uuid', name, createdAt, updatedAt,
+ *   groups: [{ key, name, color, collapsed }],
+ *   tabs: [{ serviceType, name, groupKey, cwd, panelState }],
+ *   activeIndex: number|null
+ * }
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { getServiceType, isValidServiceType } = require('./ServiceRegistry');
+
+const STORE_KEY = 'workspaces';
+const FORMAT_VERSION = 1;
+const MAX_NAME_LENGTH = 60;
+const MAX_TABS = 100;
+const MAX_GROUPS = 30;
+const PANEL_STATE_KEYS = ['visible', 'width', 'activeTab', 'scopeFilter', 'mdOpenFile', 'mdMode'];
+
+class WorkspaceManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - electron-store instance
+   * @param {Object} options.tabManager - TabManager instance
+   * @param {Object} [options.promptLibraryManager] - For prompt panel state
+   * @param {string} [options.homeDir] - Home directory for `~` paths (tests only)
+   */
+  constructor({ store, tabManager, promptLibraryManager, homeDir }) {
+    this.store = store;
+    this.tabManager = tabManager;
+    this.promptLibraryManager = promptLibraryManager || null;
+    this.homeDir = homeDir || os.homedir();
+  }
+
+  /**
+   * Get all snapshots (summaries), newest first
+   * @returns {Object[]} [{ id, name, createdAt, updatedAt, tabCount, services }]
+   */
+  list() {
+    return this._getAll()
+      .map(ws => ({
+        id: ws.id,
+        name: ws.name,
+        createdAt: ws.createdAt,
+        updatedAt: ws.updatedAt,
+        tabCount: ws.tabs.length,
+        services: Array.from(new Set(ws.tabs.map(t => t.serviceType)))
+      }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Get a full snapshot
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    const ws = this._getAll().find(w => w.id === id);
+    return ws ? JSON.parse(JSON.stringify(ws)) : null;
+  }
+
+  _getAll() {
+    const saved = this.store.get(STORE_KEY, []);
+    return Array.isArray(saved) ? saved : [];
+  }
+
+  _setAll(workspaces) {
+    this.store.set(STORE_KEY, workspaces);
+  }
+
+  _validateName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error('Workspace name is required');
+    }
+    if (trimmed.length > MAX_NAME_LENGTH) {
+      throw new Error(`Workspace name must be ${MAX_NAME_LENGTH} characters or less`);
+    }
+    return trimmed;
+  }
+
+  // ==================== Capture ====================
+
+  /**
+   * Snapshot the current layout. Saving under an existing name overwrites
+   * that snapshot.
+   * @param {string} name - Workspace name
+   * @param {string|null} [activeTabId] - Tab to focus on restore
+   * @returns {Object} Summary of the saved snapshot
+   */
+  capture(name, activeTabId = null) {
+    name = this._validateName(name);
+    const tabs = this.tabManager.getOrderedTabs();
+    if (tabs.length === 0) {
+      throw new Error('There are no open tabs to save');
+    }
+
+    const tabData = this.store.get('tabData', {});
+    const usedGroupIds = new Set(tabs.map(t => t.groupId).filter(Boolean));
+    const groups = this.tabManager.getGroups()
+      .filter(g => usedGroupIds.has(g.id))
+      .map((g, index) => ({ key: `g${index}`, id: g.id, name: g.name, color: g.color, collapsed: g.collapsed }));
+    const groupKeys = new Map(groups.map(g => [g.id, g.key]));
+
+    const snapshotTabs = tabs.map(tab => {
+      const service = getServiceType(tab.serviceType);
+      const isTerminal = service && service.type === 'terminal';
+      return {
+        serviceType: tab.serviceType,
+        name: tab.name,
+        groupKey: tab.groupId ? groupKeys.get(tab.groupId) : null,
+        cwd: isTerminal ? (tabData[tab.id] && tabData[tab.id].cwd) || null : null,
+        panelState: isTerminal && this.promptLibraryManager
+          ? this.promptLibraryManager.getPanelState(tab.id)
+          : null
+      };
+    });
+
+    const activeIndex = tabs.findIndex(t => t.id === activeTabId);
+    const all = this._getAll();
+    const existing = all.find(w => w.name.toLowerCase() === name.toLowerCase());
+    const now = Date.now();
+    const snapshot = {
+      version: FORMAT_VERSION,
+      id: existing ? existing.id : `ws-${crypto.randomUUID()}`,
+      name,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      groups: groups.map(({ id, ...rest }) => rest),
+      tabs: snapshotTabs,
+      activeIndex: activeIndex === -1 ? null : activeIndex
+    };
+
+    this._setAll(existing
+      ? all.map(w => (w.id === existing.id ? snapshot : w))
+      : [...all, snapshot]);
+    return this.list().find(w => w.id === snapshot.id);
+  }
+
+  /**
+   * Rename a snapshot
+   * @param {string} id
+   * @param {string} name
+   * @returns {boolean} True if renamed
+   */
+  rename(id, name) {
+    name = this._validateName(name);
+    const all = this._getAll();
+    const ws = all.find(w => w.id === id);
+    if (!ws) return false;
+    if (all.some(w => w.id !== id && w.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`A workspace named "${name}" already exists`);
+    }
+    ws.name = name;
+    ws.updatedAt = Date.now();
+    this._setAll(all);
+    return true;
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} id
+   * @returns {boolean} True if deleted
+   */
+  delete(id) {
+    const all = this._getAll();
+    const remaining = all.filter(w => w.id !== id);
+    if (remaining.length === all.length) return false;
+    this._setAll(remaining);
+    return true;
+  }
+
+  // ==================== Restore ====================
+
+  /**
+   * Which of a snapshot's tabs can be restored on this machine
+   * @param {string} id - Snapshot ID
+   * @returns {{ snapshot: Object, restorable: Object[], skipped: Object[] }} The snapshot, its restorable
+   *   tab entries, and { name, reason } for the rest
+   * @throws {Error} If the snapshot doesn't exist or none of its tabs can be restored
+   */
+  getRestorable(id) {
+    const snapshot = this.get(id);
+    if (!snapshot) {
+      throw new Error('Workspace not found');
+    }
+
+    const skipped = [];
+    const restorable = snapshot.tabs.filter(tab => {
+      if (!isValidServiceType(tab.serviceType)) {
+        skipped.push({ name: tab.name, reason: `Unknown service "${tab.serviceType}"` });
+        return false;
+      }
+      const service = getServiceType(tab.serviceType);
+      if (service.type === 'terminal') {
+        const cwd = this._expandHome(tab.cwd);
+        if (!cwd || !this._isDirectory(cwd)) {
+          skipped.push({ name: tab.name, reason: `Folder not found: ${tab.cwd || '(none)'}` });
+          return false;
+        }
+      }
+      return true;
+    });
+    if (restorable.length === 0) {
+      throw new Error('None of the tabs in this workspace can be restored on this machine');
+    }
+    return { snapshot, restorable, skipped };
+  }
+
+  /**
+   * Recreate a snapshot's tabs. Views are not created here.
+   * @param {string} id - Snapshot ID
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=true] - Archive the current tabs first (in
+   *   TabManager only; main.js archives them itself so their terminals and
+   *   worktrees are dealt with, and passes false)
+   * @returns {{ tabs: Object[], archivedTabIds: string[], skipped: Object[], activeTabId: string|null }}
+   * @throws {Error} If the snapshot doesn't exist
+   */
+  restore(id, { replace = true } = {}) {
+    // Check everything before touching the current layout
+    const { snapshot, restorable, skipped } = this.getRestorable(id);
+
+    const archivedTabIds = [];
+    if (replace) {
+      this.tabManager.getOrderedTabs().forEach(tab => {
+        if (this.tabManager.archiveTab(tab.id)) archivedTabIds.push(tab.id);
+      });
+    }
+
+    const groupIds = new Map();
+    snapshot.groups.forEach(group => {
+      const created = this.tabManager.createGroup({ name: group.name, color: group.color });
+      if (group.collapsed) this.tabManager.updateGroup(created.id, { collapsed: true });
+      groupIds.set(group.key, created.id);
+    });
+
+    const tabData = this.store.get('tabData', {});
+    const created = [];
+    let activeTabId = null;
+    snapshot.tabs.forEach((entry, index) => {
+      if (!restorable.includes(entry)) return;
+      const tab = this.tabManager.createTab(entry.serviceType, entry.name);
+      if (entry.groupKey && groupIds.has(entry.groupKey)) {
+        this.tabManager.moveTabToGroup(tab.id, groupIds.get(entry.groupKey));
+      }
+      if (getServiceType(entry.serviceType).type === 'terminal') {
+        tabData[tab.id] = { cwd: this._expandHome(entry.cwd) };
+        if (entry.panelState && this.promptLibraryManager) {
+          this.promptLibraryManager.setPanelState(tab.id, entry.panelState);
+        }
+      }
+      if (index === snapshot.activeIndex) activeTabId = tab.id;
+      created.push(tab);
+    });
+    this.store.set('tabData', tabData);
+
+    return {
+      tabs: created,
+      archivedTabIds,
+      skipped,
+      activeTabId: activeTabId || created[0].id
+    };
+  }
+
+  _isDirectory(dir) {
+    try {
+      return fs.statSync(dir).isDirectory();
+    } catch {
+      return false;
+    }
+  }
+
+  _expandHome(p) {
+    if (typeof p !== 'string' || !p) return null;
+    if (p === '~') return this.homeDir;
+    if (p.startsWith('~/')) return path.join(this.homeDir, p.slice(2));
+    return p;
+  }
+
+  _collapseHome(p) {
+    if (typeof p !== 'string' || !p) return p;
+    if (p === this.homeDir) return '~';
+    if (p.startsWith(this.homeDir + path.sep)) {
+      return '~/' + p.slice(this.homeDir.length + 1).split(path.sep).join('/');
+    }
+    return p;
+  }
+
+  // ==================== Export / import ====================
+
+  /**
+   * Serialize a snapshot for sharing
+   * @param {string} id
+   * @returns {string} JSON text
+   * @throws {Error} If the snapshot doesn't exist
+   */
+  exportJSON(id) {
+    const snapshot = this.get(id);
+    if (!snapshot) {
+      throw new Error('Workspace not found');
+    }
+    const { id: _id, ...shared } = snapshot;
+    shared.tabs = shared.tabs.map(tab => ({ ...tab, cwd: this._collapseHome(tab.cwd) }));
+    return JSON.stringify(shared, null, 2);
+  }
+
+  /**
+   * Import a snapshot from JSON text. The name gets a numeric suffix if it
+   * collides with an existing workspace.
+   * @param {string} text - Exported JSON
+   * @returns {Object} Summary of the imported snapshot
+   * @throws {Error} On invalid content
+   */
+  importJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('Workspace file is not valid JSON');
+    }
+    const snapshot = this._validateSnapshot(data);
+
+    const all = this._getAll();
+    const taken = new Set(all.map(w => w.name.toLowerCase()));
+    let name = snapshot.name;
+    for (let n = 2; taken.has(name.toLowerCase()); n++) {
+      name = `${snapshot.name.slice(0, MAX_NAME_LENGTH - 4)} (${n})`;
+    }
+
+    const now = Date.now();
+    const imported = { ...snapshot, id: `ws-${crypto.randomUUID()}`, name, createdAt: now, updatedAt: now };
+    this._setAll([...all, imported]);
+    return this.list().find(w => w.id === imported.id);
+  }
+
+  /**
+   * Validate and normalize an imported snapshot
+   * @private
+   */
+  _validateSnapshot(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Workspace file must contain a JSON object');
+    }
+    if (data.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported workspace version ${data.version}`);
+    }
+    const name = this._validateName(data.name);
+
+    if (!Array.isArray(data.groups) || data.groups.length > MAX_GROUPS) {
+      throw new Error(`groups must be an array of at most ${MAX_GROUPS}`);
+    }
+    const groups = data.groups.map((g, i) => {
+      if (!g || typeof g.key !== 'string' || typeof g.name !== 'string') {
+        throw new Error(`groups[${i}] needs a key and a name`);
+      }
+      return {
+        key: g.key,
+        name: g.name.trim().slice(0, 40) || 'Group',
+        color: /^#[0-9a-fA-F]{6}$/.test(g.color) ? g.color : undefined,
+        collapsed: !!g.collapsed
+      };
+    });
+    const groupKeys = new Set(groups.map(g => g.key));
+
+    if (!Array.isArray(data.tabs) || data.tabs.length === 0 || data.tabs.length > MAX_TABS) {
+      throw new Error(`tabs must be an array of 1 to ${MAX_TABS} entries`);
+    }
+    const tabs = data.tabs.map((t, i) => {
+      if (!t || typeof t.serviceType !== 'string' || !/^[a-z0-9-]{1,64}$/.test(t.serviceType)) {
+        throw new Error(`tabs[${i}].serviceType is invalid`);
+      }
+      if (typeof t.name !== 'string' || !t.name.trim() || t.name.length > 100) {
+        throw new Error(`tabs[${i}].name is invalid`);
+      }
+      if (t.cwd !== null && t.cwd !== undefined && typeof t.cwd !== 'string') {
+        throw new Error(`tabs[${i}].cwd must be a string`);
+      }
+      let panelState = null;
+      if (t.panelState && typeof t.panelState === 'object') {
+        panelState = {};
+        PANEL_STATE_KEYS.forEach(key => {
+          if (t.panelState[key] !== undefined) panelState[key] = t.panelState[key];
+        });
+      }
+      return {
+        serviceType: t.serviceType,
+        name: t.name.trim(),
+        groupKey: groupKeys.has(t.groupKey) ? t.groupKey : null,
+        cwd: t.cwd || null,
+        panelState
+      };
+    });
+
+    const activeIndex = Number.isInteger(data.activeIndex) && data.activeIndex >= 0 && data.activeIndex < tabs.length
+      ? data.activeIndex
+      : null;
+
+    return { version: FORMAT_VERSION, name, groups, tabs, activeIndex };
+  }
+}
+
+module.exports = WorkspaceManager;
@@ -0,0 +1,234 @@
+/**
+ * WorktreeManager - One git worktree per terminal tab
+ *
+ * Several agent tabs on the same repo would otherwise edit one working tree.
+ * A tab can instead get its own worktree on a new (or existing) branch:
+ *
+ * - Worktrees live next to the repo in `<repo>.worktrees/<branch>`, outside
+ *   the repo itself, so a tab rooted at the main checkout never looks like
+ *   the parent of a worktree tab (see ViewManager._findTabIdsForCwd)
+ * - The app tracks them in tabData as
+ *   `worktree: { path, branch, repoRoot, baseBranch }`
+ * - When the tab is closed or archived the worktree can be kept, removed,
+ *   or merged back into the base branch and removed
+ *
+ * All git calls go through `git` on PATH with execFile (no shell).
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const GIT_TIMEOUT_MS = 30 * 1000;
+
+class WorktreeManager {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.gitPath='git'] - git executable
+   */
+  constructor({ gitPath = 'git' } = {}) {
+    this.gitPath = gitPath;
+  }
+
+  /**
+   * Run git and resolve with trimmed stdout
+   * @private
+   */
+  _git(cwd, args) {
+    return new Promise((resolve, reject) => {
+      execFile(this.gitPath, args, { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (error) {
+          const message = (stderr || '').trim() || error.message;
+          reject(new Error(message.replace(/^(fatal|error): /, '')));
+          return;
+        }
+        resolve(stdout.trim());
+      });
+    });
+  }
+
+  /**
+   * Describe the repository containing a folder
+   * @param {string} dir - Any folder inside the repo
+   * @returns {Promise<{ root: string, branch: string|null }|null>} Null if not a git repo
+   */
+  async getRepoInfo(dir) {
+    try {
+      const root = await this._git(dir, ['rev-parse', '--show-toplevel']);
+      let branch = null;
+      try {
+        branch = await this._git(dir, ['symbolic-ref', '--quiet', '--short', 'HEAD']);
+      } catch (err) {
+        // Detached HEAD
+      }
+      return { root: fs.realpathSync(root), branch };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Folder a branch's worktree is created in
+   * @param {string} repoRoot - Main checkout
+   * @param {string} branch
+   * @returns {string}
+   */
+  getWorktreePath(repoRoot, branch) {
+    const slug = branch.replace(/[^\w.-]+/g, '-').replace(/^[.-]+/, '') || 'worktree';
+    return path.join(path.dirname(repoRoot), `${path.basename(repoRoot)}.worktrees`, slug);
+  }
+
+  /**
+   * Create a worktree for a branch, creating the branch from HEAD if needed
+   * @param {string} dir - Folder inside the repo
+   * @param {string} branch - Branch name
+   * @returns {Promise<Object>} { path, branch, repoRoot, baseBranch }
+   * @throws {Error} If the folder isn't a repo, the name is invalid or git fails
+   */
+  async create(dir, branch) {
+    const name = typeof branch === 'string' ? branch.trim() : '';
+    if (!name) {
+      throw new Error('Branch name is required');
+    }
+
+    const info = await this.getRepoInfo(dir);
+    if (!info) {
+      throw new Error('Folder is not inside a git repository');
+    }
+
+    try {
+      await this._git(info.root, ['check-ref-format', '--branch', name]);
+    } catch (err) {
+      throw new Error(`"${name}" is not a valid branch name`);
+    }
+
+    const target = this.getWorktreePath(info.root, name);
+    if (fs.existsSync(target)) {
+      throw new Error(`${target} already exists`);
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+
+    const exists = await this._branchExists(info.root, name);
+    const args = exists
+      ? ['worktree', 'add', target, name]
+      : ['worktree', 'add', '-b', name, target, 'HEAD'];
+    await this._git(info.root, args);
+
+    return {
+      path: fs.realpathSync(target),
+      branch: name,
+      repoRoot: info.root,
+      baseBranch: info.branch
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _branchExists(repoRoot, branch) {
+    try {
+      await this._git(repoRoot, ['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Uncommitted changes and commits not yet on the base branch
+   * @param {Object} worktree - tabData worktree record
+   * @returns {Promise<{ exists: boolean, dirty: boolean, ahead: number }>}
+   */
+  async getStatus(worktree) {
+    if (!fs.existsSync(worktree.path)) {
+      return { exists: false, dirty: false, ahead: 0 };
+    }
+    const status = await this._git(worktree.path, ['status', '--porcelain']);
+    let ahead = 0;
+    if (worktree.baseBranch) {
+      try {
+        const count = await this._git(worktree.repoRoot, ['rev-list', '--count', `${worktree.baseBranch}..${worktree.branch}`]);
+        ahead = parseInt(count, 10) || 0;
+      } catch (err) {
+        // Base branch deleted or renamed since the worktree was created
+      }
+    }
+    return { exists: true, dirty: status.length > 0, ahead };
+  }
+
+  /**
+   * Remove a worktree and optionally its branch
+   * @param {Object} worktree - tabData worktree record
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Discard uncommitted changes
+   * @param {boolean} [options.deleteBranch=false] - Also delete the branch
+   *   (only if merged, unless force is set)
+   * @returns {Promise<void>}
+   */
+  async remove(worktree, { force = false, deleteBranch = false } = {}) {
+    if (fs.existsSync(worktree.path)) {
+      const args = ['worktree', 'remove'];
+      if (force) args.push('--force');
+      args.push(worktree.path);
+      await this._git(worktree.repoRoot, args);
+    } else {
+      await this._git(worktree.repoRoot, ['worktree', 'prune']);
+    }
+
+    if (deleteBranch) {
+      await this._git(worktree.repoRoot, ['branch', force ? '-D' : '-d', worktree.branch]);
+    }
+  }
+
+  /**
+   * Check that merge() can go ahead: both checkouts clean and the main
+   * checkout on the base branch
+   * @param {Object} worktree - tabData worktree record
+   * @returns {Promise<Object>} The worktree's status (see getStatus)
+   * @throws {Error} If the merge can't be started
+   */
+  async checkMergeable(worktree) {
+    if (!worktree.baseBranch) {
+      throw new Error('The worktree has no base branch to merge into');
+    }
+
+    const status = await this.getStatus(worktree);
+    if (status.exists && status.dirty) {
+      throw new Error(`${worktree.branch} has uncommitted changes. Commit or discard them before merging.`);
+    }
+
+    const info = await this.getRepoInfo(worktree.repoRoot);
+    if (!info || info.branch !== worktree.baseBranch) {
+      throw new Error(`The main checkout is not on ${worktree.baseBranch}`);
+    }
+    const mainStatus = await this._git(worktree.repoRoot, ['status', '--porcelain', '--untracked-files=no']);
+    if (mainStatus) {
+      throw new Error('The main checkout has uncommitted changes');
+    }
+    return status;
+  }
+
+  /**
+   * Merge the worktree's branch into its base branch in the main checkout,
+   * then remove the worktree and the branch. Nothing changes on failure.
+   * @param {Object} worktree - tabData worktree record
+   * @returns {Promise<{ commits: number }>} Commits merged
+   * @throws {Error} If either checkout isn't clean or the merge conflicts
+   */
+  async merge(worktree) {
+    const status = await this.checkMergeable(worktree);
+    if (status.ahead > 0) {
+      try {
+        await this._git(worktree.repoRoot, ['merge', '--no-ff', '--no-edit', worktree.branch]);
+      } catch (err) {
+        await this._git(worktree.repoRoot, ['merge', '--abort']).catch(() => {});
+        throw new Error(`Merging ${worktree.branch} into ${worktree.baseBranch} failed: ${err.message}`);
+      }
+    }
+
+    await this.remove(worktree, { deleteBranch: true });
+    return { commits: status.ahead };
+  }
+}
+
+module.exports = WorktreeManager;
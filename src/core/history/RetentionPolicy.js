@@ -8,6 +8,11 @@
  * - Executing cleanup atomically
  */
 
+// Disk used by a session: its output plus its tool timeline
+function sessionBytes(session) {
+  return (session.compressedSize || session.fileSize || 0) + (session.timelineSize || 0);
+}
+
 class RetentionPolicy {
   /**
    * @param {Object} settings - Retention settings
@@ -82,7 +87,7 @@ class RetentionPolicy {
     }
 
     // Calculate current size of sessions to keep
-    let totalSize = toKeep.reduce((sum, s) => sum + (s.compressedSize || s.fileSize || 0), 0);
+    let totalSize = toKeep.reduce((sum, s) => sum + sessionBytes(s), 0);
 
     // Second pass: if still over size limit, delete oldest from toKeep
     if (totalSize > maxSizeBytes) {
@@ -93,7 +98,7 @@ class RetentionPolicy {
 
       while (toKeep.length > 0 && totalSize > maxSizeBytes) {
         const session = toKeep.shift();
-        const sessionSize = session.compressedSize || session.fileSize || 0;
+        const sessionSize = sessionBytes(session);
         totalSize -= sessionSize;
         toDelete.push({ ...session, reason: 'size' });
       }
@@ -101,7 +106,7 @@ class RetentionPolicy {
 
     // Calculate reclaimed space
     const reclaimedBytes = toDelete.reduce(
-      (sum, s) => sum + (s.compressedSize || s.fileSize || 0),
+      (sum, s) => sum + sessionBytes(s),
       0
     );
 
@@ -133,7 +138,7 @@ class RetentionPolicy {
           await storageEngine.deleteSession(session.filePath);
         }
         results.deletedCount++;
-        results.reclaimedBytes += session.compressedSize || session.fileSize || 0;
+        results.reclaimedBytes += sessionBytes(session);
       } catch (err) {
         results.errors.push({
           sessionId: session.id,
@@ -164,7 +169,7 @@ class RetentionPolicy {
    */
   getStorageStats(sessions) {
     const totalBytes = sessions.reduce(
-      (sum, s) => sum + (s.compressedSize || s.fileSize || 0),
+      (sum, s) => sum + sessionBytes(s),
       0
     );
     const maxBytes = this.maxSizeMB * 1024 * 1024;
@@ -5,6 +5,8 @@
  * - Path generation with cwd hashing
  * - Atomic file writes (temp file → rename)
  * - Gzip decompression for reading
+ * - Tool timeline sidecar files (<timestamp>.timeline.json), deleted and
+ *   counted together with their session file
  * - Directory management and cleanup
  */
 
@@ -118,18 +120,57 @@ class StorageEngine {
   }
 
   /**
-   * Delete a session file
+   * Get the path of a session's tool timeline
+   * @param {string} sessionPath - Path to .gz file
+   * @returns {string} Path to the .timeline.json next to it
+   */
+  getTimelinePath(sessionPath) {
+    return sessionPath.replace(/\.gz$/, '') + '.timeline.json';
+  }
+
+  /**
+   * Write a session's tool timeline next to its output
+   * @param {string} sessionPath - Path to .gz file
+   * @param {Array<Object>} entries - Timeline entries
+   * @returns {Promise<number>} File size in bytes
+   */
+  async writeTimeline(sessionPath, entries) {
+    const timelinePath = this.getTimelinePath(sessionPath);
+    const tempPath = `${timelinePath}.tmp`;
+    const content = JSON.stringify(entries);
+    await fs.promises.mkdir(path.dirname(timelinePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, content, 'utf-8');
+    await fs.promises.rename(tempPath, timelinePath);
+    return Buffer.byteLength(content);
+  }
+
+  /**
+   * Read a session's tool timeline
+   * @param {string} sessionPath - Path to .gz file
+   * @returns {Promise<Array<Object>>} Empty if the session has none
+   */
+  async readTimeline(sessionPath) {
+    try {
+      const entries = JSON.parse(await fs.promises.readFile(this.getTimelinePath(sessionPath), 'utf-8'));
+      return Array.isArray(entries) ? entries : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Delete a session file (and its timeline)
    * @param {string} sessionPath - Path to .gz file
    * @returns {Promise<void>}
    */
   async deleteSession(sessionPath) {
+    await fs.promises.rm(this.getTimelinePath(sessionPath), { force: true });
     if (fs.existsSync(sessionPath)) {
       await fs.promises.unlink(sessionPath);
-
-      // Clean up empty parent directory
-      const dir = path.dirname(sessionPath);
-      await this._pruneEmptyDir(dir);
     }
+
+    // Clean up empty parent directory
+    await this._pruneEmptyDir(path.dirname(sessionPath));
   }
 
   /**
@@ -147,7 +188,8 @@ class StorageEngine {
   }
 
   /**
-   * List all session files with metadata
+   * List all session files with metadata. size includes the session's
+   * timeline; timelines whose session file is gone are listed on their own.
    * @returns {Promise<Array<{path: string, size: number, mtime: number}>>}
    */
   async listSessionFiles() {
@@ -168,14 +210,22 @@ class StorageEngine {
       const sessionFiles = await fs.promises.readdir(cwdDir);
 
       for (const file of sessionFiles) {
-        if (!file.endsWith('.gz')) continue;
-
         const filePath = path.join(cwdDir, file);
+        if (file.endsWith('.timeline.json')) {
+          if (sessionFiles.includes(file.replace(/\.timeline\.json$/, '.gz'))) continue;
+        } else if (!file.endsWith('.gz')) {
+          continue;
+        }
+
         const fileStat = await fs.promises.stat(filePath);
+        let size = fileStat.size;
+        if (file.endsWith('.gz')) {
+          size += await this._fileSize(this.getTimelinePath(filePath));
+        }
 
         files.push({
           path: filePath,
-          size: fileStat.size,
+          size,
           mtime: fileStat.mtimeMs
         });
       }
@@ -184,6 +234,32 @@ class StorageEngine {
     return files;
   }
 
+  /**
+   * Delete timelines whose session file is gone (a session that failed to
+   * save, or deleted by hand)
+   * @returns {Promise<number>} How many were deleted
+   */
+  async removeOrphanedTimelines() {
+    let removed = 0;
+    for (const file of await this.listSessionFiles()) {
+      if (!file.path.endsWith('.timeline.json')) continue;
+      await fs.promises.rm(file.path, { force: true });
+      removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * @private
+   */
+  async _fileSize(filePath) {
+    try {
+      return (await fs.promises.stat(filePath)).size;
+    } catch {
+      return 0;
+    }
+  }
+
   /**
    * Remove empty directories in history folder
    * @private
@@ -0,0 +1,77 @@
+/**
+ * lineDiff
+ *
+ * Line-level text diff for prompt revisions. Prompts are short, so a plain
+ * longest-common-subsequence table is enough; the common head and tail are
+ * trimmed first and very large inputs fall back to "all removed, all added".
+ */
+
+// Cells in the LCS table before giving up on a line-by-line diff
+const MAX_TABLE_SIZE = 4000000;
+
+/**
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{ type: 'same'|'add'|'del', text: string }>}
+ */
+function diffLines(oldText, newText) {
+  // Empty text has no lines, so a first revision diffs as all additions
+  const a = oldText ? String(oldText).split('\n') : [];
+  const b = newText ? String(newText).split('\n') : [];
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(text => ({ type: 'same', text }));
+  const tail = a.slice(endA).map(text => ({ type: 'same', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_TABLE_SIZE) {
+    return [
+      ...head,
+      ...midA.map(text => ({ type: 'del', text })),
+      ...midB.map(text => ({ type: 'add', text })),
+      ...tail
+    ];
+  }
+
+  // lengths[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+  const lengths = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * (m + 1) + j] = midA[i] === midB[j]
+        ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) {
+      middle.push({ type: 'same', text: midA[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+      middle.push({ type: 'del', text: midA[i++] });
+    } else {
+      middle.push({ type: 'add', text: midB[j++] });
+    }
+  }
+  while (i < n) middle.push({ type: 'del', text: midA[i++] });
+  while (j < m) middle.push({ type: 'add', text: midB[j++] });
+
+  return [...head, ...middle, ...tail];
+}
+
+module.exports = { diffLines };
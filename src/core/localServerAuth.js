@@ -0,0 +1,35 @@
+/**
+ * localServerAuth
+ *
+ * Per-launch bearer tokens for the app's localhost HTTP servers (hooks and
+ * MCP). Binding to 127.0.0.1 keeps other machines out but not other local
+ * processes or web pages, so each server makes a random token at startup,
+ * writes it into the config Claude Code reads (the hook curl command, the
+ * ~/.claude.json MCP entry) and rejects requests that don't send it.
+ */
+const crypto = require('crypto');
+
+/**
+ * @returns {string} 64 hex chars
+ */
+function createToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Whether a request carries `Authorization: Bearer <token>`
+ * @param {http.IncomingMessage} req
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isAuthorized(req, token) {
+  const header = req.headers && req.headers.authorization;
+  if (!token || typeof header !== 'string') return false;
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) return false;
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = { createToken, isAuthorized };
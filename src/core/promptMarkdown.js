@@ -0,0 +1,110 @@
+/**
+ * promptMarkdown
+ *
+ * Prompts as Markdown documents: a frontmatter block of `key: value` lines
+ * between `---` lines, then the prompt text as the body.
+ *
+ *   ---
+ *   id: "prompt-1234"
+ *   title: "Add tests"
+ *   labels: ["qa"]
+ *   ---
+ *   Write tests for the parser.
+ *
+ * Values are written as JSON, which YAML reads the same way, so strings with
+ * newlines or quotes round-trip. When reading, a value that isn't valid JSON
+ * (e.g. `title: Add tests` typed by hand) is taken as a plain string.
+ */
+
+const DELIMITER = '---';
+const KEY_PATTERN = /^([A-Za-z_][\w-]*):\s?(.*)$/;
+
+/**
+ * @param {Object} fields - Values that are undefined are left out
+ * @param {string} body
+ * @returns {string}
+ */
+function formatDocument(fields, body) {
+  const lines = [DELIMITER];
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    lines.push(`${key}: ${JSON.stringify(value)}`);
+  }
+  lines.push(DELIMITER);
+  return `${lines.join('\n')}\n${body || ''}\n`;
+}
+
+/**
+ * @private
+ */
+function parseValue(raw) {
+  const text = raw.trim();
+  if (!text) return '';
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text.replace(/^'(.*)'$/, '$1');
+  }
+}
+
+/**
+ * Split text into documents. A document starts at a `---` line followed by
+ * a `firstKey:` line, so `---` rules inside a body stay part of the body.
+ * @param {string} text
+ * @param {string} [firstKey='id'] - The key every document's frontmatter starts with
+ * @returns {Array<{ fields: Object, body: string }>}
+ * @throws {Error} If a frontmatter block is never closed
+ */
+function parseDocuments(text, firstKey = 'id') {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const startsDocument = (i) => lines[i] === DELIMITER && (lines[i + 1] || '').startsWith(`${firstKey}:`);
+
+  const documents = [];
+  let i = 0;
+  while (i < lines.length && !startsDocument(i)) i++;
+  while (i < lines.length) {
+    const fields = {};
+    let end = i + 1;
+    for (; end < lines.length && lines[end] !== DELIMITER; end++) {
+      const match = lines[end].match(KEY_PATTERN);
+      if (match) fields[match[1]] = parseValue(match[2]);
+    }
+    if (end >= lines.length) {
+      throw new Error(`Frontmatter starting on line ${i + 1} is never closed`);
+    }
+    let next = end + 1;
+    while (next < lines.length && !startsDocument(next)) next++;
+    documents.push({ fields, body: lines.slice(end + 1, next).join('\n').trim() });
+    i = next;
+  }
+  return documents;
+}
+
+/**
+ * Parse a single document, e.g. one prompt file
+ * @param {string} text
+ * @returns {{ fields: Object, body: string }}
+ * @throws {Error} If the text has no frontmatter
+ */
+function parseDocument(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  if (lines[0] !== DELIMITER) {
+    throw new Error('Missing frontmatter');
+  }
+  const end = lines.indexOf(DELIMITER, 1);
+  if (end === -1) {
+    throw new Error('Frontmatter starting on line 1 is never closed');
+  }
+  const fields = {};
+  for (const line of lines.slice(1, end)) {
+    const match = line.match(KEY_PATTERN);
+    if (match) fields[match[1]] = parseValue(match[2]);
+  }
+  return { fields, body: lines.slice(end + 1).join('\n').trim() };
+}
+
+module.exports = {
+  formatDocument,
+  parseDocument,
+  parseDocuments
+};
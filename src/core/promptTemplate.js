@@ -0,0 +1,90 @@
+/**
+ * promptTemplate
+ *
+ * Template variables in prompt text: `{{name}}`. Names start with a letter or
+ * underscore and may contain letters, digits, `_` and `-`. Text that isn't a
+ * valid variable (e.g. `{{ }}` or `{{a b}}`) is left alone.
+ *
+ * Built-in variables are filled in by the app when a prompt is sent; any
+ * other name is user-defined and may have a default, stored on the prompt as
+ * `variables: [{ name, defaultValue }]`.
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+const NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+const BUILTIN_VARIABLES = {
+  file: 'Most recently changed file in the working tree',
+  branch: 'Current git branch',
+  selection: 'Text selected in the terminal',
+  clipboard: 'Clipboard text'
+};
+
+const MAX_VARIABLES = 20;
+const MAX_DEFAULT_LENGTH = 500;
+
+/**
+ * Variable names in order of first use
+ * @param {string} text
+ * @returns {string[]}
+ */
+function extractVariables(text) {
+  const names = [];
+  for (const match of String(text || '').matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Replace variables with values; variables without a value are kept as-is
+ * @param {string} text
+ * @param {Object<string, string>} values
+ * @returns {string}
+ */
+function fillTemplate(text, values) {
+  return String(text || '').replace(VARIABLE_PATTERN, (match, name) => {
+    const value = values && values[name];
+    return value === undefined || value === null ? match : String(value);
+  });
+}
+
+/**
+ * Validate and clean a prompt's user-defined variable list
+ * @param {Array<{ name: string, defaultValue?: string }>} [variables]
+ * @returns {Array<{ name: string, defaultValue: string }>} Deduped by name,
+ *   built-ins dropped
+ * @throws {Error} If the list or an entry is invalid
+ */
+function normalizeVariables(variables) {
+  if (variables === undefined || variables === null) return [];
+  if (!Array.isArray(variables)) {
+    throw new Error('Variables must be an array');
+  }
+  const result = [];
+  for (const variable of variables) {
+    const name = variable && typeof variable.name === 'string' ? variable.name.trim() : '';
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid variable name: ${name || '(empty)'}`);
+    }
+    const defaultValue = variable.defaultValue === undefined || variable.defaultValue === null
+      ? ''
+      : variable.defaultValue;
+    if (typeof defaultValue !== 'string' || defaultValue.length > MAX_DEFAULT_LENGTH) {
+      throw new Error(`Default for ${name} must be ${MAX_DEFAULT_LENGTH} characters or less`);
+    }
+    if (BUILTIN_VARIABLES[name] || result.some(v => v.name === name)) continue;
+    result.push({ name, defaultValue });
+  }
+  if (result.length > MAX_VARIABLES) {
+    throw new Error(`Maximum of ${MAX_VARIABLES} variables per prompt`);
+  }
+  return result;
+}
+
+module.exports = {
+  BUILTIN_VARIABLES,
+  extractVariables,
+  fillTemplate,
+  normalizeVariables
+};
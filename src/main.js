@@ -1,4 +1,4 @@
-const { app, BrowserWindow, WebContentsView, ipcMain, globalShortcut, Notification, Menu, dialog, session, shell } = require('electron');
+const { app, BrowserWindow, WebContentsView, ipcMain, globalShortcut, Notification, Menu, dialog, session, shell, clipboard } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
@@ -9,20 +9,33 @@ process.stdout?.on('error', (err) => { if (err.code !== 'EPIPE') throw err; });
 process.stderr?.on('error', (err) => { if (err.code !== 'EPIPE') throw err; });
 
 // Import core modules
-const { SERVICE_TYPES, getServiceType, isValidServiceType, isTerminalAvailable } = require('./core/ServiceRegistry');
+const { getServiceType, getAllServiceTypes, getWebServiceTypes, isValidServiceType, isTerminalAvailable } = require('./core/ServiceRegistry');
+const CustomServicesManager = require('./core/CustomServicesManager');
+const SelectorPackManager = require('./core/SelectorPackManager');
+const BroadcastManager = require('./core/BroadcastManager');
+const AutoRunManager = require('./core/AutoRunManager');
+const ConversationArchive = require('./core/ConversationArchive');
+const WorkspaceManager = require('./core/WorkspaceManager');
+const WorktreeManager = require('./core/WorktreeManager');
+const ChangesManager = require('./core/ChangesManager');
+const CheckpointManager = require('./core/CheckpointManager');
+const CommandRegistry = require('./core/CommandRegistry');
 const TabManager = require('./core/TabManager');
 const ViewManager = require('./core/ViewManager');
 const DownloadManager = require('./core/DownloadManager');
 const HistoryManager = require('./core/HistoryManager');
 const PromptLibraryManager = require('./core/PromptLibraryManager');
 const PromptImageManager = require('./core/PromptImageManager');
+const PromptBundleManager = require('./core/PromptBundleManager');
 const TerminalThemes = require('./core/TerminalThemes');
 const HooksManager = require('./core/HooksManager');
+const PermissionRulesManager = require('./core/PermissionRulesManager');
 const McpPromptServer = require('./core/McpPromptServer');
 const FirebaseSyncAdapter = require('./core/FirebaseSyncAdapter');
 const SecretsManager = require('./core/SecretsManager');
 const MarkdownFilesManager = require('./core/MarkdownFilesManager');
 const { memoryDirForCwd } = require('./core/claudeMemoryPath');
+const { BUILTIN_VARIABLES, extractVariables, fillTemplate, normalizeVariables } = require('./core/promptTemplate');
 
 // Firebase configuration (hardcoded for prompt-library-pwa project)
 const FIREBASE_CONFIG = {
@@ -69,6 +82,10 @@ const store = new Store({
       soundAttention: 'crossai-pulse' // sound for needs attention (permission, idle, question)
     },
     tabs: [], // Persisted tabs (new format)
+    tabGroups: [], // Named, collapsible tab groups (see TabManager)
+    customServices: [], // User-defined web services (see CustomServicesManager)
+    conversationArchive: { enabled: true }, // Local copy of web exchanges (see ConversationArchive)
+    workspaces: [], // Named layout snapshots (see WorkspaceManager)
     tabData: {}, // Additional tab data (cwd for terminals)
     downloads: {
       items: [],
@@ -84,25 +101,49 @@ const store = new Store({
 });
 
 const SIDEBAR_WIDTH = 280; // Always expanded
+const GROUP_COLOR_NAMES = ['Indigo', 'Green', 'Amber', 'Red', 'Cyan', 'Pink', 'Purple', 'Slate']; // Matches TabManager.GROUP_COLORS
 
 let mainWindow = null;
 let tabManager = null;
+let customServicesManager = null;
+let selectorPackManager = null;
+let broadcastManager = null;
+let autoRunManager = null;
+let conversationArchive = null;
+let workspaceManager = null;
+let worktreeManager = null;
+let changesManager = null;
+let checkpointManager = null;
+let commandRegistry = null;
 let viewManager = null;
 let downloadManager = null;
 let historyManager = null;
 let hooksManager = null;
+let permissionRulesManager = null;
+// Permission requests shown in a terminal tab: requestId -> { tabId, cwd, toolName, toolInput }
+const pendingPermissionRequests = new Map();
 let promptLibraryManager = null;
 let promptImageManager = null;
+let promptBundleManager = null;
 let secretsManager = null;
 let firebaseSyncAdapter = null;
 let mcpPromptServer = null;
 let settingsView = null;
 let settingsActive = false;
+
+// Full-page tools shown in the content area in place of the active tab, like
+// settings. Views are created lazily and kept around while hidden.
+const TOOL_PAGES = {
+  broadcast: { html: 'broadcast.html', preload: 'broadcast-preload.js', title: 'Broadcast' },
+  conversations: { html: 'conversations.html', preload: 'conversations-preload.js', title: 'Conversations' }
+};
+const toolPageViews = new Map(); // page name -> WebContentsView
+let activeToolPage = null;
 let servicePickerWindow = null;
 
 // Markdown files: one manager (+ recursive watcher) per cwd, created lazily when
 // a terminal first lists files. The watcher broadcasts change events to every
-// terminal sharing that cwd.
+// terminal sharing that cwd. Released once no open terminal tab uses the cwd.
 const markdownManagers = new Map(); // cwd -> MarkdownFilesManager
 
 function ensureMarkdownManager(cwd) {
@@ -110,28 +151,44 @@ function ensureMarkdownManager(cwd) {
   let mgr = markdownManagers.get(cwd);
   if (!mgr) {
     mgr = new MarkdownFilesManager(cwd, { trash: (p) => shell.trashItem(p) });
-    mgr.watch(() => {
+    mgr.watch((relPaths) => {
       viewManager.broadcastToTerminalsWithCwd(cwd, 'markdown-files-changed', {});
+      if (mcpPromptServer) mcpPromptServer.notifyResourcesChanged({ root: 'markdown', project: cwd, relPaths });
     });
     markdownManagers.set(cwd, mgr);
   }
   return mgr;
 }
 
-function releaseMarkdownManagerIfUnused(cwd) {
-  if (!cwd) return;
-  const tabData = store.get('tabData', {});
-  const stillUsed = Object.values(tabData).some(d => d && d.cwd === cwd);
-  if (!stillUsed) {
-    const mgr = markdownManagers.get(cwd);
-    if (mgr) { mgr.unwatch(); markdownManagers.delete(cwd); }
-    const memEntry = memoryWatchers.get(cwd);
-    if (memEntry) {
-      try { memEntry.watcher.close(); } catch {}
-      clearTimeout(memEntry.timer);
-      memoryWatchers.delete(cwd);
-    }
-    memoryManagers.delete(cwd);
+// Folders of terminal tabs with a live view (not archived or closed ones)
+function getOpenProjects() {
+  if (!viewManager) return [];
+  return [...viewManager.terminalViews.keys()]
+    .map(tabId => store.get(`tabData.${tabId}.cwd`))
+    .filter(Boolean);
+}
+
+function isProjectOpen(cwd) {
+  return getOpenProjects().includes(cwd);
+}
+
+// Drop a project's watchers once its last open terminal tab is closed or archived
+function releaseProjectIfUnused(cwd) {
+  if (!cwd || isProjectOpen(cwd)) return;
+  if (promptLibraryManager) promptLibraryManager.releaseProject(cwd);
+  const mgr = markdownManagers.get(cwd);
+  if (mgr) { mgr.unwatch(); markdownManagers.delete(cwd); }
+  const memEntry = memoryWatchers.get(cwd);
+  if (memEntry) {
+    try { memEntry.watcher.close(); } catch {}
+    clearTimeout(memEntry.timer);
+    memoryWatchers.delete(cwd);
+  }
+  memoryManagers.delete(cwd);
+  // The project's files drop out of the MCP resource list
+  if (mcpPromptServer) {
+    mcpPromptServer.notifyResourcesChanged();
+    mcpPromptServer.refreshRegistration();
   }
 }
 
@@ -150,7 +207,7 @@ function releaseAllMarkdownManagers() {
 // Claude memory dir (~/.claude/projects/<encoded>/memory). The list watcher sits
 // on the PARENT project dir so we also catch the first creation of memory/.
 const memoryManagers = new Map();  // cwd -> MarkdownFilesManager (rooted at memoryDir)
-const memoryWatchers = new Map();  // cwd -> { watcher, timer }
+const memoryWatchers = new Map();  // cwd -> { watcher, timer, changed }
 
 function ensureMemoryManager(cwd) {
   if (!cwd) return null;
@@ -160,17 +217,23 @@ function ensureMemoryManager(cwd) {
   if (!mgr) {
     mgr = new MarkdownFilesManager(memoryDir, { trash: (p) => shell.trashItem(p) });
     try {
+      const memoryPrefix = `${path.basename(memoryDir)}${path.sep}`;
       const watcher = fs.watch(projectDir, { recursive: true }, (_event, filename) => {
         if (filename && !filename.toString().toLowerCase().endsWith('.md')) return;
         const entry = memoryWatchers.get(cwd);
         if (entry) {
+          const name = filename ? filename.toString() : '';
+          if (name.startsWith(memoryPrefix)) entry.changed.add(name.slice(memoryPrefix.length));
           clearTimeout(entry.timer);
           entry.timer = setTimeout(() => {
+            const relPaths = [...entry.changed];
+            entry.changed.clear();
             viewManager.broadcastToTerminalsWithCwd(cwd, 'markdown-files-changed', {});
+            if (mcpPromptServer) mcpPromptServer.notifyResourcesChanged({ root: 'memory', project: cwd, relPaths });
           }, 150);
         }
       });
-      memoryWatchers.set(cwd, { watcher, timer: null });
+      memoryWatchers.set(cwd, { watcher, timer: null, changed: new Set() });
     } catch { /* recursive watch unsupported on this platform */ }
     memoryManagers.set(cwd, mgr);
   }
@@ -250,6 +313,9 @@ function createWindow() {
   // Load sidebar UI
   mainWindow.loadFile(path.join(__dirname, 'renderer', 'sidebar.html'));
 
+  // Register user-defined services before TabManager validates stored tabs
+  customServicesManager = new CustomServicesManager({ store });
+
   // Initialize TabManager
   tabManager = new TabManager(store);
 
@@ -279,23 +345,85 @@ function createWindow() {
   // Note: All hook events (Stop, Notification, TaskCompleted) are handled by
   // ViewManager which calls onTerminalComplete with (tabId, message, event)
 
+  // "Always allow" rules for permission requests answered in the app
+  permissionRulesManager = new PermissionRulesManager({ store });
+
+  // Answered, timed out or abandoned: drop the approval card
+  hooksManager.on('permission-settled', ({ requestId, reason }) => {
+    const request = pendingPermissionRequests.get(requestId);
+    if (!request) return;
+    pendingPermissionRequests.delete(requestId);
+    if (viewManager) {
+      viewManager.sendToTerminalView(request.tabId, 'permission-settled', { requestId, reason });
+    }
+    if (autoRunManager) {
+      autoRunManager.handlePermissionResolved(request.tabId, requestId).catch(err => {
+        console.error('Failed to continue auto-run:', err);
+      });
+    }
+  });
+
   // Initialize PromptLibraryManager
   promptLibraryManager = new PromptLibraryManager({
     store,
     userDataPath: app.getPath('userData')
   });
 
+  // Initialize WorkspaceManager (named tab layout snapshots)
+  workspaceManager = new WorkspaceManager({ store, tabManager, promptLibraryManager });
+
+  // Git worktree per terminal tab
+  worktreeManager = new WorktreeManager();
+
+  // Per-session diffs for the Changes tab in the terminal library panel
+  changesManager = new ChangesManager();
+
+  // Per-prompt checkpoints the terminal can roll back to
+  checkpointManager = new CheckpointManager({ changesManager });
+
+  // Command palette entries (Cmd+K)
+  commandRegistry = createCommandRegistry();
+
   // Initialize PromptImageManager
   promptImageManager = new PromptImageManager(app.getPath('userData'));
 
+  // Prompt library export/import as JSON or Markdown bundles
+  promptBundleManager = new PromptBundleManager({ promptLibraryManager, promptImageManager });
+
   // Initialize SecretsManager (encrypted env vars for terminals)
   secretsManager = new SecretsManager({ userDataPath: app.getPath('userData') });
 
+  // Initialize SelectorPackManager (web streaming/completion detection selectors)
+  selectorPackManager = new SelectorPackManager({ userDataPath: app.getPath('userData') });
+
+  // Initialize BroadcastManager (one prompt -> several web tabs, compared)
+  broadcastManager = new BroadcastManager({ userDataPath: app.getPath('userData') });
+  broadcastManager.on('broadcast-updated', (broadcast) => {
+    sendToToolPage('broadcast', 'broadcast-updated', broadcast);
+  });
+
+  // Initialize ConversationArchive (searchable local copy of web exchanges)
+  conversationArchive = new ConversationArchive({ store, userDataPath: app.getPath('userData') });
+  conversationArchive.on('archive-updated', () => {
+    sendToToolPage('conversations', 'conversations-updated');
+  });
+
   // Initialize MCP Prompt Server for Claude Code integration
   mcpPromptServer = new McpPromptServer({
     promptLibraryManager,
     promptImageManager,
-    store
+    store,
+    // Prompts changed by Claude Code through the write tools
+    onPromptChanged: (cwd, prompt) => {
+      if (!firebaseSyncAdapter) return;
+      firebaseSyncAdapter.pushPromptToFirebase(cwd, prompt).catch(err => {
+        console.error('Failed to sync MCP prompt change to Firebase:', err);
+      });
+    },
+    // Projects of open terminal tabs: registered per project, their Markdown
+    // and memory files exposed as resources
+    getProjects: getOpenProjects,
+    getMarkdownManager
   });
   mcpPromptServer.start().then(result => {
     if (result.success) {
@@ -305,6 +433,24 @@ function createWindow() {
     }
   });
 
+  // Auto-run: a terminal tab works through its prompt queue on its own
+  autoRunManager = new AutoRunManager({
+    promptLibraryManager,
+    sendPrompt: sendQueuedPrompt,
+    getSkipReason: async (tabId, prompt) => (await resolveQueuedPrompt(tabId, prompt)).reason,
+    isBusy: (tabId) => viewManager.isTerminalStreaming(tabId),
+    // Prompts marked testing when their turn ends
+    onPromptChanged: (cwd, prompt) => {
+      if (!firebaseSyncAdapter) return;
+      firebaseSyncAdapter.pushPromptToFirebase(cwd, prompt).catch(err => {
+        console.error('Failed to sync auto-run prompt to Firebase:', err);
+      });
+    }
+  });
+  autoRunManager.on('run-updated', (tabId, run) => {
+    if (viewManager) viewManager.sendToTerminalView(tabId, 'auto-run-updated', run);
+  });
+
   // Initialize FirebaseSyncAdapter for cloud sync
   firebaseSyncAdapter = new FirebaseSyncAdapter({
     store,
@@ -373,7 +519,7 @@ function createWindow() {
     remoteSyncQueue.push(async () => {
       if (!promptLibraryManager) return;
 
-      const { id, projectId, scope, type, title, prompt, labels, images, isFavorite, reusable, done, testing, order } = remotePrompt;
+      const { id, projectId, scope, type, title, prompt, labels, images, variables, blockedBy, isFavorite, reusable, done, testing, order } = remotePrompt;
 
       // Resolve projectId to cwd
       const cwd = await firebaseSyncAdapter.resolveProjectIdToCwd(projectId);
@@ -389,6 +535,8 @@ function createWindow() {
         prompt: prompt || '',
         labels: labels || [],
         images: images || [],
+        variables: variables || [],
+        blockedBy: blockedBy || [],
         isFavorite: isFavorite || false,
         reusable: reusable || false,
         done: done || false,
@@ -473,15 +621,76 @@ function createWindow() {
     mainWindow,
     store,
     getSidebarWidth: () => SIDEBAR_WIDTH,
+    // Clicking into the other split pane makes it the active tab
+    onPaneFocused: (tabId) => switchToTab(tabId),
+    onSplitChanged: (state) => {
+      mainWindow.webContents.send('split-layout-changed', state);
+    },
     onTabsChanged: () => {
       mainWindow.webContents.send('tabs-updated', getTabsForRenderer());
       updateShortcuts();
     },
+    // New session: the Changes tab starts over from the next prompt
+    onTerminalStarted: (tabId) => {
+      changesManager.resetSession(tabId);
+      viewManager.sendToTerminalView(tabId, 'changes-updated');
+    },
+    // Snapshot and checkpoint the working tree before Claude starts editing
+    onPromptSubmitted: (tabId, event, taskDescription) => {
+      const cwd = store.get(`tabData.${tabId}.cwd`);
+      if (!cwd) return;
+      changesManager.recordPrompt(tabId, cwd)
+        .then(() => checkpointManager.create(tabId, cwd, taskDescription).catch(err => {
+          autoRunManager.handleCheckpointFailed(tabId, err);
+          throw err;
+        }))
+        .then(() => {
+          viewManager.sendToTerminalView(tabId, 'changes-updated');
+        }).catch(err => {
+          console.error('Failed to snapshot working tree:', err);
+        });
+    },
+    // Claude Code wants to use a tool: allow by project rule, or ask in the tab
+    onPermissionRequest: (tabId, event, toolDescription) => {
+      const cwd = store.get(`tabData.${tabId}.cwd`) || event.cwd;
+      if (permissionRulesManager.isAllowed(cwd, event.toolName, event.toolInput)) {
+        hooksManager.respondToPermission(event.requestId, 'allow');
+        return false;
+      }
+      pendingPermissionRequests.set(event.requestId, {
+        tabId, cwd, toolName: event.toolName, toolInput: event.toolInput
+      });
+      viewManager.sendToTerminalView(tabId, 'permission-request', {
+        requestId: event.requestId,
+        toolName: event.toolName,
+        toolInput: event.toolInput,
+        toolDescription,
+        timeoutMs: event.timeoutMs
+      });
+      return true;
+    },
     onTerminalComplete: (tabId, message, event) => {
       // Handle terminal task completion notification
       const tab = tabManager.getTab(tabId);
       if (!tab) return;
 
+      // Auto-run: a finished turn sends the next prompt, a permission prompt
+      // holds the run until it is answered, anything else that needs the user
+      // pauses it
+      if (event && event.type === 'Notification' && event.notificationType === 'permission_prompt') {
+        autoRunManager.handlePermissionRequest(tabId, event.requestId || null, message);
+      } else if (event && event.type === 'Notification') {
+        autoRunManager.handleAttention(tabId, message);
+      } else if (event && event.type === 'Stop') {
+        autoRunManager.handleStop(tabId).catch(err => {
+          console.error('Failed to continue auto-run:', err);
+        });
+      }
+
+      if (!event || event.type !== 'Notification') {
+        viewManager.sendToTerminalView(tabId, 'changes-updated');
+      }
+
       // Mark tab with appropriate badge
       const isAttention = event && event.type === 'Notification';
       if (isAttention) {
@@ -574,6 +783,12 @@ function createWindow() {
     }
   });
 
+  // Hot-fixed selector packs apply to open web tabs without a restart
+  selectorPackManager.watch((serviceIds) => {
+    console.log('[Main] Selector packs changed:', serviceIds.join(', '));
+    viewManager.broadcastToWebViews('selector-pack-updated', serviceIds);
+  });
+
   // Create views for existing tabs
   const existingTabs = tabManager.getOrderedTabs();
   existingTabs.forEach(tab => {
@@ -583,6 +798,19 @@ function createWindow() {
   // Handle window resize
   mainWindow.on('resize', () => {
     viewManager.updateViewBounds();
+    const splitState = viewManager.getSplitState();
+    if (splitState) {
+      mainWindow.webContents.send('split-layout-changed', splitState);
+    }
+    if (activeToolPage) {
+      toolPageViews.get(activeToolPage).setBounds(getContentBounds());
+    }
+    if (commandPaletteView) {
+      commandPaletteView.setBounds(getContentBounds());
+    }
+    if (worktreeDialogView) {
+      worktreeDialogView.setBounds(getContentBounds());
+    }
     // Also resize settings view if open
     if (settingsView) {
       const [width, height] = mainWindow.getContentSize();
@@ -627,6 +855,22 @@ function createWindow() {
       mcpPromptServer.stop();
       mcpPromptServer = null;
     }
+    if (selectorPackManager) {
+      selectorPackManager.unwatch();
+    }
+    if (broadcastManager) {
+      broadcastManager.destroy();
+      broadcastManager = null;
+    }
+    if (conversationArchive) {
+      conversationArchive.removeAllListeners();
+      conversationArchive = null;
+    }
+    for (const view of toolPageViews.values()) {
+      try { view.webContents.close(); } catch (e) { /* already closed */ }
+    }
+    toolPageViews.clear();
+    activeToolPage = null;
     mainWindow = null;
   });
 
@@ -686,7 +930,8 @@ function getArchivedTabsForRenderer() {
       id: tab.id,
       serviceType: tab.serviceType,
       name: tab.name,
-      type: serviceType ? serviceType.type : 'web'
+      type: serviceType ? serviceType.type : 'web',
+      icon: serviceType && serviceType.custom ? serviceType.icon : null
     };
   });
 }
@@ -696,16 +941,23 @@ function getArchivedTabsForRenderer() {
  */
 function getTabsForRenderer() {
   const tabs = tabManager.getOrderedTabs();
-  return tabs.map((tab, index) => {
+  const tabData = store.get('tabData', {});
+  return tabs.map(tab => {
     const serviceType = getServiceType(tab.serviceType);
+    const worktree = tabData[tab.id] && tabData[tab.id].worktree;
+    // Cmd+1-9 are scoped to the tab's group
+    const index = tabManager.getTabsInGroup(tab.groupId).indexOf(tab);
     return {
       id: tab.id,
       serviceType: tab.serviceType,
       name: tab.name,
       type: serviceType ? serviceType.type : 'web',
+      icon: serviceType && serviceType.custom ? serviceType.icon : null,
       shortcut: index < 9 ? `⌘${index + 1}` : null,
       closeable: true,
-      order: tab.order
+      order: tab.order,
+      groupId: tab.groupId,
+      branch: worktree ? worktree.branch : null
     };
   });
 }
@@ -723,6 +975,7 @@ function switchToTab(tabId) {
     settingsActive = false;
     mainWindow.webContents.send('settings-active-changed', false);
   }
+  hideToolPage();
 
   // Ensure view exists
   if (!viewManager.hasView(tabId)) {
@@ -797,8 +1050,12 @@ function closeServicePicker() {
 
 /**
  * Create a new tab
+ * @param {string} serviceType
+ * @param {string} [cwd] - Working directory (terminal tabs)
+ * @param {Object} [options]
+ * @param {Object} [options.worktree] - Worktree the tab owns (WorktreeManager.create result)
  */
-async function createTab(serviceType, cwd = null) {
+async function createTab(serviceType, cwd = null, { worktree = null } = {}) {
   if (!isValidServiceType(serviceType)) {
     return { success: false, error: 'Invalid service type' };
   }
@@ -817,10 +1074,12 @@ async function createTab(serviceType, cwd = null) {
   // Store additional data for terminals
   if (service.type === 'terminal' && cwd) {
     const tabData = store.get('tabData', {});
-    tabData[tab.id] = { cwd };
+    tabData[tab.id] = worktree ? { cwd, worktree } : { cwd };
     store.set('tabData', tabData);
     tab.cwd = cwd;
     tab.mode = 'normal';
+    // Register the prompt server for this project before Claude Code starts in it
+    if (mcpPromptServer) await mcpPromptServer.refreshRegistration();
   }
 
   // Create view
@@ -839,6 +1098,20 @@ async function createTab(serviceType, cwd = null) {
   return { success: true, tabId: tab.id };
 }
 
+/**
+ * Forget what a tab's terminal session had going once its view is destroyed:
+ * the auto-run (whose Stop will never come), the Changes session and
+ * unanswered permission requests, which go back to Claude Code
+ * @param {string} tabId
+ */
+function endTabSession(tabId) {
+  changesManager.resetSession(tabId);
+  autoRunManager.stop(tabId);
+  for (const [requestId, request] of pendingPermissionRequests) {
+    if (request.tabId === tabId) hooksManager.respondToPermission(requestId, null);
+  }
+}
+
 /**
  * Close a tab
  */
@@ -847,9 +1120,16 @@ async function closeTab(tabId, skipConfirm = false) {
   if (!tab) return;
 
   const serviceType = getServiceType(tab.serviceType);
+  const tabData = store.get('tabData', {});
+  const hasWorktree = !!(tabData[tabId] && tabData[tabId].worktree);
+  const tabCwd = tabData[tabId] && tabData[tabId].cwd;
 
-  // Show confirmation for terminal tabs
-  if (serviceType && serviceType.type === 'terminal' && !skipConfirm) {
+  const worktreeChoice = await askTabWorktree(tabId, 'close');
+  if (!worktreeChoice) return;
+
+  // Show confirmation for terminal tabs, unless the worktree question was
+  // just answered
+  if (serviceType && serviceType.type === 'terminal' && !skipConfirm && !worktreeChoice.asked) {
     const { response } = await dialog.showMessageBox(mainWindow, {
       type: 'question',
       buttons: ['Close Tab', 'Cancel'],
@@ -863,13 +1143,33 @@ async function closeTab(tabId, skipConfirm = false) {
     if (response !== 0) return;
   }
 
-  // Destroy view
+  // Destroy view (keep the other pane if this tab was split). The PTY goes
+  // first so Claude Code isn't left running in a removed worktree.
+  const splitPartner = viewManager.getSplitPartner(tabId);
   viewManager.destroyView(tabId);
+  endTabSession(tabId);
+  if (!(await cleanUpTabWorktree(tabId, 'close', worktreeChoice))) {
+    // The worktree is still on disk: keep the tab and its record, with a
+    // fresh terminal that offers to resume the session
+    createViewForTab(tab);
+    switchToTab(tabId);
+    return;
+  }
+
+  // The checkpoint ref lives in the repo, which outlives a removed worktree
+  const checkpointCwd = hasWorktree && !fs.existsSync(tabCwd) ? tabData[tabId].worktree.repoRoot : tabCwd;
+  if (checkpointCwd) {
+    checkpointManager.clear(tabId, checkpointCwd).catch(err => {
+      console.error('Failed to drop checkpoints:', err);
+    });
+  }
 
   // Remove tab data
-  const tabData = store.get('tabData', {});
-  delete tabData[tabId];
-  store.set('tabData', tabData);
+  const latestTabData = store.get('tabData', {});
+  delete latestTabData[tabId];
+  store.set('tabData', latestTabData);
+
+  releaseProjectIfUnused(tabCwd);
 
   // Delete tab
   tabManager.deleteTab(tabId);
@@ -877,6 +1177,8 @@ async function closeTab(tabId, skipConfirm = false) {
   // Switch to another tab or show picker
   if (!tabManager.hasTabs()) {
     showServicePicker(true);
+  } else if (splitPartner) {
+    switchToTab(splitPartner);
   } else {
     const firstTab = tabManager.getTabAtIndex(0);
     if (firstTab) {
@@ -952,15 +1254,28 @@ function updateShortcuts() {
     globalShortcut.unregister(`CommandOrControl+${i}`);
   }
 
-  // Re-register for current tabs
-  const tabs = tabManager.getOrderedTabs();
-  tabs.forEach((tab, index) => {
-    if (index < 9) {
-      globalShortcut.register(`CommandOrControl+${index + 1}`, () => {
+  // Re-register, resolving against the active tab's group at press time
+  const groupSize = (groupId) => tabManager.getTabsInGroup(groupId).length;
+  const largestGroup = Math.max(groupSize(null), ...tabManager.getGroups().map(g => groupSize(g.id)));
+  for (let i = 0; i < Math.min(largestGroup, 9); i++) {
+    globalShortcut.register(`CommandOrControl+${i + 1}`, () => {
+      const activeTab = tabManager.getTab(viewManager.getActiveTabId());
+      const tab = tabManager.getTabsInGroup(activeTab ? activeTab.groupId : null)[i];
+      if (tab) {
         switchToTab(tab.id);
-      });
-    }
-  });
+      }
+    });
+  }
+}
+
+/**
+ * Push the current tab list (and groups) to the sidebar
+ */
+function sendTabsUpdated() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('tabs-updated', getTabsForRenderer());
+  }
+  updateShortcuts();
 }
 
 // IPC handlers
@@ -970,7 +1285,42 @@ ipcMain.on('switch-service', (event, tabId) => {
 });
 
 ipcMain.handle('get-services', () => {
-  return Object.values(SERVICE_TYPES);
+  return Object.values(getAllServiceTypes());
+});
+
+// Custom web services handlers
+ipcMain.handle('get-custom-services', () => {
+  return customServicesManager ? customServicesManager.list() : [];
+});
+
+ipcMain.handle('save-custom-service', (event, service) => {
+  try {
+    const saved = customServicesManager.save(service);
+    // Name/icon changes should show up on existing tabs right away
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('tabs-updated', getTabsForRenderer());
+      mainWindow.webContents.send('archived-tabs-updated', getArchivedTabsForRenderer());
+    }
+    return { success: true, service: saved };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('delete-custom-service', (event, serviceId) => {
+  // Tabs of a missing service are kept hidden on load (TabManager's
+  // orphanedTabs) until it exists again, so refuse while any tab (active or
+  // archived) still uses it.
+  const inUse = [...tabManager.getOrderedTabs(), ...tabManager.getArchivedTabs()]
+    .some(tab => tab.serviceType === serviceId);
+  if (inUse) {
+    return { error: 'Close or delete all tabs using this service first' };
+  }
+  try {
+    return { success: customServicesManager.delete(serviceId) };
+  } catch (err) {
+    return { error: err.message };
+  }
 });
 
 ipcMain.handle('get-active-service', () => {
@@ -1139,10 +1489,15 @@ ipcMain.handle('firebase-backfill-images', async () => {
 });
 
 ipcMain.on('open-settings', () => {
+  openSettings();
+});
+
+function openSettings() {
   // If settings is already active, do nothing (it's already shown)
   if (settingsActive) {
     return;
   }
+  hideToolPage();
 
   // Create settings view if it doesn't exist
   if (!settingsView) {
@@ -1179,7 +1534,7 @@ ipcMain.on('open-settings', () => {
 
   // Notify sidebar
   mainWindow.webContents.send('settings-active-changed', true);
-});
+}
 
 function closeSettings() {
   if (!settingsActive || !settingsView || !mainWindow) return;
@@ -1208,25 +1563,345 @@ ipcMain.on('close-settings', () => {
   closeSettings();
 });
 
+/**
+ * Get the content-area bounds (right of the sidebar)
+ */
+function getContentBounds() {
+  const [windowWidth, windowHeight] = mainWindow.getContentSize();
+  return {
+    x: SIDEBAR_WIDTH,
+    y: 0,
+    width: windowWidth - SIDEBAR_WIDTH,
+    height: windowHeight
+  };
+}
+
+/**
+ * Show a tool page (see TOOL_PAGES) in place of the active tab
+ */
+function openToolPage(name) {
+  const page = TOOL_PAGES[name];
+  if (!page || !mainWindow) return;
+  if (activeToolPage === name) return;
+
+  if (settingsActive) {
+    mainWindow.contentView.removeChildView(settingsView);
+    settingsActive = false;
+    mainWindow.webContents.send('settings-active-changed', false);
+  } else if (activeToolPage) {
+    mainWindow.contentView.removeChildView(toolPageViews.get(activeToolPage));
+  } else {
+    viewManager.hideActiveView();
+  }
+
+  let view = toolPageViews.get(name);
+  if (!view) {
+    view = new WebContentsView({
+      webPreferences: {
+        preload: path.join(__dirname, page.preload),
+        contextIsolation: true,
+        nodeIntegration: false,
+        sandbox: true
+      }
+    });
+    view.webContents.loadFile(path.join(__dirname, 'renderer', page.html));
+    toolPageViews.set(name, view);
+  }
+
+  mainWindow.contentView.addChildView(view);
+  view.setBounds(getContentBounds());
+  view.webContents.focus();
+  activeToolPage = name;
+
+  mainWindow.setTitle(`${page.title} - Cross AI Browser`);
+  mainWindow.webContents.send('tool-page-changed', name);
+}
+
+/**
+ * Remove the active tool page without touching the tab views
+ * (caller decides what to show instead)
+ */
+function hideToolPage() {
+  if (!activeToolPage || !mainWindow) return;
+  mainWindow.contentView.removeChildView(toolPageViews.get(activeToolPage));
+  activeToolPage = null;
+  mainWindow.webContents.send('tool-page-changed', null);
+}
+
+/**
+ * Close the active tool page and go back to the active tab
+ */
+function closeToolPage() {
+  if (!activeToolPage) return;
+  hideToolPage();
+  viewManager.showActiveView();
+
+  const activeTabId = viewManager.getActiveTabId();
+  const tab = activeTabId ? tabManager.getTab(activeTabId) : null;
+  if (tab) {
+    mainWindow.setTitle(`${tab.name} - Cross AI Browser`);
+  }
+}
+
+/**
+ * Send a message to a tool page if it has been created
+ */
+function sendToToolPage(name, channel, data) {
+  const view = toolPageViews.get(name);
+  if (view && !view.webContents.isDestroyed()) {
+    view.webContents.send(channel, data);
+  }
+}
+
+ipcMain.on('open-tool-page', (event, name) => {
+  if (activeToolPage === name) {
+    closeToolPage();
+  } else {
+    openToolPage(name);
+  }
+});
+
+ipcMain.on('close-tool-page', () => {
+  closeToolPage();
+});
+
 // Tab management handlers
 ipcMain.handle('create-tab', async (event, serviceType) => {
   return createTab(serviceType);
 });
 
 ipcMain.handle('select-folder-and-create-tab', async (event, serviceType) => {
+  return selectFolderAndCreateTab(serviceType);
+});
+
+/**
+ * Ask for a folder, then create a terminal tab in it. Inside a git repo the
+ * user can instead start the tab in a new worktree on its own branch.
+ */
+async function selectFolderAndCreateTab(serviceType) {
+  const service = getServiceType(serviceType);
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openDirectory', 'createDirectory'],
-    title: 'Select folder for Claude Code'
+    title: `Select folder for ${service ? service.name : 'terminal'}`
   });
 
-  if (!result.canceled && result.filePaths.length > 0) {
-    const folderPath = result.filePaths[0];
+  if (result.canceled || result.filePaths.length === 0) {
+    return { success: false, cancelled: true };
+  }
+
+  const folderPath = result.filePaths[0];
+  const repo = service && service.type === 'terminal' && worktreeManager
+    ? await worktreeManager.getRepoInfo(folderPath)
+    : null;
+  if (!repo) {
+    return createTab(serviceType, folderPath);
+  }
+
+  const choice = await showWorktreeDialog(folderPath, repo);
+  if (!choice) {
+    return { success: false, cancelled: true };
+  }
+  if (!choice.worktree) {
     return createTab(serviceType, folderPath);
   }
 
-  return { success: false, cancelled: true };
+  // Keep the subfolder the user picked, if the worktree has it too
+  const subdir = path.relative(repo.root, fs.realpathSync(folderPath));
+  const cwd = path.join(choice.worktree.path, subdir);
+  return createTab(serviceType, fs.existsSync(cwd) ? cwd : choice.worktree.path, { worktree: choice.worktree });
+}
+
+// New-worktree dialog, shown as a WebContentsView overlay like the rename dialog
+let worktreeDialogView = null;
+let worktreeDialogRequest = null; // { folder, resolve }
+
+/**
+ * Offer to open a repo folder in a new git worktree
+ * @returns {Promise<Object|null>} { worktree } if one was created,
+ *   { useFolder: true } to open the folder as is, null if cancelled
+ */
+function showWorktreeDialog(folder, repo) {
+  if (worktreeDialogView) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise(resolve => {
+    worktreeDialogRequest = { folder, resolve };
+
+    worktreeDialogView = new WebContentsView({
+      webPreferences: {
+        preload: path.join(__dirname, 'worktree-dialog-preload.js'),
+        contextIsolation: true,
+        nodeIntegration: false,
+        sandbox: true
+      }
+    });
+
+    mainWindow.contentView.addChildView(worktreeDialogView);
+    worktreeDialogView.setBounds(getContentBounds());
+    worktreeDialogView.webContents.loadFile(
+      path.join(__dirname, 'renderer', 'worktree-dialog.html'),
+      { query: { repo: path.basename(repo.root), baseBranch: repo.branch || '' } }
+    );
+    worktreeDialogView.webContents.focus();
+  });
+}
+
+function closeWorktreeDialog(choice) {
+  if (worktreeDialogView && mainWindow) {
+    mainWindow.contentView.removeChildView(worktreeDialogView);
+    try { worktreeDialogView.webContents.close(); } catch (e) { /* already closed */ }
+    worktreeDialogView = null;
+  }
+  if (worktreeDialogRequest) {
+    const { resolve } = worktreeDialogRequest;
+    worktreeDialogRequest = null;
+    resolve(choice);
+  }
+}
+
+ipcMain.handle('worktree-dialog-submit', async (event, branch) => {
+  if (!worktreeDialogRequest) return { error: 'No worktree dialog is open' };
+  try {
+    const worktree = await worktreeManager.create(worktreeDialogRequest.folder, branch);
+    closeWorktreeDialog({ worktree });
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to create worktree:', err);
+    return { error: err.message };
+  }
+});
+
+ipcMain.on('worktree-dialog-use-folder', () => {
+  closeWorktreeDialog({ useFolder: true });
+});
+
+ipcMain.on('worktree-dialog-cancel', () => {
+  closeWorktreeDialog(null);
 });
 
+/**
+ * Ask what happens to a tab's worktree before the tab is closed or archived:
+ * keep it, merge it back into its base branch, or remove it. Nothing is
+ * changed yet; the caller stops the tab's terminal and then runs
+ * cleanUpTabWorktree() with the answer, so git never removes a folder a
+ * running session still works in.
+ * @param {string} tabId
+ * @param {'close'|'archive'} action
+ * @returns {Promise<Object|null>} The choice ({ worktree, action: 'keep'|'merge'|'remove'|'gone', force, asked }),
+ *   or null if the user cancelled. asked is true once the user was shown the question.
+ */
+async function askTabWorktree(tabId, action) {
+  const tabData = store.get('tabData', {});
+  const worktree = tabData[tabId] && tabData[tabId].worktree;
+  if (!worktree || !worktreeManager) return { worktree: null, action: 'keep' };
+
+  let status;
+  try {
+    status = await worktreeManager.getStatus(worktree);
+  } catch (err) {
+    console.error('Failed to read worktree status:', err);
+    status = { exists: true, dirty: false, ahead: 0 };
+  }
+  // Already gone: only the tab's record is left to clean up
+  if (!status.exists) return { worktree, action: 'gone' };
+
+  const tab = tabManager.getTab(tabId);
+  const canMerge = !!worktree.baseBranch;
+  const buttons = ['Keep Worktree', 'Remove Worktree', 'Cancel'];
+  if (canMerge) buttons.splice(1, 0, `Merge into ${worktree.baseBranch}`);
+  const cancelId = buttons.length - 1;
+
+  const detail = [worktree.path];
+  if (status.dirty) detail.push('It has uncommitted changes.');
+  if (status.ahead > 0) {
+    detail.push(`${status.ahead} commit${status.ahead === 1 ? '' : 's'} on ${worktree.branch} ${status.ahead === 1 ? 'is' : 'are'} not on ${worktree.baseBranch}.`);
+  }
+  if (action === 'archive') detail.push('Keep it to pick up where you left off when the tab is restored.');
+
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    buttons,
+    defaultId: 0,
+    cancelId,
+    title: action === 'archive' ? 'Archive Tab' : 'Close Tab',
+    message: `"${tab ? tab.name : worktree.branch}" has its own worktree on ${worktree.branch}`,
+    detail: detail.join('\n\n')
+  });
+
+  if (response === cancelId) return null;
+  if (response === 0) return { worktree, action: 'keep', asked: true };
+
+  if (canMerge && response === 1) {
+    // Catch a dirty or switched checkout while the tab is still open
+    try {
+      await worktreeManager.checkMergeable(worktree);
+    } catch (err) {
+      dialog.showMessageBox(mainWindow, {
+        type: 'error',
+        message: 'The worktree can\'t be merged',
+        detail: err.message
+      });
+      return null;
+    }
+    return { worktree, action: 'merge', asked: true };
+  }
+
+  if (status.dirty) {
+    const confirm = await dialog.showMessageBox(mainWindow, {
+      type: 'warning',
+      buttons: ['Discard Changes', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1,
+      message: `Discard the uncommitted changes in ${worktree.branch}?`,
+      detail: 'Committed work stays on the branch.'
+    });
+    if (confirm.response !== 0) return null;
+  }
+  return { worktree, action: 'remove', force: status.dirty, asked: true };
+}
+
+/**
+ * Merge or remove a tab's worktree as chosen in askTabWorktree(). Call it
+ * once the tab's terminal is gone. On failure the worktree stays where it is
+ * (and an archived tab keeps reopening in it).
+ * @param {string} tabId
+ * @param {'close'|'archive'} action
+ * @param {Object} choice - From askTabWorktree()
+ * @returns {Promise<boolean>} False if merging or removing failed
+ */
+async function cleanUpTabWorktree(tabId, action, choice) {
+  const { worktree } = choice;
+  if (!worktree || choice.action === 'keep') return true;
+
+  try {
+    if (choice.action === 'merge') {
+      await worktreeManager.merge(worktree);
+    } else if (choice.action === 'remove') {
+      await worktreeManager.remove(worktree, { force: choice.force });
+    }
+  } catch (err) {
+    console.error('Failed to clean up worktree:', err);
+    dialog.showMessageBox(mainWindow, {
+      type: 'error',
+      message: 'The worktree was left in place',
+      detail: err.message
+    });
+    return false;
+  }
+
+  // Worktree is gone: an archived tab reopens in the main checkout
+  if (action === 'archive') {
+    const latest = store.get('tabData', {});
+    if (latest[tabId]) {
+      latest[tabId] = { ...latest[tabId], cwd: worktree.repoRoot };
+      delete latest[tabId].worktree;
+      store.set('tabData', latest);
+    }
+  }
+  return true;
+}
+
 ipcMain.on('close-service-picker', () => {
   closeServicePicker();
 });
@@ -1248,6 +1923,10 @@ let renameDialogView = null;
 let renameDialogTabId = null;
 
 ipcMain.handle('show-rename-dialog', async (event, tabId) => {
+  return showRenameDialog(tabId);
+});
+
+function showRenameDialog(tabId) {
   const tab = tabManager.getTab(tabId);
   if (!tab) return null;
 
@@ -1286,7 +1965,7 @@ ipcMain.handle('show-rename-dialog', async (event, tabId) => {
   );
 
   return { success: true };
-});
+}
 
 function closeRenameDialog() {
   if (renameDialogView && mainWindow) {
@@ -1308,29 +1987,278 @@ ipcMain.on('rename-dialog-cancel', () => {
   closeRenameDialog();
 });
 
+// Command palette (Cmd+K), shown as a WebContentsView overlay like the rename dialog
+let commandPaletteView = null;
+
+/**
+ * Build the palette registry. New palette actions go here.
+ */
+function createCommandRegistry() {
+  const registry = new CommandRegistry();
+  const isTerminalTab = (ctx) => !!ctx.activeService && ctx.activeService.type === 'terminal';
+
+  // Open tabs first so an empty query lists them
+  registry.registerProvider(() => tabManager.getOrderedTabs().map(tab => {
+    const service = getServiceType(tab.serviceType);
+    const group = tab.groupId ? tabManager.getGroup(tab.groupId) : null;
+    return {
+      id: `tab:${tab.id}`,
+      title: tab.name,
+      subtitle: [service ? service.name : tab.serviceType, group ? group.name : null].filter(Boolean).join(' · '),
+      category: 'Tab',
+      run: () => switchToTab(tab.id)
+    };
+  }));
+
+  registry.register({
+    id: 'new-tab',
+    title: 'New Tab...',
+    shortcut: 'Cmd+T',
+    run: () => showServicePicker(false)
+  });
+  registry.register({
+    id: 'close-tab',
+    title: 'Close Tab',
+    shortcut: 'Cmd+W',
+    when: (ctx) => !!ctx.activeTab,
+    run: (ctx) => closeTab(ctx.activeTab.id)
+  });
+  registry.register({
+    id: 'rename-tab',
+    title: 'Rename Tab...',
+    when: (ctx) => !!ctx.activeTab,
+    run: (ctx) => showRenameDialog(ctx.activeTab.id)
+  });
+  registry.register({
+    id: 'archive-tab',
+    title: 'Archive Tab',
+    when: (ctx) => !!ctx.activeTab,
+    run: (ctx) => archiveTab(ctx.activeTab.id)
+  });
+  // Restart/shutdown are named after the active terminal's agent
+  registry.registerProvider((ctx) => {
+    if (!isTerminalTab(ctx)) return [];
+    const { name } = ctx.activeService;
+    return [
+      {
+        id: 'restart-terminal',
+        title: `Restart ${name}`,
+        category: 'Action',
+        run: () => reloadTerminalTab(ctx.activeTab.id)
+      },
+      {
+        id: 'shutdown-terminal',
+        title: `Shutdown ${name}`,
+        category: 'Action',
+        run: () => viewManager.shutdownTerminal(ctx.activeTab.id)
+      }
+    ];
+  });
+  registry.register({
+    id: 'clear-terminal',
+    title: 'Clear Terminal',
+    when: isTerminalTab,
+    run: (ctx) => viewManager.sendToTerminalView(ctx.activeTab.id, 'terminal-clear')
+  });
+  registry.register({
+    id: 'toggle-split',
+    title: 'Toggle Split View',
+    shortcut: 'Cmd+\\',
+    when: (ctx) => !!ctx.activeTab,
+    run: () => toggleSplitView()
+  });
+  registry.register({
+    id: 'broadcast',
+    title: 'Broadcast to Tabs...',
+    shortcut: 'Cmd+Shift+B',
+    run: () => openToolPage('broadcast')
+  });
+  registry.register({
+    id: 'conversations',
+    title: 'Search Conversations...',
+    shortcut: 'Cmd+Shift+F',
+    run: () => openToolPage('conversations')
+  });
+  registry.register({
+    id: 'settings',
+    title: 'Open Settings',
+    keywords: ['preferences'],
+    run: () => openSettings()
+  });
+
+  // Prompt library entries for the active terminal's folder
+  registry.registerProvider((ctx) => {
+    if (!isTerminalTab(ctx) || !ctx.cwd || !promptLibraryManager) return [];
+    return promptLibraryManager.getPromptsForCwd(ctx.cwd)
+      .filter(prompt => prompt.type !== 'note' && prompt.prompt)
+      .map(prompt => ({
+        id: `prompt:${prompt.id}`,
+        title: prompt.title || prompt.prompt.split('\n')[0].slice(0, 80),
+        subtitle: prompt.scope === 'global' ? 'Global prompt' : 'Project prompt',
+        category: 'Prompt',
+        keywords: prompt.labels,
+        run: () => viewManager.sendToTerminalView(ctx.activeTab.id, 'prompt-library-insert', { promptId: prompt.id })
+      }));
+  });
+
+  // New tab for each service
+  registry.registerProvider(() => Object.values(getAllServiceTypes())
+    .filter(service => service.type !== 'terminal' || isTerminalAvailable())
+    .map(service => ({
+      id: `service:${service.id}`,
+      title: `New ${service.name} Tab`,
+      category: 'Service',
+      run: () => (service.type === 'terminal' ? selectFolderAndCreateTab(service.id) : createTab(service.id))
+    })));
+
+  registry.registerProvider(() => tabManager.getArchivedTabs().map(tab => ({
+    id: `archived:${tab.id}`,
+    title: tab.name,
+    subtitle: 'Restore archived tab',
+    category: 'Archived',
+    run: () => unarchiveTab(tab.id)
+  })));
+
+  registry.registerProvider(() => {
+    if (!historyManager) return [];
+    return historyManager.getAllSessions({ limit: 50 }).map(session => ({
+      id: `history:${session.id}`,
+      title: `${session.cwdName} session`,
+      subtitle: new Date(session.timestamp).toLocaleString(),
+      category: 'History',
+      keywords: [session.cwd],
+      run: () => mainWindow.webContents.send('show-history-session', session.id)
+    }));
+  });
+
+  registry.registerProvider(() => TerminalThemes.getAllThemes().map(theme => ({
+    id: `theme:${theme.id}`,
+    title: `Terminal Theme: ${theme.name}`,
+    category: 'Theme',
+    run: () => {
+      store.set('terminal.theme', theme.id);
+      viewManager.broadcastToTerminals('terminal-theme-changed', theme.id);
+    }
+  })));
+
+  return registry;
+}
+
+/**
+ * What the palette's `when` checks and providers see
+ */
+function getPaletteContext() {
+  const activeTabId = viewManager ? viewManager.getActiveTabId() : null;
+  const activeTab = activeTabId ? tabManager.getTab(activeTabId) : null;
+  return {
+    activeTab,
+    activeService: activeTab ? getServiceType(activeTab.serviceType) : null,
+    cwd: activeTab ? store.get(`tabData.${activeTab.id}.cwd`) || null : null
+  };
+}
+
+function showCommandPalette() {
+  if (commandPaletteView) {
+    closeCommandPalette();
+    return;
+  }
+
+  commandPaletteView = new WebContentsView({
+    webPreferences: {
+      preload: path.join(__dirname, 'command-palette-preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true
+    }
+  });
+  commandPaletteView.setBackgroundColor('#00000000');
+
+  mainWindow.contentView.addChildView(commandPaletteView);
+  commandPaletteView.setBounds(getContentBounds());
+  commandPaletteView.webContents.loadFile(path.join(__dirname, 'renderer', 'command-palette.html'));
+  commandPaletteView.webContents.once('did-finish-load', () => {
+    if (commandPaletteView) commandPaletteView.webContents.focus();
+  });
+}
+
+function closeCommandPalette() {
+  if (commandPaletteView && mainWindow) {
+    mainWindow.contentView.removeChildView(commandPaletteView);
+    try { commandPaletteView.webContents.close(); } catch (e) { /* already closed */ }
+    commandPaletteView = null;
+  }
+}
+
+ipcMain.handle('palette-search', (event, query) => {
+  return commandRegistry.search(typeof query === 'string' ? query : '', getPaletteContext());
+});
+
+ipcMain.on('palette-execute', async (event, itemId) => {
+  const context = getPaletteContext();
+  closeCommandPalette();
+  viewManager.focusActiveView();
+  try {
+    await commandRegistry.execute(itemId, context);
+  } catch (err) {
+    console.error('Failed to run palette item:', err);
+  }
+});
+
+ipcMain.on('palette-close', () => {
+  closeCommandPalette();
+  viewManager.focusActiveView();
+});
+
 ipcMain.on('reorder-tabs', (event, draggedTabId, targetTabId, position) => {
   reorderTab(draggedTabId, targetTabId, position);
 });
 
 // Archive/unarchive tab handlers
 ipcMain.handle('archive-tab', async (event, tabId) => {
+  return archiveTab(tabId);
+});
+
+/**
+ * Archive a tab: asks about its worktree, stops its terminal and releases its
+ * project
+ * @param {string} tabId
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet=false] - Leave switching tabs and telling
+ *   the sidebar to the caller (archiving several tabs at once)
+ * @returns {Promise<boolean>} False if the tab wasn't archived
+ */
+async function archiveTab(tabId, { quiet = false } = {}) {
   const tab = tabManager.getTab(tabId);
   if (!tab) return false;
 
+  const worktreeChoice = await askTabWorktree(tabId, 'archive');
+  if (!worktreeChoice) return false;
+  // Removing the worktree points the tab at the main checkout: release the
+  // folder it was actually open in
+  const tabCwd = store.get(`tabData.${tabId}.cwd`);
+
   // Remember the active tab and index before archiving
   const activeTabId = viewManager.getActiveTabId();
   const tabIndex = tabManager.getTabIndex(tabId);
+  const splitPartner = viewManager.getSplitPartner(tabId);
 
-  // Destroy the view (kills PTY for terminals, removes WebContentsView)
+  // Destroy the view (kills PTY for terminals, removes WebContentsView),
+  // then deal with the worktree the terminal was running in
   viewManager.destroyView(tabId);
+  endTabSession(tabId);
+  await cleanUpTabWorktree(tabId, 'archive', worktreeChoice);
 
   // Archive in TabManager (preserves tab metadata + tabData cwd)
   tabManager.archiveTab(tabId);
+  releaseProjectIfUnused(tabCwd);
+  if (quiet) return true;
 
   // Only switch tabs if the archived tab was the active one
   if (activeTabId === tabId) {
     if (!tabManager.hasTabs()) {
       showServicePicker(true);
+    } else if (splitPartner) {
+      switchToTab(splitPartner);
     } else {
       // Prefer adjacent tab (same index, or last tab if at end)
       const nextTab = tabManager.getTabAtIndex(tabIndex) || tabManager.getTabAtIndex(tabIndex - 1) || tabManager.getTabAtIndex(0);
@@ -1348,9 +2276,13 @@ ipcMain.handle('archive-tab', async (event, tabId) => {
   updateShortcuts();
 
   return true;
-});
+}
 
 ipcMain.handle('unarchive-tab', async (event, tabId) => {
+  return unarchiveTab(tabId);
+});
+
+function unarchiveTab(tabId) {
   const tab = tabManager.unarchiveTab(tabId);
   if (!tab) return false;
 
@@ -1368,12 +2300,300 @@ ipcMain.handle('unarchive-tab', async (event, tabId) => {
   updateShortcuts();
 
   return true;
-});
+}
 
 ipcMain.handle('get-archived-tabs', () => {
   return getArchivedTabsForRenderer();
 });
 
+// Split view handlers
+/**
+ * Open the active tab and a neighbour side by side, or close the split
+ */
+function toggleSplitView() {
+  if (viewManager.getSplitState()) {
+    viewManager.closeSplit();
+    return;
+  }
+  const activeTabId = viewManager.getActiveTabId();
+  if (!activeTabId) return;
+  const index = tabManager.getTabIndex(activeTabId);
+  const neighbour = tabManager.getTabAtIndex(index + 1) || tabManager.getTabAtIndex(index - 1);
+  if (neighbour) {
+    openSplitView(neighbour.id, 'horizontal');
+  }
+}
+
+/**
+ * Show a tab in the second pane next to the active tab
+ */
+function openSplitView(tabId, orientation) {
+  const tab = tabManager.getTab(tabId);
+  if (!tab || settingsActive || activeToolPage) return false;
+  if (!viewManager.hasView(tabId)) {
+    createViewForTab(tab);
+  }
+  if (!viewManager.openSplit(tabId, orientation)) return false;
+
+  clearTabBadges(tabId);
+  mainWindow.setTitle(`${tab.name} - Cross AI Browser`);
+  mainWindow.webContents.send('active-service-changed', tabId);
+  return true;
+}
+
+ipcMain.handle('get-split-state', () => {
+  return viewManager ? viewManager.getSplitState() : null;
+});
+
+ipcMain.on('split-open', (event, tabId, orientation) => {
+  openSplitView(tabId, orientation === 'vertical' ? 'vertical' : 'horizontal');
+});
+
+ipcMain.on('split-close', () => {
+  viewManager.closeSplit();
+});
+
+ipcMain.on('split-set-orientation', (event, orientation) => {
+  viewManager.setSplitOrientation(orientation);
+});
+
+ipcMain.on('split-set-ratio', (event, ratio) => {
+  viewManager.setSplitRatio(ratio);
+});
+
+// Workspace handlers
+/**
+ * Restore a workspace snapshot, asking whether to replace or add to the
+ * current tabs
+ */
+async function restoreWorkspace(workspaceId) {
+  const workspace = workspaceManager.get(workspaceId);
+  if (!workspace) return { success: false, error: 'Workspace not found' };
+
+  const hasTabs = tabManager.hasTabs();
+  let replace = true;
+  if (hasTabs) {
+    const { response } = await dialog.showMessageBox(mainWindow, {
+      type: 'question',
+      buttons: ['Replace Current Tabs', 'Add to Current Tabs', 'Cancel'],
+      defaultId: 0,
+      cancelId: 2,
+      title: 'Restore Workspace',
+      message: `Restore "${workspace.name}"?`,
+      detail: 'Replacing archives the current tabs. You can bring them back from the Archived section.'
+    });
+    if (response === 2) return { success: false, cancelled: true };
+    replace = response === 0;
+  }
+
+  try {
+    workspaceManager.getRestorable(workspaceId);
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+
+  // Archive like the sidebar does, so worktree tabs get their question and
+  // projects are released. A tab whose worktree question is cancelled stays.
+  if (replace) {
+    for (const tab of tabManager.getOrderedTabs()) {
+      await archiveTab(tab.id, { quiet: true });
+    }
+  }
+
+  let result;
+  try {
+    result = workspaceManager.restore(workspaceId, { replace: false });
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+
+  result.tabs.forEach(tab => createViewForTab(tab));
+  closeServicePicker();
+  switchToTab(result.activeTabId);
+
+  mainWindow.webContents.send('tabs-updated', getTabsForRenderer());
+  mainWindow.webContents.send('archived-tabs-updated', getArchivedTabsForRenderer());
+  updateShortcuts();
+
+  if (result.skipped.length > 0) {
+    dialog.showMessageBox(mainWindow, {
+      type: 'warning',
+      title: 'Restore Workspace',
+      message: `${result.skipped.length} tab(s) could not be restored`,
+      detail: result.skipped.map(s => `${s.name}: ${s.reason}`).join('\n')
+    });
+  }
+
+  return { success: true, restored: result.tabs.length, skipped: result.skipped };
+}
+
+ipcMain.handle('workspaces-list', () => {
+  return workspaceManager ? workspaceManager.list() : [];
+});
+
+ipcMain.handle('workspaces-save', (event, name) => {
+  try {
+    const workspace = workspaceManager.capture(name, viewManager.getActiveTabId());
+    createMenu();
+    return { success: true, workspace };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('workspaces-rename', (event, workspaceId, name) => {
+  try {
+    const success = workspaceManager.rename(workspaceId, name);
+    createMenu();
+    return success ? { success } : { error: 'Workspace not found' };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('workspaces-delete', (event, workspaceId) => {
+  const success = workspaceManager.delete(workspaceId);
+  createMenu();
+  return success;
+});
+
+ipcMain.handle('workspaces-restore', (event, workspaceId) => {
+  return restoreWorkspace(workspaceId);
+});
+
+ipcMain.handle('workspaces-export', async (event, workspaceId) => {
+  const workspace = workspaceManager.get(workspaceId);
+  if (!workspace) return { success: false, error: 'Workspace not found' };
+
+  const safeName = workspace.name.replace(/[^a-z0-9-_ ]/gi, '').trim() || 'workspace';
+  const result = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: `${safeName}.crossai-workspace.json`,
+    filters: [
+      { name: 'Workspace', extensions: ['json'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+  if (result.canceled) {
+    return { success: false, cancelled: true };
+  }
+
+  try {
+    await fs.promises.writeFile(result.filePath, workspaceManager.exportJSON(workspaceId), 'utf-8');
+    return { success: true, filePath: result.filePath };
+  } catch (err) {
+    console.error(`Failed to export workspace ${workspaceId}:`, err);
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('workspaces-import', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile'],
+    filters: [
+      { name: 'Workspace', extensions: ['json'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { success: false, cancelled: true };
+  }
+
+  try {
+    const stat = await fs.promises.stat(result.filePaths[0]);
+    if (stat.size > 1024 * 1024) {
+      throw new Error('Workspace file is too large (max 1 MB)');
+    }
+    const text = await fs.promises.readFile(result.filePaths[0], 'utf-8');
+    const workspace = workspaceManager.importJSON(text);
+    createMenu();
+    return { success: true, workspace };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// Tab group handlers
+ipcMain.handle('get-tab-groups', () => {
+  return tabManager.getGroups();
+});
+
+ipcMain.handle('create-tab-group', (event, options = {}) => {
+  try {
+    const group = tabManager.createGroup({ name: options.name, color: options.color });
+    if (options.tabId) {
+      tabManager.moveTabToGroup(options.tabId, group.id);
+    }
+    sendTabsUpdated();
+    return group;
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('update-tab-group', (event, groupId, changes) => {
+  try {
+    const group = tabManager.updateGroup(groupId, changes || {});
+    if (!group) return { error: 'Group not found' };
+    sendTabsUpdated();
+    return group;
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('delete-tab-group', (event, groupId) => {
+  const success = tabManager.deleteGroup(groupId);
+  if (success) sendTabsUpdated();
+  return success;
+});
+
+ipcMain.handle('move-tab-to-group', (event, tabId, groupId) => {
+  const success = tabManager.moveTabToGroup(tabId, groupId || null);
+  if (success) sendTabsUpdated();
+  return success;
+});
+
+ipcMain.on('reorder-tab-groups', (event, draggedGroupId, targetGroupId, position) => {
+  if (tabManager.moveGroupRelative(draggedGroupId, targetGroupId, position)) {
+    sendTabsUpdated();
+  }
+});
+
+// Native context menu for group headers
+ipcMain.handle('show-tab-group-context-menu', async (event, groupId) => {
+  const group = tabManager.getGroup(groupId);
+  if (!group) return null;
+
+  return new Promise((resolve) => {
+    const template = [
+      {
+        label: 'Rename Group',
+        click: () => resolve('rename')
+      },
+      {
+        label: 'Color',
+        submenu: TabManager.GROUP_COLORS.map((color, index) => ({
+          label: GROUP_COLOR_NAMES[index],
+          type: 'radio',
+          checked: group.color === color,
+          click: () => resolve(`color:${color}`)
+        }))
+      },
+      { type: 'separator' },
+      {
+        label: 'Ungroup Tabs',
+        click: () => resolve('delete')
+      }
+    ];
+
+    const menu = Menu.buildFromTemplate(template);
+    menu.popup({
+      window: mainWindow,
+      callback: () => resolve(null)
+    });
+  });
+});
+
 // Native context menu for tabs
 ipcMain.handle('show-tab-context-menu', async (event, tabId) => {
   const tab = tabManager.getTab(tabId);
@@ -1387,15 +2607,50 @@ ipcMain.handle('show-tab-context-menu', async (event, tabId) => {
       }
     ];
 
-    // Add Restart/Shutdown Claude options for terminal tabs
-    if (tab.serviceType === 'claude-code') {
+    // Move to another group, a new group, or out of its group
+    const groupItems = tabManager.getGroups()
+      .filter(group => group.id !== tab.groupId)
+      .map(group => ({
+        label: group.name,
+        click: () => resolve(`group:${group.id}`)
+      }));
+    if (groupItems.length > 0) {
+      groupItems.push({ type: 'separator' });
+    }
+    groupItems.push({
+      label: 'New Group',
+      click: () => resolve('new-group')
+    });
+    if (tab.groupId) {
+      groupItems.push({
+        label: 'Remove from Group',
+        click: () => resolve('ungroup')
+      });
+    }
+    template.push({ label: 'Move to Group', submenu: groupItems });
+
+    // Open next to the active tab
+    const splitState = viewManager.getSplitState();
+    if (tabId !== viewManager.getActiveTabId() && !(splitState && splitState.tabIds.includes(tabId))) {
+      template.push({
+        label: 'Open in Split View',
+        submenu: [
+          { label: 'Right', click: () => resolve('split:horizontal') },
+          { label: 'Below', click: () => resolve('split:vertical') }
+        ]
+      });
+    }
+
+    // Add Restart/Shutdown options for terminal tabs
+    const service = getServiceType(tab.serviceType);
+    if (service && service.type === 'terminal') {
       template.push({ type: 'separator' });
       template.push({
-        label: 'Restart Claude',
+        label: `Restart ${service.name}`,
         click: () => resolve('restart')
       });
       template.push({
-        label: 'Shutdown Claude',
+        label: `Shutdown ${service.name}`,
         click: () => resolve('shutdown')
       });
     }
@@ -1485,6 +2740,13 @@ ipcMain.on('terminal-resize', (event, { terminalId, cols, rows }) => {
 });
 
 ipcMain.on('terminal-reload', (event, { terminalId }) => {
+  reloadTerminalTab(terminalId);
+});
+
+/**
+ * Restart the agent session in a terminal tab
+ */
+function reloadTerminalTab(terminalId) {
   const tab = tabManager.getTab(terminalId);
   if (!tab) {
     console.error(`terminal-reload: Tab ${terminalId} not found`);
@@ -1509,7 +2771,7 @@ ipcMain.on('terminal-reload', (event, { terminalId }) => {
     // Send error to terminal UI
     viewManager.sendTerminalMessage(terminalId, '\x1b[31mError: No working directory configured. Please close this tab and create a new one.\x1b[0m\r\n');
   }
-});
+}
 
 ipcMain.on('terminal-resume', (event, { terminalId }) => {
   const tab = tabManager.getTab(terminalId);
@@ -1545,9 +2807,7 @@ ipcMain.on('terminal-shutdown', (event, { terminalId }) => {
 });
 
 ipcMain.on('terminal-close', (event, { terminalId }) => {
-  const cwd = store.get(`tabData.${terminalId}.cwd`);
   closeTab(terminalId, true);
-  releaseMarkdownManagerIfUnused(cwd);
 });
 
 ipcMain.on('terminal-request-usage', async (event, { terminalId }) => {
@@ -1755,6 +3015,13 @@ ipcMain.handle('prompt-library-get-cwd', (event, { terminalId }) => {
   return store.get(`tabData.${terminalId}.cwd`) || null;
 });
 
+// A .crossai/prompts folder the project hasn't opted in to; the panel says so
+ipcMain.handle('prompt-library-has-unused-repo-prompts', (event, { terminalId }) => {
+  const cwd = store.get(`tabData.${terminalId}.cwd`);
+  if (!promptLibraryManager || !cwd) return false;
+  return promptLibraryManager.hasUnusedRepoPrompts(cwd);
+});
+
 // ---- Markdown files tab ----
 ipcMain.handle('markdown-list', (event, { terminalId }) => {
   const cwd = store.get(`tabData.${terminalId}.cwd`);
@@ -1799,22 +3066,216 @@ ipcMain.handle('markdown-create', (event, { terminalId, root, relPath }) => {
   catch (err) { return { error: err.message }; }
 });
 
-ipcMain.handle('markdown-delete', async (event, { terminalId, root, relPath }) => {
-  const cwd = store.get(`tabData.${terminalId}.cwd`);
-  if (!cwd) return { error: 'No working directory' };
-  const mgr = getMarkdownManager(cwd, root);
-  if (!mgr) return { error: 'No memory directory' };
-  try { return await mgr.delete(relPath); }
-  catch (err) { return { error: err.message }; }
+ipcMain.handle('markdown-delete', async (event, { terminalId, root, relPath }) => {
+  const cwd = store.get(`tabData.${terminalId}.cwd`);
+  if (!cwd) return { error: 'No working directory' };
+  const mgr = getMarkdownManager(cwd, root);
+  if (!mgr) return { error: 'No memory directory' };
+  try { return await mgr.delete(relPath); }
+  catch (err) { return { error: err.message }; }
+});
+
+ipcMain.handle('markdown-rename', (event, { terminalId, root, fromRel, toRel }) => {
+  const cwd = store.get(`tabData.${terminalId}.cwd`);
+  if (!cwd) return { error: 'No working directory' };
+  const mgr = getMarkdownManager(cwd, root);
+  if (!mgr) return { error: 'No memory directory' };
+  try { return mgr.rename(fromRel, toRel); }
+  catch (err) { return { error: err.message }; }
+});
+
+// ---- Changes tab ----
+ipcMain.handle('changes-list', async (event, { terminalId, since }) => {
+  const cwd = store.get(`tabData.${terminalId}.cwd`);
+  if (!cwd) return { status: 'not-git', files: [] };
+  try {
+    return await changesManager.getChanges(terminalId, cwd, { since });
+  } catch (err) {
+    console.error('Failed to list changes:', err);
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('changes-diff', async (event, { terminalId, filePath, since }) => {
+  const cwd = store.get(`tabData.${terminalId}.cwd`);
+  if (!cwd) return { error: 'No working directory' };
+  try {
+    return await changesManager.getFileDiff(terminalId, cwd, filePath, { since });
+  } catch (err) {
+    console.error('Failed to diff file:', err);
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('changes-revert', async (event, { terminalId, filePath, since }) => {
+  const cwd = store.get(`tabData.${terminalId}.cwd`);
+  if (!cwd) return { error: 'No working directory' };
+  try {
+    return await changesManager.revertFile(terminalId, cwd, filePath, { since });
+  } catch (err) {
+    console.error('Failed to revert file:', err);
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('permission-respond', (event, { terminalId, requestId, decision, always }) => {
+  const request = pendingPermissionRequests.get(requestId);
+  if (!request || request.tabId !== terminalId) {
+    return { error: 'This request was already answered' };
+  }
+  try {
+    if (decision === 'allow' && always) {
+      permissionRulesManager.addRule(request.cwd, request.toolName, request.toolInput);
+    }
+    hooksManager.respondToPermission(requestId, decision === 'allow' ? 'allow' : 'deny');
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to answer permission request:', err);
+    return { error: err.message };
+  }
+});
+
+// Projects where Claude Code may change the prompt library over MCP
+ipcMain.handle('mcp-write-projects-list', () => {
+  if (!mcpPromptServer) return [];
+  const enabled = mcpPromptServer.getWriteProjects();
+  const open = Object.values(store.get('tabData', {}))
+    .map(data => data && data.cwd)
+    .filter(Boolean)
+    .map(cwd => path.resolve(cwd));
+  return [...new Set([...open, ...enabled])].sort().map(project => ({
+    project,
+    enabled: enabled.includes(project),
+    open: open.includes(project)
+  }));
+});
+
+ipcMain.handle('mcp-write-projects-set', async (event, project, enabled) => {
+  if (!mcpPromptServer) return { error: 'Prompt server is not running' };
+  try {
+    return { success: true, projects: await mcpPromptServer.setWriteAccess(project, Boolean(enabled)) };
+  } catch (err) {
+    console.error('Failed to change MCP write access:', err);
+    return { error: err.message };
+  }
+});
+
+// Projects that keep their prompts in the repository (.crossai/prompts)
+ipcMain.handle('prompt-repo-storage-list', () => {
+  if (!promptLibraryManager) return [];
+  const open = Object.values(store.get('tabData', {}))
+    .map(data => data && data.cwd)
+    .filter(Boolean)
+    .map(cwd => path.resolve(cwd));
+  const enabled = promptLibraryManager.getRepoStorageProjects();
+  return [...new Set([...open, ...enabled])].sort().map(project => ({
+    project,
+    enabled: enabled.includes(project),
+    unused: promptLibraryManager.hasUnusedRepoPrompts(project),
+    open: open.includes(project)
+  }));
+});
+
+ipcMain.handle('prompt-repo-storage-set', async (event, project, enabled) => {
+  if (!promptLibraryManager) return { error: 'Prompt library not ready' };
+  try {
+    return { success: true, enabled: await promptLibraryManager.setRepoStorage(project, Boolean(enabled)) };
+  } catch (err) {
+    console.error('Failed to change prompt storage:', err);
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('permission-rules-list', () => {
+  return permissionRulesManager.listAll();
+});
+
+ipcMain.handle('permission-rules-remove', (event, project, ruleId) => {
+  return { success: permissionRulesManager.removeRule(project, ruleId) };
+});
+
+ipcMain.handle('checkpoints-list', async (event, { terminalId }) => {
+  const cwd = store.get(`tabData.${terminalId}.cwd`);
+  if (!cwd) return [];
+  try {
+    return await checkpointManager.list(terminalId, cwd);
+  } catch (err) {
+    console.error('Failed to list checkpoints:', err);
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('checkpoints-restore', async (event, { terminalId, checkpointId }) => {
+  const cwd = store.get(`tabData.${terminalId}.cwd`);
+  if (!cwd) return { error: 'No working directory' };
+  try {
+    const result = await checkpointManager.restore(terminalId, cwd, checkpointId);
+    viewManager.sendToTerminalView(terminalId, 'changes-updated');
+    return result;
+  } catch (err) {
+    console.error('Failed to restore checkpoint:', err);
+    return { error: err.message };
+  }
+});
+
+// Auto-run of a terminal tab's prompt queue
+ipcMain.handle('auto-run-get', (event, { terminalId }) => {
+  return autoRunManager.getRun(terminalId);
+});
+
+ipcMain.handle('auto-run-start', async (event, { terminalId, maxPrompts, maxMinutes }) => {
+  const cwd = store.get(`tabData.${terminalId}.cwd`);
+  try {
+    return await autoRunManager.start(terminalId, cwd, { maxPrompts, maxMinutes });
+  } catch (err) {
+    console.error('Failed to start auto-run:', err);
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('auto-run-pause', (event, { terminalId }) => {
+  return { success: autoRunManager.pause(terminalId, 'Paused') };
+});
+
+ipcMain.handle('auto-run-resume', async (event, { terminalId }) => {
+  try {
+    return { success: await autoRunManager.resume(terminalId) };
+  } catch (err) {
+    console.error('Failed to resume auto-run:', err);
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('auto-run-stop', (event, { terminalId }) => {
+  autoRunManager.stop(terminalId);
+  return { success: true };
+});
+
+// Tool timeline of a terminal tab's history sessions (Activity tab)
+ipcMain.handle('timeline-sessions', (event, { terminalId }) => {
+  if (!historyManager) return [];
+  return historyManager.getSessionsForTab(terminalId);
+});
+
+ipcMain.handle('timeline-get', async (event, { terminalId, sessionId }) => {
+  if (!historyManager) return { error: 'Session history is off' };
+  if (!historyManager.getSessionsForTab(terminalId, Infinity).some(s => s.id === sessionId)) {
+    return { error: 'Session not found' };
+  }
+  try {
+    return await historyManager.getTimeline(sessionId);
+  } catch (err) {
+    console.error('Failed to read tool timeline:', err);
+    return { error: err.message };
+  }
 });
 
-ipcMain.handle('markdown-rename', (event, { terminalId, root, fromRel, toRel }) => {
-  const cwd = store.get(`tabData.${terminalId}.cwd`);
-  if (!cwd) return { error: 'No working directory' };
-  const mgr = getMarkdownManager(cwd, root);
-  if (!mgr) return { error: 'No memory directory' };
-  try { return mgr.rename(fromRel, toRel); }
-  catch (err) { return { error: err.message }; }
+ipcMain.handle('timeline-reveal-file', (event, { filePath }) => {
+  if (typeof filePath !== 'string' || !path.isAbsolute(filePath) || !fs.existsSync(filePath)) {
+    return { error: 'The file no longer exists' };
+  }
+  shell.showItemInFolder(filePath);
+  return { success: true };
 });
 
 // Open an http/https link from rendered markdown in the user's default browser.
@@ -1912,6 +3373,76 @@ ipcMain.handle('prompt-library-delete', async (event, { terminalId, promptId })
   }
 });
 
+/**
+ * Every template variable a prompt's text uses, built-ins resolved from the
+ * tab's folder and git state, the rest at their defaults
+ * @returns {Promise<Array<{ name: string, builtin: boolean, description: string, value: string }>>}
+ */
+async function resolveTemplateFields(cwd, text, variables, selection) {
+  const names = extractVariables(text);
+  const defaults = new Map(normalizeVariables(variables).map(v => [v.name, v.defaultValue]));
+  const uses = (name) => names.includes(name);
+  const [repoInfo, file] = await Promise.all([
+    cwd && uses('branch') ? worktreeManager.getRepoInfo(cwd) : null,
+    cwd && uses('file') ? changesManager.getRecentlyChangedFile(cwd) : null
+  ]);
+  const builtins = {
+    file,
+    branch: repoInfo && repoInfo.branch,
+    selection,
+    clipboard: uses('clipboard') ? clipboard.readText() : ''
+  };
+  return names.map(name => (BUILTIN_VARIABLES[name]
+    ? { name, builtin: true, description: BUILTIN_VARIABLES[name], value: builtins[name] || '' }
+    : { name, builtin: false, description: '', value: defaults.get(name) || '' }));
+}
+
+// Fill-in form for a template prompt
+ipcMain.handle('prompt-template-resolve', async (event, { terminalId, text, variables, selection }) => {
+  const cwd = store.get(`tabData.${terminalId}.cwd`);
+  try {
+    return { fields: await resolveTemplateFields(cwd, text, variables, selection) };
+  } catch (err) {
+    console.error('Failed to resolve prompt template:', err);
+    return { error: err.message };
+  }
+});
+
+/**
+ * The text auto-run types for a queued prompt. There's no one to fill in a
+ * form, so template variables take their defaults; prompts that still need
+ * input (a variable without a value, images to paste) are left to the user
+ * and get the reason instead.
+ * @returns {Promise<{text: string|null, reason: string|null}>}
+ */
+async function resolveQueuedPrompt(tabId, prompt) {
+  if (prompt.images && prompt.images.length > 0) {
+    return { text: null, reason: 'it has images, send it from the panel' };
+  }
+  const cwd = store.get(`tabData.${tabId}.cwd`);
+  const fields = await resolveTemplateFields(cwd, prompt.prompt, prompt.variables, '');
+  const missing = fields.filter(field => !field.value).map(field => `{{${field.name}}}`);
+  if (missing.length > 0) {
+    return { text: null, reason: `no value for ${missing.join(', ')}` };
+  }
+  const text = fillTemplate(prompt.prompt, Object.fromEntries(fields.map(field => [field.name, field.value])));
+  return { text, reason: null };
+}
+
+/**
+ * Submit a queued prompt in a terminal tab for auto-run
+ * @throws {Error} If the prompt can't be sent as-is
+ */
+async function sendQueuedPrompt(tabId, prompt) {
+  const { text, reason } = await resolveQueuedPrompt(tabId, prompt);
+  if (reason) {
+    throw new Error(reason);
+  }
+  if (!viewManager.submitTerminalInput(tabId, text)) {
+    throw new Error('the terminal is not running');
+  }
+}
+
 ipcMain.handle('prompt-library-duplicate', async (event, { terminalId, promptId }) => {
   if (!promptLibraryManager) return null;
   const cwd = store.get(`tabData.${terminalId}.cwd`);
@@ -1931,6 +3462,137 @@ ipcMain.handle('prompt-library-duplicate', async (event, { terminalId, promptId
   }
 });
 
+ipcMain.handle('prompt-revisions-list', async (event, { terminalId, promptId }) => {
+  if (!promptLibraryManager) return [];
+  const cwd = store.get(`tabData.${terminalId}.cwd`);
+  if (!cwd) return [];
+  try {
+    return promptLibraryManager.getRevisions(cwd, promptId);
+  } catch (err) {
+    console.error('Failed to list prompt revisions:', err);
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('prompt-revisions-diff', async (event, { terminalId, promptId, revisionId, baseRevisionId }) => {
+  if (!promptLibraryManager) return null;
+  const cwd = store.get(`tabData.${terminalId}.cwd`);
+  if (!cwd) return null;
+  try {
+    return promptLibraryManager.diffRevisions(cwd, promptId, revisionId, baseRevisionId);
+  } catch (err) {
+    console.error('Failed to diff prompt revisions:', err);
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('prompt-revisions-restore', async (event, { terminalId, promptId, revisionId }) => {
+  if (!promptLibraryManager) return null;
+  const cwd = store.get(`tabData.${terminalId}.cwd`);
+  if (!cwd) return null;
+  try {
+    const restoredPrompt = await promptLibraryManager.restoreRevision(cwd, promptId, revisionId);
+    // Sync to Firebase
+    if (firebaseSyncAdapter && restoredPrompt) {
+      firebaseSyncAdapter.pushPromptToFirebase(cwd, restoredPrompt).catch(err => {
+        console.error('Failed to sync restored prompt to Firebase:', err);
+      });
+    }
+    return restoredPrompt;
+  } catch (err) {
+    console.error('Failed to restore prompt revision:', err);
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('prompt-bundle-export', async (event, { terminalId, scope, format }) => {
+  if (!promptBundleManager) return { success: false, error: 'Prompt library not ready' };
+  const cwd = store.get(`tabData.${terminalId}.cwd`);
+  if (!cwd) return { success: false, error: 'This tab has no project folder' };
+
+  const isMarkdown = format === 'markdown';
+  const baseName = scope === 'global' ? 'global-prompts' : `${path.basename(cwd)}-prompts`;
+  const result = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: `${baseName}${isMarkdown ? '.md' : '.crossai-prompts.json'}`,
+    filters: [
+      isMarkdown ? { name: 'Markdown', extensions: ['md'] } : { name: 'Prompt bundle', extensions: ['json'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+  if (result.canceled) {
+    return { success: false, cancelled: true };
+  }
+
+  try {
+    const bundle = await promptBundleManager.exportBundle(cwd, scope);
+    if (isMarkdown) {
+      // Images go in a folder next to the file: notes.md -> notes-images/
+      const imagesDirName = `${path.basename(result.filePath, path.extname(result.filePath))}-images`;
+      const { text, files } = promptBundleManager.toMarkdown(bundle, imagesDirName);
+      for (const file of files) {
+        const filePath = path.join(path.dirname(result.filePath), file.relPath);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, file.data);
+      }
+      await fs.promises.writeFile(result.filePath, text, 'utf-8');
+    } else {
+      await fs.promises.writeFile(result.filePath, promptBundleManager.toJSON(bundle), 'utf-8');
+    }
+    return { success: true, filePath: result.filePath, count: bundle.prompts.length };
+  } catch (err) {
+    console.error('Failed to export prompts:', err);
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('prompt-bundle-import', async (event, { terminalId, scope, onCollision }) => {
+  if (!promptBundleManager) return { success: false, error: 'Prompt library not ready' };
+  const cwd = store.get(`tabData.${terminalId}.cwd`);
+  if (!cwd) return { success: false, error: 'This tab has no project folder' };
+
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile'],
+    filters: [
+      { name: 'Prompt bundle', extensions: ['json', 'md'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { success: false, cancelled: true };
+  }
+
+  try {
+    const filePath = result.filePaths[0];
+    const stat = await fs.promises.stat(filePath);
+    if (stat.size > 100 * 1024 * 1024) {
+      throw new Error('Bundle file is too large (max 100 MB)');
+    }
+    const text = await fs.promises.readFile(filePath, 'utf-8');
+    const bundle = path.extname(filePath).toLowerCase() === '.md'
+      ? promptBundleManager.parseMarkdown(text, path.dirname(filePath))
+      : promptBundleManager.parseJSON(text);
+    const imported = await promptBundleManager.importBundle(cwd, bundle, { scope, onCollision });
+    // Sync to Firebase
+    if (firebaseSyncAdapter) {
+      for (const prompt of [...imported.created, ...imported.overwritten]) {
+        firebaseSyncAdapter.pushPromptToFirebase(cwd, prompt).catch(err => {
+          console.error('Failed to sync imported prompt to Firebase:', err);
+        });
+      }
+    }
+    return {
+      success: true,
+      created: imported.created.length,
+      overwritten: imported.overwritten.length,
+      skipped: imported.skipped,
+      errors: imported.errors
+    };
+  } catch (err) {
+    console.error('Failed to import prompts:', err);
+    return { success: false, error: err.message };
+  }
+});
+
 ipcMain.handle('prompt-library-reorder', async (event, { terminalId, promptIds, scope }) => {
   if (!promptLibraryManager) return false;
   const cwd = store.get(`tabData.${terminalId}.cwd`);
@@ -2323,6 +3985,219 @@ ipcMain.on('ai-streaming-state', (event, data) => {
   }
 });
 
+// Broadcast handlers
+ipcMain.handle('broadcast-get-targets', () => {
+  return tabManager.getOrderedTabs()
+    .map(tab => ({ tab, serviceType: getServiceType(tab.serviceType) }))
+    .filter(({ serviceType }) => serviceType && serviceType.type === 'web')
+    .map(({ tab, serviceType }) => ({
+      tabId: tab.id,
+      tabName: tab.name,
+      serviceType: tab.serviceType,
+      color: serviceType.color,
+      // Tabs without composer selectors can't receive injected text
+      supported: !!(selectorPackManager.getPack(tab.serviceType) || {}).composer
+    }));
+});
+
+ipcMain.handle('broadcast-get-current', () => {
+  return broadcastManager ? broadcastManager.getCurrent() : null;
+});
+
+ipcMain.handle('broadcast-send', (event, prompt, tabIds) => {
+  try {
+    const targets = (Array.isArray(tabIds) ? tabIds : [])
+      .map(tabId => tabManager.getTab(tabId))
+      .filter(tab => tab && getServiceType(tab.serviceType)?.type === 'web')
+      .map(tab => ({ tabId: tab.id, tabName: tab.name, serviceType: tab.serviceType }));
+    const broadcast = broadcastManager.start(prompt, targets);
+
+    targets.forEach(({ tabId }) => {
+      if (!viewManager.hasView(tabId)) {
+        createViewForTab(tabManager.getTab(tabId));
+      }
+      if (!viewManager.sendToWebView(tabId, 'broadcast-inject', { broadcastId: broadcast.id, text: prompt })) {
+        broadcastManager.markError(broadcast.id, tabId, 'Tab is not loaded');
+      }
+    });
+    return { success: true, broadcast };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.on('broadcast-inject-result', (event, result) => {
+  const tabId = viewManager ? viewManager.getTabIdByWebContents(event.sender) : null;
+  if (!tabId || !broadcastManager || !result) return;
+  if (result.success) {
+    broadcastManager.markSent(result.broadcastId, tabId);
+  } else {
+    broadcastManager.markError(result.broadcastId, tabId, result.error);
+  }
+});
+
+ipcMain.handle('broadcast-save', async () => {
+  try {
+    return { success: true, comparison: await broadcastManager.saveCurrent() };
+  } catch (err) {
+    console.error('Failed to save comparison:', err);
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle('broadcast-archive-list', () => {
+  return broadcastManager ? broadcastManager.listArchive() : [];
+});
+
+ipcMain.handle('broadcast-archive-get', (event, id) => {
+  return broadcastManager ? broadcastManager.getArchived(id) : null;
+});
+
+ipcMain.handle('broadcast-archive-delete', async (event, id) => {
+  return broadcastManager ? broadcastManager.deleteArchived(id) : false;
+});
+
+// Conversation archive handlers
+ipcMain.handle('conversations-search', (event, filters) => {
+  if (!conversationArchive) return { results: [], total: 0 };
+  return conversationArchive.search(filters || {});
+});
+
+ipcMain.handle('conversations-get', (event, id) => {
+  return conversationArchive ? conversationArchive.get(id) : null;
+});
+
+ipcMain.handle('conversations-get-filters', () => {
+  return {
+    services: getWebServiceTypes().map(s => ({ id: s.id, name: s.name, color: s.color })),
+    tabs: conversationArchive ? conversationArchive.listTabs() : [],
+    enabled: conversationArchive ? conversationArchive.isEnabled() : false
+  };
+});
+
+ipcMain.handle('conversations-set-enabled', (event, enabled) => {
+  if (!conversationArchive) return false;
+  conversationArchive.setEnabled(enabled);
+  return true;
+});
+
+ipcMain.handle('conversations-delete', (event, id) => {
+  if (!conversationArchive) return false;
+  try {
+    return conversationArchive.delete(id);
+  } catch (err) {
+    console.error(`Failed to delete conversation ${id}:`, err);
+    return false;
+  }
+});
+
+ipcMain.handle('conversations-clear', async () => {
+  if (!conversationArchive) return false;
+  try {
+    await conversationArchive.clear();
+    return true;
+  } catch (err) {
+    console.error('Failed to clear conversation archive:', err);
+    return false;
+  }
+});
+
+ipcMain.handle('conversations-export', async (event, format, filters) => {
+  if (!conversationArchive || !mainWindow) return { success: false };
+  if (format !== 'markdown' && format !== 'json') {
+    return { success: false, error: `Unknown export format: ${format}` };
+  }
+
+  const exchanges = conversationArchive.getForExport(filters || {});
+  if (exchanges.length === 0) {
+    return { success: false, error: 'Nothing to export' };
+  }
+
+  const extension = format === 'markdown' ? 'md' : 'json';
+  const dateStr = new Date().toISOString().slice(0, 10);
+  const result = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: `conversations-${dateStr}.${extension}`,
+    filters: [
+      format === 'markdown'
+        ? { name: 'Markdown', extensions: ['md'] }
+        : { name: 'JSON', extensions: ['json'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+
+  if (result.canceled) {
+    return { success: false, cancelled: true };
+  }
+
+  try {
+    const serviceNames = Object.fromEntries(getWebServiceTypes().map(s => [s.id, s.name]));
+    const content = format === 'markdown'
+      ? conversationArchive.toMarkdown(exchanges, serviceNames)
+      : conversationArchive.toJSON(exchanges);
+    await fs.promises.writeFile(result.filePath, content, 'utf-8');
+    return { success: true, filePath: result.filePath, count: exchanges.length };
+  } catch (err) {
+    console.error('Failed to export conversations:', err);
+    return { success: false, error: err.message };
+  }
+});
+
+// Selector packs: served to webview-preload for streaming/completion detection
+ipcMain.handle('selector-pack-get', (event, serviceId) => {
+  return selectorPackManager ? selectorPackManager.getPack(serviceId) : null;
+});
+
+ipcMain.handle('selector-packs-list', () => {
+  return selectorPackManager ? selectorPackManager.list() : { packs: [], errors: [], userDir: null };
+});
+
+ipcMain.handle('selector-packs-reload', () => {
+  if (!selectorPackManager) return { error: 'Selector packs not initialized' };
+  const changed = selectorPackManager.load();
+  if (changed.length > 0 && viewManager) {
+    viewManager.broadcastToWebViews('selector-pack-updated', changed);
+  }
+  return { success: true, changed, ...selectorPackManager.list() };
+});
+
+ipcMain.handle('selector-packs-open-folder', async () => {
+  if (!selectorPackManager) return false;
+  const error = await shell.openPath(selectorPackManager.userDir);
+  return !error;
+});
+
+ipcMain.handle('selector-packs-customize', (event, serviceId) => {
+  try {
+    const filePath = selectorPackManager.copyToUserDir(serviceId);
+    selectorPackManager.load();
+    shell.showItemInFolder(filePath);
+    return { success: true, path: filePath, ...selectorPackManager.list() };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+// Diagnostics: which pack selectors match on a web tab's current page
+ipcMain.handle('selector-diagnostics-tabs', () => {
+  return tabManager.getOrderedTabs()
+    .filter(tab => viewManager.hasView(tab.id) && getServiceType(tab.serviceType)?.type === 'web')
+    .map(tab => ({ id: tab.id, name: tab.name, serviceType: tab.serviceType }));
+});
+
+ipcMain.handle('selector-diagnostics-run', async (event, tabId) => {
+  try {
+    return await viewManager.requestSelectorDiagnostics(tabId);
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.on('selector-diagnostics-result', (event, requestId, report) => {
+  if (viewManager) {
+    viewManager.resolveSelectorDiagnostics(requestId, report, event.sender);
+  }
+});
+
 // Notification handler from webviews
 ipcMain.on('ai-response-complete', (event, data) => {
   const { serviceId, preview } = data;
@@ -2345,9 +4220,29 @@ ipcMain.on('ai-response-complete', (event, data) => {
     return;
   }
 
+  // Collect the answer if this tab is part of a running broadcast
+  if (broadcastManager) {
+    broadcastManager.recordResponse(tabId, data.response || preview);
+  }
+
   const serviceType = getServiceType(tab.serviceType);
   if (!serviceType) return;
 
+  if (conversationArchive) {
+    try {
+      conversationArchive.record({
+        tabId,
+        tabName: tab.name,
+        serviceType: tab.serviceType,
+        prompt: data.prompt,
+        response: data.response,
+        url: data.url
+      });
+    } catch (err) {
+      console.error('Failed to archive conversation:', err);
+    }
+  }
+
   // Always mark tab as completed for badge (if not active)
   markTabCompleted(tabId);
 
@@ -2423,6 +4318,36 @@ function createMenu() {
               closeTab(activeTabId);
             }
           }
+        },
+        { type: 'separator' },
+        {
+          label: 'Command Palette...',
+          accelerator: 'CmdOrCtrl+K',
+          click: () => showCommandPalette()
+        },
+        {
+          label: 'Broadcast to Tabs...',
+          accelerator: 'CmdOrCtrl+Shift+B',
+          click: () => openToolPage('broadcast')
+        },
+        {
+          label: 'Search Conversations...',
+          accelerator: 'CmdOrCtrl+Shift+F',
+          click: () => openToolPage('conversations')
+        }
+      ]
+    },
+    {
+      label: 'Workspaces',
+      submenu: [
+        ...(workspaceManager ? workspaceManager.list() : []).map(workspace => ({
+          label: workspace.name,
+          click: () => restoreWorkspace(workspace.id)
+        })),
+        ...(workspaceManager && workspaceManager.list().length > 0 ? [{ type: 'separator' }] : []),
+        {
+          label: 'Manage Workspaces...',
+          click: () => openSettings()
         }
       ]
     },
@@ -2461,6 +4386,31 @@ function createMenu() {
           }
         },
         { type: 'separator' },
+        {
+          label: 'Toggle Split View',
+          accelerator: 'CmdOrCtrl+\\',
+          click: () => toggleSplitView()
+        },
+        {
+          label: 'Rotate Split',
+          click: () => {
+            const splitState = viewManager?.getSplitState();
+            if (splitState) {
+              viewManager.setSplitOrientation(splitState.orientation === 'horizontal' ? 'vertical' : 'horizontal');
+            }
+          }
+        },
+        {
+          label: 'Focus Other Pane',
+          accelerator: 'CmdOrCtrl+Alt+\\',
+          click: () => {
+            const partner = viewManager?.getSplitPartner(viewManager.getActiveTabId());
+            if (partner) {
+              switchToTab(partner);
+            }
+          }
+        },
+        { type: 'separator' },
         { role: 'reload' },
         { role: 'forceReload' },
         { type: 'separator' },
@@ -2538,4 +4488,5 @@ app.on('window-all-closed', () => {
 
 app.on('will-quit', () => {
   globalShortcut.unregisterAll();
+  if (promptLibraryManager) promptLibraryManager.close();
 });
@@ -0,0 +1,266 @@
+// Broadcast page: send one prompt to several web tabs and compare the answers
+
+const STATUS_LABELS = {
+  sending: 'Sending',
+  waiting: 'Waiting',
+  done: 'Done',
+  error: 'Error',
+  timeout: 'Timed out'
+};
+
+let targets = [];
+let selectedTabIds = new Set();
+let current = null; // Live broadcast from main
+let viewingArchiveId = null; // Set while a saved comparison is shown
+
+async function init() {
+  const promptInput = document.getElementById('prompt-input');
+
+  document.getElementById('done-btn').addEventListener('click', () => {
+    window.electronAPI.close();
+  });
+
+  document.getElementById('new-btn').addEventListener('click', () => {
+    viewingArchiveId = null;
+    promptInput.value = '';
+    renderResults(current);
+    renderArchive();
+    promptInput.focus();
+  });
+
+  document.getElementById('send-btn').addEventListener('click', send);
+  promptInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      send();
+    }
+  });
+
+  document.getElementById('save-btn').addEventListener('click', async () => {
+    const result = await window.electronAPI.save();
+    if (result.error) {
+      showError(result.error);
+      return;
+    }
+    renderArchive();
+  });
+
+  window.electronAPI.onBroadcastUpdated((broadcast) => {
+    current = broadcast;
+    if (!viewingArchiveId) renderResults(current);
+  });
+
+  // Tabs may have been opened or closed while the page was hidden
+  window.addEventListener('focus', loadTargets);
+
+  await loadTargets();
+  current = await window.electronAPI.getCurrent();
+  renderResults(current);
+  renderArchive();
+  promptInput.focus();
+}
+
+async function loadTargets() {
+  targets = await window.electronAPI.getTargets();
+  const supportedIds = new Set(targets.filter(t => t.supported).map(t => t.tabId));
+
+  // Keep the previous selection where possible; default to every supported tab
+  const kept = Array.from(selectedTabIds).filter(id => supportedIds.has(id));
+  selectedTabIds = new Set(kept.length > 0 ? kept : supportedIds);
+  renderTargets();
+}
+
+function renderTargets() {
+  const list = document.getElementById('target-list');
+  list.textContent = '';
+
+  if (targets.length === 0) {
+    const hint = document.createElement('span');
+    hint.className = 'hint';
+    hint.textContent = 'Open a ChatGPT, Claude or Gemini tab to broadcast to it.';
+    list.appendChild(hint);
+  }
+
+  targets.forEach(target => {
+    const chip = document.createElement('label');
+    chip.className = 'target-chip' + (target.supported ? '' : ' unsupported');
+    if (!target.supported) {
+      chip.title = 'No composer selectors for this service';
+    }
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedTabIds.has(target.tabId);
+    checkbox.disabled = !target.supported;
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selectedTabIds.add(target.tabId);
+      } else {
+        selectedTabIds.delete(target.tabId);
+      }
+    });
+
+    const dot = document.createElement('span');
+    dot.className = 'target-dot';
+    dot.style.background = target.color;
+
+    const name = document.createElement('span');
+    name.textContent = target.tabName;
+
+    chip.append(checkbox, dot, name);
+    list.appendChild(chip);
+  });
+}
+
+async function send() {
+  const prompt = document.getElementById('prompt-input').value;
+  showError('');
+
+  const sendBtn = document.getElementById('send-btn');
+  sendBtn.disabled = true;
+  try {
+    const result = await window.electronAPI.send(prompt, Array.from(selectedTabIds));
+    if (result.error) {
+      showError(result.error);
+      return;
+    }
+    viewingArchiveId = null;
+    current = result.broadcast;
+    renderResults(current);
+    renderArchive();
+  } finally {
+    sendBtn.disabled = false;
+  }
+}
+
+function showError(message) {
+  document.getElementById('send-error').textContent = message;
+}
+
+/**
+ * Render a broadcast (live or archived) as side-by-side columns
+ */
+function renderResults(broadcast) {
+  const results = document.getElementById('results');
+  const header = document.getElementById('results-header');
+  const empty = document.getElementById('empty-state');
+  results.textContent = '';
+
+  if (!broadcast) {
+    header.style.display = 'none';
+    empty.style.display = '';
+    return;
+  }
+  header.style.display = '';
+  empty.style.display = 'none';
+
+  document.getElementById('results-prompt').textContent = broadcast.prompt;
+  document.getElementById('results-prompt').title = broadcast.prompt;
+
+  // Saving only applies to the live broadcast
+  const saveBtn = document.getElementById('save-btn');
+  saveBtn.style.display = viewingArchiveId ? 'none' : '';
+  saveBtn.disabled = !!broadcast.saved;
+  saveBtn.textContent = broadcast.saved ? 'Saved' : 'Save comparison';
+
+  const liveTabIds = new Set(targets.map(t => t.tabId));
+
+  broadcast.targets.forEach(target => {
+    const column = document.createElement('div');
+    column.className = 'result-column';
+
+    const columnHeader = document.createElement('div');
+    columnHeader.className = 'result-header';
+
+    const name = document.createElement('span');
+    name.className = 'result-name';
+    name.textContent = target.tabName;
+    if (!viewingArchiveId && liveTabIds.has(target.tabId)) {
+      name.title = 'Open tab';
+      name.addEventListener('click', () => window.electronAPI.openTab(target.tabId));
+    }
+
+    const status = document.createElement('span');
+    status.className = `result-status ${target.status}`;
+    status.textContent = STATUS_LABELS[target.status] || target.status;
+
+    columnHeader.append(name, status);
+
+    const body = document.createElement('div');
+    body.className = 'result-body';
+    if (target.status === 'done') {
+      body.textContent = target.response || '(empty response)';
+    } else {
+      body.classList.add('placeholder');
+      body.textContent = target.error ||
+        (target.status === 'sending' ? 'Sending prompt...' : 'Waiting for the answer...');
+    }
+
+    column.append(columnHeader, body);
+    results.appendChild(column);
+  });
+}
+
+async function renderArchive() {
+  const list = document.getElementById('archive-list');
+  const comparisons = await window.electronAPI.listArchive();
+  list.textContent = '';
+
+  if (comparisons.length === 0) {
+    const hint = document.createElement('div');
+    hint.className = 'hint';
+    hint.style.padding = '8px';
+    hint.textContent = 'Nothing saved yet.';
+    list.appendChild(hint);
+    return;
+  }
+
+  comparisons.forEach(comparison => {
+    const item = document.createElement('div');
+    item.className = 'archive-item' + (comparison.id === viewingArchiveId ? ' active' : '');
+
+    const text = document.createElement('div');
+    text.className = 'archive-text';
+
+    const prompt = document.createElement('div');
+    prompt.className = 'archive-prompt';
+    prompt.textContent = comparison.prompt;
+
+    const meta = document.createElement('div');
+    meta.className = 'archive-meta';
+    meta.textContent = `${new Date(comparison.createdAt).toLocaleString()} · ${comparison.services.length} answers`;
+
+    text.append(prompt, meta);
+
+    const del = document.createElement('button');
+    del.className = 'archive-delete';
+    del.title = 'Delete';
+    del.textContent = '×';
+    del.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      if (!confirm('Delete this saved comparison?')) return;
+      await window.electronAPI.deleteArchived(comparison.id);
+      if (viewingArchiveId === comparison.id) {
+        viewingArchiveId = null;
+        renderResults(current);
+      }
+      renderArchive();
+    });
+
+    item.addEventListener('click', async () => {
+      const doc = await window.electronAPI.getArchived(comparison.id);
+      if (!doc) {
+        renderArchive();
+        return;
+      }
+      viewingArchiveId = comparison.id;
+      renderResults(doc);
+      renderArchive();
+    });
+
+    item.append(text, del);
+    list.appendChild(item);
+  });
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,142 @@
+// Command palette (Cmd+K): fuzzy search over tabs, prompts, sessions and actions
+
+const input = document.getElementById('query-input');
+const resultsEl = document.getElementById('results');
+
+let results = [];
+let selectedIndex = 0;
+let searchSeq = 0;
+
+async function runSearch() {
+  const seq = ++searchSeq;
+  const found = await window.electronAPI.search(input.value);
+  if (seq !== searchSeq) return; // A newer keystroke already searched
+  results = found;
+  selectedIndex = 0;
+  render();
+}
+
+function render() {
+  resultsEl.textContent = '';
+
+  if (results.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = 'No matches';
+    resultsEl.appendChild(empty);
+    return;
+  }
+
+  results.forEach((result, index) => {
+    const row = document.createElement('div');
+    row.className = 'result' + (index === selectedIndex ? ' selected' : '');
+
+    const text = document.createElement('div');
+    text.className = 'result-text';
+    const title = document.createElement('div');
+    title.className = 'result-title';
+    appendHighlighted(title, result.title, result.matches);
+    text.appendChild(title);
+    if (result.subtitle) {
+      const subtitle = document.createElement('div');
+      subtitle.className = 'result-subtitle';
+      subtitle.textContent = result.subtitle;
+      text.appendChild(subtitle);
+    }
+    row.appendChild(text);
+
+    if (result.shortcut) {
+      const shortcut = document.createElement('span');
+      shortcut.className = 'result-shortcut';
+      shortcut.textContent = result.shortcut;
+      row.appendChild(shortcut);
+    }
+
+    const category = document.createElement('span');
+    category.className = 'result-category';
+    category.textContent = result.category;
+    row.appendChild(category);
+
+    row.addEventListener('mousemove', () => {
+      if (selectedIndex !== index) {
+        selectedIndex = index;
+        updateSelection();
+      }
+    });
+    row.addEventListener('click', () => runItem(index));
+    resultsEl.appendChild(row);
+  });
+}
+
+/**
+ * Append text with fuzzy-matched characters wrapped in <mark>
+ */
+function appendHighlighted(el, text, matches) {
+  const marked = new Set(matches);
+  let run = '';
+  let runMarked = false;
+  const flush = () => {
+    if (!run) return;
+    if (runMarked) {
+      const mark = document.createElement('mark');
+      mark.textContent = run;
+      el.appendChild(mark);
+    } else {
+      el.appendChild(document.createTextNode(run));
+    }
+    run = '';
+  };
+  Array.from(text).forEach((char, i) => {
+    if (marked.has(i) !== runMarked) {
+      flush();
+      runMarked = marked.has(i);
+    }
+    run += char;
+  });
+  flush();
+}
+
+function updateSelection() {
+  resultsEl.querySelectorAll('.result').forEach((row, index) => {
+    row.classList.toggle('selected', index === selectedIndex);
+    if (index === selectedIndex) {
+      row.scrollIntoView({ block: 'nearest' });
+    }
+  });
+}
+
+function runItem(index) {
+  const result = results[index];
+  if (result) {
+    window.electronAPI.execute(result.id);
+  }
+}
+
+input.addEventListener('input', runSearch);
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    window.electronAPI.close();
+  } else if (e.key === 'ArrowDown' || (e.ctrlKey && e.key === 'n')) {
+    e.preventDefault();
+    selectedIndex = Math.min(selectedIndex + 1, results.length - 1);
+    updateSelection();
+  } else if (e.key === 'ArrowUp' || (e.ctrlKey && e.key === 'p')) {
+    e.preventDefault();
+    selectedIndex = Math.max(selectedIndex - 1, 0);
+    updateSelection();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    runItem(selectedIndex);
+  }
+});
+
+// Click outside the palette to close
+document.getElementById('backdrop').addEventListener('click', (e) => {
+  if (e.target.id === 'backdrop') {
+    window.electronAPI.close();
+  }
+});
+
+input.focus();
+runSearch();
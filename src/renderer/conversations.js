@@ -0,0 +1,262 @@
+// Conversations page: search the local archive of web AI exchanges
+
+let services = [];
+let selectedId = null;
+let searchTimer = null;
+
+async function init() {
+  document.getElementById('done-btn').addEventListener('click', () => {
+    window.electronAPI.close();
+  });
+
+  document.getElementById('search-input').addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, 200);
+  });
+  ['service-filter', 'tab-filter', 'from-filter', 'to-filter'].forEach(id => {
+    document.getElementById(id).addEventListener('change', runSearch);
+  });
+
+  document.getElementById('capture-toggle').addEventListener('change', (e) => {
+    window.electronAPI.setEnabled(e.target.checked);
+  });
+
+  document.getElementById('export-md-btn').addEventListener('click', () => exportResults('markdown'));
+  document.getElementById('export-json-btn').addEventListener('click', () => exportResults('json'));
+
+  document.getElementById('clear-btn').addEventListener('click', async () => {
+    if (!confirm('Delete every archived conversation? This cannot be undone.')) return;
+    await window.electronAPI.clear();
+    selectedId = null;
+    showDetail(null);
+  });
+
+  // New exchanges arrive while the page is open
+  window.electronAPI.onConversationsUpdated(() => {
+    loadFilters();
+    runSearch();
+  });
+
+  await loadFilters();
+  await runSearch();
+  document.getElementById('search-input').focus();
+}
+
+async function loadFilters() {
+  const filters = await window.electronAPI.getFilters();
+  services = filters.services;
+  document.getElementById('capture-toggle').checked = filters.enabled;
+
+  fillSelect(document.getElementById('service-filter'), 'All services',
+    services.map(s => ({ value: s.id, label: s.name })));
+  fillSelect(document.getElementById('tab-filter'), 'All tabs',
+    filters.tabs.map(t => ({ value: t.tabId, label: `${t.tabName} (${t.count})` })));
+}
+
+function fillSelect(select, allLabel, options) {
+  const previous = select.value;
+  select.textContent = '';
+
+  const all = document.createElement('option');
+  all.value = '';
+  all.textContent = allLabel;
+  select.appendChild(all);
+
+  options.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+
+  if (options.some(o => o.value === previous)) {
+    select.value = previous;
+  }
+}
+
+/**
+ * Current filter values, with dates turned into local day bounds
+ */
+function getFilters() {
+  const from = document.getElementById('from-filter').value;
+  const to = document.getElementById('to-filter').value;
+  return {
+    query: document.getElementById('search-input').value.trim(),
+    serviceType: document.getElementById('service-filter').value || undefined,
+    tabId: document.getElementById('tab-filter').value || undefined,
+    from: from ? new Date(`${from}T00:00:00`).getTime() : undefined,
+    to: to ? new Date(`${to}T23:59:59.999`).getTime() : undefined
+  };
+}
+
+async function runSearch() {
+  const filters = getFilters();
+  const { results, total } = await window.electronAPI.search(filters);
+  const terms = filters.query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  const count = document.getElementById('results-count');
+  count.textContent = total > results.length
+    ? `Showing ${results.length} of ${total}`
+    : `${total} ${total === 1 ? 'exchange' : 'exchanges'}`;
+
+  const list = document.getElementById('results-list');
+  list.textContent = '';
+
+  if (results.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = filters.query ? 'No matches.' : 'Finished answers from web tabs will show up here.';
+    list.appendChild(empty);
+    return;
+  }
+
+  results.forEach(result => {
+    const item = document.createElement('div');
+    item.className = 'result-item' + (result.id === selectedId ? ' active' : '');
+    item.dataset.id = result.id;
+
+    const meta = document.createElement('div');
+    meta.className = 'result-meta';
+    const dot = document.createElement('span');
+    dot.className = 'service-dot';
+    dot.style.background = getServiceColor(result.serviceType);
+    const label = document.createElement('span');
+    label.textContent = `${result.tabName} · ${formatDate(result.capturedAt)}`;
+    meta.append(dot, label);
+
+    const prompt = document.createElement('div');
+    prompt.className = 'result-prompt';
+    appendHighlighted(prompt, result.prompt || '(prompt not captured)', terms);
+
+    const snippet = document.createElement('div');
+    snippet.className = 'result-snippet';
+    appendHighlighted(snippet, result.snippet, terms);
+
+    item.append(meta, prompt, snippet);
+    item.addEventListener('click', () => select(result.id));
+    list.appendChild(item);
+  });
+}
+
+async function select(id) {
+  selectedId = id;
+  document.querySelectorAll('.result-item').forEach(item => {
+    item.classList.toggle('active', item.dataset.id === id);
+  });
+  showDetail(await window.electronAPI.get(id));
+}
+
+function showDetail(exchange) {
+  const detail = document.getElementById('detail');
+  detail.textContent = '';
+
+  if (!exchange) {
+    const empty = document.createElement('div');
+    empty.className = 'empty-state';
+    empty.textContent = 'Select a conversation to read it.';
+    detail.appendChild(empty);
+    return;
+  }
+
+  const header = document.createElement('div');
+  header.className = 'detail-header';
+
+  const dot = document.createElement('span');
+  dot.className = 'service-dot';
+  dot.style.background = getServiceColor(exchange.serviceType);
+
+  const title = document.createElement('span');
+  title.className = 'detail-title';
+  title.textContent = `${exchange.tabName} · ${formatDate(exchange.capturedAt)}`;
+
+  const copyBtn = document.createElement('button');
+  copyBtn.className = 'btn';
+  copyBtn.textContent = 'Copy answer';
+  copyBtn.addEventListener('click', async () => {
+    await navigator.clipboard.writeText(exchange.response);
+    copyBtn.textContent = 'Copied';
+    setTimeout(() => { copyBtn.textContent = 'Copy answer'; }, 1500);
+  });
+
+  const openBtn = document.createElement('button');
+  openBtn.className = 'btn';
+  openBtn.textContent = 'Open tab';
+  openBtn.addEventListener('click', () => window.electronAPI.openTab(exchange.tabId));
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'btn danger';
+  deleteBtn.textContent = 'Delete';
+  deleteBtn.addEventListener('click', async () => {
+    if (!confirm('Delete this exchange from the archive?')) return;
+    await window.electronAPI.delete(exchange.id);
+    selectedId = null;
+    showDetail(null);
+  });
+
+  header.append(dot, title, copyBtn, openBtn, deleteBtn);
+  detail.append(
+    header,
+    makeSection('Prompt', exchange.prompt || '(prompt not captured)'),
+    makeSection('Response', exchange.response)
+  );
+}
+
+function makeSection(label, text) {
+  const section = document.createElement('div');
+  section.className = 'detail-section';
+  const heading = document.createElement('div');
+  heading.className = 'detail-label';
+  heading.textContent = label;
+  const body = document.createElement('div');
+  body.className = 'detail-text';
+  body.textContent = text;
+  section.append(heading, body);
+  return section;
+}
+
+async function exportResults(format) {
+  const status = document.getElementById('status-message');
+  const result = await window.electronAPI.export(format, getFilters());
+  if (result.success) {
+    status.textContent = `Exported ${result.count} to ${result.filePath}`;
+  } else if (!result.cancelled) {
+    status.textContent = result.error || 'Export failed';
+  }
+}
+
+/**
+ * Append text to an element with search terms wrapped in <mark>
+ */
+function appendHighlighted(el, text, terms) {
+  if (terms.length === 0) {
+    el.textContent = text;
+    return;
+  }
+  const escaped = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+  text.split(pattern).forEach((part, i) => {
+    if (i % 2 === 1) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      el.appendChild(mark);
+    } else if (part) {
+      el.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+function getServiceColor(serviceType) {
+  const service = services.find(s => s.id === serviceType);
+  return service ? service.color : '#6b7280';
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -13,8 +13,16 @@
  * - Labels (multiple tags per prompt)
  * - Global vs Project scope
  * - Search/filter
+ * - Changes tab: files the session changed, per-file diff and revert,
+ *   diff hunks attached to new prompts, and a per-prompt checkpoint timeline
+ * - Activity tab: every tool call and subagent of the tab's sessions
+ * - Template prompts: `{{name}}` variables filled in from a form when sent
  */
 
+// Template syntax and built-ins, as in src/core/promptTemplate.js
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+const BUILTIN_TEMPLATE_VARIABLES = ['file', 'branch', 'selection', 'clipboard'];
+
 class PromptLibrary {
   constructor() {
     this.prompts = [];
@@ -34,7 +42,7 @@ class PromptLibrary {
     this.secretsEditing = null;  // null | 'new' | secret id
     this._secretFormDraft = null; // captured draft while re-rendering
     this.searchQuery = '';
-    this.activeTab = 'prompts';   // 'prompts' | 'notes' | 'secrets'
+    this.activeTab = 'prompts';   // 'prompts' | 'notes' | 'secrets' | 'markdown' | 'changes' | 'activity'
     this.scopeFilter = 'all';     // 'all' | 'global' | 'project'
 
     // Markdown tab state
@@ -55,6 +63,35 @@ class PromptLibrary {
     this._mdLoaded = false;       // file list fetched at least once
     this._mdChangeSubscribed = false;
 
+    // Changes tab state
+    this.chView = 'files';        // 'files' | 'checkpoints'
+    this.chSince = 'session';     // 'session' | 'prompt'
+    this.chCheckpoints = [];      // [{ id, label, createdAt }] newest first
+    this.chStatus = null;         // 'ok' | 'no-baseline' | 'not-git' | 'error'
+    this.chError = null;
+    this.chFiles = [];            // [{ path, oldPath, status, additions, deletions, binary }]
+    this.chOpenFile = null;       // path of the file whose diff is shown, or null (list view)
+    this.chDiff = null;           // { diff, truncated } | { error } for chOpenFile
+    this._chLoaded = false;
+    this._chChangeSubscribed = false;
+
+    // Activity tab state
+    this.tlSessions = [];         // [{ id, timestamp, live, toolCount }] live one first
+    this.tlSessionId = null;      // session shown, or null for the newest
+    this.tlEntries = [];          // timeline entries of that session, oldest first
+    this.tlError = null;
+    this.tlNotice = null;         // why the last jump went nowhere
+    this._tlLoaded = false;
+    this._tlEntrySubscribed = false;
+    this.onRevealCommand = null;  // set by terminal.js: (command) => found in scrollback
+
+    // Auto-run of this tab's queue: run from main, or null when off
+    this.autoRun = null;
+    this.autoRunLimits = { maxPrompts: 5, maxMinutes: 60 };
+
+    // The repository has a .crossai/prompts folder this project doesn't use
+    this.hasUnusedRepoPrompts = false;
+
     this.testingTimerInterval = null;
     this.isInlineEditing = false;
     this.preEditPanelWidth = null;
@@ -127,6 +164,27 @@ class PromptLibrary {
         path2.setAttribute('d', 'M3 3v5h5');
         return [path1, path2];
       },
+      history: () => {
+        const path1 = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path1.setAttribute('d', 'M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8');
+        const path2 = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path2.setAttribute('d', 'M3 3v5h5');
+        const path3 = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path3.setAttribute('d', 'M12 7v5l4 2');
+        return [path1, path2, path3];
+      },
+      lock: () => {
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('x', '3');
+        rect.setAttribute('y', '11');
+        rect.setAttribute('width', '18');
+        rect.setAttribute('height', '11');
+        rect.setAttribute('rx', '2');
+        rect.setAttribute('ry', '2');
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', 'M7 11V7a5 5 0 0 1 10 0v4');
+        return [rect, path];
+      },
       globe: () => {
         const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
         circle.setAttribute('cx', '12');
@@ -232,11 +290,32 @@ class PromptLibrary {
 
     // Listen for prompt updates from other terminals
     if (window.electronAPI?.promptLibrary?.onPromptsUpdated) {
-      window.electronAPI.promptLibrary.onPromptsUpdated((data) => {
+      window.electronAPI.promptLibrary.onPromptsUpdated(async (data) => {
         this.prompts = data.prompts || [];
+        await this.loadRepoPromptsState();
         this.renderPrompts();
       });
     }
+
+    // Auto-run progress, pauses and the end of a run
+    if (window.electronAPI?.autoRun) {
+      window.electronAPI.autoRun.onUpdated((run) => {
+        this.autoRun = run;
+        if (this.activeTab === 'prompts') this.renderPrompts();
+      });
+      this.autoRun = await window.electronAPI.autoRun.get();
+      if (this.activeTab === 'prompts') this.renderPrompts();
+    }
+
+    // Insert a prompt picked in the command palette
+    if (window.electronAPI?.promptLibrary?.onInsertRequested) {
+      window.electronAPI.promptLibrary.onInsertRequested(async ({ promptId }) => {
+        const prompt = this.prompts.find(p => p.id === promptId);
+        if (prompt) {
+          await this.insertPromptAsInput(prompt);
+        }
+      });
+    }
   }
 
   /**
@@ -252,6 +331,12 @@ class PromptLibrary {
       addBtn.addEventListener('click', () => this.handleAddButton());
     }
 
+    // Import/export button
+    const bundleBtn = this.panel.querySelector('.bundle-btn');
+    if (bundleBtn) {
+      bundleBtn.addEventListener('click', () => this.showBundleDialog());
+    }
+
     // Collapse button
     const collapseBtn = this.panel.querySelector('.collapse-btn');
     if (collapseBtn) {
@@ -317,6 +402,11 @@ class PromptLibrary {
           e.stopPropagation();
           return;
         }
+        if (this.activeTab === 'changes' && this.chOpenFile) {
+          this.closeChangedFile();
+          e.stopPropagation();
+          return;
+        }
         this.closeModal();
       }
       // Cmd/Ctrl + Shift + P to toggle panel
@@ -404,9 +494,7 @@ class PromptLibrary {
       if (!this.draggedPromptId) return;
 
       const prompt = this.prompts.find(p => p.id === this.draggedPromptId);
-      if (prompt) {
-        await this.insertPromptAsInput(prompt);
-
+      if (prompt && await this.insertPromptAsInput(prompt)) {
         // Mark as testing if not reusable and not already testing/done
         if (!prompt.reusable && !prompt.done && !prompt.testing) {
           await this.markPromptTesting(prompt.id);
@@ -421,10 +509,12 @@ class PromptLibrary {
    * Insert prompt content into terminal as input
    * Only sends the prompt field, not the title
    * Images are copied to clipboard and pasted so Claude Code recognizes them
+   * @returns {Promise<boolean>} False if the template form was cancelled
    */
   async insertPromptAsInput(prompt) {
     // Get the prompt content (migrate from old format if needed)
-    const promptContent = prompt.prompt || prompt.description || prompt.title || '';
+    const promptContent = await this.fillPromptTemplate(prompt, prompt.prompt || prompt.description || prompt.title || '');
+    if (promptContent === null) return false;
 
     // Focus terminal first
     if (window.focusTerminal) {
@@ -458,6 +548,99 @@ class PromptLibrary {
     if (promptContent && window.electronAPI?.sendInput) {
       window.electronAPI.sendInput(promptContent);
     }
+    return true;
+  }
+
+  /**
+   * Fill in a template prompt's variables from a form (built-ins pre-resolved)
+   * @returns {Promise<string|null>} Text to send; null if cancelled
+   */
+  async fillPromptTemplate(prompt, text) {
+    const api = window.electronAPI?.promptLibrary;
+    if (!api?.resolveTemplate || !text.match(TEMPLATE_VARIABLE_PATTERN)) return text;
+
+    const selection = window.getTerminalSelection ? window.getTerminalSelection() : '';
+    const result = await api.resolveTemplate(text, prompt.variables || [], selection);
+    if (!result || result.error || result.fields.length === 0) {
+      if (result?.error) console.error('Failed to resolve prompt template:', result.error);
+      return text;
+    }
+
+    const values = await this.showTemplateDialog(this.getDisplayTitle(prompt), result.fields);
+    if (!values) return null;
+    return text.replace(TEMPLATE_VARIABLE_PATTERN, (match, name) => (name in values ? values[name] : match));
+  }
+
+  /**
+   * Modal with one input per template variable; resolves with { name: value },
+   * or null if cancelled
+   */
+  showTemplateDialog(title, fields) {
+    return new Promise((resolve) => {
+      const overlay = document.createElement('div');
+      overlay.className = 'prompt-modal-overlay md-dialog-overlay';
+      const box = document.createElement('div');
+      box.className = 'prompt-modal md-dialog template-dialog';
+
+      const h = document.createElement('div');
+      h.className = 'md-dialog-title';
+      h.textContent = title;
+      box.appendChild(h);
+
+      const inputs = fields.map(field => {
+        const row = document.createElement('label');
+        row.className = 'template-field';
+        const name = document.createElement('span');
+        name.className = 'template-field-name';
+        name.textContent = `{{${field.name}}}`;
+        row.appendChild(name);
+        if (field.builtin) {
+          const hint = document.createElement('span');
+          hint.className = 'template-field-hint';
+          hint.textContent = field.value ? field.description : `${field.description} (none found)`;
+          row.appendChild(hint);
+        }
+        const input = document.createElement('textarea');
+        input.className = 'md-dialog-input template-field-input';
+        input.rows = field.value.includes('\n') ? 3 : 1;
+        input.value = field.value;
+        row.appendChild(input);
+        box.appendChild(row);
+        return input;
+      });
+
+      const actions = document.createElement('div');
+      actions.className = 'md-dialog-actions';
+      const onKey = (e) => { if (e.key === 'Escape') close(null); };
+      const close = (v) => { document.removeEventListener('keydown', onKey); overlay.remove(); resolve(v); };
+      const send = () => close(Object.fromEntries(fields.map((f, i) => [f.name, inputs[i].value])));
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'md-dialog-btn';
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.addEventListener('click', () => close(null));
+      const sendBtn = document.createElement('button');
+      sendBtn.className = 'md-dialog-btn primary';
+      sendBtn.textContent = 'Send';
+      sendBtn.addEventListener('click', send);
+      actions.appendChild(cancelBtn);
+      actions.appendChild(sendBtn);
+      box.appendChild(actions);
+
+      // Enter sends (Shift+Enter for a new line)
+      box.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey && e.target.tagName === 'TEXTAREA') {
+          e.preventDefault();
+          send();
+        }
+      });
+      overlay.addEventListener('click', (e) => { if (e.target === overlay) close(null); });
+      document.addEventListener('keydown', onKey);
+
+      overlay.appendChild(box);
+      document.body.appendChild(overlay);
+      const firstEmpty = inputs.find(input => !input.value) || inputs[0];
+      firstEmpty.focus();
+    });
   }
 
   /**
@@ -610,6 +793,7 @@ class PromptLibrary {
       if (window.electronAPI?.promptLibrary?.getLabelColors) {
         this.labelColors = await window.electronAPI.promptLibrary.getLabelColors();
       }
+      await this.loadRepoPromptsState();
       this.renderPrompts();
     } catch (err) {
       console.error('Failed to load prompts:', err);
@@ -676,6 +860,18 @@ class PromptLibrary {
     return firstLine.slice(0, 50) + (firstLine.length > 50 ? '...' : '');
   }
 
+  /**
+   * Blockers that still hold a prompt back (same rule as the main process:
+   * done, deleted, note and reusable blockers no longer count)
+   * @returns {Array<Object>}
+   */
+  getUnresolvedBlockers(prompt) {
+    const scope = prompt.scope || 'project';
+    return (prompt.blockedBy || [])
+      .map(id => this.prompts.find(p => p.id === id && (p.scope || 'project') === scope))
+      .filter(p => p && !p.done && p.type !== 'note' && !p.reusable);
+  }
+
   /**
    * Get display description for a prompt
    * Shows prompt content if title is set, otherwise shows remaining content
@@ -820,6 +1016,28 @@ class PromptLibrary {
   /**
    * Router: paint tab/scope chrome, then render the active tab's body.
    */
+  /**
+   * Whether the repository has a .crossai/prompts folder this project doesn't
+   * use yet (its prompts aren't in the list until it does)
+   */
+  async loadRepoPromptsState() {
+    try {
+      if (window.electronAPI?.promptLibrary?.hasUnusedRepoPrompts) {
+        this.hasUnusedRepoPrompts = await window.electronAPI.promptLibrary.hasUnusedRepoPrompts();
+      }
+    } catch (err) {
+      console.error('Failed to check for in-repo prompts:', err);
+    }
+  }
+
+  appendRepoPromptsNotice() {
+    if (!this.hasUnusedRepoPrompts) return;
+    const notice = document.createElement('div');
+    notice.className = 'tl-notice';
+    notice.textContent = 'This repository has shared prompts in .crossai/prompts that aren\'t shown. Turn on "Prompts in the Repository" for this project in Settings to merge them with yours.';
+    this.promptsContainer.appendChild(notice);
+  }
+
   renderPrompts() {
     if (!this.promptsContainer) return;
 
@@ -849,6 +1067,12 @@ class PromptLibrary {
       case 'markdown':
         this.renderMarkdownTab();
         break;
+      case 'changes':
+        this.renderChangesTab();
+        break;
+      case 'activity':
+        this.renderActivityTab();
+        break;
       case 'prompts':
       default:
         this.renderPromptsTab();
@@ -889,6 +1113,16 @@ class PromptLibrary {
       return this.mdFiles.filter(f =>
         f.relPath.toLowerCase().includes(q) || f.name.toLowerCase().includes(q)).length;
     }
+    if (tab === 'changes') {
+      const q = this.searchQuery;
+      if (!q) return 0;
+      return this.chFiles.filter(f => f.path.toLowerCase().includes(q)).length;
+    }
+    if (tab === 'activity') {
+      const q = this.searchQuery;
+      if (!q) return 0;
+      return this.tlEntries.filter(e => this.timelineEntryMatches(e, q)).length;
+    }
     if (tab === 'secrets') {
       return this.filterItems(this.secrets, true).length;
     }
@@ -925,6 +1159,14 @@ class PromptLibrary {
     });
     donePrompts.sort((a, b) => (b.doneAt || 0) - (a.doneAt || 0));
 
+    this.appendRepoPromptsNotice();
+
+    const queued = this.prompts.filter(p =>
+      p.type !== 'note' && p.scope !== 'global' && !p.reusable && !p.done && !p.testing);
+    if (this.autoRun || queued.length > 0) {
+      this.promptsContainer.appendChild(this.buildAutoRunBar(queued.length));
+    }
+
     if (items.length === 0) {
       const msg = (this.searchQuery || this.scopeFilter !== 'all')
         ? 'No prompts match.'
@@ -959,6 +1201,167 @@ class PromptLibrary {
     }
   }
 
+  /**
+   * Auto-run controls above the Prompts tab: start, or the live run's
+   * progress with pause/resume and stop, and the prompts it skipped and why
+   */
+  buildAutoRunBar(queuedCount) {
+    const run = this.autoRun;
+    const bar = document.createElement('div');
+    bar.className = 'auto-run-bar' + (run ? ` ${run.status}` : '');
+
+    const text = document.createElement('div');
+    text.className = 'auto-run-text';
+    const status = document.createElement('div');
+    status.className = 'auto-run-status';
+    const detail = document.createElement('div');
+    detail.className = 'auto-run-detail';
+    text.appendChild(status);
+    text.appendChild(detail);
+    bar.appendChild(text);
+
+    const addButton = (label, title, onClick, primary = false) => {
+      const btn = document.createElement('button');
+      btn.className = 'md-dialog-btn auto-run-btn' + (primary ? ' primary' : '');
+      btn.textContent = label;
+      btn.title = title;
+      btn.addEventListener('click', onClick);
+      bar.appendChild(btn);
+    };
+    const call = async (action) => {
+      let res;
+      try { res = await window.electronAPI.autoRun[action](); }
+      catch (err) { res = { error: err.message }; }
+      if (res?.error) {
+        await this.showChoiceDialog('Auto-run: ' + res.error, [{ value: 'ok', label: 'OK', primary: true }]);
+      }
+    };
+
+    if (!run) {
+      status.textContent = 'Auto-run';
+      detail.textContent = `${queuedCount} project prompt${queuedCount === 1 ? '' : 's'} queued`;
+      addButton('Start…', 'Send the queued prompts one after another', () => this.startAutoRun(), true);
+      return bar;
+    }
+
+    const minutesLeft = Math.max(0, Math.ceil((run.endsAt - Date.now()) / 60000));
+    for (const entry of run.skipped || []) {
+      const line = document.createElement('div');
+      line.className = 'auto-run-skipped';
+      line.textContent = `Skipped "${entry.title}": ${entry.reason}`;
+      line.title = line.textContent;
+      text.appendChild(line);
+    }
+    if (run.status === 'finished') {
+      status.textContent = 'Auto-run finished';
+      detail.textContent = run.reason;
+      addButton('Dismiss', 'Hide this run', () => call('stop'));
+      return bar;
+    }
+    status.textContent = run.status === 'paused'
+      ? `Auto-run paused (${run.sent}/${run.maxPrompts})`
+      : `Auto-run ${run.sent}/${run.maxPrompts}, ${minutesLeft} min left`;
+    detail.textContent = run.reason || (run.promptTitle ? `Running: ${run.promptTitle}` : '');
+    detail.title = detail.textContent;
+    if (run.status === 'paused') {
+      addButton('Resume', 'Continue with the queue', () => call('resume'), true);
+    } else {
+      addButton('Pause', 'Finish the current prompt, then wait', () => call('pause'));
+    }
+    addButton('Stop', 'Turn auto-run off', () => call('stop'));
+    return bar;
+  }
+
+  /**
+   * Ask for the run's limits and start auto-run
+   */
+  async startAutoRun() {
+    const limits = await this.showAutoRunDialog();
+    if (!limits) return;
+    this.autoRunLimits = limits;
+    let res;
+    try { res = await window.electronAPI.autoRun.start(limits.maxPrompts, limits.maxMinutes); }
+    catch (err) { res = { error: err.message }; }
+    if (res?.error) {
+      await this.showChoiceDialog('Could not start auto-run: ' + res.error,
+        [{ value: 'ok', label: 'OK', primary: true }]);
+    }
+  }
+
+  /**
+   * @returns {Promise<{ maxPrompts: number, maxMinutes: number }|null>}
+   */
+  showAutoRunDialog() {
+    return new Promise((resolve) => {
+      const overlay = document.createElement('div');
+      overlay.className = 'prompt-modal-overlay md-dialog-overlay';
+      const box = document.createElement('div');
+      box.className = 'prompt-modal md-dialog template-dialog';
+
+      const h = document.createElement('div');
+      h.className = 'md-dialog-title';
+      h.textContent = 'Auto-run queue';
+      box.appendChild(h);
+      const note = document.createElement('div');
+      note.className = 'md-dialog-message';
+      note.textContent = 'Sends the next pending project prompt each time Claude finishes and marks the finished one as testing. Pauses when Claude needs you.';
+      box.appendChild(note);
+
+      const addNumber = (label, value, max) => {
+        const row = document.createElement('label');
+        row.className = 'template-field';
+        const name = document.createElement('span');
+        name.className = 'template-field-name';
+        name.textContent = label;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '1';
+        input.max = String(max);
+        input.className = 'md-dialog-input template-field-input';
+        input.value = String(value);
+        row.appendChild(name);
+        row.appendChild(input);
+        box.appendChild(row);
+        return input;
+      };
+      const promptsInput = addNumber('Prompts at most', this.autoRunLimits.maxPrompts, 50);
+      const minutesInput = addNumber('Minutes at most', this.autoRunLimits.maxMinutes, 480);
+
+      const actions = document.createElement('div');
+      actions.className = 'md-dialog-actions';
+      const onKey = (e) => { if (e.key === 'Escape') close(null); };
+      const close = (v) => { document.removeEventListener('keydown', onKey); overlay.remove(); resolve(v); };
+      const start = () => close({
+        maxPrompts: parseInt(promptsInput.value, 10),
+        maxMinutes: parseInt(minutesInput.value, 10)
+      });
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'md-dialog-btn';
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.addEventListener('click', () => close(null));
+      const startBtn = document.createElement('button');
+      startBtn.className = 'md-dialog-btn primary';
+      startBtn.textContent = 'Start';
+      startBtn.addEventListener('click', start);
+      actions.appendChild(cancelBtn);
+      actions.appendChild(startBtn);
+      box.appendChild(actions);
+
+      box.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          start();
+        }
+      });
+      overlay.addEventListener('click', (e) => { if (e.target === overlay) close(null); });
+      document.addEventListener('keydown', onKey);
+
+      overlay.appendChild(box);
+      document.body.appendChild(overlay);
+      promptsInput.focus();
+    });
+  }
+
   /** Notes tab: a single NOTES section. */
   renderNotesTab() {
     const notes = this.filterItems(this.prompts.filter(p => p.type === 'note'));
@@ -970,6 +1373,8 @@ class PromptLibrary {
       return (a.order || 0) - (b.order || 0);
     });
 
+    this.appendRepoPromptsNotice();
+
     if (notes.length === 0) {
       const msg = (this.searchQuery || this.scopeFilter !== 'all')
         ? 'No notes match.'
@@ -1245,11 +1650,13 @@ class PromptLibrary {
    */
   createPromptElement(prompt, isDone = false) {
     const isNote = prompt.type === 'note';
+    const blockers = isDone || isNote || prompt.reusable ? [] : this.getUnresolvedBlockers(prompt);
     const promptEl = document.createElement('div');
     promptEl.className = 'prompt-card'
       + (isDone ? ' done' : '')
       + (prompt.reusable ? ' compact' : '')
-      + (isNote ? ' note' : '');
+      + (isNote ? ' note' : '')
+      + (blockers.length > 0 ? ' blocked' : '');
     promptEl.dataset.promptId = prompt.id;
     promptEl.dataset.type = prompt.type || 'prompt';
     // Notes can never be dragged to the terminal.
@@ -1368,6 +1775,17 @@ class PromptLibrary {
       }
     }
 
+    // Blocked by: skipped by get_next_prompt and auto-run until these are done
+    if (blockers.length > 0) {
+      const blockedEl = document.createElement('div');
+      blockedEl.className = 'prompt-card-blocked';
+      blockedEl.appendChild(this.createIcon('lock', 12));
+      const blockedText = document.createElement('span');
+      blockedText.textContent = 'Blocked by ' + blockers.map(p => `"${this.getDisplayTitle(p)}"`).join(', ');
+      blockedEl.appendChild(blockedText);
+      promptEl.appendChild(blockedEl);
+    }
+
     // Labels
     const promptLabels = prompt.labels || [];
     if (promptLabels.length > 0 && !isDone) {
@@ -1410,7 +1828,7 @@ class PromptLibrary {
       actions.appendChild(restoreBtn);
       actions.appendChild(deleteBtn);
     } else {
-      // Active prompts: favorite, duplicate, delete
+      // Active prompts: favorite, duplicate, history, delete
       const favoriteBtn = document.createElement('button');
       favoriteBtn.className = 'prompt-card-action favorite-toggle' + (prompt.isFavorite ? ' active' : '');
       favoriteBtn.title = prompt.isFavorite ? 'Unfavorite' : 'Favorite';
@@ -1427,6 +1845,14 @@ class PromptLibrary {
       dupLabel.textContent = 'Copy';
       duplicateBtn.appendChild(dupLabel);
 
+      const historyBtn = document.createElement('button');
+      historyBtn.className = 'prompt-card-action history';
+      historyBtn.title = 'Revision history';
+      historyBtn.appendChild(this.createIcon('history', 14));
+      const historyLabel = document.createElement('span');
+      historyLabel.textContent = 'History';
+      historyBtn.appendChild(historyLabel);
+
       // Convert between Prompt and Note
       const convertBtn = document.createElement('button');
       convertBtn.className = 'prompt-card-action convert';
@@ -1445,6 +1871,7 @@ class PromptLibrary {
 
       actions.appendChild(favoriteBtn);
       actions.appendChild(duplicateBtn);
+      actions.appendChild(historyBtn);
       actions.appendChild(convertBtn);
       actions.appendChild(deleteBtn);
     }
@@ -1544,6 +1971,14 @@ class PromptLibrary {
         });
       }
 
+      const historyBtn = promptEl.querySelector('.history');
+      if (historyBtn) {
+        historyBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.showPromptHistory(promptId);
+        });
+      }
+
       const convertBtn = promptEl.querySelector('.convert');
       if (convertBtn) {
         convertBtn.addEventListener('click', (e) => {
@@ -1641,6 +2076,12 @@ class PromptLibrary {
       this.renderPrompts();
       return;
     }
+    if (this.activeTab === 'changes' || this.activeTab === 'activity') {
+      // New prompts land in the Prompts tab
+      this.activeTab = 'prompts';
+      this.savePanelState();
+      this.renderPrompts();
+    }
     const type = this.activeTab === 'notes' ? 'note' : 'prompt';
     const defaultScope =
       (this.scopeFilter === 'global' || this.scopeFilter === 'project')
@@ -1680,10 +2121,153 @@ class PromptLibrary {
       prompt.reusable || false,
       prompt.isFavorite || false,
       prompt.scope || 'project',
-      type
+      type,
+      prompt.variables || [],
+      prompt.blockedBy || []
     );
   }
 
+  /**
+   * Build the template variables form group: one default per user-defined
+   * `{{name}}` in the prompt text, kept in sync as the text is edited
+   * @param {HTMLTextAreaElement} promptInput
+   * @param {Array<{ name: string, defaultValue: string }>} initialVariables
+   * @returns {{ element: HTMLElement, getVariables: () => Array<{ name: string, defaultValue: string }> }}
+   */
+  buildVariablesFormGroup(promptInput, initialVariables) {
+    // Defaults survive a variable being removed and typed back in
+    const defaults = new Map((initialVariables || []).map(v => [v.name, v.defaultValue || '']));
+    let names = [];
+
+    const group = document.createElement('div');
+    group.className = 'prompt-form-group template-variables';
+
+    const label = document.createElement('label');
+    label.className = 'prompt-form-label';
+    label.textContent = 'Variables';
+    const hint = document.createElement('span');
+    hint.className = 'prompt-form-hint';
+    hint.textContent = `Defaults for the fill-in form. Built in: ${BUILTIN_TEMPLATE_VARIABLES.map(n => `{{${n}}}`).join(', ')}`;
+    const list = document.createElement('div');
+    list.className = 'template-variable-list';
+    group.appendChild(label);
+    group.appendChild(hint);
+    group.appendChild(list);
+
+    const render = () => {
+      const used = [...promptInput.value.matchAll(TEMPLATE_VARIABLE_PATTERN)].map(match => match[1]);
+      const found = used.filter((name, i) => used.indexOf(name) === i && !BUILTIN_TEMPLATE_VARIABLES.includes(name));
+      group.style.display = used.length ? '' : 'none';
+      if (found.join('\n') === names.join('\n')) return;
+      names = found;
+
+      list.textContent = '';
+      for (const name of names) {
+        const row = document.createElement('div');
+        row.className = 'template-variable-row';
+        const nameEl = document.createElement('span');
+        nameEl.className = 'template-variable-name';
+        nameEl.textContent = `{{${name}}}`;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'prompt-form-input';
+        input.placeholder = 'Default (optional)';
+        input.maxLength = 500;
+        input.value = defaults.get(name) || '';
+        input.addEventListener('input', () => defaults.set(name, input.value));
+        row.appendChild(nameEl);
+        row.appendChild(input);
+        list.appendChild(row);
+      }
+    };
+    promptInput.addEventListener('input', render);
+    render();
+
+    return {
+      element: group,
+      getVariables: () => names.map(name => ({ name, defaultValue: defaults.get(name) || '' }))
+    };
+  }
+
+  /**
+   * Build the "Blocked by" form group: one checkbox per open prompt of the
+   * same scope. Prompts that already wait on this one are left out, since
+   * picking them would make a cycle.
+   * @param {string|null} promptId - The prompt being edited, null when creating
+   * @param {string[]} initialBlockedBy
+   * @returns {{ element: HTMLElement, getBlockedBy: () => string[], update: (type: string, scope: string) => void }}
+   */
+  buildBlockedByFormGroup(promptId, initialBlockedBy) {
+    const selected = new Set(initialBlockedBy || []);
+
+    // Prompts that (indirectly) wait on this one
+    const dependents = new Set();
+    if (promptId) {
+      const stack = [promptId];
+      while (stack.length > 0) {
+        const id = stack.pop();
+        for (const p of this.prompts) {
+          if ((p.blockedBy || []).includes(id) && !dependents.has(p.id)) {
+            dependents.add(p.id);
+            stack.push(p.id);
+          }
+        }
+      }
+    }
+
+    const group = document.createElement('div');
+    group.className = 'prompt-form-group blocked-by';
+    const label = document.createElement('label');
+    label.className = 'prompt-form-label';
+    label.textContent = 'Blocked by';
+    const hint = document.createElement('span');
+    hint.className = 'prompt-form-hint';
+    hint.textContent = 'Skipped by auto-run and get_next_prompt until these are done';
+    const list = document.createElement('div');
+    list.className = 'blocked-by-list';
+    group.appendChild(label);
+    group.appendChild(hint);
+    group.appendChild(list);
+
+    // Saved prompts keep their scope, whatever the scope select says
+    const editing = promptId ? this.prompts.find(p => p.id === promptId) : null;
+    let candidateIds = [];
+    const update = (type, selectedScope) => {
+      const scope = editing ? (editing.scope || 'project') : selectedScope;
+      const candidates = type === 'note' ? [] : this.prompts.filter(p =>
+        (p.scope || 'project') === scope && p.id !== promptId && !dependents.has(p.id)
+        && !p.done && p.type !== 'note' && !p.reusable
+      );
+      candidateIds = candidates.map(p => p.id);
+      group.style.display = candidates.length ? '' : 'none';
+
+      list.textContent = '';
+      for (const candidate of candidates) {
+        const row = document.createElement('label');
+        row.className = 'blocked-by-row';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = selected.has(candidate.id);
+        checkbox.addEventListener('change', () => {
+          if (checkbox.checked) selected.add(candidate.id);
+          else selected.delete(candidate.id);
+        });
+        const name = document.createElement('span');
+        name.textContent = this.getDisplayTitle(candidate);
+        row.appendChild(checkbox);
+        row.appendChild(name);
+        list.appendChild(row);
+      }
+    };
+
+    return {
+      element: group,
+      // Links to done or removed prompts are resolved already: drop them on save
+      getBlockedBy: () => [...selected].filter(id => candidateIds.includes(id)),
+      update
+    };
+  }
+
   /**
    * Build the labels form group with autocomplete
    * @returns {{ element: HTMLElement, getCurrentLabels: () => string[] }}
@@ -2136,9 +2720,11 @@ class PromptLibrary {
   }
 
   /**
-   * Show inline editor inside the prompt panel
+   * Swap the panel's normal content for an inline view (editor, history):
+   * widens the panel and hides the cards. Returns the view root and its
+   * header with a back button; closeInlineEditor() undoes it.
    */
-  showInlineEditor(editorTitle, promptContent, promptTitle, labels, images, isReusable, isFavorite, scope, type = 'prompt') {
+  openInlineView(viewTitle) {
     // Close any existing inline editor first
     const existingEditor = this.panel.querySelector('.prompt-inline-editor');
     if (existingEditor) existingEditor.remove();
@@ -2201,11 +2787,21 @@ class PromptLibrary {
 
     const titleEl = document.createElement('span');
     titleEl.className = 'inline-editor-title';
-    titleEl.textContent = editorTitle;
+    titleEl.textContent = viewTitle;
 
     header.appendChild(backBtn);
     header.appendChild(titleEl);
 
+
+    return { editor, header, backBtn };
+  }
+
+  /**
+   * Show inline editor inside the prompt panel
+   */
+  showInlineEditor(editorTitle, promptContent, promptTitle, labels, images, isReusable, isFavorite, scope, type = 'prompt', variables = [], blockedBy = []) {
+    const { editor, header, backBtn } = this.openInlineView(editorTitle);
+
     // Scrollable body
     const body = document.createElement('div');
     body.className = 'inline-editor-body';
@@ -2253,10 +2849,14 @@ class PromptLibrary {
     const labelsHelper = this.buildLabelsFormGroup(labels);
     const imagesHelper = this.buildImagesFormGroup(images, editor);
     const optionsHelper = this.buildOptionsRow(isReusable, isFavorite, scope, typeHelper.getType());
+    const variablesHelper = this.buildVariablesFormGroup(promptInput, variables);
+    const blockedByHelper = this.buildBlockedByFormGroup(this.editingPromptId, blockedBy);
 
     body.appendChild(typeHelper.element);
     body.appendChild(titleGroup);
     body.appendChild(promptGroup);
+    body.appendChild(variablesHelper.element);
+    body.appendChild(blockedByHelper.element);
     body.appendChild(labelsHelper.element);
     body.appendChild(imagesHelper.element);
     body.appendChild(optionsHelper.element);
@@ -2274,9 +2874,13 @@ class PromptLibrary {
         ? 'Note content — saved commands, snippets, reference...'
         : 'Enter the prompt to send to Claude...';
       optionsHelper.setType(t);
+      blockedByHelper.update(t, optionsHelper.getValues().scope);
     };
     typeHelper.onChange(applyTypeChange);
     applyTypeChange(typeHelper.getType());
+    optionsHelper.element.querySelector('.prompt-scope-select').addEventListener('change', () => {
+      blockedByHelper.update(typeHelper.getType(), optionsHelper.getValues().scope);
+    });
 
     // Footer with save/cancel
     const footer = document.createElement('div');
@@ -2340,13 +2944,15 @@ class PromptLibrary {
       const newImages = imagesHelper.getCurrentImages();
       const opts = optionsHelper.getValues();
       const newType = typeHelper.getType();
+      const newVariables = variablesHelper.getVariables();
+      const newBlockedBy = blockedByHelper.getBlockedBy();
 
       if (!newPromptContent) {
         promptInput.focus();
         return;
       }
 
-      await this.savePrompt(newPromptContent, newTitle, newLabels, newImages, opts.reusable, opts.favorite, opts.scope, newType);
+      await this.savePrompt(newPromptContent, newTitle, newLabels, newImages, opts.reusable, opts.favorite, opts.scope, newType, newVariables, newBlockedBy);
     };
 
     saveBtn.addEventListener('click', doSave);
@@ -2359,6 +2965,8 @@ class PromptLibrary {
       const newImages = imagesHelper.getCurrentImages();
       const opts = optionsHelper.getValues();
       const newType = typeHelper.getType();
+      const newVariables = variablesHelper.getVariables();
+      const newBlockedBy = blockedByHelper.getBlockedBy();
 
       if (!newPromptContent) {
         promptInput.focus();
@@ -2366,7 +2974,7 @@ class PromptLibrary {
       }
       // Notes never get sent to the terminal; treat this as a plain save.
       if (newType === 'note') {
-        await this.savePrompt(newPromptContent, newTitle, newLabels, newImages, opts.reusable, opts.favorite, opts.scope, newType);
+        await this.savePrompt(newPromptContent, newTitle, newLabels, newImages, opts.reusable, opts.favorite, opts.scope, newType, newVariables, newBlockedBy);
         return;
       }
 
@@ -2378,18 +2986,22 @@ class PromptLibrary {
             title: newTitle,
             labels: newLabels,
             images: newImages,
+            variables: newVariables,
+            blockedBy: newBlockedBy,
             reusable: opts.reusable,
             isFavorite: opts.favorite,
             scope: opts.scope,
             type: newType
           });
-          savedPrompt = { id: this.editingPromptId, prompt: newPromptContent, title: newTitle, images: newImages, reusable: opts.reusable };
+          savedPrompt = { id: this.editingPromptId, prompt: newPromptContent, title: newTitle, images: newImages, variables: newVariables, reusable: opts.reusable };
         } else {
           savedPrompt = await window.electronAPI.promptLibrary.createPrompt({
             prompt: newPromptContent,
             title: newTitle,
             labels: newLabels,
             images: newImages,
+            variables: newVariables,
+            blockedBy: newBlockedBy,
             reusable: opts.reusable,
             isFavorite: opts.favorite,
             scope: opts.scope,
@@ -2400,11 +3012,10 @@ class PromptLibrary {
         this.closeModal();
 
         if (savedPrompt) {
-          // Send to terminal
-          await this.insertPromptAsInput(savedPrompt);
-
-          // Mark as testing (unless reusable)
-          if (!savedPrompt.reusable) {
+          // Send to terminal, then mark as testing (unless reusable or the
+          // template form was cancelled)
+          const sent = await this.insertPromptAsInput(savedPrompt);
+          if (sent && !savedPrompt.reusable) {
             await this.markPromptTesting(savedPrompt.id);
           } else {
             await this.loadPrompts();
@@ -2473,6 +3084,185 @@ class PromptLibrary {
     this.editingPromptId = null;
   }
 
+  /**
+   * Revision history for a prompt: revisions newest first, the selected one
+   * diffed against the revision before it, with one-click restore
+   */
+  async showPromptHistory(promptId) {
+    const prompt = this.prompts.find(p => p.id === promptId);
+    if (!prompt) return;
+
+    let revisions;
+    try { revisions = await window.electronAPI.promptLibrary.getRevisions(promptId); }
+    catch (err) { revisions = { error: err.message }; }
+    if (!Array.isArray(revisions)) {
+      await this.showChoiceDialog('Could not load history: ' + (revisions?.error || 'unknown error'),
+        [{ value: 'ok', label: 'OK', primary: true }]);
+      return;
+    }
+
+    const { editor, header, backBtn } = this.openInlineView(`History: ${prompt.title || 'Untitled'}`);
+    editor.classList.add('prompt-history');
+    backBtn.addEventListener('click', () => this.closeInlineEditor());
+
+    const body = document.createElement('div');
+    body.className = 'inline-editor-body';
+    editor.appendChild(header);
+    editor.appendChild(body);
+    this.panel.appendChild(editor);
+
+    if (revisions.length === 0) {
+      body.appendChild(this.buildEmptyState('No revisions yet. Edits are recorded from now on.'));
+      return;
+    }
+
+    const sourceLabels = { local: 'Edited here', remote: 'Synced', mcp: 'Claude (MCP)', import: 'Imported' };
+    const listEl = document.createElement('div');
+    listEl.className = 'md-list';
+    const diffEl = document.createElement('div');
+    diffEl.className = 'history-diff';
+
+    const select = async (revision, row) => {
+      listEl.querySelectorAll('.md-row.selected').forEach(el => el.classList.remove('selected'));
+      row.classList.add('selected');
+      let diff;
+      try { diff = await window.electronAPI.promptLibrary.diffRevisions(promptId, revision.id); }
+      catch (err) { diff = { error: err.message }; }
+      diffEl.textContent = '';
+      if (!diff || diff.error) {
+        diffEl.appendChild(this.buildEmptyState('Could not load diff: ' + (diff?.error || 'unknown error')));
+        return;
+      }
+      if (diff.title.from !== diff.title.to) {
+        const titleChange = document.createElement('div');
+        titleChange.className = 'history-title-change';
+        titleChange.textContent = `Title: ${diff.title.from || '(none)'} → ${diff.title.to || '(none)'}`;
+        diffEl.appendChild(titleChange);
+      }
+      const lines = document.createElement('div');
+      lines.className = 'ch-hunk-lines';
+      for (const line of diff.lines) {
+        const lineEl = document.createElement('div');
+        lineEl.className = 'ch-line'
+          + (line.type === 'add' ? ' ch-line-add' : '')
+          + (line.type === 'del' ? ' ch-line-del' : '');
+        lineEl.textContent = (line.type === 'add' ? '+' : line.type === 'del' ? '-' : ' ') + line.text;
+        lines.appendChild(lineEl);
+      }
+      diffEl.appendChild(lines);
+    };
+
+    revisions.forEach((revision, index) => {
+      const row = document.createElement('div');
+      row.className = 'md-row';
+
+      const main = document.createElement('div');
+      main.className = 'md-row-main';
+      const nm = document.createElement('div');
+      nm.className = 'md-row-name';
+      nm.textContent = (sourceLabels[revision.source] || revision.source)
+        + (revision.restoredFrom ? ', restored' : '')
+        + (index === 0 ? ' (current)' : '');
+      const when = document.createElement('div');
+      when.className = 'md-row-dir';
+      const date = new Date(revision.at);
+      when.textContent = `${this.formatMtime(revision.at)}, ${date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`;
+      when.title = date.toLocaleString();
+      main.appendChild(nm);
+      main.appendChild(when);
+      row.appendChild(main);
+
+      if (index > 0) {
+        const actions = document.createElement('div');
+        actions.className = 'md-row-actions';
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'md-row-btn';
+        restoreBtn.title = 'Restore this revision';
+        restoreBtn.appendChild(this.createIcon('restore', 14));
+        restoreBtn.addEventListener('click', (e) => { e.stopPropagation(); this.restorePromptRevision(promptId, revision.id); });
+        actions.appendChild(restoreBtn);
+        row.appendChild(actions);
+      }
+
+      row.addEventListener('click', () => select(revision, row));
+      listEl.appendChild(row);
+    });
+
+    body.appendChild(listEl);
+    body.appendChild(diffEl);
+    await select(revisions[0], listEl.firstChild);
+  }
+
+  async restorePromptRevision(promptId, revisionId) {
+    let res;
+    try { res = await window.electronAPI.promptLibrary.restoreRevision(promptId, revisionId); }
+    catch (err) { res = { error: err.message }; }
+    if (!res || res.error) {
+      await this.showChoiceDialog('Restore failed: ' + (res?.error || 'unknown error'),
+        [{ value: 'ok', label: 'OK', primary: true }]);
+      return;
+    }
+    this.closeInlineEditor();
+    await this.loadPrompts();
+    await this.showPromptHistory(promptId);
+  }
+
+  /**
+   * Export or import the prompts and notes of the scope in view (global when
+   * the Global filter is on, else the project)
+   */
+  async showBundleDialog() {
+    if (!window.electronAPI?.promptLibrary?.exportBundle) return;
+    const scope = this.scopeFilter === 'global' ? 'global' : 'project';
+    const scopeName = scope === 'global' ? 'global' : 'project';
+    const ok = [{ value: 'ok', label: 'OK', primary: true }];
+
+    const action = await this.showChoiceDialog(`Back up or share the ${scopeName} prompts and notes.`, [
+      { value: 'export', label: 'Export…', primary: true },
+      { value: 'import', label: 'Import…' },
+      { value: null, label: 'Cancel' }
+    ]);
+    if (!action) return;
+
+    let res;
+    if (action === 'export') {
+      const format = await this.showChoiceDialog('Export as a JSON bundle with images embedded, or as Markdown with images in a folder next to it?', [
+        { value: 'json', label: 'JSON', primary: true },
+        { value: 'markdown', label: 'Markdown' },
+        { value: null, label: 'Cancel' }
+      ]);
+      if (!format) return;
+      try { res = await window.electronAPI.promptLibrary.exportBundle(scope, format); }
+      catch (err) { res = { success: false, error: err.message }; }
+      if (res?.cancelled) return;
+      await this.showChoiceDialog(res?.success
+        ? `Exported ${res.count} item${res.count === 1 ? '' : 's'} to ${res.filePath}`
+        : 'Export failed: ' + (res?.error || 'unknown error'), ok);
+      return;
+    }
+
+    const onCollision = await this.showChoiceDialog(`Import into the ${scopeName} library. When a prompt from the bundle already exists here:`, [
+      { value: 'skip', label: 'Skip it', primary: true },
+      { value: 'overwrite', label: 'Overwrite' },
+      { value: 'duplicate', label: 'Keep both' },
+      { value: null, label: 'Cancel' }
+    ]);
+    if (!onCollision) return;
+    try { res = await window.electronAPI.promptLibrary.importBundle(scope, onCollision); }
+    catch (err) { res = { success: false, error: err.message }; }
+    if (res?.cancelled) return;
+    if (!res?.success) {
+      await this.showChoiceDialog('Import failed: ' + (res?.error || 'unknown error'), ok);
+      return;
+    }
+    await this.loadPrompts();
+    const summary = [`Imported ${res.created}`];
+    if (res.overwritten) summary.push(`overwrote ${res.overwritten}`);
+    if (res.skipped) summary.push(`skipped ${res.skipped}`);
+    const problems = res.errors.length ? `. Problems: ${res.errors.join('; ')}` : '';
+    await this.showChoiceDialog(summary.join(', ') + problems, ok);
+  }
+
   /**
    * Show modal dialog using safe DOM methods
    */
@@ -3137,16 +3927,21 @@ class PromptLibrary {
   /**
    * Save prompt (create or update)
    */
-  async savePrompt(promptContent, title, labels, images, reusable, isFavorite, scope, type = 'prompt') {
+  async savePrompt(promptContent, title, labels, images, reusable, isFavorite, scope, type = 'prompt', variables, blockedBy) {
     try {
       const normalizedType = type === 'note' ? 'note' : 'prompt';
+      // The legacy modal has no variables or blocked-by section: leave them unchanged
+      const optionalFields = variables ? { variables } : {};
+      if (blockedBy) optionalFields.blockedBy = blockedBy;
+      let result = null;
       if (this.editingPromptId) {
         if (window.electronAPI?.promptLibrary?.updatePrompt) {
-          await window.electronAPI.promptLibrary.updatePrompt(this.editingPromptId, {
+          result = await window.electronAPI.promptLibrary.updatePrompt(this.editingPromptId, {
             prompt: promptContent,
             title,
             labels,
             images,
+            ...optionalFields,
             reusable,
             isFavorite,
             scope,
@@ -3155,11 +3950,12 @@ class PromptLibrary {
         }
       } else {
         if (window.electronAPI?.promptLibrary?.createPrompt) {
-          await window.electronAPI.promptLibrary.createPrompt({
+          result = await window.electronAPI.promptLibrary.createPrompt({
             prompt: promptContent,
             title,
             labels,
             images,
+            ...optionalFields,
             reusable,
             isFavorite,
             scope,
@@ -3167,6 +3963,8 @@ class PromptLibrary {
           });
         }
       }
+      // Validation errors (e.g. a dependency cycle) come back as { error }
+      if (result?.error) throw new Error(result.error);
 
       this.closeModal();
       await this.loadPrompts();
@@ -3808,9 +4606,9 @@ class PromptLibrary {
    * Recompute panel chrome visibility from current state. The panel header and
    * tab bar are ALWAYS visible — including while a markdown doc is open — so the
    * user can switch tabs at any time. The list search box hides only while a
-   * markdown doc is open (it filters the file list, not the doc); the scope
-   * filter hides on the Markdown tab. No-ops while the inline editor is active,
-   * which manages its own focused chrome.
+   * markdown doc or a diff is open (it filters the file list, not the doc);
+   * the scope filter hides on the Markdown, Changes and Activity tabs. No-ops while the
+   * inline editor is active, which manages its own focused chrome.
    */
   updateChromeVisibility() {
     if (this.isInlineEditing) return;
@@ -3819,10 +4617,13 @@ class PromptLibrary {
     const scopeFilter = document.getElementById('prompt-scope-filter');
     const searchContainer = document.getElementById('prompt-search-container');
     const onMarkdown = this.activeTab === 'markdown';
+    const onChanges = this.activeTab === 'changes';
+    const onActivity = this.activeTab === 'activity';
+    const docOpen = (onMarkdown && this.mdOpenFile) || (onChanges && this.chOpenFile);
     if (header) header.style.display = '';
     if (tabs) tabs.style.display = '';
-    if (scopeFilter) scopeFilter.style.display = onMarkdown ? 'none' : '';
-    if (searchContainer) searchContainer.style.display = (onMarkdown && this.mdOpenFile) ? 'none' : '';
+    if (scopeFilter) scopeFilter.style.display = (onMarkdown || onChanges || onActivity) ? 'none' : '';
+    if (searchContainer) searchContainer.style.display = docOpen ? 'none' : '';
   }
 
   async handleMarkdownFilesChanged() {
@@ -4215,6 +5016,764 @@ class PromptLibrary {
       if (ta) ta.focus();
     }
   }
+
+  // ---------- Changes tab ----------
+
+  renderChangesTab() {
+    this.ensureChangesSubscription();
+    if (!this._chLoaded) {
+      this.promptsContainer.appendChild(this.buildEmptyState('Loading…'));
+      this.loadChanges();
+      return;
+    }
+    if (this.chView === 'checkpoints') {
+      this.renderCheckpointList();
+      return;
+    }
+    if (this.chOpenFile) {
+      this.renderChangesDetail();
+      return;
+    }
+    this.renderChangesList();
+  }
+
+  ensureChangesSubscription() {
+    if (this._chChangeSubscribed) return;
+    if (window.electronAPI?.changes?.onChanged) {
+      window.electronAPI.changes.onChanged(() => this.handleChangesUpdated());
+      this._chChangeSubscribed = true;
+    }
+  }
+
+  // A prompt was submitted or a turn finished: refresh if the tab is showing,
+  // otherwise reload the next time it is opened.
+  async handleChangesUpdated() {
+    if (this.activeTab !== 'changes' || this.isInlineEditing) {
+      this._chLoaded = false;
+      return;
+    }
+    await this.loadChanges();
+    if (this.chOpenFile) await this.loadChangedFileDiff();
+  }
+
+  async loadChanges() {
+    if (this.chView === 'checkpoints') {
+      await this.loadCheckpoints();
+      return;
+    }
+    let res;
+    try { res = await window.electronAPI.changes.list(this.chSince); }
+    catch (err) { res = { error: err.message }; }
+    if (res?.error) {
+      console.error('Failed to list changes:', res.error);
+      this.chStatus = 'error';
+      this.chError = res.error;
+      this.chFiles = [];
+    } else {
+      this.chStatus = res?.status || 'error';
+      this.chError = null;
+      this.chFiles = res?.files || [];
+    }
+    this._chLoaded = true;
+    if (this.chOpenFile && !this.chFiles.some(f => f.path === this.chOpenFile)) {
+      this.chOpenFile = null;
+      this.chDiff = null;
+    }
+    if (this.activeTab === 'changes' && !this.isInlineEditing) {
+      this.renderPrompts();
+    } else {
+      this.updateTabChrome();
+    }
+  }
+
+  async loadCheckpoints() {
+    let res;
+    try { res = await window.electronAPI.checkpoints.list(); }
+    catch (err) { res = { error: err.message }; }
+    if (res?.error) {
+      console.error('Failed to list checkpoints:', res.error);
+      this.chCheckpoints = [];
+      this.chError = res.error;
+    } else {
+      this.chCheckpoints = Array.isArray(res) ? res : [];
+      this.chError = null;
+    }
+    this._chLoaded = true;
+    if (this.activeTab === 'changes' && !this.isInlineEditing) {
+      this.renderPrompts();
+    }
+  }
+
+  // view: 'session' | 'prompt' (file lists) | 'checkpoints' (timeline)
+  setChangesView(view) {
+    const current = this.chView === 'checkpoints' ? 'checkpoints' : this.chSince;
+    if (view === current) return;
+    if (view === 'checkpoints') {
+      this.chView = 'checkpoints';
+    } else {
+      this.chView = 'files';
+      this.chSince = view;
+    }
+    this.chOpenFile = null;
+    this.chDiff = null;
+    this._chLoaded = false;
+    this.renderPrompts();
+  }
+
+  // Wording for the selected baseline, e.g. "since this session started"
+  describeChangesSince() {
+    return this.chSince === 'prompt' ? 'since the last prompt' : 'since this session started';
+  }
+
+  // Toolbar: Session / Last prompt / Checkpoints · summary · refresh
+  buildChangesToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'ch-toolbar';
+    const current = this.chView === 'checkpoints' ? 'checkpoints' : this.chSince;
+    const toggle = document.createElement('div');
+    toggle.className = 'md-toggle';
+    for (const [view, label] of [['session', 'Session'], ['prompt', 'Last prompt'], ['checkpoints', 'Checkpoints']]) {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.className = current === view ? 'active' : '';
+      btn.addEventListener('click', () => this.setChangesView(view));
+      toggle.appendChild(btn);
+    }
+    toolbar.appendChild(toggle);
+
+    const summary = document.createElement('span');
+    summary.className = 'ch-summary';
+    toolbar.appendChild(summary);
+
+    const refreshBtn = document.createElement('button');
+    refreshBtn.className = 'md-row-btn';
+    refreshBtn.title = 'Refresh';
+    refreshBtn.appendChild(this.createIcon('refresh', 14));
+    refreshBtn.addEventListener('click', () => this.loadChanges());
+    toolbar.appendChild(refreshBtn);
+    return toolbar;
+  }
+
+  renderChangesList() {
+    this.updateChromeVisibility();
+    const container = this.promptsContainer;
+    container.textContent = '';
+
+    const toolbar = this.buildChangesToolbar();
+    const summary = toolbar.querySelector('.ch-summary');
+    container.appendChild(toolbar);
+
+    if (this.chStatus === 'not-git') {
+      container.appendChild(this.buildEmptyState('This folder is not a git repository.'));
+      return;
+    }
+    if (this.chStatus === 'no-baseline') {
+      container.appendChild(this.buildEmptyState('Changes show up here after the first prompt of this session.'));
+      return;
+    }
+    if (this.chStatus === 'error') {
+      container.appendChild(this.buildEmptyState(`Could not read changes: ${this.chError}`));
+      return;
+    }
+
+    const additions = this.chFiles.reduce((sum, f) => sum + f.additions, 0);
+    const deletions = this.chFiles.reduce((sum, f) => sum + f.deletions, 0);
+    summary.textContent = this.chFiles.length
+      ? `${this.chFiles.length} file${this.chFiles.length === 1 ? '' : 's'} · +${additions} −${deletions}`
+      : '';
+
+    if (this.chFiles.length === 0) {
+      container.appendChild(this.buildEmptyState(`No changes ${this.describeChangesSince()}.`));
+      return;
+    }
+    const q = this.searchQuery;
+    const files = this.chFiles.filter(f => !q || f.path.toLowerCase().includes(q));
+    if (files.length === 0) {
+      container.appendChild(this.buildEmptyState('No files match.'));
+      return;
+    }
+
+    const listEl = document.createElement('div');
+    listEl.className = 'md-list';
+    for (const file of files) listEl.appendChild(this.buildChangeRow(file));
+    container.appendChild(listEl);
+  }
+
+  buildChangeRow(file) {
+    const row = document.createElement('div');
+    row.className = 'md-row';
+
+    const status = document.createElement('span');
+    status.className = `ch-status ch-status-${file.status}`;
+    status.textContent = file.status.charAt(0).toUpperCase();
+    status.title = file.status;
+    row.appendChild(status);
+
+    const slash = file.path.lastIndexOf('/');
+    const main = document.createElement('div');
+    main.className = 'md-row-main';
+    const nm = document.createElement('div');
+    nm.className = 'md-row-name';
+    nm.textContent = file.path.slice(slash + 1);
+    const dir = document.createElement('div');
+    dir.className = 'md-row-dir';
+    dir.textContent = file.oldPath ? `from ${file.oldPath}` : file.path.slice(0, Math.max(slash, 0));
+    main.appendChild(nm);
+    main.appendChild(dir);
+    main.title = file.path;
+    main.addEventListener('click', () => this.openChangedFile(file.path));
+    row.appendChild(main);
+
+    row.appendChild(this.buildChangeCounts(file));
+
+    const actions = document.createElement('div');
+    actions.className = 'md-row-actions';
+    const revertBtn = document.createElement('button');
+    revertBtn.className = 'md-row-btn';
+    revertBtn.title = 'Revert';
+    revertBtn.appendChild(this.createIcon('restore', 14));
+    revertBtn.addEventListener('click', (e) => { e.stopPropagation(); this.revertChangedFile(file); });
+    actions.appendChild(revertBtn);
+    row.appendChild(actions);
+    return row;
+  }
+
+  renderCheckpointList() {
+    this.updateChromeVisibility();
+    const container = this.promptsContainer;
+    container.textContent = '';
+
+    const toolbar = this.buildChangesToolbar();
+    container.appendChild(toolbar);
+
+    if (this.chError) {
+      container.appendChild(this.buildEmptyState(`Could not read checkpoints: ${this.chError}`));
+      return;
+    }
+    if (this.chCheckpoints.length === 0) {
+      container.appendChild(this.buildEmptyState('A checkpoint is saved each time you send a prompt in a git folder.'));
+      return;
+    }
+    const count = this.chCheckpoints.length;
+    toolbar.querySelector('.ch-summary').textContent = `${count} checkpoint${count === 1 ? '' : 's'}`;
+
+    const q = this.searchQuery;
+    const checkpoints = this.chCheckpoints.filter(c => !q || c.label.toLowerCase().includes(q));
+    if (checkpoints.length === 0) {
+      container.appendChild(this.buildEmptyState('No checkpoints match.'));
+      return;
+    }
+
+    const listEl = document.createElement('div');
+    listEl.className = 'md-list';
+    for (const checkpoint of checkpoints) {
+      const row = document.createElement('div');
+      row.className = 'md-row';
+
+      const main = document.createElement('div');
+      main.className = 'md-row-main';
+      const nm = document.createElement('div');
+      nm.className = 'md-row-name';
+      nm.textContent = checkpoint.label;
+      nm.title = checkpoint.label;
+      const when = document.createElement('div');
+      when.className = 'md-row-dir';
+      const date = new Date(checkpoint.createdAt);
+      when.textContent = `${this.formatMtime(checkpoint.createdAt)}, ${date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`;
+      when.title = date.toLocaleString();
+      main.appendChild(nm);
+      main.appendChild(when);
+      row.appendChild(main);
+
+      const actions = document.createElement('div');
+      actions.className = 'md-row-actions';
+      const restoreBtn = document.createElement('button');
+      restoreBtn.className = 'md-row-btn';
+      restoreBtn.title = 'Restore files to this checkpoint';
+      restoreBtn.appendChild(this.createIcon('restore', 14));
+      restoreBtn.addEventListener('click', (e) => { e.stopPropagation(); this.restoreCheckpoint(checkpoint); });
+      actions.appendChild(restoreBtn);
+      row.appendChild(actions);
+      listEl.appendChild(row);
+    }
+    container.appendChild(listEl);
+  }
+
+  async restoreCheckpoint(checkpoint) {
+    const choice = await this.showChoiceDialog(
+      `Restore the files in this folder to "${checkpoint.label}"? The current files are saved as a new checkpoint first, so you can undo this.`,
+      [{ value: 'restore', label: 'Restore', primary: true },
+       { value: 'cancel', label: 'Cancel' }]
+    );
+    if (choice !== 'restore') return;
+    let res;
+    try { res = await window.electronAPI.checkpoints.restore(checkpoint.id); }
+    catch (err) { res = { error: err.message }; }
+    if (res?.error) {
+      await this.showChoiceDialog('Restore failed: ' + res.error,
+        [{ value: 'ok', label: 'OK', primary: true }]);
+    }
+    await this.loadChanges();
+  }
+
+  buildChangeCounts(file) {
+    const counts = document.createElement('div');
+    counts.className = 'ch-counts';
+    if (file.binary) {
+      counts.textContent = 'binary';
+      return counts;
+    }
+    const add = document.createElement('span');
+    add.className = 'ch-count-add';
+    add.textContent = `+${file.additions}`;
+    const del = document.createElement('span');
+    del.className = 'ch-count-del';
+    del.textContent = `−${file.deletions}`;
+    counts.appendChild(add);
+    counts.appendChild(del);
+    return counts;
+  }
+
+  async openChangedFile(filePath) {
+    this.chOpenFile = filePath;
+    this.chDiff = null;
+    this.renderPrompts();
+    await this.loadChangedFileDiff();
+  }
+
+  async loadChangedFileDiff() {
+    const filePath = this.chOpenFile;
+    if (!filePath) return;
+    let res;
+    try { res = await window.electronAPI.changes.diff(filePath, this.chSince); }
+    catch (err) { res = { error: err.message }; }
+    if (this.chOpenFile !== filePath) return; // closed or switched meanwhile
+    this.chDiff = res || { error: 'No diff' };
+    if (this.activeTab === 'changes' && !this.isInlineEditing) this.renderChangesDetail();
+  }
+
+  closeChangedFile() {
+    this.chOpenFile = null;
+    this.chDiff = null;
+    this.renderPrompts();
+  }
+
+  async revertChangedFile(file) {
+    const message = file.status === 'added'
+      ? `Delete "${file.path}"? It was created ${this.describeChangesSince()}.`
+      : `Revert "${file.path}" to how it was before ${this.chSince === 'prompt' ? 'the last prompt' : 'this session'}?`;
+    const choice = await this.showChoiceDialog(message,
+      [{ value: 'revert', label: file.status === 'added' ? 'Delete' : 'Revert', primary: true, danger: true },
+       { value: 'cancel', label: 'Cancel' }]);
+    if (choice !== 'revert') return;
+
+    // A rename is undone by restoring the old path and dropping the new one
+    const paths = file.oldPath ? [file.path, file.oldPath] : [file.path];
+    for (const p of paths) {
+      let res;
+      try { res = await window.electronAPI.changes.revert(p, this.chSince); }
+      catch (err) { res = { error: err.message }; }
+      if (res?.error) {
+        await this.showChoiceDialog('Revert failed: ' + res.error,
+          [{ value: 'ok', label: 'OK', primary: true }]);
+        break;
+      }
+    }
+    if (this.chOpenFile === file.path) {
+      this.chOpenFile = null;
+      this.chDiff = null;
+    }
+    await this.loadChanges();
+  }
+
+  /**
+   * Split a unified diff into hunks
+   * @param {string} diff - `git diff` output for one file
+   * @returns {Array<{ header: string, lines: string[] }>}
+   */
+  parseDiffHunks(diff) {
+    const hunks = [];
+    let current = null;
+    for (const line of diff.split('\n')) {
+      if (line.startsWith('@@')) {
+        current = { header: line, lines: [] };
+        hunks.push(current);
+      } else if (current && line !== '') {
+        current.lines.push(line);
+      }
+    }
+    return hunks;
+  }
+
+  // Open a new prompt in the Prompts tab that quotes a hunk of the open file
+  attachHunkToPrompt(hunk) {
+    const content = `In \`${this.chOpenFile}\`:\n\n\`\`\`diff\n${[hunk.header, ...hunk.lines].join('\n')}\n\`\`\`\n\n`;
+    this.activeTab = 'prompts';
+    this.savePanelState();
+    this.renderPrompts();
+    this.editingPromptId = null;
+    this.showInlineEditor('New Item', content, '', [], [], false, false, 'project', 'prompt');
+  }
+
+  renderChangesDetail() {
+    this.updateChromeVisibility();
+    const container = this.promptsContainer;
+    container.textContent = '';
+    const file = this.chFiles.find(f => f.path === this.chOpenFile);
+
+    const wrap = document.createElement('div');
+    wrap.className = 'md-detail';
+
+    // Header: back · path · +/- · Revert
+    const header = document.createElement('div');
+    header.className = 'md-detail-header';
+
+    const back = document.createElement('button');
+    back.className = 'md-back';
+    back.textContent = '←';
+    back.title = 'Back to list';
+    back.addEventListener('click', () => this.closeChangedFile());
+
+    const name = document.createElement('span');
+    name.className = 'md-filename';
+    name.textContent = this.chOpenFile;
+    name.title = this.chOpenFile;
+
+    header.appendChild(back);
+    header.appendChild(name);
+    if (file) {
+      header.appendChild(this.buildChangeCounts(file));
+      const revertBtn = document.createElement('button');
+      revertBtn.className = 'ch-revert';
+      revertBtn.textContent = file.status === 'added' ? 'Delete' : 'Revert';
+      revertBtn.addEventListener('click', () => this.revertChangedFile(file));
+      header.appendChild(revertBtn);
+    }
+    wrap.appendChild(header);
+
+    const body = document.createElement('div');
+    body.className = 'md-body ch-diff';
+    if (!this.chDiff) {
+      body.appendChild(this.buildEmptyState('Loading…'));
+    } else if (this.chDiff.error) {
+      body.appendChild(this.buildEmptyState(`Could not load the diff: ${this.chDiff.error}`));
+    } else {
+      const hunks = this.parseDiffHunks(this.chDiff.diff || '');
+      if (hunks.length === 0) {
+        const message = file?.binary ? 'Binary file, no text diff.'
+          : file?.oldPath ? `Renamed from ${file.oldPath} without edits.`
+          : 'No text changes.';
+        body.appendChild(this.buildEmptyState(message));
+      }
+      for (const hunk of hunks) body.appendChild(this.buildDiffHunk(hunk));
+      if (this.chDiff.truncated) {
+        const notice = document.createElement('div');
+        notice.className = 'md-stale-notice';
+        notice.textContent = 'The diff is too large to show in full.';
+        body.appendChild(notice);
+      }
+    }
+    wrap.appendChild(body);
+    container.appendChild(wrap);
+  }
+
+  buildDiffHunk(hunk) {
+    const el = document.createElement('div');
+    el.className = 'ch-hunk';
+
+    const header = document.createElement('div');
+    header.className = 'ch-hunk-header';
+    const range = document.createElement('span');
+    range.className = 'ch-hunk-range';
+    range.textContent = hunk.header;
+    const addBtn = document.createElement('button');
+    addBtn.className = 'ch-hunk-add';
+    addBtn.title = 'Start a new prompt with this hunk';
+    addBtn.appendChild(this.createIcon('plus', 12));
+    addBtn.appendChild(document.createTextNode('Prompt'));
+    addBtn.addEventListener('click', () => this.attachHunkToPrompt(hunk));
+    header.appendChild(range);
+    header.appendChild(addBtn);
+    el.appendChild(header);
+
+    const lines = document.createElement('div');
+    lines.className = 'ch-hunk-lines';
+    for (const line of hunk.lines) {
+      const lineEl = document.createElement('div');
+      lineEl.className = 'ch-line'
+        + (line[0] === '+' ? ' ch-line-add' : '')
+        + (line[0] === '-' ? ' ch-line-del' : '')
+        + (line[0] === '\\' ? ' ch-line-meta' : '');
+      lineEl.textContent = line;
+      lines.appendChild(lineEl);
+    }
+    el.appendChild(lines);
+    return el;
+  }
+  // ---------- Activity tab ----------
+
+  renderActivityTab() {
+    this.ensureTimelineSubscription();
+    if (!this._tlLoaded) {
+      this.promptsContainer.appendChild(this.buildEmptyState('Loading…'));
+      this.loadTimeline();
+      return;
+    }
+    this.renderTimeline();
+  }
+
+  ensureTimelineSubscription() {
+    if (this._tlEntrySubscribed) return;
+    if (window.electronAPI?.timeline?.onEntry) {
+      window.electronAPI.timeline.onEntry((data) => this.handleTimelineEntry(data));
+      this._tlEntrySubscribed = true;
+    }
+  }
+
+  // The session whose timeline is shown
+  getShownTimelineSession() {
+    const id = this.tlSessionId || this.tlSessions[0]?.id;
+    return this.tlSessions.find(s => s.id === id) || null;
+  }
+
+  // A tool call started or finished in this tab: update the live list in
+  // place, or reload if it belongs to a session we haven't listed yet.
+  handleTimelineEntry({ sessionId, entry }) {
+    if (!this._tlLoaded) return;
+    const shown = this.getShownTimelineSession();
+    if (!this.tlSessions.some(s => s.id === sessionId)) {
+      this._tlLoaded = false;
+      if (this.activeTab === 'activity' && !this.isInlineEditing) this.loadTimeline();
+      return;
+    }
+    if (!shown || shown.id !== sessionId) return;
+
+    const index = this.tlEntries.findIndex(e => e.id === entry.id);
+    if (index >= 0) {
+      this.tlEntries[index] = entry;
+    } else {
+      this.tlEntries.push(entry);
+      if (entry.kind === 'tool') shown.toolCount++;
+    }
+    if (this.activeTab === 'activity' && !this.isInlineEditing) {
+      this.renderTimeline();
+    } else {
+      this.updateTabChrome();
+    }
+  }
+
+  async loadTimeline() {
+    let sessions;
+    try { sessions = await window.electronAPI.timeline.sessions(); }
+    catch (err) { sessions = []; }
+    this.tlSessions = Array.isArray(sessions) ? sessions : [];
+    if (this.tlSessionId && !this.tlSessions.some(s => s.id === this.tlSessionId)) {
+      this.tlSessionId = null;
+    }
+
+    const shown = this.getShownTimelineSession();
+    let res = [];
+    if (shown) {
+      try { res = await window.electronAPI.timeline.get(shown.id); }
+      catch (err) { res = { error: err.message }; }
+    }
+    if (res?.error) {
+      console.error('Failed to load tool timeline:', res.error);
+      this.tlEntries = [];
+      this.tlError = res.error;
+    } else {
+      this.tlEntries = Array.isArray(res) ? res : [];
+      this.tlError = null;
+    }
+    this.tlNotice = null;
+    this._tlLoaded = true;
+    if (this.activeTab === 'activity' && !this.isInlineEditing) {
+      this.renderPrompts();
+      this.promptsContainer.scrollTop = this.promptsContainer.scrollHeight;
+    } else {
+      this.updateTabChrome();
+    }
+  }
+
+  selectTimelineSession(sessionId) {
+    this.tlSessionId = sessionId === this.tlSessions[0]?.id ? null : sessionId;
+    this._tlLoaded = false;
+    this.renderPrompts();
+  }
+
+  describeTimelineSession(session) {
+    if (session.live) return 'Current session';
+    const time = new Date(session.timestamp).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+    return `${this.formatMtime(session.timestamp)}, ${time} · ${session.toolCount} tool${session.toolCount === 1 ? '' : 's'}`;
+  }
+
+  // Toolbar: session picker · summary · refresh
+  buildTimelineToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'ch-toolbar';
+    const shown = this.getShownTimelineSession();
+
+    if (this.tlSessions.length > 1) {
+      const select = document.createElement('select');
+      select.className = 'tl-session-select';
+      for (const session of this.tlSessions) {
+        const option = document.createElement('option');
+        option.value = session.id;
+        option.textContent = this.describeTimelineSession(session);
+        option.selected = shown?.id === session.id;
+        select.appendChild(option);
+      }
+      select.addEventListener('change', () => this.selectTimelineSession(select.value));
+      toolbar.appendChild(select);
+    }
+
+    const summary = document.createElement('span');
+    summary.className = 'ch-summary';
+    if (shown) {
+      const tools = this.tlEntries.filter(e => e.kind === 'tool');
+      const failed = tools.filter(e => e.status === 'error').length;
+      summary.textContent = `${tools.length} tool call${tools.length === 1 ? '' : 's'}` +
+        (failed ? ` · ${failed} failed` : '');
+    }
+    toolbar.appendChild(summary);
+
+    const refreshBtn = document.createElement('button');
+    refreshBtn.className = 'md-row-btn';
+    refreshBtn.title = 'Refresh';
+    refreshBtn.appendChild(this.createIcon('refresh', 14));
+    refreshBtn.addEventListener('click', () => this.loadTimeline());
+    toolbar.appendChild(refreshBtn);
+    return toolbar;
+  }
+
+  timelineEntryMatches(entry, q) {
+    const target = entry.target?.command || entry.target?.path || '';
+    return (entry.summary || entry.agentType || '').toLowerCase().includes(q) ||
+      target.toLowerCase().includes(q);
+  }
+
+  renderTimeline() {
+    this.updateChromeVisibility();
+    const container = this.promptsContainer;
+    const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 24;
+    const scrollTop = container.scrollTop;
+    container.textContent = '';
+    container.appendChild(this.buildTimelineToolbar());
+
+    if (this.tlNotice) {
+      const notice = document.createElement('div');
+      notice.className = 'tl-notice';
+      notice.textContent = this.tlNotice;
+      container.appendChild(notice);
+    }
+    if (this.tlError) {
+      container.appendChild(this.buildEmptyState(`Could not read the timeline: ${this.tlError}`));
+      return;
+    }
+    if (this.tlSessions.length === 0) {
+      container.appendChild(this.buildEmptyState('Tool calls show up here while Claude Code works in this tab (needs session history to be on).'));
+      return;
+    }
+    if (this.tlEntries.length === 0) {
+      container.appendChild(this.buildEmptyState('No tool calls in this session yet.'));
+      return;
+    }
+    const q = this.searchQuery;
+    const entries = this.tlEntries.filter(e => !q || this.timelineEntryMatches(e, q));
+    if (entries.length === 0) {
+      container.appendChild(this.buildEmptyState('No tool calls match.'));
+      return;
+    }
+
+    const listEl = document.createElement('div');
+    listEl.className = 'md-list tl-list';
+    for (const entry of entries) listEl.appendChild(this.buildTimelineRow(entry));
+    container.appendChild(listEl);
+    container.scrollTop = atBottom ? container.scrollHeight : scrollTop;
+  }
+
+  buildTimelineRow(entry) {
+    const row = document.createElement('div');
+    row.className = `md-row tl-row tl-${entry.kind}`;
+    row.style.paddingLeft = `${8 + Math.min(entry.depth || 0, 6) * 14}px`;
+
+    const time = document.createElement('span');
+    time.className = 'tl-time';
+    const date = new Date(entry.at);
+    time.textContent = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    time.title = date.toLocaleString();
+    row.appendChild(time);
+
+    const marker = document.createElement('span');
+    marker.className = `tl-marker tl-marker-${entry.kind === 'tool' ? entry.status : 'agent'}`;
+    row.appendChild(marker);
+
+    const main = document.createElement('div');
+    main.className = 'md-row-main';
+    const nm = document.createElement('div');
+    nm.className = 'md-row-name';
+    if (entry.kind === 'subagent-start') {
+      nm.textContent = entry.agentType ? `Agent started: ${entry.agentType}` : 'Agent started';
+    } else if (entry.kind === 'subagent-stop') {
+      nm.textContent = entry.agentType ? `Agent finished: ${entry.agentType}` : 'Agent finished';
+    } else {
+      nm.textContent = entry.summary;
+    }
+    main.appendChild(nm);
+
+    const detailText = entry.error || entry.target?.relPath || entry.target?.path || entry.target?.command;
+    if (detailText) {
+      const detail = document.createElement('div');
+      detail.className = entry.error ? 'md-row-dir tl-error' : 'md-row-dir';
+      detail.textContent = detailText;
+      main.appendChild(detail);
+    }
+    main.title = entry.target?.command || entry.target?.path || nm.textContent;
+    if (entry.target) {
+      row.classList.add('tl-jumpable');
+      main.addEventListener('click', () => this.jumpToTimelineTarget(entry.target));
+    }
+    row.appendChild(main);
+    return row;
+  }
+
+  // Commands: scroll the terminal to them. Files: open their diff if the
+  // session changed them, otherwise show them in the file manager.
+  async jumpToTimelineTarget(target) {
+    this.tlNotice = null;
+    if (target.type === 'command') {
+      const found = this.onRevealCommand ? this.onRevealCommand(target.command) : false;
+      if (!found) this.tlNotice = 'That command is no longer in the terminal scrollback.';
+      this.renderTimeline();
+      return;
+    }
+
+    if (target.relPath && this.getShownTimelineSession()?.live) {
+      let res;
+      try { res = await window.electronAPI.changes.list('session'); }
+      catch (err) { res = null; }
+      if (res?.status === 'ok' && res.files.some(f => f.path === target.relPath)) {
+        this.activeTab = 'changes';
+        this.chView = 'files';
+        this.chSince = 'session';
+        this.chStatus = 'ok';
+        this.chError = null;
+        this.chFiles = res.files;
+        this._chLoaded = true;
+        this.savePanelState();
+        await this.openChangedFile(target.relPath);
+        return;
+      }
+    }
+
+    let res;
+    try { res = await window.electronAPI.timeline.revealFile(target.path); }
+    catch (err) { res = { error: err.message }; }
+    if (res?.error) {
+      this.tlNotice = res.error;
+      this.renderTimeline();
+    }
+  }
 }
 
 // Export for use in terminal.js
@@ -39,10 +39,51 @@ const SERVICE_TYPES = {
       <polyline points="4 17 10 11 4 5"></polyline>
       <line x1="12" y1="19" x2="20" y2="19"></line>
     </svg>`
+  },
+  codex: {
+    id: 'codex',
+    name: 'Codex CLI',
+    type: 'terminal',
+    color: '#10a37f',
+    icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <path d="M12 2l8.66 5v10L12 22l-8.66-5V7z"></path>
+      <polyline points="9 10 7 12 9 14"></polyline>
+      <polyline points="15 10 17 12 15 14"></polyline>
+    </svg>`
+  },
+  aider: {
+    id: 'aider',
+    name: 'Aider',
+    type: 'terminal',
+    color: '#f59e0b',
+    icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <path d="M4 20L12 4l8 16"></path>
+      <line x1="7.5" y1="13" x2="16.5" y2="13"></line>
+    </svg>`
+  },
+  'gemini-cli': {
+    id: 'gemini-cli',
+    name: 'Gemini CLI',
+    type: 'terminal',
+    color: '#8ab4f8',
+    icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <path d="M12 3l2 7 7 2-7 2-2 7-2-7-7-2 7-2z"></path>
+    </svg>`
+  },
+  shell: {
+    id: 'shell',
+    name: 'Shell',
+    type: 'terminal',
+    color: '#a1a1aa',
+    icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <rect x="2" y="4" width="20" height="16" rx="2"></rect>
+      <polyline points="6 9 9 12 6 15"></polyline>
+      <line x1="12" y1="15" x2="17" y2="15"></line>
+    </svg>`
   }
 };
 
-function init() {
+async function init() {
   const grid = document.getElementById('service-grid');
   const closeBtn = document.getElementById('close-btn');
   const backdrop = document.getElementById('backdrop');
@@ -59,6 +100,18 @@ function init() {
     closeBtn.style.display = 'none';
   }
 
+  // Merge in user-defined web services (validated in the main process)
+  try {
+    const services = await window.electronAPI.getServices();
+    (services || []).forEach(service => {
+      if (service.custom && !SERVICE_TYPES[service.id]) {
+        SERVICE_TYPES[service.id] = { ...service, type: 'web' };
+      }
+    });
+  } catch (err) {
+    console.error('Failed to load custom services:', err);
+  }
+
   // Filter services based on availability
   const availableServices = Object.values(SERVICE_TYPES).filter(service => {
     if (service.type === 'terminal' && !terminalAvailable) {
@@ -74,11 +127,12 @@ function init() {
     card.dataset.service = service.id;
     card.tabIndex = 0;
 
-    // Create icon container using template for safe SVG insertion
+    // Create icon container using template for safe SVG insertion; custom
+    // service icons are user-supplied, so every icon goes through DOMPurify
     const iconDiv = document.createElement('div');
     iconDiv.className = 'service-icon';
     const template = document.createElement('template');
-    template.innerHTML = service.icon.trim();
+    template.innerHTML = window.DOMPurify.sanitize(service.icon, { USE_PROFILES: { svg: true } }).trim();
     iconDiv.appendChild(template.content.cloneNode(true));
 
     // Create name element with textContent (safe)
@@ -5,11 +5,19 @@ let historySessions = [];
 let historyExpanded = false;
 let tabsWithCompletions = new Set();
 let tabsNeedingAttention = new Set();
-let tabsStreaming = new Map(); // tabId -> { isStreaming, taskDescription }
+let tabsStreaming = new Map(); // tabId -> { isStreaming, taskDescription, at }
+let tabStatus = new Map(); // tabId -> { kind, text, detail, at } from hook events
 let terminalsRunning = new Set(); // tabIds of terminals with active PTY
 let archivedTabs = [];
 let archivedExpanded = false;
 
+// Marks in front of the sidebar status line, by status kind
+const STATUS_PREFIXES = {
+  'tool-success': '✓ ',
+  'tool-failure': '✕ ',
+  compacting: '⚠ '
+};
+
 // Service icons (duplicated from ServiceRegistry for renderer)
 const SERVICE_ICONS = {
   chatgpt: `<svg viewBox="0 0 24 24" fill="currentColor">
@@ -25,17 +33,40 @@ const SERVICE_ICONS = {
   'claude-code': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
     <polyline points="4 17 10 11 4 5"></polyline>
     <line x1="12" y1="19" x2="20" y2="19"></line>
+  </svg>`,
+  codex: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M12 2l8.66 5v10L12 22l-8.66-5V7z"></path>
+    <polyline points="9 10 7 12 9 14"></polyline>
+    <polyline points="15 10 17 12 15 14"></polyline>
+  </svg>`,
+  aider: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M4 20L12 4l8 16"></path>
+    <line x1="7.5" y1="13" x2="16.5" y2="13"></line>
+  </svg>`,
+  'gemini-cli': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M12 3l2 7 7 2-7 2-2 7-2-7-7-2 7-2z"></path>
+  </svg>`,
+  shell: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <rect x="2" y="4" width="20" height="16" rx="2"></rect>
+    <polyline points="6 9 9 12 6 15"></polyline>
+    <line x1="12" y1="15" x2="17" y2="15"></line>
   </svg>`
 };
 
 let activeTabId = null;
 let allTabs = [];
 let draggedTabId = null;
+let draggedGroupId = null;
+let tabGroups = [];
+let currentGroupId = null; // Group of the active tab (scopes Cmd+1-9)
 let settingsActive = false;
+let activeToolPage = null; // e.g. 'broadcast' while that page covers the content area
+let splitState = null; // { tabIds, orientation, ratio, area, divider } while two tabs share the content area
 
 async function init() {
   // Load all tabs
   allTabs = await window.electronAPI.getAllTabs();
+  tabGroups = await window.electronAPI.getTabGroups();
 
   renderTabs(allTabs);
 
@@ -53,7 +84,12 @@ async function init() {
   window.electronAPI.onActiveServiceChanged((tabId) => {
     activeTabId = tabId;
     settingsActive = false;
-    updateActiveState();
+    const activeTab = allTabs.find(t => t.id === tabId);
+    if (activeTab && (activeTab.groupId || null) !== currentGroupId) {
+      renderTabs(allTabs); // Shortcut badges follow the active group
+    } else {
+      updateActiveState();
+    }
   });
 
   // Listen for settings active changes
@@ -62,10 +98,27 @@ async function init() {
     updateActiveState();
   });
 
+  // Listen for tool page (broadcast, ...) changes
+  window.electronAPI.onToolPageChanged((page) => {
+    activeToolPage = page;
+    updateActiveState();
+  });
+
+  // Listen for split view layout changes
+  splitState = await window.electronAPI.getSplitState();
+  renderSplitDivider();
+  setupSplitDivider();
+  window.electronAPI.onSplitLayoutChanged((state) => {
+    splitState = state;
+    renderSplitDivider();
+    updateActiveState();
+  });
+
   // Listen for tab updates
-  window.electronAPI.onTabsUpdated((tabs) => {
+  window.electronAPI.onTabsUpdated(async (tabs) => {
     allTabs = tabs;
-    renderTabs(tabs);
+    tabGroups = await window.electronAPI.getTabGroups();
+    renderTabs(allTabs);
     updateActiveState();
   });
 
@@ -86,6 +139,11 @@ async function init() {
     renderHistory();
   });
 
+  // Sessions picked in the command palette
+  window.electronAPI.onShowHistorySession((sessionId) => {
+    viewHistorySession(sessionId);
+  });
+
   // Load initial completion and attention badges
   const initialBadges = await window.electronAPI.getCompletionBadges();
   tabsWithCompletions = new Set(initialBadges);
@@ -114,13 +172,23 @@ async function init() {
   window.electronAPI.onStreamingStateChanged((data) => {
     const { tabId, isStreaming, taskDescription } = data;
     if (isStreaming) {
-      tabsStreaming.set(tabId, { isStreaming, taskDescription });
+      tabsStreaming.set(tabId, { isStreaming, taskDescription, at: Date.now() });
     } else {
       tabsStreaming.delete(tabId);
     }
     renderTabs(allTabs);
   });
 
+  // Listen for tool results, compaction and session boundaries
+  window.electronAPI.onTabStatusChanged(({ tabId, status }) => {
+    if (status) {
+      tabStatus.set(tabId, { ...status, at: Date.now() });
+    } else {
+      tabStatus.delete(tabId);
+    }
+    renderTabs(allTabs);
+  });
+
   // Listen for terminal running state changes
   window.electronAPI.onTerminalRunningStateChanged((data) => {
     const { tabId, isRunning } = data;
@@ -167,6 +235,16 @@ async function init() {
     }
   });
 
+  // Conversations button
+  document.getElementById('conversations-btn').addEventListener('click', () => {
+    window.electronAPI.openToolPage('conversations');
+  });
+
+  // Broadcast button
+  document.getElementById('broadcast-btn').addEventListener('click', () => {
+    window.electronAPI.openToolPage('broadcast');
+  });
+
   // Settings button
   document.getElementById('settings-btn').addEventListener('click', () => {
     window.electronAPI.openSettings();
@@ -178,190 +256,435 @@ async function init() {
   });
 }
 
+/**
+ * Icon markup for a tab: built-in icons are constants, custom service icons
+ * are user-supplied SVG and go through DOMPurify first
+ */
+function getTabIconMarkup(tab) {
+  if (SERVICE_ICONS[tab.serviceType]) return SERVICE_ICONS[tab.serviceType].trim();
+  return window.DOMPurify.sanitize(tab.icon || '', { USE_PROFILES: { svg: true } }).trim();
+}
+
 function renderTabs(tabs) {
   const container = document.getElementById('service-buttons');
   container.textContent = ''; // Clear safely
 
-  tabs.forEach((tab, index) => {
-    const btn = document.createElement('button');
-    btn.className = 'service-btn';
-    btn.dataset.tabId = tab.id;
-    btn.dataset.serviceType = tab.serviceType;
-    btn.dataset.type = tab.type;
-    btn.draggable = true;
-
-    if (tab.shortcut) {
-      btn.dataset.shortcut = tab.shortcut;
-      btn.title = `${tab.name} (${tab.shortcut})`;
-    } else {
-      btn.title = tab.name;
+  // Cmd+1-9 only apply within the active tab's group
+  const activeTab = tabs.find(t => t.id === activeTabId);
+  currentGroupId = activeTab ? activeTab.groupId || null : null;
+
+  tabs.filter(tab => !tab.groupId).forEach(tab => {
+    container.appendChild(createTabButton(tab));
+  });
+
+  tabGroups.forEach(group => {
+    container.appendChild(createTabGroupSection(group, tabs.filter(tab => tab.groupId === group.id)));
+  });
+
+  updateActiveState();
+}
+
+/**
+ * Render a group: a collapsible, colored header followed by its tabs
+ */
+function createTabGroupSection(group, groupTabs) {
+  const section = document.createElement('div');
+  section.className = 'tab-group' + (group.collapsed ? ' collapsed' : '');
+  section.dataset.groupId = group.id;
+  section.style.setProperty('--group-color', group.color);
+
+  const header = document.createElement('div');
+  header.className = 'tab-group-header';
+  header.draggable = true;
+  header.title = group.collapsed ? 'Expand group' : 'Collapse group';
+
+  const toggle = document.createElement('span');
+  toggle.className = 'tab-group-toggle';
+  const template = document.createElement('template');
+  // safe: hardcoded SVG constant
+  template.innerHTML = '<svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3"><polyline points="6 9 12 15 18 9"/></svg>';
+  toggle.appendChild(template.content.cloneNode(true));
+
+  const name = document.createElement('span');
+  name.className = 'tab-group-name';
+  name.textContent = group.name;
+
+  const count = document.createElement('span');
+  count.className = 'tab-group-count';
+  count.textContent = groupTabs.length;
+
+  header.append(toggle, name, count);
+
+  header.addEventListener('click', () => {
+    if (header.querySelector('input')) return; // Renaming
+    window.electronAPI.updateTabGroup(group.id, { collapsed: !group.collapsed });
+  });
+
+  header.addEventListener('dblclick', (e) => {
+    e.stopPropagation();
+    startGroupRename(group, name);
+  });
+
+  header.addEventListener('contextmenu', async (e) => {
+    e.preventDefault();
+    const action = await window.electronAPI.showTabGroupContextMenu(group.id);
+    if (action === 'rename') {
+      startGroupRename(group, name);
+    } else if (action === 'delete') {
+      window.electronAPI.deleteTabGroup(group.id);
+    } else if (action && action.startsWith('color:')) {
+      window.electronAPI.updateTabGroup(group.id, { color: action.slice('color:'.length) });
     }
+  });
 
-    // Create icon + shortcut wrapper (vertical stack)
-    const iconWrapper = document.createElement('div');
-    iconWrapper.className = 'icon-wrapper';
+  // Drag a group header to reorder groups; drop a tab on it to move the tab in
+  header.addEventListener('dragstart', (e) => {
+    draggedGroupId = group.id;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', group.id);
+  });
 
-    const iconDiv = document.createElement('div');
-    iconDiv.className = 'service-icon';
+  header.addEventListener('dragend', () => {
+    draggedGroupId = null;
+  });
 
-    // Use safe template for SVG insertion (SERVICE_ICONS are hardcoded constants)
-    const template = document.createElement('template');
-    template.innerHTML = (SERVICE_ICONS[tab.serviceType] || '').trim(); // safe: hardcoded SVG constants
-    if (template.content.firstChild) {
-      iconDiv.appendChild(template.content.cloneNode(true));
+  header.addEventListener('dragover', (e) => {
+    if ((draggedTabId && !groupTabs.some(t => t.id === draggedTabId)) ||
+        (draggedGroupId && draggedGroupId !== group.id)) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      header.classList.add('drag-over');
     }
+  });
 
-    iconWrapper.appendChild(iconDiv);
+  header.addEventListener('dragleave', () => {
+    header.classList.remove('drag-over');
+  });
 
-    // Add keyboard shortcut badge below icon
-    if (tab.shortcut) {
-      const shortcutBadge = document.createElement('div');
-      shortcutBadge.className = 'tab-shortcut';
-      shortcutBadge.textContent = tab.shortcut;
-      iconWrapper.appendChild(shortcutBadge);
+  header.addEventListener('drop', (e) => {
+    e.preventDefault();
+    header.classList.remove('drag-over');
+    if (draggedTabId) {
+      window.electronAPI.moveTabToGroup(draggedTabId, group.id);
+    } else if (draggedGroupId && draggedGroupId !== group.id) {
+      const rect = header.getBoundingClientRect();
+      const position = e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+      window.electronAPI.reorderTabGroups(draggedGroupId, group.id, position);
     }
+  });
 
-    btn.appendChild(iconWrapper);
-
-    // Create text container for name
-    const textContainer = document.createElement('div');
-    textContainer.className = 'tab-text';
-
-    // Add name label for all tabs
-    const nameLabel = document.createElement('div');
-    nameLabel.className = 'tab-name';
-    nameLabel.textContent = tab.name;
-    textContainer.appendChild(nameLabel);
-
-    btn.appendChild(textContainer);
-
-    // Add streaming indicator if tab is streaming
-    const streamingState = tabsStreaming.get(tab.id);
-    if (streamingState && streamingState.isStreaming) {
-      const indicator = document.createElement('div');
-      indicator.className = 'streaming-indicator';
-
-      // Add animated dots
-      const dots = document.createElement('div');
-      dots.className = 'streaming-dots';
-      for (let i = 0; i < 3; i++) {
-        const dot = document.createElement('span');
-        dot.className = 'streaming-dot';
-        dots.appendChild(dot);
-      }
-      indicator.appendChild(dots);
-
-      btn.appendChild(indicator);
-      btn.classList.add('is-streaming');
-
-      // Show task description as subtitle below tab name
-      if (streamingState.taskDescription) {
-        const subtitle = document.createElement('div');
-        subtitle.className = 'tab-streaming-subtitle';
-        subtitle.textContent = streamingState.taskDescription;
-        textContainer.appendChild(subtitle);
-        btn.title = streamingState.taskDescription;
-      }
+  section.appendChild(header);
+
+  if (!group.collapsed) {
+    const list = document.createElement('div');
+    list.className = 'tab-group-tabs';
+    groupTabs.forEach(tab => list.appendChild(createTabButton(tab)));
+    section.appendChild(list);
+  }
+
+  return section;
+}
+
+/**
+ * Swap a group's name label for an inline input
+ */
+function startGroupRename(group, nameEl) {
+  const input = document.createElement('input');
+  input.className = 'tab-group-rename';
+  input.value = group.name;
+  input.maxLength = 40;
+  nameEl.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = async (save) => {
+    if (done) return;
+    done = true;
+    const value = input.value.trim();
+    if (save && value && value !== group.name) {
+      const result = await window.electronAPI.updateTabGroup(group.id, { name: value });
+      if (!result.error) return; // tabs-updated re-renders
     }
+    input.replaceWith(nameEl);
+  };
+
+  input.addEventListener('click', e => e.stopPropagation());
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+/**
+ * Build the sidebar button for one tab
+ */
+function createTabButton(tab) {
+  const btn = document.createElement('button');
+  btn.className = 'service-btn';
+  btn.dataset.tabId = tab.id;
+  btn.dataset.serviceType = tab.serviceType;
+  btn.dataset.type = tab.type;
+  btn.draggable = true;
+
+  const shortcut = (tab.groupId || null) === currentGroupId ? tab.shortcut : null;
+  if (shortcut) {
+    btn.dataset.shortcut = shortcut;
+    btn.title = `${tab.name} (${shortcut})`;
+  } else {
+    btn.title = tab.name;
+  }
+
+  // Create icon + shortcut wrapper (vertical stack)
+  const iconWrapper = document.createElement('div');
+  iconWrapper.className = 'icon-wrapper';
+
+  const iconDiv = document.createElement('div');
+  iconDiv.className = 'service-icon';
+
+  // Use safe template for SVG insertion (constants or sanitized custom icons)
+  const template = document.createElement('template');
+  template.innerHTML = getTabIconMarkup(tab);
+  if (template.content.firstChild) {
+    iconDiv.appendChild(template.content.cloneNode(true));
+  }
+
+  iconWrapper.appendChild(iconDiv);
+
+  // Add keyboard shortcut badge below icon
+  if (shortcut) {
+    const shortcutBadge = document.createElement('div');
+    shortcutBadge.className = 'tab-shortcut';
+    shortcutBadge.textContent = shortcut;
+    iconWrapper.appendChild(shortcutBadge);
+  }
+
+  btn.appendChild(iconWrapper);
+
+  // Create text container for name
+  const textContainer = document.createElement('div');
+  textContainer.className = 'tab-text';
+
+  // Add name label for all tabs
+  const nameLabel = document.createElement('div');
+  nameLabel.className = 'tab-name';
+  nameLabel.textContent = tab.name;
+  textContainer.appendChild(nameLabel);
+
+  // Branch of the tab's git worktree
+  if (tab.branch) {
+    const branchLabel = document.createElement('div');
+    branchLabel.className = 'tab-branch';
+    branchLabel.textContent = `⎇ ${tab.branch}`;
+    textContainer.appendChild(branchLabel);
+    btn.title = `${btn.title} — ${tab.branch}`;
+  }
 
-    // Add attention badge (yellow, overrides green) or completion badge (green)
-    if (tabsNeedingAttention.has(tab.id)) {
-      const badge = document.createElement('div');
-      badge.className = 'attention-badge';
-      btn.appendChild(badge);
-    } else if (tabsWithCompletions.has(tab.id)) {
-      const badge = document.createElement('div');
-      badge.className = 'completion-badge';
-      btn.appendChild(badge);
+  btn.appendChild(textContainer);
+
+  // Add streaming indicator if tab is streaming
+  const streamingState = tabsStreaming.get(tab.id);
+  const status = tabStatus.get(tab.id);
+  if (streamingState && streamingState.isStreaming) {
+    const indicator = document.createElement('div');
+    indicator.className = 'streaming-indicator';
+
+    // Add animated dots
+    const dots = document.createElement('div');
+    dots.className = 'streaming-dots';
+    for (let i = 0; i < 3; i++) {
+      const dot = document.createElement('span');
+      dot.className = 'streaming-dot';
+      dots.appendChild(dot);
+    }
+    indicator.appendChild(dots);
+
+    btn.appendChild(indicator);
+    btn.classList.add('is-streaming');
+
+    // Show task description as subtitle below tab name, unless a hook status
+    // (e.g. the tool that just finished) is more recent
+    if (streamingState.taskDescription && !(status && status.at > streamingState.at)) {
+      const subtitle = document.createElement('div');
+      subtitle.className = 'tab-streaming-subtitle';
+      subtitle.textContent = streamingState.taskDescription;
+      textContainer.appendChild(subtitle);
+      btn.title = streamingState.taskDescription;
     }
+  }
+
+  // Status line: last tool result, compaction or session boundary
+  if (status && !textContainer.querySelector('.tab-streaming-subtitle')) {
+    const statusLine = document.createElement('div');
+    statusLine.className = `tab-status-line status-${status.kind}`;
+    statusLine.textContent = `${STATUS_PREFIXES[status.kind] || ''}${status.text}`;
+    textContainer.appendChild(statusLine);
+    btn.title = status.detail ? `${status.text}: ${status.detail}` : status.text;
+  }
+
+  // Add attention badge (yellow, overrides green) or completion badge (green)
+  if (tabsNeedingAttention.has(tab.id)) {
+    const badge = document.createElement('div');
+    badge.className = 'attention-badge';
+    btn.appendChild(badge);
+  } else if (tabsWithCompletions.has(tab.id)) {
+    const badge = document.createElement('div');
+    badge.className = 'completion-badge';
+    btn.appendChild(badge);
+  }
+
+  // Mark terminal tabs as stopped if PTY is not running
+  if (tab.type === 'terminal' && !terminalsRunning.has(tab.id)) {
+    btn.classList.add('terminal-stopped');
+  }
 
-    // Mark terminal tabs as stopped if PTY is not running
-    if (tab.serviceType === 'claude-code' && !terminalsRunning.has(tab.id)) {
-      btn.classList.add('terminal-stopped');
+  // Click handler - switch to tab
+  btn.addEventListener('click', () => {
+    window.electronAPI.switchService(tab.id);
+  });
+
+  // Right-click handler - show native context menu
+  btn.addEventListener('contextmenu', async (e) => {
+    e.preventDefault();
+    const action = await window.electronAPI.showTabContextMenu(tab.id);
+    if (action === 'rename') {
+      window.electronAPI.showRenameDialog(tab.id);
+    } else if (action === 'restart') {
+      window.electronAPI.restartTerminal(tab.id);
+    } else if (action === 'shutdown') {
+      window.electronAPI.shutdownTerminal(tab.id);
+    } else if (action === 'new-group') {
+      window.electronAPI.createTabGroup({ tabId: tab.id });
+    } else if (action === 'ungroup') {
+      window.electronAPI.moveTabToGroup(tab.id, null);
+    } else if (action && action.startsWith('group:')) {
+      window.electronAPI.moveTabToGroup(tab.id, action.slice('group:'.length));
+    } else if (action && action.startsWith('split:')) {
+      window.electronAPI.openSplit(tab.id, action.slice('split:'.length));
+    } else if (action === 'archive') {
+      window.electronAPI.archiveTab(tab.id);
+    } else if (action === 'close') {
+      window.electronAPI.closeTab(tab.id);
     }
+  });
 
-    // Click handler - switch to tab
-    btn.addEventListener('click', () => {
-      window.electronAPI.switchService(tab.id);
+  // Drag handlers
+  btn.addEventListener('dragstart', (e) => {
+    draggedTabId = tab.id;
+    btn.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', tab.id);
+  });
+
+  btn.addEventListener('dragend', () => {
+    btn.classList.remove('dragging');
+    draggedTabId = null;
+    document.querySelectorAll('.service-btn').forEach(b => {
+      b.classList.remove('drag-over', 'drag-over-top', 'drag-over-bottom');
     });
+  });
 
-    // Right-click handler - show native context menu
-    btn.addEventListener('contextmenu', async (e) => {
-      e.preventDefault();
-      const action = await window.electronAPI.showTabContextMenu(tab.id);
-      if (action === 'rename') {
-        window.electronAPI.showRenameDialog(tab.id);
-      } else if (action === 'restart') {
-        window.electronAPI.restartTerminal(tab.id);
-      } else if (action === 'shutdown') {
-        window.electronAPI.shutdownTerminal(tab.id);
-      } else if (action === 'archive') {
-        window.electronAPI.archiveTab(tab.id);
-      } else if (action === 'close') {
-        window.electronAPI.closeTab(tab.id);
+  btn.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    if (draggedTabId && draggedTabId !== tab.id) {
+      e.dataTransfer.dropEffect = 'move';
+      const rect = btn.getBoundingClientRect();
+      const midY = rect.top + rect.height / 2;
+      btn.classList.remove('drag-over-top', 'drag-over-bottom');
+      if (e.clientY < midY) {
+        btn.classList.add('drag-over-top');
+      } else {
+        btn.classList.add('drag-over-bottom');
       }
-    });
+    }
+  });
 
-    // Drag handlers
-    btn.addEventListener('dragstart', (e) => {
-      draggedTabId = tab.id;
-      btn.classList.add('dragging');
-      e.dataTransfer.effectAllowed = 'move';
-      e.dataTransfer.setData('text/plain', tab.id);
-    });
+  btn.addEventListener('dragleave', () => {
+    btn.classList.remove('drag-over-top', 'drag-over-bottom');
+  });
 
-    btn.addEventListener('dragend', () => {
-      btn.classList.remove('dragging');
-      draggedTabId = null;
-      document.querySelectorAll('.service-btn').forEach(b => {
-        b.classList.remove('drag-over', 'drag-over-top', 'drag-over-bottom');
-      });
-    });
+  btn.addEventListener('drop', (e) => {
+    e.preventDefault();
+    btn.classList.remove('drag-over-top', 'drag-over-bottom');
 
-    btn.addEventListener('dragover', (e) => {
-      e.preventDefault();
-      if (draggedTabId && draggedTabId !== tab.id) {
-        e.dataTransfer.dropEffect = 'move';
-        const rect = btn.getBoundingClientRect();
-        const midY = rect.top + rect.height / 2;
-        btn.classList.remove('drag-over-top', 'drag-over-bottom');
-        if (e.clientY < midY) {
-          btn.classList.add('drag-over-top');
-        } else {
-          btn.classList.add('drag-over-bottom');
-        }
-      }
-    });
+    if (draggedTabId && draggedTabId !== tab.id) {
+      const rect = btn.getBoundingClientRect();
+      const midY = rect.top + rect.height / 2;
+      const position = e.clientY < midY ? 'before' : 'after';
+      window.electronAPI.reorderTabs(draggedTabId, tab.id, position);
+    }
+  });
 
-    btn.addEventListener('dragleave', () => {
-      btn.classList.remove('drag-over-top', 'drag-over-bottom');
-    });
+  return btn;
+}
 
-    btn.addEventListener('drop', (e) => {
-      e.preventDefault();
-      btn.classList.remove('drag-over-top', 'drag-over-bottom');
+/**
+ * Position the divider in the gap between the split panes
+ */
+function renderSplitDivider() {
+  const divider = document.getElementById('split-divider');
+  if (!divider) return;
+
+  divider.classList.toggle('visible', !!splitState);
+  if (!splitState) return;
+
+  const { x, y, width, height } = splitState.divider;
+  divider.classList.toggle('horizontal', splitState.orientation === 'horizontal');
+  divider.classList.toggle('vertical', splitState.orientation === 'vertical');
+  Object.assign(divider.style, {
+    left: `${x}px`,
+    top: `${y}px`,
+    width: `${width}px`,
+    height: `${height}px`
+  });
+}
 
-      if (draggedTabId && draggedTabId !== tab.id) {
-        const rect = btn.getBoundingClientRect();
-        const midY = rect.top + rect.height / 2;
-        const position = e.clientY < midY ? 'before' : 'after';
-        window.electronAPI.reorderTabs(draggedTabId, tab.id, position);
-      }
-    });
+/**
+ * Drag the divider to resize the panes; double-click resets to 50/50
+ */
+function setupSplitDivider() {
+  const divider = document.getElementById('split-divider');
+  if (!divider) return;
 
-    container.appendChild(btn);
+  divider.addEventListener('pointerdown', (e) => {
+    if (!splitState) return;
+    e.preventDefault();
+    divider.setPointerCapture(e.pointerId);
+    divider.classList.add('dragging');
   });
 
-  updateActiveState();
+  divider.addEventListener('pointermove', (e) => {
+    if (!splitState || !divider.hasPointerCapture(e.pointerId)) return;
+    const { area, orientation } = splitState;
+    const ratio = orientation === 'horizontal'
+      ? (e.clientX - area.x) / area.width
+      : (e.clientY - area.y) / area.height;
+    window.electronAPI.setSplitRatio(ratio);
+  });
+
+  const endDrag = (e) => {
+    if (divider.hasPointerCapture(e.pointerId)) {
+      divider.releasePointerCapture(e.pointerId);
+    }
+    divider.classList.remove('dragging');
+  };
+  divider.addEventListener('pointerup', endDrag);
+  divider.addEventListener('pointercancel', endDrag);
+
+  divider.addEventListener('dblclick', () => {
+    window.electronAPI.setSplitRatio(0.5);
+  });
 }
 
 function updateActiveState() {
   // Update tab buttons
   document.querySelectorAll('.service-btn').forEach(btn => {
-    // If settings is active, no tab should be active
+    // If settings or a tool page is active, no tab should be active
     // Otherwise, the activeTabId tab should be active
-    const isActive = !settingsActive && btn.dataset.tabId === activeTabId;
+    const isActive = !settingsActive && !activeToolPage && btn.dataset.tabId === activeTabId;
     btn.classList.toggle('active', isActive);
+    btn.classList.toggle('in-split', !!splitState && splitState.tabIds.includes(btn.dataset.tabId));
   });
 
   // Update settings button
@@ -369,6 +692,14 @@ function updateActiveState() {
   if (settingsBtn) {
     settingsBtn.classList.toggle('active', settingsActive);
   }
+
+  // Update tool page buttons
+  ['broadcast', 'conversations'].forEach(page => {
+    const btn = document.getElementById(`${page}-btn`);
+    if (btn) {
+      btn.classList.toggle('active', activeToolPage === page);
+    }
+  });
 }
 
 // Keyboard shortcut for reload
@@ -420,7 +751,7 @@ function renderArchivedTabs() {
     iconDiv.className = 'archived-icon';
     // Use template for safe SVG insertion (same pattern as renderTabs)
     const template = document.createElement('template');
-    template.innerHTML = (SERVICE_ICONS[tab.serviceType] || '').trim();
+    template.innerHTML = getTabIconMarkup(tab);
     if (template.content.firstChild) {
       iconDiv.appendChild(template.content.cloneNode(true));
     }
@@ -837,7 +1168,7 @@ function createHistoryItem(session) {
   icon.className = 'history-icon';
   // Use template for safe SVG insertion
   const iconTemplate = document.createElement('template');
-  iconTemplate.innerHTML = (SERVICE_ICONS['claude-code'] || '').trim();
+  iconTemplate.innerHTML = (SERVICE_ICONS[session.serviceType] || SERVICE_ICONS['claude-code']).trim();
   if (iconTemplate.content.firstChild) {
     icon.appendChild(iconTemplate.content.cloneNode(true));
   }
@@ -42,6 +42,9 @@ window.focusTerminal = () => {
   terminal.focus();
 };
 
+// Expose the selection for the {{selection}} template variable
+window.getTerminalSelection = () => terminal.getSelection();
+
 // Expose paste function for prompt library to trigger image paste
 window.triggerPaste = async () => {
   // This replicates the Cmd+V paste logic from the key handler
@@ -104,6 +107,11 @@ async function loadSavedTheme() {
 // Load theme immediately
 loadSavedTheme();
 
+// "Clear Terminal" from the command palette (Cmd+K now opens the palette)
+window.electronAPI.onClearRequested(() => {
+  terminal.clear();
+});
+
 // Listen for theme changes from settings
 window.electronAPI.onThemeChanged(async (themeId) => {
   try {
@@ -290,21 +298,21 @@ terminal.attachCustomKeyEventHandler((e) => {
     return false;
   }
 
-  // Cmd+K = clear terminal (only on keydown)
-  if ((e.metaKey || e.ctrlKey) && e.key === 'k' && e.type === 'keydown') {
-    terminal.clear();
-    return false;
-  }
-
   return true; // Allow other keys through
 });
 
 // Focus terminal on load
 terminal.focus();
 
+// Terminal service for this tab (set by ViewManager when it loads the page).
+// Services without a resume variant (e.g. a plain shell) skip the Resume button.
+const terminalParams = new URLSearchParams(window.location.search);
+const terminalServiceName = terminalParams.get('service') || 'Claude Code';
+const terminalCanResume = terminalParams.get('resume') !== '0';
+
 // Show the Resume / New Session / Close Tab overlay. Used both when a running
-// Claude Code session exits and when a non-brand-new tab is opened with no
-// session running (restored after a restart, previously shut down, etc.).
+// session exits and when a non-brand-new tab is opened with no session
+// running (restored after a restart, previously shut down, etc.).
 function showSessionChoiceOverlay() {
   // Never stack overlays.
   if (document.getElementById('exit-overlay')) return;
@@ -322,16 +330,18 @@ function showSessionChoiceOverlay() {
 
   const title = document.createElement('div');
   title.className = 'exit-title';
-  title.textContent = 'Claude Code isn\'t running in this tab';
+  title.textContent = `${terminalServiceName} isn't running in this tab`;
 
   const subtitle = document.createElement('div');
   subtitle.className = 'exit-subtitle';
-  subtitle.textContent = 'Resume your previous session, or start a new one.';
+  subtitle.textContent = terminalCanResume
+    ? 'Resume your previous session, or start a new one.'
+    : 'Start a new session, or close the tab.';
 
   const buttons = document.createElement('div');
   buttons.className = 'exit-buttons';
 
-  // Resume button (primary) - uses claude --continue
+  // Resume button (primary) - uses the service's continue variant
   const resumeBtn = document.createElement('button');
   resumeBtn.className = 'exit-btn resume-btn';
   const resumeIcon = document.createElement('span');
@@ -358,7 +368,11 @@ function showSessionChoiceOverlay() {
   closeBtn.appendChild(closeIcon);
   closeBtn.appendChild(document.createTextNode(' Close Tab'));
 
-  buttons.appendChild(resumeBtn);
+  if (terminalCanResume) {
+    buttons.appendChild(resumeBtn);
+  } else {
+    newBtn.className = 'exit-btn resume-btn';
+  }
   buttons.appendChild(newBtn);
   buttons.appendChild(closeBtn);
   message.appendChild(icon);
@@ -455,13 +469,13 @@ function showSessionChoiceOverlay() {
   resumeBtn.addEventListener('click', () => {
     overlay.remove();
     terminal.clear();
-    window.electronAPI.resume(); // Uses claude --continue
+    window.electronAPI.resume(); // Continues the last session
   });
 
   newBtn.addEventListener('click', () => {
     overlay.remove();
     terminal.clear();
-    window.electronAPI.reload(); // Starts fresh claude session
+    window.electronAPI.reload(); // Starts a fresh session
   });
 
   closeBtn.addEventListener('click', () => {
@@ -728,8 +742,28 @@ setTimeout(() => {
   window.electronAPI.requestUsageUpdate();
 }, 1000);
 
+// Scroll to the newest scrollback line containing a command and select it
+// (Activity tab entries jump here)
+function revealCommandInTerminal(command) {
+  const needle = String(command || '').split('\n')[0].trim().slice(0, 40);
+  if (!needle) return false;
+  const buffer = terminal.buffer.active;
+  for (let row = buffer.length - 1; row >= 0; row--) {
+    const line = buffer.getLine(row);
+    const col = line ? line.translateToString(true).indexOf(needle) : -1;
+    if (col >= 0) {
+      userScrolledUp = true;
+      terminal.scrollToLine(Math.max(0, row - Math.floor(terminal.rows / 2)));
+      terminal.select(col, row, needle.length);
+      return true;
+    }
+  }
+  return false;
+}
+
 // Initialize prompt library
 const promptLibrary = new PromptLibrary();
+promptLibrary.onRevealCommand = revealCommandInTerminal;
 promptLibrary.init();
 
 // Refit terminal when container size changes (e.g., prompt panel toggle)
@@ -812,3 +846,106 @@ window.electronAPI.onStreamingState?.((streaming) => {
 setTimeout(() => {
   updateReadyIndicator();
 }, 3000);
+
+// ==================== Permission Requests ====================
+// Claude Code holds its PermissionRequest hook open until one of these cards
+// is answered. If nobody answers before the timeout it falls back to its own
+// prompt in the terminal, and main tells us to drop the card.
+
+const permissionCards = document.getElementById('permission-cards');
+const permissionTimers = new Map(); // requestId -> countdown interval
+
+// Full tool input for the card: the command or file for common tools, JSON otherwise
+function formatPermissionDetail(toolName, toolInput) {
+  if (!toolInput) return '';
+  if (toolName === 'Bash' && toolInput.command) return toolInput.command;
+  if (toolInput.file_path) return toolInput.file_path;
+  if (toolInput.url) return toolInput.url;
+  const json = JSON.stringify(toolInput, null, 2);
+  return json.length > 2000 ? json.slice(0, 2000) + '\n…' : json;
+}
+
+function removePermissionCard(requestId) {
+  clearInterval(permissionTimers.get(requestId));
+  permissionTimers.delete(requestId);
+  const card = permissionCards.querySelector(`[data-request-id="${CSS.escape(requestId)}"]`);
+  if (card) card.remove();
+}
+
+function showPermissionCard({ requestId, toolName, toolInput, toolDescription, timeoutMs }) {
+  if (!permissionCards) return;
+  removePermissionCard(requestId);
+
+  const card = document.createElement('div');
+  card.className = 'permission-card';
+  card.dataset.requestId = requestId;
+
+  const label = document.createElement('div');
+  label.className = 'permission-card-label';
+  label.textContent = `${terminalServiceName} wants to use ${toolName || 'a tool'}`;
+
+  const title = document.createElement('div');
+  title.className = 'permission-card-title';
+  title.textContent = toolDescription;
+
+  card.appendChild(label);
+  card.appendChild(title);
+
+  const detailText = formatPermissionDetail(toolName, toolInput);
+  if (detailText && detailText !== toolDescription) {
+    const detail = document.createElement('pre');
+    detail.className = 'permission-card-detail';
+    detail.textContent = detailText;
+    card.appendChild(detail);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'permission-card-actions';
+  const allowBtn = document.createElement('button');
+  allowBtn.className = 'permission-allow';
+  allowBtn.textContent = 'Allow';
+  const alwaysBtn = document.createElement('button');
+  alwaysBtn.textContent = toolName === 'Bash' ? 'Always allow this command here' : `Always allow ${toolName} here`;
+  alwaysBtn.title = 'Saved as a rule for this project folder';
+  const denyBtn = document.createElement('button');
+  denyBtn.className = 'permission-deny';
+  denyBtn.textContent = 'Deny';
+  const countdown = document.createElement('span');
+  countdown.className = 'permission-card-countdown';
+  actions.appendChild(allowBtn);
+  actions.appendChild(alwaysBtn);
+  actions.appendChild(denyBtn);
+  actions.appendChild(countdown);
+  card.appendChild(actions);
+
+  const respond = async (decision, always) => {
+    [allowBtn, alwaysBtn, denyBtn].forEach(btn => { btn.disabled = true; });
+    const result = await window.electronAPI.permissions.respond(requestId, decision, always);
+    if (result && result.error) {
+      const error = document.createElement('div');
+      error.className = 'permission-card-error';
+      error.textContent = result.error;
+      card.appendChild(error);
+      setTimeout(() => removePermissionCard(requestId), 2000);
+      return;
+    }
+    removePermissionCard(requestId);
+    terminal.focus();
+  };
+  allowBtn.addEventListener('click', () => respond('allow', false));
+  alwaysBtn.addEventListener('click', () => respond('allow', true));
+  denyBtn.addEventListener('click', () => respond('deny', false));
+
+  const deadline = Date.now() + (timeoutMs || 0);
+  const tick = () => {
+    const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+    countdown.textContent = `Terminal prompt in ${seconds}s`;
+  };
+  tick();
+  permissionTimers.set(requestId, setInterval(tick, 1000));
+
+  permissionCards.appendChild(card);
+}
+
+window.electronAPI.permissions?.onRequest(showPermissionCard);
+window.electronAPI.permissions?.onSettled(({ requestId }) => removePermissionCard(requestId));
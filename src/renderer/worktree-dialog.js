@@ -0,0 +1,62 @@
+// Offered when a terminal tab is opened on a git repo: start it in a new
+// worktree on its own branch, or open the folder as is.
+const params = new URLSearchParams(window.location.search);
+const repoName = params.get('repo') || 'this repository';
+const baseBranch = params.get('baseBranch') || '';
+
+const input = document.getElementById('branch-input');
+const errorEl = document.getElementById('error');
+const confirmBtn = document.getElementById('confirm-btn');
+
+document.getElementById('description').textContent =
+  `${repoName} is a git repository. Give this tab its own worktree so it doesn't share a working tree with other tabs.`;
+document.getElementById('hint').textContent = baseBranch
+  ? `New branches start from ${baseBranch}. An existing branch is checked out as is.`
+  : 'New branches start from the current commit. An existing branch is checked out as is.';
+
+setTimeout(() => input.focus(), 100);
+
+let submitting = false;
+
+async function submit() {
+  const branch = input.value.trim();
+  if (!branch || submitting) return;
+
+  submitting = true;
+  confirmBtn.disabled = true;
+  errorEl.textContent = '';
+  try {
+    const result = await window.electronAPI.createWorktree(branch);
+    if (result && result.error) {
+      errorEl.textContent = result.error;
+    }
+  } finally {
+    submitting = false;
+    confirmBtn.disabled = false;
+  }
+}
+
+confirmBtn.addEventListener('click', submit);
+document.getElementById('use-folder-btn').addEventListener('click', () => window.electronAPI.useFolder());
+document.getElementById('cancel-btn').addEventListener('click', () => window.electronAPI.cancel());
+
+input.addEventListener('input', () => {
+  errorEl.textContent = '';
+});
+
+// Click outside modal to cancel
+document.getElementById('backdrop').addEventListener('click', (e) => {
+  if (e.target.id === 'backdrop') {
+    window.electronAPI.cancel();
+  }
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    submit();
+  }
+  if (e.key === 'Escape') {
+    window.electronAPI.cancel();
+  }
+});
@@ -1,6 +1,9 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
+  // All services, including user-defined web services from settings
+  getServices: () => ipcRenderer.invoke('get-services'),
+
   // Create a new tab
   createTab: (serviceType) => ipcRenderer.invoke('create-tab', serviceType),
 
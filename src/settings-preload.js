@@ -19,6 +19,40 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getNotificationSounds: () => ipcRenderer.invoke('get-notification-sounds'),
   previewSound: (soundName) => ipcRenderer.invoke('preview-notification-sound', soundName),
 
+  // Custom web services
+  getCustomServices: () => ipcRenderer.invoke('get-custom-services'),
+  saveCustomService: (service) => ipcRenderer.invoke('save-custom-service', service),
+  deleteCustomService: (serviceId) => ipcRenderer.invoke('delete-custom-service', serviceId),
+
+  // Workspaces
+  listWorkspaces: () => ipcRenderer.invoke('workspaces-list'),
+  saveWorkspace: (name) => ipcRenderer.invoke('workspaces-save', name),
+  renameWorkspace: (workspaceId, name) => ipcRenderer.invoke('workspaces-rename', workspaceId, name),
+  deleteWorkspace: (workspaceId) => ipcRenderer.invoke('workspaces-delete', workspaceId),
+  restoreWorkspace: (workspaceId) => ipcRenderer.invoke('workspaces-restore', workspaceId),
+  exportWorkspace: (workspaceId) => ipcRenderer.invoke('workspaces-export', workspaceId),
+  importWorkspace: () => ipcRenderer.invoke('workspaces-import'),
+
+  // Claude Code permission rules ("Always allow" from approval cards)
+  listPermissionRules: () => ipcRenderer.invoke('permission-rules-list'),
+  removePermissionRule: (project, ruleId) => ipcRenderer.invoke('permission-rules-remove', project, ruleId),
+
+  // Prompt library write tools for Claude Code (per project)
+  listMcpWriteProjects: () => ipcRenderer.invoke('mcp-write-projects-list'),
+  setMcpWriteAccess: (project, enabled) => ipcRenderer.invoke('mcp-write-projects-set', project, enabled),
+
+  // Prompts stored in the project's repository (per project)
+  listRepoPromptProjects: () => ipcRenderer.invoke('prompt-repo-storage-list'),
+  setRepoPromptStorage: (project, enabled) => ipcRenderer.invoke('prompt-repo-storage-set', project, enabled),
+
+  // Selector packs & diagnostics
+  getSelectorPacks: () => ipcRenderer.invoke('selector-packs-list'),
+  reloadSelectorPacks: () => ipcRenderer.invoke('selector-packs-reload'),
+  openSelectorPacksFolder: () => ipcRenderer.invoke('selector-packs-open-folder'),
+  customizeSelectorPack: (serviceId) => ipcRenderer.invoke('selector-packs-customize', serviceId),
+  getDiagnosticsTabs: () => ipcRenderer.invoke('selector-diagnostics-tabs'),
+  runSelectorDiagnostics: (tabId) => ipcRenderer.invoke('selector-diagnostics-run', tabId),
+
   // Firebase Cloud Sync
   getFirebaseStatus: () => ipcRenderer.invoke('firebase-get-status'),
   firebaseLogin: (email, password) => ipcRenderer.invoke('firebase-login', email, password),
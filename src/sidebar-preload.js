@@ -8,8 +8,12 @@ let historyUpdatedListener = null;
 let completionBadgesListener = null;
 let attentionBadgesListener = null;
 let streamingStateListener = null;
+let tabStatusListener = null;
 let terminalRunningStateListener = null;
 let settingsActiveListener = null;
+let toolPageListener = null;
+let splitLayoutListener = null;
+let showHistorySessionListener = null;
 let archivedTabsListener = null;
 
 contextBridge.exposeInMainWorld('electronAPI', {
@@ -27,6 +31,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
   showTabContextMenu: (tabId) => ipcRenderer.invoke('show-tab-context-menu', tabId),
   showRenameDialog: (tabId) => ipcRenderer.invoke('show-rename-dialog', tabId),
 
+  // Tab groups
+  getTabGroups: () => ipcRenderer.invoke('get-tab-groups'),
+  createTabGroup: (options) => ipcRenderer.invoke('create-tab-group', options),
+  updateTabGroup: (groupId, changes) => ipcRenderer.invoke('update-tab-group', groupId, changes),
+  deleteTabGroup: (groupId) => ipcRenderer.invoke('delete-tab-group', groupId),
+  moveTabToGroup: (tabId, groupId) => ipcRenderer.invoke('move-tab-to-group', tabId, groupId),
+  reorderTabGroups: (draggedGroupId, targetGroupId, position) => ipcRenderer.send('reorder-tab-groups', draggedGroupId, targetGroupId, position),
+  showTabGroupContextMenu: (groupId) => ipcRenderer.invoke('show-tab-group-context-menu', groupId),
+
   // Legacy terminal support
   addTerminal: () => ipcRenderer.invoke('add-terminal'),
   closeTerminal: (terminalId) => ipcRenderer.send('close-terminal', terminalId),
@@ -43,6 +56,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
   setSetting: (key, value) => ipcRenderer.send('set-setting', key, value),
   openSettings: () => ipcRenderer.send('open-settings'),
   closeSettings: () => ipcRenderer.send('close-settings'),
+  openToolPage: (name) => ipcRenderer.send('open-tool-page', name),
+
+  // Split view
+  getSplitState: () => ipcRenderer.invoke('get-split-state'),
+  openSplit: (tabId, orientation) => ipcRenderer.send('split-open', tabId, orientation),
+  closeSplit: () => ipcRenderer.send('split-close'),
+  setSplitOrientation: (orientation) => ipcRenderer.send('split-set-orientation', orientation),
+  setSplitRatio: (ratio) => ipcRenderer.send('split-set-ratio', ratio),
 
   // Downloads
   getDownloads: () => ipcRenderer.invoke('get-downloads'),
@@ -138,6 +159,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('streaming-state-changed', streamingStateListener);
   },
 
+  // Hook-reported tab status (tool results, compaction, session boundaries)
+  onTabStatusChanged: (callback) => {
+    if (tabStatusListener) {
+      ipcRenderer.removeListener('tab-status-changed', tabStatusListener);
+    }
+    tabStatusListener = (event, data) => callback(data);
+    ipcRenderer.on('tab-status-changed', tabStatusListener);
+  },
+
   onTerminalRunningStateChanged: (callback) => {
     if (terminalRunningStateListener) {
       ipcRenderer.removeListener('terminal-running-state-changed', terminalRunningStateListener);
@@ -162,6 +192,30 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('settings-active-changed', settingsActiveListener);
   },
 
+  onToolPageChanged: (callback) => {
+    if (toolPageListener) {
+      ipcRenderer.removeListener('tool-page-changed', toolPageListener);
+    }
+    toolPageListener = (event, page) => callback(page);
+    ipcRenderer.on('tool-page-changed', toolPageListener);
+  },
+
+  onSplitLayoutChanged: (callback) => {
+    if (splitLayoutListener) {
+      ipcRenderer.removeListener('split-layout-changed', splitLayoutListener);
+    }
+    splitLayoutListener = (event, state) => callback(state);
+    ipcRenderer.on('split-layout-changed', splitLayoutListener);
+  },
+
+  onShowHistorySession: (callback) => {
+    if (showHistorySessionListener) {
+      ipcRenderer.removeListener('show-history-session', showHistorySessionListener);
+    }
+    showHistorySessionListener = (event, sessionId) => callback(sessionId);
+    ipcRenderer.on('show-history-session', showHistorySessionListener);
+  },
+
   // Cleanup method for manual cleanup if needed
   cleanup: () => {
     if (activeServiceListener) {
@@ -192,6 +246,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
       ipcRenderer.removeListener('streaming-state-changed', streamingStateListener);
       streamingStateListener = null;
     }
+    if (tabStatusListener) {
+      ipcRenderer.removeListener('tab-status-changed', tabStatusListener);
+      tabStatusListener = null;
+    }
     if (terminalRunningStateListener) {
       ipcRenderer.removeListener('terminal-running-state-changed', terminalRunningStateListener);
       terminalRunningStateListener = null;
@@ -204,6 +262,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
       ipcRenderer.removeListener('settings-active-changed', settingsActiveListener);
       settingsActiveListener = null;
     }
+    if (toolPageListener) {
+      ipcRenderer.removeListener('tool-page-changed', toolPageListener);
+      toolPageListener = null;
+    }
+    if (splitLayoutListener) {
+      ipcRenderer.removeListener('split-layout-changed', splitLayoutListener);
+      splitLayoutListener = null;
+    }
+    if (showHistorySessionListener) {
+      ipcRenderer.removeListener('show-history-session', showHistorySessionListener);
+      showHistorySessionListener = null;
+    }
   }
 });
 
@@ -230,6 +300,9 @@ window.addEventListener('beforeunload', () => {
   if (streamingStateListener) {
     ipcRenderer.removeListener('streaming-state-changed', streamingStateListener);
   }
+  if (tabStatusListener) {
+    ipcRenderer.removeListener('tab-status-changed', tabStatusListener);
+  }
   if (terminalRunningStateListener) {
     ipcRenderer.removeListener('terminal-running-state-changed', terminalRunningStateListener);
   }
@@ -239,4 +312,13 @@ window.addEventListener('beforeunload', () => {
   if (settingsActiveListener) {
     ipcRenderer.removeListener('settings-active-changed', settingsActiveListener);
   }
+  if (toolPageListener) {
+    ipcRenderer.removeListener('tool-page-changed', toolPageListener);
+  }
+  if (splitLayoutListener) {
+    ipcRenderer.removeListener('split-layout-changed', splitLayoutListener);
+  }
+  if (showHistorySessionListener) {
+    ipcRenderer.removeListener('show-history-session', showHistorySessionListener);
+  }
 });
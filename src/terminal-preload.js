@@ -13,6 +13,13 @@ let promptLibraryListener = null;
 let streamingStateListener = null;
 let markdownFilesListener = null;
 let sessionChoiceListener = null;
+let clearListener = null;
+let promptInsertListener = null;
+let changesListener = null;
+let permissionRequestListener = null;
+let permissionSettledListener = null;
+let timelineListener = null;
+let autoRunListener = null;
 
 contextBridge.exposeInMainWorld('electronAPI', {
   // Send terminal input to main process
@@ -97,6 +104,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('terminal-theme-changed', themeChangeListener);
   },
 
+  // Listen for clear requests (command palette)
+  onClearRequested: (callback) => {
+    if (clearListener) {
+      ipcRenderer.removeListener('terminal-clear', clearListener);
+    }
+    clearListener = () => callback();
+    ipcRenderer.on('terminal-clear', clearListener);
+  },
+
   // Listen for streaming state changes (for ready indicator)
   onStreamingState: (callback) => {
     if (streamingStateListener) {
@@ -119,6 +135,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   promptLibrary: {
     // Get all prompts for this terminal's cwd
     getPrompts: () => ipcRenderer.invoke('prompt-library-get', { terminalId }),
+    hasUnusedRepoPrompts: () => ipcRenderer.invoke('prompt-library-has-unused-repo-prompts', { terminalId }),
 
     // Get the working directory
     getCwd: () => ipcRenderer.invoke('prompt-library-get-cwd', { terminalId }),
@@ -134,6 +151,16 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
     // Duplicate a prompt
     duplicatePrompt: (promptId) => ipcRenderer.invoke('prompt-library-duplicate', { terminalId, promptId }),
+    getRevisions: (promptId) => ipcRenderer.invoke('prompt-revisions-list', { terminalId, promptId }),
+    diffRevisions: (promptId, revisionId, baseRevisionId = null) => ipcRenderer.invoke('prompt-revisions-diff', { terminalId, promptId, revisionId, baseRevisionId }),
+    restoreRevision: (promptId, revisionId) => ipcRenderer.invoke('prompt-revisions-restore', { terminalId, promptId, revisionId }),
+
+    // Bundles: format 'json' or 'markdown'; onCollision 'skip', 'overwrite' or 'duplicate'
+    exportBundle: (scope, format) => ipcRenderer.invoke('prompt-bundle-export', { terminalId, scope, format }),
+    importBundle: (scope, onCollision) => ipcRenderer.invoke('prompt-bundle-import', { terminalId, scope, onCollision }),
+
+    // Variables of a template prompt, built-ins resolved for this tab
+    resolveTemplate: (text, variables, selection) => ipcRenderer.invoke('prompt-template-resolve', { terminalId, text, variables, selection }),
 
     // Reorder prompts
     reorderPrompts: (promptIds, scope) => ipcRenderer.invoke('prompt-library-reorder', { terminalId, promptIds, scope }),
@@ -190,6 +217,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
       }
       promptLibraryListener = (event, data) => callback(data);
       ipcRenderer.on('prompt-library-updated', promptLibraryListener);
+    },
+
+    // Listen for requests to insert a prompt (command palette)
+    onInsertRequested: (callback) => {
+      if (promptInsertListener) {
+        ipcRenderer.removeListener('prompt-library-insert', promptInsertListener);
+      }
+      promptInsertListener = (event, data) => callback(data);
+      ipcRenderer.on('prompt-library-insert', promptInsertListener);
     }
   },
 
@@ -220,6 +256,76 @@ contextBridge.exposeInMainWorld('electronAPI', {
     }
   },
 
+  // Changes tab APIs (diffs since the session's first prompt or the last one)
+  changes: {
+    list: (since) => ipcRenderer.invoke('changes-list', { terminalId, since }),
+    diff: (filePath, since) => ipcRenderer.invoke('changes-diff', { terminalId, filePath, since }),
+    revert: (filePath, since) => ipcRenderer.invoke('changes-revert', { terminalId, filePath, since }),
+    onChanged: (callback) => {
+      if (changesListener) {
+        ipcRenderer.removeListener('changes-updated', changesListener);
+      }
+      changesListener = () => callback();
+      ipcRenderer.on('changes-updated', changesListener);
+    }
+  },
+
+  // Claude Code permission requests answered from the approval card
+  permissions: {
+    respond: (requestId, decision, always = false) =>
+      ipcRenderer.invoke('permission-respond', { terminalId, requestId, decision, always }),
+    onRequest: (callback) => {
+      if (permissionRequestListener) {
+        ipcRenderer.removeListener('permission-request', permissionRequestListener);
+      }
+      permissionRequestListener = (event, data) => callback(data);
+      ipcRenderer.on('permission-request', permissionRequestListener);
+    },
+    onSettled: (callback) => {
+      if (permissionSettledListener) {
+        ipcRenderer.removeListener('permission-settled', permissionSettledListener);
+      }
+      permissionSettledListener = (event, data) => callback(data);
+      ipcRenderer.on('permission-settled', permissionSettledListener);
+    }
+  },
+
+  // Checkpoint timeline (one per prompt) and rollback
+  checkpoints: {
+    list: () => ipcRenderer.invoke('checkpoints-list', { terminalId }),
+    restore: (checkpointId) => ipcRenderer.invoke('checkpoints-restore', { terminalId, checkpointId })
+  },
+
+  // Tool activity timeline, kept with the tab's history sessions
+  timeline: {
+    sessions: () => ipcRenderer.invoke('timeline-sessions', { terminalId }),
+    get: (sessionId) => ipcRenderer.invoke('timeline-get', { terminalId, sessionId }),
+    revealFile: (filePath) => ipcRenderer.invoke('timeline-reveal-file', { filePath }),
+    onEntry: (callback) => {
+      if (timelineListener) {
+        ipcRenderer.removeListener('tool-timeline-entry', timelineListener);
+      }
+      timelineListener = (event, data) => callback(data);
+      ipcRenderer.on('tool-timeline-entry', timelineListener);
+    }
+  },
+
+  // Auto-run of this tab's prompt queue
+  autoRun: {
+    get: () => ipcRenderer.invoke('auto-run-get', { terminalId }),
+    start: (maxPrompts, maxMinutes) => ipcRenderer.invoke('auto-run-start', { terminalId, maxPrompts, maxMinutes }),
+    pause: () => ipcRenderer.invoke('auto-run-pause', { terminalId }),
+    resume: () => ipcRenderer.invoke('auto-run-resume', { terminalId }),
+    stop: () => ipcRenderer.invoke('auto-run-stop', { terminalId }),
+    onUpdated: (callback) => {
+      if (autoRunListener) {
+        ipcRenderer.removeListener('auto-run-updated', autoRunListener);
+      }
+      autoRunListener = (event, run) => callback(run);
+      ipcRenderer.on('auto-run-updated', autoRunListener);
+    }
+  },
+
   // Cleanup listeners when terminal is closed
   cleanup: () => {
     if (dataListener) {
@@ -254,6 +360,34 @@ contextBridge.exposeInMainWorld('electronAPI', {
       ipcRenderer.removeListener('terminal-show-session-choice', sessionChoiceListener);
       sessionChoiceListener = null;
     }
+    if (clearListener) {
+      ipcRenderer.removeListener('terminal-clear', clearListener);
+      clearListener = null;
+    }
+    if (promptInsertListener) {
+      ipcRenderer.removeListener('prompt-library-insert', promptInsertListener);
+      promptInsertListener = null;
+    }
+    if (changesListener) {
+      ipcRenderer.removeListener('changes-updated', changesListener);
+      changesListener = null;
+    }
+    if (permissionRequestListener) {
+      ipcRenderer.removeListener('permission-request', permissionRequestListener);
+      permissionRequestListener = null;
+    }
+    if (permissionSettledListener) {
+      ipcRenderer.removeListener('permission-settled', permissionSettledListener);
+      permissionSettledListener = null;
+    }
+    if (timelineListener) {
+      ipcRenderer.removeListener('tool-timeline-entry', timelineListener);
+      timelineListener = null;
+    }
+    if (autoRunListener) {
+      ipcRenderer.removeListener('auto-run-updated', autoRunListener);
+      autoRunListener = null;
+    }
   }
 });
 
@@ -283,4 +417,25 @@ window.addEventListener('beforeunload', () => {
   if (sessionChoiceListener) {
     ipcRenderer.removeListener('terminal-show-session-choice', sessionChoiceListener);
   }
+  if (clearListener) {
+    ipcRenderer.removeListener('terminal-clear', clearListener);
+  }
+  if (promptInsertListener) {
+    ipcRenderer.removeListener('prompt-library-insert', promptInsertListener);
+  }
+  if (changesListener) {
+    ipcRenderer.removeListener('changes-updated', changesListener);
+  }
+  if (permissionRequestListener) {
+    ipcRenderer.removeListener('permission-request', permissionRequestListener);
+  }
+  if (permissionSettledListener) {
+    ipcRenderer.removeListener('permission-settled', permissionSettledListener);
+  }
+  if (timelineListener) {
+    ipcRenderer.removeListener('tool-timeline-entry', timelineListener);
+  }
+  if (autoRunListener) {
+    ipcRenderer.removeListener('auto-run-updated', autoRunListener);
+  }
 });
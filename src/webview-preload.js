@@ -1,5 +1,20 @@
 const { ipcRenderer } = require('electron');
 
+// User-defined services pass their id and hosts via additionalArguments
+// (see ViewManager._createWebView) since the registry isn't reachable here
+function getCustomServiceEntry() {
+  const argv = (typeof process !== 'undefined' && process.argv) || [];
+  const readArg = (name) => {
+    const prefix = `--${name}=`;
+    const arg = argv.find(a => a.startsWith(prefix));
+    return arg ? arg.slice(prefix.length) : '';
+  };
+
+  const id = readArg('crossai-service-id');
+  const hosts = readArg('crossai-service-hosts').split(',').filter(Boolean);
+  return id && hosts.length > 0 ? { hosts, id } : null;
+}
+
 // Detect which AI service we're on based on URL
 // Uses strict hostname matching to prevent subdomain spoofing attacks
 function getServiceId() {
@@ -12,6 +27,11 @@ function getServiceId() {
     { hosts: ['gemini.google.com'], id: 'gemini' }
   ];
 
+  const customService = getCustomServiceEntry();
+  if (customService) {
+    serviceMap.push(customService);
+  }
+
   for (const service of serviceMap) {
     for (const allowedHost of service.hosts) {
       // Exact match
@@ -28,159 +48,191 @@ function getServiceId() {
   return null;
 }
 
-// Extract preview text from the last AI response
-function getResponsePreview(maxLength = 100) {
+// ==================== Selector packs ====================
+// Detection selectors come from versioned JSON packs served by the main process
+// (SelectorPackManager): built-in packs, optionally overridden from the
+// userData/selector-packs folder so selector drift can be hot-fixed.
+
+let selectorPack = null;
+const regexCache = new Map();
+const selectorErrors = new Map(); // selector -> error message (for diagnostics)
+
+async function loadSelectorPack() {
   const serviceId = getServiceId();
-  let text = '';
-  let hasImage = false;
+  if (!serviceId) return null;
+  try {
+    selectorPack = await ipcRenderer.invoke('selector-pack-get', serviceId);
+  } catch (e) {
+    console.log('[CrossAI] Failed to load selector pack:', e);
+    selectorPack = null;
+  }
+  regexCache.clear();
+  selectorErrors.clear();
+  return selectorPack;
+}
+
+function getRegex(pattern, caseSensitive) {
+  const key = `${caseSensitive ? 's' : 'i'}:${pattern}`;
+  if (!regexCache.has(key)) {
+    regexCache.set(key, new RegExp(pattern, caseSensitive ? '' : 'i'));
+  }
+  return regexCache.get(key);
+}
 
+// querySelectorAll that records invalid selectors instead of throwing
+function safeQueryAll(selector, root = document) {
   try {
-    if (serviceId === 'chatgpt') {
-      // ChatGPT: Get last assistant message - try multiple selectors
-      const selectors = [
-        '[data-message-author-role="assistant"]',
-        '.agent-turn .markdown',
-        '.assistant-message',
-        '[data-testid^="conversation-turn"] .markdown'
-      ];
-      let lastMessage = null;
-      for (const selector of selectors) {
-        const messages = document.querySelectorAll(selector);
-        if (messages.length > 0) {
-          lastMessage = messages[messages.length - 1];
-          break;
-        }
+    return Array.from(root.querySelectorAll(selector));
+  } catch (e) {
+    selectorErrors.set(selector, e.message);
+    return [];
+  }
+}
+
+function safeMatches(el, selector, method) {
+  try {
+    return method === 'closest' ? !!el.closest(selector) : !!el.querySelector(selector);
+  } catch (e) {
+    selectorErrors.set(selector, e.message);
+    return false;
+  }
+}
+
+function getLabelParts(el, sources) {
+  return sources.map(source => {
+    if (source === 'text') return (el.textContent || '').trim();
+    return el.getAttribute(source) || '';
+  }).filter(Boolean);
+}
+
+const DEFAULT_LABEL_SOURCES = ['aria-label', 'mattooltip', 'data-mat-tooltip', 'title', 'text'];
+
+// Check a single element against every condition of a pack rule
+function elementPassesRule(el, rule) {
+  if (rule.visible && el.offsetParent === null) return false;
+  if (rule.within && !safeMatches(el, rule.within, 'closest')) return false;
+  if (rule.hasChild && !safeMatches(el, rule.hasChild, 'query')) return false;
+  if (rule.lacksChild && safeMatches(el, rule.lacksChild, 'query')) return false;
+  if (rule.textPattern && !getRegex(rule.textPattern, rule.caseSensitive).test(el.textContent || '')) {
+    return false;
+  }
+  if (rule.labelPattern || rule.excludePattern) {
+    const parts = getLabelParts(el, rule.labelFrom || DEFAULT_LABEL_SOURCES);
+    if (rule.labelPattern && !parts.some(p => getRegex(rule.labelPattern, rule.caseSensitive).test(p))) {
+      return false;
+    }
+    if (rule.excludePattern && parts.some(p => getRegex(rule.excludePattern, rule.caseSensitive).test(p))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Returns { element, candidates } for the first element passing the rule
+function evaluateRule(rule) {
+  let candidates = safeQueryAll(rule.selector);
+  if (rule.last && candidates.length > 0) {
+    candidates = [candidates[candidates.length - 1]];
+  }
+  const element = candidates.find(el => elementPassesRule(el, rule)) || null;
+  return { element, candidates: candidates.length };
+}
+
+// Last element with text for the first selector in the list that has one
+function findLastMessage(selectors) {
+  for (const selector of selectors || []) {
+    const elements = safeQueryAll(selector);
+    if (elements.length > 0) {
+      const element = elements[elements.length - 1];
+      if ((element.textContent || '').trim() || element.querySelector('img')) {
+        return { element, selector };
       }
+    }
+  }
+  return { element: null, selector: null };
+}
 
-      if (lastMessage) {
-        // Check if this message contains a generated image
-        const images = lastMessage.querySelectorAll('img');
-        for (const img of images) {
+function cleanAndTruncate(text, maxLength) {
+  text = (text || '').trim().replace(/\s+/g, ' ');
+  if (text.length > maxLength) {
+    text = text.substring(0, maxLength) + '...';
+  }
+  return text;
+}
+
+// Extract preview text from the last AI response
+function getResponsePreview(maxLength = 100) {
+  let text = '';
+
+  try {
+    const messages = (selectorPack && selectorPack.messages) || {};
+    const { element } = findLastMessage(messages.assistant);
+
+    if (element) {
+      // Generated images (e.g. DALL-E) get a short description instead of text
+      const imageRule = messages.generatedImage;
+      let hasImage = false;
+      if (imageRule) {
+        for (const img of element.querySelectorAll('img')) {
           const src = img.src || '';
-          // DALL-E images come from OpenAI's CDN
-          if (src.includes('oaidalleapi') || src.includes('openai') ||
-              src.includes('dalle') || img.alt?.toLowerCase().includes('generated')) {
+          const alt = img.alt || '';
+          if ((imageRule.srcPattern && getRegex(imageRule.srcPattern).test(src)) ||
+              (imageRule.altPattern && getRegex(imageRule.altPattern).test(alt))) {
             hasImage = true;
-            // Try to get the image prompt from alt text or nearby text
-            if (img.alt && img.alt.length > 5 && !img.alt.toLowerCase().includes('image')) {
-              text = `Image: ${img.alt}`;
+            // Use the alt text as the image prompt when it's meaningful
+            if (alt.length > 5 && !alt.toLowerCase().includes('image')) {
+              text = `Image: ${alt}`;
             }
             break;
           }
         }
-
-        // If no meaningful image alt text, check for image containers
-        if (hasImage && !text) {
-          text = 'Generated an image';
-        }
-
-        // Fall back to text content if no image
-        if (!hasImage) {
-          text = lastMessage.textContent || '';
-        }
       }
-    } else if (serviceId === 'claude') {
-      // Claude: Get last response block
-      const selectors = [
-        '[data-is-streaming]',
-        '.font-claude-message',
-        '[class*="claude-message"]',
-        '.prose'
-      ];
-      for (const selector of selectors) {
-        const msgs = document.querySelectorAll(selector);
-        if (msgs.length > 0) {
-          text = msgs[msgs.length - 1].textContent || '';
-          if (text) break;
-        }
+
+      if (hasImage && !text) {
+        text = 'Generated an image';
       }
-    } else if (serviceId === 'gemini') {
-      // Gemini: Get last response
-      const selectors = [
-        '.model-response-text',
-        '[class*="response-content"]',
-        '.markdown-content'
-      ];
-      for (const selector of selectors) {
-        const responses = document.querySelectorAll(selector);
-        if (responses.length > 0) {
-          text = responses[responses.length - 1].textContent || '';
-          if (text) break;
-        }
+
+      if (!hasImage) {
+        text = element.textContent || '';
       }
     }
   } catch (e) {
     console.log('[CrossAI] Error getting preview:', e);
   }
 
-  // Clean and truncate
-  text = text.trim().replace(/\s+/g, ' ');
-  if (text.length > maxLength) {
-    text = text.substring(0, maxLength) + '...';
+  return cleanAndTruncate(text, maxLength);
+}
+
+// Full text of the last 'user' or 'assistant' message (broadcast, conversation archive)
+function getMessageText(role, maxLength = 100000) {
+  try {
+    const messages = (selectorPack && selectorPack.messages) || {};
+    const { element } = findLastMessage(messages[role]);
+    if (!element) return '';
+    // innerText keeps paragraph/list line breaks that textContent drops
+    const text = (element.innerText || element.textContent || '').trim();
+    return text.length > maxLength ? text.substring(0, maxLength) : text;
+  } catch (e) {
+    console.log(`[CrossAI] Error getting ${role} message text:`, e);
+    return '';
   }
-  return text;
 }
 
 // Extract a short preview of the user's last prompt
 function getUserPromptPreview(maxLength = 40) {
-  const serviceId = getServiceId();
   let text = '';
 
   try {
-    if (serviceId === 'chatgpt') {
-      // ChatGPT: Get last user message
-      const selectors = [
-        '[data-message-author-role="user"]',
-        '.user-turn .markdown',
-        '.user-message'
-      ];
-      for (const selector of selectors) {
-        const messages = document.querySelectorAll(selector);
-        if (messages.length > 0) {
-          text = messages[messages.length - 1].textContent || '';
-          if (text) break;
-        }
-      }
-    } else if (serviceId === 'claude') {
-      // Claude: Get last user message
-      const selectors = [
-        '[data-testid="user-message"]',
-        '.font-user-message',
-        '[class*="user-message"]',
-        '.human-message'
-      ];
-      for (const selector of selectors) {
-        const msgs = document.querySelectorAll(selector);
-        if (msgs.length > 0) {
-          text = msgs[msgs.length - 1].textContent || '';
-          if (text) break;
-        }
-      }
-    } else if (serviceId === 'gemini') {
-      // Gemini: Get last user message
-      const selectors = [
-        '.user-message-text',
-        '[class*="query-content"]',
-        '.query-text'
-      ];
-      for (const selector of selectors) {
-        const queries = document.querySelectorAll(selector);
-        if (queries.length > 0) {
-          text = queries[queries.length - 1].textContent || '';
-          if (text) break;
-        }
-      }
+    const messages = (selectorPack && selectorPack.messages) || {};
+    const { element } = findLastMessage(messages.user);
+    if (element) {
+      text = element.textContent || '';
     }
   } catch (e) {
     console.log('[CrossAI] Error getting user prompt:', e);
   }
 
-  // Clean and truncate
-  text = text.trim().replace(/\s+/g, ' ');
-  if (text.length > maxLength) {
-    text = text.substring(0, maxLength) + '...';
-  }
-  return text || 'Generating response...';
+  return cleanAndTruncate(text, maxLength) || 'Generating response...';
 }
 
 // Streaming detection for each service
@@ -192,10 +244,12 @@ class StreamingDetector {
     this.debounceTimer = null;
     this.lastStreamingState = false;
     this.debug = false;
+    this.lastMatch = null; // { group, name, selector } of the rule that fired
 
-    // Growth-based detection state (Gemini fallback)
+    // Growth-based detection state (packs with a `growth` section)
     this._lastResponseLength = 0;
     this._lastResponseGrowthAt = 0;
+    this._growthSelector = null;
   }
 
   log(...args) {
@@ -214,14 +268,23 @@ class StreamingDetector {
     }
   }
 
-  setup() {
+  async setup() {
     this.serviceId = getServiceId();
     if (!this.serviceId) {
       this.log('Unknown service, not initializing detector');
       return;
     }
 
-    this.log(`Initializing streaming detector for ${this.serviceId}`);
+    const pack = await loadSelectorPack();
+    if (!pack) {
+      this.log(`No selector pack for ${this.serviceId}, not initializing detector`);
+      return;
+    }
+    // Packs can turn on logging for services whose detection is fragile.
+    // Open DevTools on the webview to see it.
+    this.debug = this.debug || !!pack.debug;
+
+    this.log(`Initializing streaming detector for ${this.serviceId} (pack ${pack.version})`);
     this.log(`URL: ${window.location.href}`);
 
     // Start observing after a short delay to let the page settle
@@ -229,6 +292,7 @@ class StreamingDetector {
   }
 
   startObserving() {
+    if (this.observer) return;
     this.log('Starting DOM observation...');
 
     this.observer = new MutationObserver(() => {
@@ -246,26 +310,14 @@ class StreamingDetector {
     // Check periodically as a fallback
     setInterval(() => this.checkStreamingState(), 1000);
 
-    // Log diagnostic info every 10 seconds
+    // Log which rule is driving detection every 10 seconds
     setInterval(() => {
-      if (this.serviceId === 'chatgpt') {
-        const stopBtn = document.querySelector('[data-testid="stop-button"]');
-        const buttons = document.querySelectorAll('button[aria-label]');
-        const ariaLabels = Array.from(buttons).map(b => b.getAttribute('aria-label')).filter(Boolean);
-        this.log('ChatGPT diagnostic - stopBtn:', !!stopBtn, 'streaming:', this.isStreaming, 'aria-labels:', ariaLabels.slice(0, 5));
-      } else if (this.serviceId === 'gemini') {
-        const buttons = document.querySelectorAll('button');
-        const ariaLabels = Array.from(buttons)
-          .map(b => b.getAttribute('aria-label'))
-          .filter(Boolean);
-        const lastResponse = document.querySelector('.model-response-text, [class*="response-content"], message-content, model-response');
-        this.log(
-          'Gemini diagnostic - streaming:', this.isStreaming,
-          '| aria-labels (first 10):', ariaLabels.slice(0, 10),
-          '| lastResponse tag:', lastResponse?.tagName,
-          '| lastResponse len:', lastResponse?.textContent?.length
-        );
-      }
+      const match = this.lastMatch;
+      this.log(
+        `${this.serviceId} diagnostic - streaming:`, this.isStreaming,
+        '| matched:', match ? `${match.group}/${match.name}` : 'none',
+        '| selector errors:', Array.from(selectorErrors.keys())
+      );
     }, 10000);
 
     // Initial check
@@ -306,270 +358,113 @@ class StreamingDetector {
   }
 
   detectStreaming() {
-    try {
-      switch (this.serviceId) {
-        case 'chatgpt':
-          return this.detectChatGPTStreaming();
-        case 'claude':
-          return this.detectClaudeStreaming();
-        case 'gemini':
-          return this.detectGeminiStreaming();
-        default:
-          return false;
-      }
-    } catch (e) {
-      this.log('Error detecting streaming:', e);
-      return false;
-    }
-  }
-
-  detectChatGPTStreaming() {
-    // Method 1: Look for stop button by test ID (most reliable)
-    const stopBtn = document.querySelector('[data-testid="stop-button"]');
-    if (stopBtn) {
-      this.log('Detected: stop-button testid');
-      return true;
-    }
-
-    // Method 2: Look for the streaming result class
-    const streamingResult = document.querySelector('.result-streaming');
-    if (streamingResult) {
-      this.log('Detected: result-streaming class');
-      return true;
-    }
-
-    // Method 2.5: Look for streaming/typing indicator classes
-    const streamingIndicators = document.querySelectorAll(
-      '[class*="streaming"], [class*="typing"], [class*="thinking"]'
-    );
-    for (const indicator of streamingIndicators) {
-      if (indicator.offsetParent !== null) {
-        this.log('Detected: streaming/typing class:', indicator.className);
-        return true;
-      }
-    }
-
-    // Method 3: Look for image generation loading states
-    // ChatGPT shows "Creating image..." or similar during DALL-E generation
-    const assistantMessages = document.querySelectorAll('[data-message-author-role="assistant"]');
-    if (assistantMessages.length > 0) {
-      const lastMessage = assistantMessages[assistantMessages.length - 1];
-      const text = lastMessage.textContent || '';
-      // Check for image generation indicators
-      if (text.includes('Creating image') ||
-          text.includes('Generating image') ||
-          text.includes('generating your image')) {
-        this.log('Detected: image generation text');
-        return true;
-      }
+    if (!selectorPack) return false;
 
-      // Check for loading spinner/animation in the last message
-      const spinner = lastMessage.querySelector('[class*="spinner"], [class*="loading"], [class*="animate-spin"], svg.animate-spin');
-      if (spinner) {
-        this.log('Detected: loading spinner in message');
-        return true;
-      }
-    }
-
-    // Method 4: Look for any progress indicators
-    const progressIndicators = document.querySelectorAll(
-      '[role="progressbar"], ' +
-      '[class*="progress"], ' +
-      '[class*="loading"]:not([class*="loaded"]), ' +
-      '.animate-pulse'
-    );
-    for (const indicator of progressIndicators) {
-      // Make sure it's visible and in the main content area
-      if (indicator.offsetParent !== null &&
-          (indicator.closest('main') || indicator.closest('[class*="conversation"]'))) {
-        this.log('Detected: progress indicator');
-        return true;
+    try {
+      const streaming = selectorPack.streaming || {};
+
+      // Stop buttons are the most reliable signal, so check them first
+      for (const group of ['stopButtons', 'indicators']) {
+        for (const rule of streaming[group] || []) {
+          if (evaluateRule(rule).element) {
+            this.lastMatch = { group, name: rule.name || rule.selector, selector: rule.selector };
+            this.log(`Detected: ${this.lastMatch.name}`);
+            return true;
+          }
+        }
       }
-    }
 
-    // Method 5: Look for button with stop icon (square SVG) that's visible
-    const buttons = document.querySelectorAll('button');
-    for (const btn of buttons) {
-      // Check if button has aria-label containing "stop"
-      const ariaLabel = btn.getAttribute('aria-label') || '';
-      if (ariaLabel.toLowerCase().includes('stop') && btn.offsetParent !== null) {
-        this.log('Detected: button with stop aria-label');
+      if (streaming.growth && this.detectGrowth(streaming.growth)) {
+        this.lastMatch = { group: 'growth', name: 'response is growing', selector: this._growthSelector };
         return true;
       }
 
-      // Check for SVG with rect (stop icon is a square)
-      const svg = btn.querySelector('svg');
-      if (svg) {
-        const rect = svg.querySelector('rect');
-        const paths = svg.querySelectorAll('path');
-        // Stop icon typically has just a rect, no complex paths
-        if (rect && paths.length === 0 && btn.offsetParent !== null) {
-          // Make sure the button is in the chat input area
-          const isInInputArea = btn.closest('form') || btn.closest('[class*="input"]') || btn.closest('[class*="composer"]');
-          if (isInInputArea) {
-            this.log('Detected: stop button SVG');
-            return true;
-          }
-        }
-      }
+      this.lastMatch = null;
+      return false;
+    } catch (e) {
+      this.log('Error detecting streaming:', e);
+      return false;
     }
-
-    return false;
   }
 
-  detectClaudeStreaming() {
-    // Method 1: data-is-streaming attribute (most reliable)
-    const streamingEl = document.querySelector('[data-is-streaming="true"]');
-    if (streamingEl) {
-      this.log('Detected: data-is-streaming=true');
+  // Growth-based detection (framework-agnostic fallback):
+  // if the last response is actively gaining text, it's streaming.
+  detectGrowth(growth) {
+    const { element, selector } = findLastMessage(growth.selectors);
+    this._growthSelector = selector;
+    if (!element) return false;
+
+    const windowMs = growth.windowMs || 1500;
+    const len = (element.textContent || '').length;
+    const now = Date.now();
+    if (len > this._lastResponseLength) {
+      this._lastResponseGrowthAt = now;
+      this._lastResponseLength = len;
+      this.log('Detected: response is growing (len:', len, ')');
       return true;
     }
-
-    // Method 2: Stop button with specific aria-label
-    const stopBtn = document.querySelector('[aria-label="Stop Response"]');
-    if (stopBtn && stopBtn.offsetParent !== null) {
-      this.log('Detected: Stop Response button');
+    // Treat as streaming if we saw growth recently and length hasn't shrunk
+    if (now - this._lastResponseGrowthAt < windowMs && len === this._lastResponseLength) {
       return true;
     }
-
-    // Method 3: Look for visible button with "Stop" text in the input area
-    const buttons = document.querySelectorAll('button');
-    for (const btn of buttons) {
-      const ariaLabel = btn.getAttribute('aria-label') || '';
-      const text = btn.textContent || '';
-      if ((ariaLabel.toLowerCase() === 'stop' || text.toLowerCase() === 'stop') &&
-          btn.offsetParent !== null) {
-        this.log('Detected: Stop button');
-        return true;
-      }
+    // Length decreased or new response — reset baseline
+    if (len < this._lastResponseLength) {
+      this._lastResponseLength = len;
     }
-
-    // Method 4: Loading spinner (animated SVG circles) — catches research/thinking mode
-    const svgs = document.querySelectorAll('svg');
-    for (const svg of svgs) {
-      const animates = svg.querySelectorAll('animate, animateTransform');
-      if (animates.length > 0 && svg.offsetParent !== null) {
-        // Check it's in the conversation area, not the nav/sidebar
-        const inConversation = svg.closest('[class*="conversation"], [class*="message"], main, [role="main"], [class*="react-scroll"]');
-        if (inConversation) {
-          this.log('Detected: animated SVG spinner in conversation');
-          return true;
-        }
-      }
-    }
-
-    // Method 5: Research/tool-use progress indicators ("sources and counting", "Searching")
-    const allText = document.querySelectorAll('span, p, div');
-    for (const el of allText) {
-      const text = el.textContent || '';
-      if ((text.includes('sources and counting') ||
-           text.includes('Searching') ||
-           text.includes('Analyzing')) &&
-          el.offsetParent !== null) {
-        const inConversation = el.closest('[class*="conversation"], [class*="message"], main, [role="main"], [class*="react-scroll"]');
-        if (inConversation) {
-          this.log('Detected: research/tool-use progress text');
-          return true;
-        }
-      }
-    }
-
     return false;
   }
 
-  detectGeminiStreaming() {
-    // Method 1: Any visible button whose aria-label / mattooltip / title / text contains "stop"
-    // Gemini uses Angular Material with various label conventions ("Stop response", "Stop generating", etc.)
-    const buttons = document.querySelectorAll('button, [role="button"]');
-    for (const btn of buttons) {
-      if (btn.offsetParent === null) continue;
-      const label = (
-        (btn.getAttribute('aria-label') || '') + ' ' +
-        (btn.getAttribute('mattooltip') || '') + ' ' +
-        (btn.getAttribute('data-mat-tooltip') || '') + ' ' +
-        (btn.getAttribute('title') || '') + ' ' +
-        (btn.textContent || '')
-      ).toLowerCase();
-      if (/\bstop\b/.test(label) && !/stopped|autostop/.test(label)) {
-        this.log('Detected: button with stop label:', label.trim().slice(0, 80));
-        return true;
-      }
-    }
-
-    // Method 2: Stop icon — Google Material stop icon is often rendered as
-    // <mat-icon>stop</mat-icon> or <mat-icon fonticon="stop">. Look for any visible one.
-    const matIcons = document.querySelectorAll('mat-icon, [class*="mat-icon"]');
-    for (const icon of matIcons) {
-      if (icon.offsetParent === null) continue;
-      const fonticon = icon.getAttribute('fonticon') || '';
-      const text = (icon.textContent || '').trim();
-      if (fonticon === 'stop' || text === 'stop') {
-        // Make sure it's in the composer/input area (not elsewhere in the app)
-        const inComposer = icon.closest('input-area, [class*="input-area"], [class*="composer"], form');
-        if (inComposer) {
-          this.log('Detected: mat-icon stop in composer');
-          return true;
-        }
+  // Evaluate every selector in the pack against the current page
+  getDiagnostics() {
+    const pack = selectorPack;
+    const report = {
+      serviceId: this.serviceId,
+      url: window.location.href,
+      packVersion: pack ? pack.version : null,
+      isStreaming: this.isStreaming,
+      lastMatch: this.lastMatch || null,
+      rules: [],
+      messages: {},
+      errors: []
+    };
+    if (!pack) return report;
+
+    const streaming = pack.streaming || {};
+    for (const group of ['stopButtons', 'indicators']) {
+      for (const rule of streaming[group] || []) {
+        const { element, candidates } = evaluateRule(rule);
+        report.rules.push({
+          group,
+          name: rule.name || rule.selector,
+          selector: rule.selector,
+          candidates,
+          matched: !!element
+        });
       }
     }
-
-    // Method 3 removed: Angular Material progress indicators are persistent in Gemini's
-    // response area even when idle, causing false positives. Stop button (Method 1) is
-    // the authoritative signal — it disappears as soon as generation completes.
-
-    // Method 4: Gemini tag-based elements specific to streaming/loading state
-    // The Gemini web app uses custom Angular components like <model-response>, <response-container>
-    const streamingHosts = document.querySelectorAll(
-      'model-response[loading], ' +
-      'response-container[loading], ' +
-      '[ng-reflect-is-loading="true"], ' +
-      '[class*="response-loading"], ' +
-      '[class*="is-loading"]:not([class*="is-loaded"])'
-    );
-    for (const el of streamingHosts) {
-      if (el.offsetParent !== null) {
-        this.log('Detected: Gemini custom element with loading/streaming attribute');
-        return true;
-      }
+    if (streaming.growth) {
+      const { selector } = findLastMessage(streaming.growth.selectors);
+      report.rules.push({
+        group: 'growth',
+        name: 'response growth',
+        selector: selector || streaming.growth.selectors.join(', '),
+        candidates: selector ? safeQueryAll(selector).length : 0,
+        matched: !!(this.lastMatch && this.lastMatch.group === 'growth')
+      });
     }
 
-    // Method 5: Growth-based detection (framework-agnostic fallback)
-    // If the last model response is actively gaining text, it's streaming.
-    const responseSelectors = [
-      '.model-response-text',
-      'model-response',
-      'message-content',
-      '[class*="response-content"]',
-      '.markdown-content'
-    ];
-    let lastResponse = null;
-    for (const sel of responseSelectors) {
-      const els = document.querySelectorAll(sel);
-      if (els.length > 0) {
-        lastResponse = els[els.length - 1];
-        break;
-      }
-    }
-    if (lastResponse) {
-      const len = (lastResponse.textContent || '').length;
-      const now = Date.now();
-      if (len > this._lastResponseLength) {
-        this._lastResponseGrowthAt = now;
-        this._lastResponseLength = len;
-        this.log('Detected: response is growing (len:', len, ')');
-        return true;
-      }
-      // Treat as streaming if we saw growth in the last 1.5s and length hasn't shrunk
-      if (now - this._lastResponseGrowthAt < 1500 && len === this._lastResponseLength) {
-        return true;
-      }
-      // Length decreased or new response — reset baseline
-      if (len < this._lastResponseLength) {
-        this._lastResponseLength = len;
-      }
+    const messages = pack.messages || {};
+    for (const role of ['assistant', 'user']) {
+      const { selector } = findLastMessage(messages[role]);
+      report.messages[role] = {
+        matchedSelector: selector,
+        selectors: (messages[role] || []).map(sel => ({ selector: sel, count: safeQueryAll(sel).length })),
+        preview: role === 'assistant' ? getResponsePreview(200) : getUserPromptPreview(200)
+      };
     }
 
-    return false;
+    report.errors = Array.from(selectorErrors, ([selector, error]) => ({ selector, error }));
+    return report;
   }
 
   onStreamingStarted() {
@@ -601,6 +496,9 @@ class StreamingDetector {
     ipcRenderer.send('ai-response-complete', {
       serviceId: this.serviceId,
       preview: preview,
+      prompt: getMessageText('user'),
+      response: getMessageText('assistant'),
+      url: location.href,
       imageUrl: null
     });
   }
@@ -608,11 +506,100 @@ class StreamingDetector {
 
 // Initialize detector
 const detector = new StreamingDetector();
-// Enable debug logs for Gemini — detection is fragile; logs help diagnose selector drift.
-// Open DevTools on the Gemini webview to see them.
-if (getServiceId() === 'gemini') {
-  detector.debug = true;
-}
 detector.init();
 
+// Hot-reload when the pack for this service changes on disk
+ipcRenderer.on('selector-pack-updated', async (event, serviceIds) => {
+  if (!detector.serviceId || !Array.isArray(serviceIds) || !serviceIds.includes(detector.serviceId)) return;
+  const pack = await loadSelectorPack();
+  detector.log(`Selector pack reloaded (${pack ? pack.version : 'none'})`);
+  if (pack && !detector.observer) {
+    detector.startObserving();
+  }
+});
+
+// ==================== Broadcast composer ====================
+
+function findVisible(selectors) {
+  for (const selector of selectors || []) {
+    const el = safeQueryAll(selector).find(e => e.offsetParent !== null);
+    if (el) return el;
+  }
+  return null;
+}
+
+// Put text into the service's input box so its framework (React, ProseMirror,
+// Quill) sees a real edit; falls back to setting the value directly
+function fillComposerInput(input, text) {
+  input.focus();
+  if (input.isContentEditable) {
+    const selection = window.getSelection();
+    selection.selectAllChildren(input);
+    if (!document.execCommand('insertText', false, text)) {
+      input.textContent = text;
+      input.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+    }
+  } else {
+    input.select();
+    if (!document.execCommand('insertText', false, text)) {
+      const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(input), 'value').set;
+      setter.call(input, text);
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+  }
+}
+
+// Submit buttons usually enable a moment after the input changes
+async function clickSubmit(submitSelectors, input) {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const button = findVisible(submitSelectors);
+    if (button && !button.disabled && button.getAttribute('aria-disabled') !== 'true') {
+      button.click();
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  // No usable button: most services also submit on Enter
+  input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', code: 'Enter', keyCode: 13, bubbles: true }));
+  return true;
+}
+
+ipcRenderer.on('broadcast-inject', async (event, { broadcastId, text }) => {
+  const reply = (result) => ipcRenderer.send('broadcast-inject-result', { broadcastId, ...result });
+  try {
+    if (!selectorPack) await loadSelectorPack();
+    const composer = selectorPack && selectorPack.composer;
+    if (!composer) {
+      reply({ success: false, error: 'No composer selectors for this service' });
+      return;
+    }
+    // Single-page apps render the composer a little after load
+    let input = findVisible(composer.input);
+    for (let attempt = 0; !input && attempt < 50; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+      input = findVisible(composer.input);
+    }
+    if (!input) {
+      reply({ success: false, error: 'Input box not found (signed in?)' });
+      return;
+    }
+    fillComposerInput(input, text);
+    await clickSubmit(composer.submit, input);
+    reply({ success: true });
+  } catch (e) {
+    reply({ success: false, error: e.message });
+  }
+});
+
+// Diagnostics view (settings) asks which selectors match on this page
+ipcRenderer.on('selector-diagnostics-request', (event, requestId) => {
+  let report;
+  try {
+    report = detector.getDiagnostics();
+  } catch (e) {
+    report = { error: e.message };
+  }
+  ipcRenderer.send('selector-diagnostics-result', requestId, report);
+});
+
 // Webview preload initialized
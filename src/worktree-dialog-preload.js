@@ -0,0 +1,7 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('electronAPI', {
+  createWorktree: (branch) => ipcRenderer.invoke('worktree-dialog-submit', branch),
+  useFolder: () => ipcRenderer.send('worktree-dialog-use-folder'),
+  cancel: () => ipcRenderer.send('worktree-dialog-cancel')
+});
@@ -0,0 +1,177 @@
+// Tests for AutoRunManager (auto-run of a terminal tab's prompt queue).
+// Plain Node: node test/auto-run-manager.test.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AutoRunManager = require('../src/core/AutoRunManager');
+const PromptLibraryManager = require('../src/core/PromptLibraryManager');
+
+function makeStore() {
+  const data = {};
+  return {
+    has: (key) => key in data,
+    get: (key, fallback) => (key in data ? JSON.parse(JSON.stringify(data[key])) : fallback),
+    set: (key, value) => { data[key] = JSON.parse(JSON.stringify(value)); }
+  };
+}
+
+async function makeRunner({ prompts = [], busy = false, sendPrompt, getSkipReason } = {}) {
+  const library = new PromptLibraryManager({
+    store: makeStore(), userDataPath: fs.mkdtempSync(path.join(os.tmpdir(), 'auto-run-'))
+  });
+  for (const prompt of prompts) await library.createPrompt('/proj', prompt);
+  const sent = [];
+  const changed = [];
+  const runner = new AutoRunManager({
+    promptLibraryManager: library,
+    sendPrompt: sendPrompt || ((tabId, prompt) => { sent.push(prompt.prompt); }),
+    getSkipReason,
+    isBusy: () => busy,
+    onPromptChanged: (cwd, prompt) => changed.push(prompt.id)
+  });
+  return { library, runner, sent, changed };
+}
+
+const status = (library) => library.getProjectPrompts('/proj').map(p => [p.prompt, p.testing ? 'testing' : 'pending']);
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('each Stop marks the sent prompt testing and sends the next, skipping notes and reusable prompts', async () => {
+  const { library, runner, sent, changed } = await makeRunner({
+    prompts: [
+      { prompt: 'One' }, { prompt: 'Context', type: 'note' }, { prompt: 'Lint', reusable: true },
+      { prompt: 'Two' }, { prompt: 'Everywhere', scope: 'global' }
+    ]
+  });
+  const run = await runner.start('tab-1', '/proj', { maxPrompts: 5 });
+  assert.deepStrictEqual([run.status, run.sent, sent], ['running', 1, ['One']]);
+
+  await runner.handleStop('tab-1');
+  assert.deepStrictEqual(sent, ['One', 'Two']);
+  await runner.handleStop('tab-1');
+  assert.deepStrictEqual(status(library).filter(([text]) => text === 'One' || text === 'Two'),
+    [['One', 'testing'], ['Two', 'testing']]);
+  assert.strictEqual(changed.length, 2);
+  assert.deepStrictEqual([runner.getRun('tab-1').status, runner.getRun('tab-1').reason], ['finished', 'No pending prompts left']);
+
+  // A finished run ignores later turns
+  await runner.handleStop('tab-1');
+  assert.strictEqual(sent.length, 2);
+});
+
+test('the prompt limit ends the run and the time limit is checked before each send', async () => {
+  const { runner, sent } = await makeRunner({ prompts: [{ prompt: 'A' }, { prompt: 'B' }, { prompt: 'C' }] });
+  await runner.start('tab-1', '/proj', { maxPrompts: 2 });
+  await runner.handleStop('tab-1');
+  await runner.handleStop('tab-1');
+  assert.deepStrictEqual(sent, ['A', 'B']);
+  assert.match(runner.getRun('tab-1').reason, /Sent 2 prompts/);
+
+  await runner.start('tab-2', '/proj', { maxMinutes: 1 });
+  runner.runs.get('tab-2').endsAt = Date.now() - 1;
+  await runner.handleStop('tab-2');
+  assert.strictEqual(runner.getRun('tab-2').reason, 'Time limit reached');
+
+  await assert.rejects(() => runner.start('tab-3', '/proj', { maxPrompts: 0 }), /Prompt limit/);
+  await assert.rejects(() => runner.start('tab-3', '/proj', { maxMinutes: 1000 }), /Time limit/);
+});
+
+test('attention and failed checkpoints pause; resume waits for a prompt still in flight', async () => {
+  const { library, runner, sent } = await makeRunner({ prompts: [{ prompt: 'A' }, { prompt: 'B' }] });
+  await runner.start('tab-1', '/proj');
+  runner.handleAttention('tab-1', 'Claude has a question');
+  assert.deepStrictEqual([runner.getRun('tab-1').status, runner.getRun('tab-1').reason], ['paused', 'Claude has a question']);
+
+  // The paused prompt still finishes, but nothing new is sent
+  await runner.handleStop('tab-1');
+  assert.deepStrictEqual(sent, ['A']);
+  assert.strictEqual(status(library)[0][1], 'testing');
+  assert.strictEqual(await runner.resume('tab-1'), true);
+  assert.deepStrictEqual(sent, ['A', 'B']);
+
+  runner.handleCheckpointFailed('tab-1', new Error('disk full'));
+  assert.strictEqual(runner.getRun('tab-1').reason, 'Checkpoint failed: disk full');
+  await runner.resume('tab-1');
+  assert.deepStrictEqual(sent, ['A', 'B']);
+  runner.stop('tab-1');
+  assert.strictEqual(runner.getRun('tab-1'), null);
+});
+
+test('a permission request holds the run until every open request is answered', async () => {
+  const { runner, sent } = await makeRunner({ prompts: [{ prompt: 'A' }, { prompt: 'B' }, { prompt: 'C' }] });
+  await runner.start('tab-1', '/proj');
+  runner.handlePermissionRequest('tab-1', 'req-1', 'Claude wants to run npm test');
+  runner.handlePermissionRequest('tab-1', 'req-2', 'Claude wants to edit a file');
+  assert.deepStrictEqual([runner.getRun('tab-1').status, runner.getRun('tab-1').reason],
+    ['paused', 'Waiting for permission: Claude wants to run npm test']);
+  assert.strictEqual('permissionRequests' in runner.getRun('tab-1'), false);
+
+  await runner.handlePermissionResolved('tab-1', 'req-1');
+  assert.strictEqual(runner.getRun('tab-1').status, 'paused');
+  await runner.handlePermissionResolved('tab-1', 'req-2');
+  assert.deepStrictEqual([runner.getRun('tab-1').status, runner.getRun('tab-1').reason], ['running', null]);
+  await runner.handleStop('tab-1');
+  assert.deepStrictEqual(sent, ['A', 'B']);
+
+  // Claude Code's own prompt has no id: the end of the turn settles it
+  runner.handlePermissionRequest('tab-1', null, 'Claude needs your permission');
+  await runner.handleStop('tab-1');
+  assert.deepStrictEqual([runner.getRun('tab-1').status, sent], ['running', ['A', 'B', 'C']]);
+
+  // A run the user paused stays paused
+  runner.pause('tab-1', 'Paused');
+  runner.handlePermissionRequest('tab-1', 'req-3', 'Claude wants to run ls');
+  await runner.handlePermissionResolved('tab-1', 'req-3');
+  assert.deepStrictEqual([runner.getRun('tab-1').status, runner.getRun('tab-1').reason], ['paused', 'Paused']);
+});
+
+test('prompts that can\'t be sent unattended are skipped with the reason', async () => {
+  const { runner, sent } = await makeRunner({
+    prompts: [{ prompt: 'Fix {{issue}}' }, { prompt: 'A' }],
+    getSkipReason: (tabId, prompt) => (prompt.prompt.includes('{{') ? 'no value for {{issue}}' : null)
+  });
+  const run = await runner.start('tab-1', '/proj');
+  assert.deepStrictEqual([run.status, sent], ['running', ['A']]);
+  assert.deepStrictEqual(run.skipped.map(entry => [entry.title, entry.reason]),
+    [['Fix {{issue}}', 'no value for {{issue}}']]);
+
+  await runner.handleStop('tab-1');
+  assert.deepStrictEqual([runner.getRun('tab-1').status, runner.getRun('tab-1').reason],
+    ['finished', 'No pending prompts left, 1 skipped']);
+  assert.strictEqual(runner.getRun('tab-1').skipped.length, 1);
+});
+
+test('a busy tab gets its first prompt after the current turn; send failures pause', async () => {
+  const busy = await makeRunner({ prompts: [{ prompt: 'A' }], busy: true });
+  await busy.runner.start('tab-1', '/proj');
+  assert.deepStrictEqual(busy.sent, []);
+  await busy.runner.handleStop('tab-1');
+  assert.deepStrictEqual(busy.sent, ['A']);
+
+  const failing = await makeRunner({
+    prompts: [{ prompt: 'A' }],
+    sendPrompt: () => { throw new Error('the terminal is not running'); }
+  });
+  const run = await failing.runner.start('tab-1', '/proj');
+  assert.deepStrictEqual([run.status, run.sent], ['paused', 0]);
+  assert.match(run.reason, /Could not send "A": the terminal is not running/);
+  assert.strictEqual(status(failing.library)[0][1], 'pending');
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,107 @@
+// Tests for BroadcastManager (one prompt -> several web tabs, compared).
+// Plain Node: node test/broadcast-manager.test.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BroadcastManager = require('../src/core/BroadcastManager');
+
+function makeManager(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'broadcast-'));
+  return new BroadcastManager({ userDataPath: dir, ...options });
+}
+
+const TARGETS = [
+  { tabId: 'tab-1', tabName: 'ChatGPT', serviceType: 'chatgpt' },
+  { tabId: 'tab-2', tabName: 'Claude', serviceType: 'claude' }
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('start validates prompt and targets', () => {
+  const mgr = makeManager();
+  assert.throws(() => mgr.start('   ', TARGETS), /empty/);
+  assert.throws(() => mgr.start('x'.repeat(20001), TARGETS), /maximum length/);
+  assert.throws(() => mgr.start('hi', []), /at least one/);
+  const many = Array.from({ length: 9 }, (_, i) => ({ ...TARGETS[0], tabId: `tab-${i}` }));
+  assert.throws(() => mgr.start('hi', many), /at most 8/);
+  mgr.destroy();
+});
+
+test('targets move sending -> waiting -> done and emit updates', () => {
+  const mgr = makeManager();
+  const updates = [];
+  mgr.on('broadcast-updated', b => updates.push(b.targets.map(t => t.status).join(',')));
+
+  const { id } = mgr.start('Compare these', TARGETS);
+  mgr.markSent(id, 'tab-1');
+  mgr.markError(id, 'tab-2', 'Input box not found');
+  assert.strictEqual(mgr.recordResponse('tab-1', 'Answer one'), true);
+  // Late or unrelated responses are ignored
+  assert.strictEqual(mgr.recordResponse('tab-1', 'Again'), false);
+  assert.strictEqual(mgr.recordResponse('tab-9', 'Other'), false);
+  mgr.markSent('cmp-stale', 'tab-2');
+
+  assert.deepStrictEqual(updates, [
+    'sending,sending',
+    'waiting,sending',
+    'waiting,error',
+    'done,error'
+  ]);
+  const current = mgr.getCurrent();
+  assert.strictEqual(current.targets[0].response, 'Answer one');
+  assert.strictEqual(current.targets[1].error, 'Input box not found');
+  mgr.destroy();
+});
+
+test('tabs that never confirm or never answer time out', async () => {
+  const mgr = makeManager({ sendTimeoutMs: 20, responseTimeoutMs: 40 });
+  const { id } = mgr.start('Hello', TARGETS);
+  mgr.markSent(id, 'tab-1');
+  await sleep(80);
+  const [first, second] = mgr.getCurrent().targets;
+  assert.strictEqual(first.status, 'timeout');
+  assert.strictEqual(second.status, 'error');
+  assert.strictEqual(second.error, 'Tab did not respond');
+  mgr.destroy();
+});
+
+test('saved comparisons can be listed, read and deleted', async () => {
+  const mgr = makeManager();
+  await assert.rejects(() => mgr.saveCurrent(), /Nothing to save/);
+
+  const { id } = mgr.start('Which is faster?', TARGETS);
+  mgr.markSent(id, 'tab-1');
+  mgr.recordResponse('tab-1', 'Quicksort');
+  const summary = await mgr.saveCurrent();
+  assert.strictEqual(summary.id, id);
+  assert.deepStrictEqual(summary.services, ['chatgpt', 'claude']);
+  assert.strictEqual(mgr.getCurrent().saved, true);
+
+  assert.deepStrictEqual(mgr.listArchive().map(s => s.id), [id]);
+  assert.strictEqual(mgr.getArchived(id).targets[0].response, 'Quicksort');
+  assert.strictEqual(mgr.getArchived('../../etc/passwd'), null);
+
+  assert.strictEqual(await mgr.deleteArchived(id), true);
+  assert.deepStrictEqual(mgr.listArchive(), []);
+  mgr.destroy();
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
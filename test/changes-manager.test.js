@@ -0,0 +1,181 @@
+// Tests for ChangesManager (per-session diffs for the Changes tab).
+// Plain Node: node test/changes-manager.test.js  (needs git on PATH)
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChangesManager = require('../src/core/ChangesManager');
+
+Object.assign(process.env, {
+  GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com'
+});
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+}
+
+function makeRepo() {
+  const repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'changes-')));
+  git(repo, 'init', '-q', '-b', 'main');
+  fs.writeFileSync(path.join(repo, 'a.txt'), 'one\ntwo\nthree\n');
+  fs.writeFileSync(path.join(repo, 'old.txt'), 'rename me\nplease\n');
+  fs.writeFileSync(path.join(repo, '.gitignore'), 'build/\n');
+  git(repo, 'add', '.');
+  git(repo, 'commit', '-q', '-m', 'initial');
+  return repo;
+}
+
+const write = (repo, name, content) => {
+  fs.mkdirSync(path.dirname(path.join(repo, name)), { recursive: true });
+  fs.writeFileSync(path.join(repo, name), content);
+};
+const read = (repo, name) => fs.readFileSync(path.join(repo, name), 'utf8');
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('lists edits, new files and renames since the first prompt', async () => {
+  const repo = makeRepo();
+  const changes = new ChangesManager();
+  write(repo, 'dirty-before.txt', 'already here\n'); // untracked before the session
+
+  assert.strictEqual((await changes.getChanges('t1', repo)).status, 'no-baseline');
+  assert.strictEqual(await changes.recordPrompt('t1', repo), true);
+
+  write(repo, 'a.txt', 'one\nTWO\nthree\nfour\n');
+  write(repo, 'src/new.js', 'x\n');
+  write(repo, 'build/out.js', 'ignored\n');
+  fs.renameSync(path.join(repo, 'old.txt'), path.join(repo, 'renamed.txt'));
+
+  const result = await changes.getChanges('t1', repo);
+  assert.strictEqual(result.status, 'ok');
+  const byPath = Object.fromEntries(result.files.map(f => [f.path, f]));
+  assert.deepStrictEqual(Object.keys(byPath).sort(), ['a.txt', 'renamed.txt', 'src/new.js']);
+  assert.deepStrictEqual([byPath['a.txt'].status, byPath['a.txt'].additions, byPath['a.txt'].deletions], ['modified', 2, 1]);
+  assert.strictEqual(byPath['src/new.js'].status, 'added');
+  assert.deepStrictEqual([byPath['renamed.txt'].status, byPath['renamed.txt'].oldPath], ['renamed', 'old.txt']);
+
+  const { diff } = await changes.getFileDiff('t1', repo, 'a.txt');
+  assert.match(diff, /^-two$/m);
+  assert.match(diff, /^\+four$/m);
+
+  // The user's index is untouched
+  assert.strictEqual(git(repo, 'diff', '--cached', '--name-only'), '');
+});
+
+test('last-prompt baseline and session reset', async () => {
+  const repo = makeRepo();
+  const changes = new ChangesManager();
+  await changes.recordPrompt('t1', repo);
+  write(repo, 'a.txt', 'first prompt\n');
+  await changes.recordPrompt('t1', repo);
+  write(repo, 'b.txt', 'second prompt\n');
+
+  const session = await changes.getChanges('t1', repo);
+  const prompt = await changes.getChanges('t1', repo, { since: 'prompt' });
+  assert.deepStrictEqual(session.files.map(f => f.path), ['a.txt', 'b.txt']);
+  assert.deepStrictEqual(prompt.files.map(f => f.path), ['b.txt']);
+
+  changes.resetSession('t1');
+  assert.strictEqual((await changes.getChanges('t1', repo)).status, 'no-baseline');
+});
+
+test('revert restores edited files and removes added ones', async () => {
+  const repo = makeRepo();
+  const changes = new ChangesManager();
+  write(repo, 'a.txt', 'uncommitted before session\n');
+  await changes.recordPrompt('t1', repo);
+  write(repo, 'a.txt', 'agent edit\n');
+  write(repo, 'added.txt', 'new\n');
+
+  assert.deepStrictEqual(await changes.revertFile('t1', repo, 'a.txt'), { restored: true, deleted: false });
+  assert.strictEqual(read(repo, 'a.txt'), 'uncommitted before session\n');
+  assert.deepStrictEqual(await changes.revertFile('t1', repo, 'added.txt'), { restored: false, deleted: true });
+  assert.ok(!fs.existsSync(path.join(repo, 'added.txt')));
+  assert.deepStrictEqual((await changes.getChanges('t1', repo)).files, []);
+
+  await assert.rejects(() => changes.revertFile('t1', repo, '../outside.txt'), /Invalid file path/);
+  await assert.rejects(() => changes.revertFile('t2', repo, 'a.txt'), /No snapshot/);
+
+  write(repo, 'docs/new.md', 'draft\n');
+  await assert.rejects(() => changes.revertFile('t1', repo, 'docs'), /not folders/);
+  fs.rmSync(path.join(repo, 'docs'), { recursive: true });
+  write(repo, 'pkg/a.js', 'x\n');
+  await changes.recordPrompt('t1', repo);
+  fs.rmSync(path.join(repo, 'pkg'), { recursive: true });
+  await assert.rejects(() => changes.revertFile('t1', repo, 'pkg', { since: 'prompt' }), /not folders/);
+});
+
+test('snapshots leave out ignored and large untracked files and never touch the index', async () => {
+  const repo = makeRepo();
+  const changes = new ChangesManager();
+  const index = fs.readFileSync(path.join(repo, '.git', 'index'));
+  await changes.recordPrompt('t1', repo);
+  write(repo, 'build/out.js', 'ignored\n');
+  write(repo, 'notes/small.txt', 'kept\n');
+  write(repo, 'dump.bin', Buffer.alloc(2 * 1024 * 1024));
+  write(repo, 'a.txt', 'edited\n');
+  fs.unlinkSync(path.join(repo, 'old.txt'));
+
+  const result = await changes.getChanges('t1', repo);
+  assert.deepStrictEqual(result.files.map(f => [f.path, f.status]).sort(),
+    [['a.txt', 'modified'], ['notes/small.txt', 'added'], ['old.txt', 'deleted']]);
+  assert.ok(fs.readFileSync(path.join(repo, '.git', 'index')).equals(index));
+});
+
+test('a cwd below the repo root only sees its own files', async () => {
+  const repo = makeRepo();
+  const sub = path.join(repo, 'pkg');
+  write(repo, 'pkg/index.js', 'v1\n');
+  const changes = new ChangesManager();
+  await changes.recordPrompt('t1', sub);
+  write(repo, 'pkg/index.js', 'v2\n');
+  write(repo, 'a.txt', 'outside\n');
+
+  const result = await changes.getChanges('t1', sub);
+  assert.deepStrictEqual(result.files.map(f => f.path), ['index.js']);
+  await changes.revertFile('t1', sub, 'index.js');
+  assert.strictEqual(read(repo, 'pkg/index.js'), 'v1\n');
+});
+
+test('the most recently changed file is found for {{file}}', async () => {
+  const repo = makeRepo();
+  const changes = new ChangesManager();
+  assert.strictEqual(await changes.getRecentlyChangedFile(repo), null);
+
+  write(repo, 'a.txt', 'edited\n');
+  write(repo, 'sub/new.txt', 'untracked\n');
+  write(repo, 'build/out.js', 'ignored\n');
+  fs.unlinkSync(path.join(repo, 'old.txt'));
+  const past = new Date(Date.now() - 60000);
+  fs.utimesSync(path.join(repo, 'a.txt'), past, past);
+  assert.strictEqual(await changes.getRecentlyChangedFile(repo), path.join('sub', 'new.txt'));
+  // Relative to a cwd below the repo root
+  assert.strictEqual(await changes.getRecentlyChangedFile(path.join(repo, 'sub')), 'new.txt');
+  assert.strictEqual(await changes.getRecentlyChangedFile(fs.mkdtempSync(path.join(os.tmpdir(), 'changes-plain-'))), null);
+});
+
+test('folders outside git report not-git', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'changes-plain-'));
+  const changes = new ChangesManager();
+  assert.strictEqual(await changes.recordPrompt('t1', dir), false);
+  assert.strictEqual((await changes.getChanges('t1', dir)).status, 'not-git');
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,126 @@
+// Tests for CheckpointManager (per-prompt checkpoints on a hidden ref).
+// Plain Node: node test/checkpoint-manager.test.js  (needs git on PATH)
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChangesManager = require('../src/core/ChangesManager');
+const CheckpointManager = require('../src/core/CheckpointManager');
+
+Object.assign(process.env, {
+  GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com'
+});
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+}
+
+function makeRepo() {
+  const repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-')));
+  git(repo, 'init', '-q', '-b', 'main');
+  fs.writeFileSync(path.join(repo, 'a.txt'), 'v1\n');
+  git(repo, 'add', '.');
+  git(repo, 'commit', '-q', '-m', 'initial');
+  return repo;
+}
+
+const write = (repo, name, content) => {
+  fs.mkdirSync(path.dirname(path.join(repo, name)), { recursive: true });
+  fs.writeFileSync(path.join(repo, name), content);
+};
+const read = (repo, name) => fs.readFileSync(path.join(repo, name), 'utf8');
+const makeManager = () => new CheckpointManager({ changesManager: new ChangesManager() });
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('checkpoints form a newest-first timeline on a hidden ref', async () => {
+  const repo = makeRepo();
+  const checkpoints = makeManager();
+  const head = git(repo, 'rev-parse', 'HEAD');
+
+  await checkpoints.create('tab-1', repo, 'Add a login form');
+  write(repo, 'a.txt', 'v2\n');
+  await checkpoints.create('tab-1', repo, '  Now   style it  ');
+  await checkpoints.create('tab-2', repo, 'Other tab');
+
+  const list = await checkpoints.list('tab-1', repo);
+  assert.deepStrictEqual(list.map(c => c.label), ['Now style it', 'Add a login form']);
+  assert.ok(list.every(c => /^[0-9a-f]{40}$/.test(c.id) && c.createdAt > 0));
+  assert.strictEqual(git(repo, 'rev-parse', 'refs/crossai/checkpoints/tab-1'), list[0].id);
+
+  // Nothing the user sees moved
+  assert.strictEqual(git(repo, 'rev-parse', 'HEAD'), head);
+  assert.strictEqual(git(repo, 'branch', '--list').trim(), '* main');
+  assert.strictEqual(git(repo, 'diff', '--cached', '--name-only'), '');
+  assert.deepStrictEqual(await checkpoints.list('tab-none', repo), []);
+});
+
+test('restore brings back edits, deletions and removes new files', async () => {
+  const repo = makeRepo();
+  const checkpoints = makeManager();
+  write(repo, 'untracked.txt', 'keep me\n');
+  const first = await checkpoints.create('tab-1', repo, 'first');
+
+  write(repo, 'a.txt', 'agent edit\n');
+  fs.unlinkSync(path.join(repo, 'untracked.txt'));
+  write(repo, 'src/new.js', 'new\n');
+
+  const { backup } = await checkpoints.restore('tab-1', repo, first.id);
+  assert.strictEqual(read(repo, 'a.txt'), 'v1\n');
+  assert.strictEqual(read(repo, 'untracked.txt'), 'keep me\n');
+  assert.ok(!fs.existsSync(path.join(repo, 'src/new.js')));
+  assert.strictEqual(backup.label, 'Before restoring "first"');
+
+  // ...and the restore can be undone
+  await checkpoints.restore('tab-1', repo, backup.id);
+  assert.strictEqual(read(repo, 'a.txt'), 'agent edit\n');
+  assert.ok(fs.existsSync(path.join(repo, 'src/new.js')));
+});
+
+test('restore only touches the tab folder and its own checkpoints', async () => {
+  const repo = makeRepo();
+  const sub = path.join(repo, 'pkg');
+  write(repo, 'pkg/index.js', 'v1\n');
+  const checkpoints = makeManager();
+  const mine = await checkpoints.create('tab-1', sub, 'mine');
+  const theirs = await checkpoints.create('tab-2', repo, 'theirs');
+
+  write(repo, 'pkg/index.js', 'v2\n');
+  write(repo, 'a.txt', 'outside\n');
+  await checkpoints.restore('tab-1', sub, mine.id);
+  assert.strictEqual(read(repo, 'pkg/index.js'), 'v1\n');
+  assert.strictEqual(read(repo, 'a.txt'), 'outside\n');
+
+  await assert.rejects(() => checkpoints.restore('tab-1', sub, theirs.id), /Checkpoint not found/);
+  await assert.rejects(() => checkpoints.restore('tab-1', sub, '--help'), /Checkpoint not found/);
+});
+
+test('clear drops the ref and plain folders have no checkpoints', async () => {
+  const repo = makeRepo();
+  const checkpoints = makeManager();
+  await checkpoints.create('tab-1', repo, 'first');
+  await checkpoints.clear('tab-1', repo);
+  assert.deepStrictEqual(await checkpoints.list('tab-1', repo), []);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-plain-'));
+  assert.strictEqual(await checkpoints.create('tab-1', dir, 'nope'), null);
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,84 @@
+// Tests for CommandRegistry (Cmd+K palette entries and fuzzy search).
+// Plain Node: node test/command-registry.test.js
+const assert = require('assert');
+const CommandRegistry = require('../src/core/CommandRegistry');
+
+const { fuzzyMatch } = CommandRegistry;
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('fuzzy match requires the query characters in order', () => {
+  assert.deepStrictEqual(fuzzyMatch('rc', 'Restart Claude').indices, [0, 8]);
+  assert.strictEqual(fuzzyMatch('cr', 'Restart Claude'), null);
+  assert.strictEqual(fuzzyMatch('', 'anything').score, 0);
+  assert.ok(fuzzyMatch('set', 'Settings').score > fuzzyMatch('set', 'Reset Tab').score);
+  assert.ok(fuzzyMatch('arch', 'Archive Tab').score > fuzzyMatch('arch', 'Search Conversations').score);
+});
+
+test('empty query lists sources in registration order', () => {
+  const registry = new CommandRegistry();
+  registry.registerProvider(() => [{ id: 'tab:1', title: 'ChatGPT', category: 'Tab', run: () => {} }]);
+  registry.register({ id: 'settings', title: 'Open Settings', run: () => {} });
+  registry.registerProvider(() => [{ id: 'theme:dark', title: 'Terminal Theme: Dark', category: 'Theme', run: () => {} }]);
+
+  const results = registry.search('');
+  assert.deepStrictEqual(results.map(r => r.id), ['tab:1', 'settings', 'theme:dark']);
+  assert.strictEqual(results[1].category, 'Action');
+});
+
+test('ranked search, subtitle fallback and when() filtering', () => {
+  const registry = new CommandRegistry();
+  registry.register({ id: 'restart', title: 'Restart Claude', when: (ctx) => ctx.claude, run: () => {} });
+  registry.register({ id: 'rename', title: 'Rename Tab...', run: () => {} });
+  registry.registerProvider(() => [{ id: 'tab:x', title: 'Frontend', subtitle: 'Claude Code', category: 'Tab', run: () => {} }]);
+
+  assert.deepStrictEqual(registry.search('rena').map(r => r.id), ['rename']);
+  assert.deepStrictEqual(registry.search('claude', { claude: false }).map(r => r.id), ['tab:x']);
+  assert.deepStrictEqual(registry.search('claude', { claude: true }).map(r => r.id), ['restart', 'tab:x']);
+});
+
+test('execute runs only items from the latest search', async () => {
+  const registry = new CommandRegistry();
+  const ran = [];
+  registry.register({ id: 'one', title: 'One', run: (ctx) => ran.push(['one', ctx.tab]) });
+  registry.register({ id: 'two', title: 'Two', run: () => ran.push(['two']) });
+
+  registry.search('one');
+  await registry.execute('one', { tab: 't1' });
+  await assert.rejects(() => registry.execute('two'), /Unknown palette item/);
+  assert.deepStrictEqual(ran, [['one', 't1']]);
+});
+
+test('registration is validated and failing providers are skipped', () => {
+  const registry = new CommandRegistry();
+  registry.register({ id: 'a', title: 'A', run: () => {} });
+  assert.throws(() => registry.register({ id: 'a', title: 'Again', run: () => {} }), /already registered/);
+  assert.throws(() => registry.register({ id: 'b', title: 'B' }), /run function/);
+  assert.throws(() => registry.registerProvider('nope'), /must be a function/);
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    registry.registerProvider(() => { throw new Error('boom'); });
+    assert.deepStrictEqual(registry.search('').map(r => r.id), ['a']);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,119 @@
+// Tests for ConversationArchive (local searchable copy of web exchanges).
+// Plain Node: node test/conversation-archive.test.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConversationArchive = require('../src/core/ConversationArchive');
+
+// Minimal electron-store stand-in backed by a Map.
+function makeStore(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    get: (k, d) => (data.has(k) ? data.get(k) : d),
+    set: (k, v) => { data.set(k, v); }
+  };
+}
+
+function makeArchive(store = makeStore()) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-'));
+  return new ConversationArchive({ store, userDataPath: dir });
+}
+
+const GPT = { tabId: 'tab-1', tabName: 'ChatGPT', serviceType: 'chatgpt' };
+const CLAUDE = { tabId: 'tab-2', tabName: 'Claude', serviceType: 'claude' };
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('exchanges are stored per tab and survive a reload', () => {
+  const archive = makeArchive();
+  archive.record({ ...GPT, prompt: 'What is a monad?', response: 'A monoid in the category of endofunctors.' });
+  archive.record({ ...CLAUDE, prompt: 'Explain CRDTs', response: 'Conflict-free replicated data types...' });
+
+  const file = path.join(archive.baseDir, 'chatgpt', 'tab-1.jsonl');
+  assert.ok(fs.existsSync(file));
+
+  const reopened = new ConversationArchive({ store: makeStore(), userDataPath: path.dirname(archive.baseDir) });
+  assert.strictEqual(reopened.search().total, 2);
+  assert.deepStrictEqual(reopened.listTabs().map(t => t.tabName), ['ChatGPT', 'Claude']);
+});
+
+test('repeated completions update one entry instead of duplicating', () => {
+  const archive = makeArchive();
+  archive.record({ ...GPT, prompt: 'Write a poem', response: 'Roses are red' });
+  assert.strictEqual(archive.record({ ...GPT, prompt: 'Write a poem', response: 'Roses are red' }), null);
+  archive.record({ ...GPT, prompt: 'Write a poem', response: 'Roses are red, violets are blue' });
+  archive.record({ ...GPT, prompt: 'Another', response: 'Roses are red' });
+
+  const { results } = archive.search({ tabId: 'tab-1' });
+  assert.strictEqual(results.length, 2);
+  assert.strictEqual(archive.get(results[1].id).response, 'Roses are red, violets are blue');
+  assert.strictEqual(archive.record({ ...GPT, prompt: 'x', response: '   ' }), null);
+});
+
+test('search matches all terms and honours service, tab and date filters', () => {
+  const archive = makeArchive();
+  archive.record({ ...GPT, prompt: 'rust lifetimes', response: 'Borrow checker rules' });
+  archive.record({ ...CLAUDE, prompt: 'rust async', response: 'Futures are lazy' });
+  archive.exchanges[0].capturedAt = Date.UTC(2024, 0, 1);
+
+  assert.strictEqual(archive.search({ query: 'RUST' }).total, 2);
+  assert.strictEqual(archive.search({ query: 'rust lazy' }).total, 1);
+  assert.strictEqual(archive.search({ query: 'rust', serviceType: 'chatgpt' }).total, 1);
+  assert.strictEqual(archive.search({ tabId: 'tab-2' }).results[0].tabName, 'Claude');
+  assert.strictEqual(archive.search({ from: Date.UTC(2024, 0, 2) }).total, 1);
+  assert.strictEqual(archive.search({ to: Date.UTC(2024, 0, 2) }).total, 1);
+  assert.match(archive.search({ query: 'checker' }).results[0].snippet, /checker/);
+});
+
+test('capture can be disabled', () => {
+  const store = makeStore({ conversationArchive: { enabled: true } });
+  const archive = makeArchive(store);
+  archive.setEnabled(false);
+  assert.strictEqual(archive.record({ ...GPT, prompt: 'hi', response: 'hello' }), null);
+  assert.strictEqual(store.get('conversationArchive').enabled, false);
+});
+
+test('delete, clear and export', async () => {
+  const archive = makeArchive();
+  const first = archive.record({ ...GPT, prompt: 'one', response: 'first answer', url: 'https://chatgpt.com/c/1' });
+  archive.record({ ...GPT, prompt: 'two', response: 'second answer' });
+
+  const exported = archive.getForExport({ tabId: 'tab-1' });
+  assert.deepStrictEqual(exported.map(e => e.prompt), ['one', 'two']);
+  const markdown = archive.toMarkdown(exported, { chatgpt: 'ChatGPT' });
+  assert.match(markdown, /## ChatGPT \(ChatGPT\)/);
+  assert.match(markdown, /<https:\/\/chatgpt\.com\/c\/1>/);
+  assert.strictEqual(JSON.parse(archive.toJSON(exported)).exchanges.length, 2);
+
+  assert.strictEqual(archive.delete(first.id), true);
+  assert.strictEqual(archive.delete(first.id), false);
+  const lines = fs.readFileSync(path.join(archive.baseDir, 'chatgpt', 'tab-1.jsonl'), 'utf-8').trim().split('\n');
+  assert.strictEqual(lines.length, 1);
+
+  await archive.clear();
+  assert.strictEqual(archive.search().total, 0);
+  assert.ok(!fs.existsSync(archive.baseDir));
+});
+
+test('unsafe tab ids are rejected', () => {
+  const archive = makeArchive();
+  assert.throws(() => archive.record({ ...GPT, tabId: '../escape', prompt: 'p', response: 'r' }), /Invalid archive key/);
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,124 @@
+// Tests for user-defined web services (CustomServicesManager + ServiceRegistry).
+// Plain Node: node test/custom-services.test.js
+const assert = require('assert');
+const CustomServicesManager = require('../src/core/CustomServicesManager');
+const TabManager = require('../src/core/TabManager');
+const {
+  getServiceType,
+  isValidServiceType,
+  getWebServiceTypes,
+  generateTabName,
+  DEFAULT_CUSTOM_ICON
+} = require('../src/core/ServiceRegistry');
+
+// Minimal electron-store stand-in backed by a Map.
+function makeStore(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    get: (k, d) => (data.has(k) ? data.get(k) : d),
+    set: (k, v) => { data.set(k, v); },
+    has: (k) => data.has(k)
+  };
+}
+
+const PERPLEXITY = { name: 'Perplexity', url: 'https://www.perplexity.ai', color: '#20808d' };
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('save assigns a custom- id and registers the service', () => {
+  const mgr = new CustomServicesManager({ store: makeStore() });
+  const saved = mgr.save(PERPLEXITY);
+  assert.match(saved.id, /^custom-[a-z0-9-]+$/);
+  assert.deepStrictEqual(saved.allowedHosts, ['www.perplexity.ai']);
+  assert.strictEqual(saved.sessionPartition, 'persist:shared');
+
+  const registered = getServiceType(saved.id);
+  assert.strictEqual(registered.type, 'web');
+  assert.strictEqual(registered.custom, true);
+  assert.strictEqual(registered.icon, DEFAULT_CUSTOM_ICON);
+  assert.ok(getWebServiceTypes().some(s => s.id === saved.id));
+  assert.strictEqual(generateTabName(saved.id, []), 'Perplexity');
+});
+
+test('invalid stored entries are skipped on load but kept in the store', () => {
+  const store = makeStore({
+    customServices: [
+      { id: 'custom-good', name: 'Le Chat', url: 'https://chat.mistral.ai' },
+      { id: 'custom-bad', name: 'Broken', url: 'not a url' },
+      { id: 'chatgpt', name: 'Impostor', url: 'https://evil.example' }
+    ]
+  });
+  const mgr = new CustomServicesManager({ store });
+  assert.deepStrictEqual(mgr.list().map(s => s.id), ['custom-good']);
+  assert.strictEqual(isValidServiceType('custom-bad'), false);
+  assert.strictEqual(getServiceType('chatgpt').name, 'ChatGPT');
+  assert.strictEqual(store.get('customServices').length, 3);
+});
+
+test('validation rejects bad fields with readable errors', () => {
+  const mgr = new CustomServicesManager({ store: makeStore() });
+  assert.throws(() => mgr.save({ ...PERPLEXITY, name: '  ' }), /name is required/);
+  assert.throws(() => mgr.save({ ...PERPLEXITY, url: 'file:///etc/passwd' }), /http or https/);
+  assert.throws(() => mgr.save({ ...PERPLEXITY, color: 'teal' }), /hex value/);
+  assert.throws(() => mgr.save({ ...PERPLEXITY, allowedHosts: ['bad host!'] }), /Invalid allowed host/);
+  assert.throws(() => mgr.save({ ...PERPLEXITY, sessionPartition: 'shared' }), /Session partition/);
+});
+
+test('icons that could run script are rejected', () => {
+  const mgr = new CustomServicesManager({ store: makeStore() });
+  assert.throws(() => mgr.save({ ...PERPLEXITY, icon: '<img src=x>' }), /single <svg>/);
+  assert.throws(() => mgr.save({ ...PERPLEXITY, icon: '<svg onload="alert(1)"></svg>' }), /may not contain/);
+  assert.throws(() => mgr.save({ ...PERPLEXITY, icon: '<svg><script>alert(1)</script></svg>' }), /may not contain/);
+  const ok = mgr.save({ ...PERPLEXITY, icon: '<svg viewBox="0 0 24 24"><circle cx="12" cy="12" r="8"/></svg>' });
+  assert.ok(getServiceType(ok.id).icon.startsWith('<svg viewBox'));
+});
+
+test('update keeps id and createdAt; delete unregisters', () => {
+  const mgr = new CustomServicesManager({ store: makeStore() });
+  const created = mgr.save(PERPLEXITY);
+  const updated = mgr.save({ ...created, name: 'Perplexity Pro', allowedHosts: ['perplexity.ai'] });
+  assert.strictEqual(updated.id, created.id);
+  assert.strictEqual(updated.createdAt, created.createdAt);
+  assert.deepStrictEqual(updated.allowedHosts, ['www.perplexity.ai', 'perplexity.ai']);
+  assert.throws(() => mgr.save({ ...PERPLEXITY, id: 'custom-missing' }), /not found/);
+
+  assert.strictEqual(mgr.delete(created.id), true);
+  assert.strictEqual(isValidServiceType(created.id), false);
+  assert.strictEqual(mgr.delete(created.id), false);
+});
+
+test('TabManager loads custom-service tabs and preserves orphaned ones', () => {
+  const store = makeStore({
+    customServices: [{ id: 'custom-deepseek', name: 'DeepSeek', url: 'https://chat.deepseek.com' }],
+    tabs: [
+      { id: 'tab-1', serviceType: 'custom-deepseek', name: 'DeepSeek', order: 0 },
+      { id: 'tab-2', serviceType: 'custom-gone', name: 'Gone', order: 1 }
+    ]
+  });
+  new CustomServicesManager({ store });
+  const tabManager = new TabManager(store);
+  assert.deepStrictEqual(tabManager.getOrderedTabs().map(t => t.id), ['tab-1']);
+
+  // Saving must not drop the tab whose service failed to load
+  tabManager.createTab('chatgpt');
+  const savedIds = store.get('tabs').map(t => t.id);
+  assert.ok(savedIds.includes('tab-2'));
+  assert.strictEqual(savedIds.length, 3);
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
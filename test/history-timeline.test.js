@@ -0,0 +1,95 @@
+// Tests for the per-session tool timeline in HistoryManager.
+// Plain Node: node test/history-timeline.test.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HistoryManager = require('../src/core/HistoryManager');
+
+function makeHistory() {
+  const data = {};
+  const store = {
+    has: (key) => key in data,
+    get: (key, fallback) => (key in data ? JSON.parse(JSON.stringify(data[key])) : fallback),
+    set: (key, value) => { data[key] = JSON.parse(JSON.stringify(value)); }
+  };
+  const userDataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  return new HistoryManager({ store, userDataPath });
+}
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('tool calls are matched to their outcome by tool_use_id, else by tool name', async () => {
+  const history = makeHistory();
+  const sessionId = history.startSession('tab-1', '/proj');
+  const read = history.addTimelineEntry(sessionId, { kind: 'tool', toolName: 'Read', toolUseId: 'tu1', status: 'running' });
+  history.addTimelineEntry(sessionId, { kind: 'tool', toolName: 'Bash', toolUseId: null, status: 'running' });
+  assert.ok(read.id && read.at);
+
+  history.updateTimelineEntry(sessionId, { toolUseId: 'tu1', toolName: 'Read' }, { status: 'ok' });
+  history.updateTimelineEntry(sessionId, { toolUseId: undefined, toolName: 'Bash' }, { status: 'error', error: 'Exit code 1' });
+  assert.strictEqual(history.updateTimelineEntry(sessionId, { toolUseId: 'nope' }, { status: 'ok' }), null);
+
+  const timeline = await history.getTimeline(sessionId);
+  assert.deepStrictEqual(timeline.map(e => [e.toolName, e.status, e.error]), [['Read', 'ok', undefined], ['Bash', 'error', 'Exit code 1']]);
+  assert.strictEqual(history.addTimelineEntry('session-missing', { kind: 'tool' }), null);
+});
+
+test('the timeline is saved with the session and listed per tab', async () => {
+  const history = makeHistory();
+  const first = history.startSession('tab-1', '/proj');
+  history.addTimelineEntry(first, { kind: 'subagent-start', depth: 0 });
+  history.addTimelineEntry(first, { kind: 'tool', toolName: 'Edit', depth: 1, status: 'running' });
+  history.captureOutput(first, 'hello');
+  await history.endSession(first, 0);
+  const second = history.startSession('tab-1', '/proj');
+  history.startSession('tab-2', '/proj');
+
+  const sessions = history.getSessionsForTab('tab-1');
+  assert.deepStrictEqual(sessions.map(s => [s.id, s.live, s.toolCount]), [[second, true, 0], [first, false, 1]]);
+  const saved = await history.getTimeline(first);
+  assert.deepStrictEqual(saved.map(e => [e.kind, e.depth]), [['subagent-start', 0], ['tool', 1]]);
+
+  const timelinePath = history.storageEngine.getTimelinePath(history.getSessionById(first).filePath);
+  assert.ok(fs.existsSync(timelinePath));
+  await history.deleteSession(first);
+  assert.ok(!fs.existsSync(timelinePath));
+  await assert.rejects(() => history.getTimeline(first), /Session not found/);
+});
+
+test('timelines count toward the size budget and none outlive their session', async () => {
+  const history = makeHistory();
+  const sessionId = history.startSession('tab-1', '/proj');
+  history.addTimelineEntry(sessionId, { kind: 'tool', toolName: 'Read', status: 'ok' });
+  history.captureOutput(sessionId, 'hello');
+  const meta = await history.endSession(sessionId, 0);
+  const timelinePath = history.storageEngine.getTimelinePath(meta.filePath);
+  assert.strictEqual(meta.timelineSize, fs.statSync(timelinePath).size);
+  assert.strictEqual(history.getStorageStats().totalBytes, meta.compressedSize + meta.timelineSize);
+  const [listed] = await history.storageEngine.listSessionFiles();
+  assert.strictEqual(listed.size, fs.statSync(meta.filePath).size + meta.timelineSize);
+
+  // A session file removed behind the app's back: its timeline goes at the next cleanup
+  fs.unlinkSync(meta.filePath);
+  const other = history.startSession('tab-1', '/proj');
+  history.captureOutput(other, 'again');
+  await history.endSession(other, 0);
+  assert.ok(!fs.existsSync(timelinePath));
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
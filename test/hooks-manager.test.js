@@ -0,0 +1,117 @@
+// Tests for HooksManager hook payload parsing.
+// Plain Node script (no test framework): node test/hooks-manager.test.js
+const assert = require('assert');
+const HooksManager = require('../src/core/HooksManager');
+
+// Feed a payload through _processHookEvent and return the emitted event
+function runHook(payload, tabIdHeader) {
+  const manager = new HooksManager({ store: null });
+  let emitted = null;
+  manager.on('hook-triggered', (event) => { emitted = event; });
+  const res = { statusCode: null, end() {} };
+  manager._processHookEvent(payload, res, tabIdHeader);
+  return { event: emitted, statusCode: res.statusCode };
+}
+
+const base = { session_id: 's1', cwd: '/proj', transcript_path: '/t.jsonl' };
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('session boundaries and compaction carry their source, reason and trigger', () => {
+  assert.strictEqual(runHook({ ...base, hook_event_name: 'SessionStart', source: 'resume' }).event.source, 'resume');
+  assert.strictEqual(runHook({ ...base, hook_event_name: 'SessionEnd', reason: 'logout' }).event.reason, 'logout');
+  const { event } = runHook({ ...base, hook_event_name: 'PreCompact', trigger: 'auto' }, 'tab-1');
+  assert.deepStrictEqual([event.type, event.trigger, event.tabId, event.sessionId], ['PreCompact', 'auto', 'tab-1', 's1']);
+});
+
+test('PostToolUse keeps the outcome, not the tool output', () => {
+  const ok = runHook({
+    ...base, hook_event_name: 'PostToolUse', tool_name: 'Bash',
+    tool_input: { command: 'ls' }, tool_response: { stdout: 'x'.repeat(1000), stderr: '', interrupted: false }
+  }).event;
+  assert.strictEqual(ok.toolName, 'Bash');
+  assert.strictEqual(ok.toolError, null);
+  assert.ok(!('toolResponse' in ok));
+});
+
+test('PostToolUse failures are recognised in their different shapes', () => {
+  const errorOf = (tool_response) =>
+    runHook({ ...base, hook_event_name: 'PostToolUse', tool_name: 'Edit', tool_response }).event.toolError;
+  assert.strictEqual(errorOf({ success: false, error: 'old_string not found\nmore' }), 'old_string not found');
+  assert.strictEqual(errorOf({ is_error: true }), 'Tool failed');
+  assert.strictEqual(errorOf({ stdout: '', interrupted: true }), 'Interrupted');
+  assert.strictEqual(errorOf('<tool_use_error>File does not exist.</tool_use_error>'), 'File does not exist.');
+  assert.strictEqual(errorOf('Error: Exit code 1'), 'Error: Exit code 1');
+  assert.strictEqual(errorOf('Errors fixed: 3'), null);
+  assert.strictEqual(errorOf(undefined), null);
+  assert.ok(errorOf({ success: false, error: 'e'.repeat(1000) }).length < 400);
+});
+
+test('PermissionRequest stays open until answered and the answer is the decision', () => {
+  const manager = new HooksManager({ store: null });
+  const events = [];
+  manager.on('hook-triggered', (event) => events.push(event));
+  manager.on('permission-settled', (event) => events.push(event));
+  const open = () => {
+    const res = { statusCode: null, body: null, listeners: {}, on(name, fn) { this.listeners[name] = fn; }, end(body) { this.body = body; } };
+    manager._processHookEvent({ ...base, hook_event_name: 'PermissionRequest', tool_name: 'Bash', tool_input: { command: 'ls' } }, res, 'tab-1');
+    return [res, events[events.length - 1]];
+  };
+
+  const [allowRes, allowEvent] = open();
+  assert.deepStrictEqual([allowEvent.toolName, allowEvent.toolInput, allowRes.body], ['Bash', { command: 'ls' }, null]);
+  assert.strictEqual(manager.respondToPermission(allowEvent.requestId, 'allow'), true);
+  assert.deepStrictEqual(JSON.parse(allowRes.body).hookSpecificOutput.decision, { behavior: 'allow' });
+  assert.strictEqual(manager.respondToPermission(allowEvent.requestId, 'deny'), false);
+
+  const [denyRes, denyEvent] = open();
+  manager.respondToPermission(denyEvent.requestId, 'deny', 'Not now');
+  assert.deepStrictEqual(JSON.parse(denyRes.body).hookSpecificOutput.decision, { behavior: 'deny', message: 'Not now' });
+
+  const [fallbackRes, fallbackEvent] = open();
+  manager.respondToPermission(fallbackEvent.requestId, null);
+  assert.strictEqual(fallbackRes.body, '{}');
+
+  const [closedRes, closedEvent] = open();
+  closedRes.listeners.close();
+  assert.deepStrictEqual(events[events.length - 1], { requestId: closedEvent.requestId, decision: null, reason: 'cancelled' });
+  assert.strictEqual(manager.pendingPermissions.size, 0);
+});
+
+test('requests without this launch\'s token are rejected, with no CORS header', () => {
+  const manager = new HooksManager({ store: null });
+  const send = (headers) => {
+    const req = { method: 'POST', url: '/hook', headers, on() {}, removeListener() {} };
+    const res = { statusCode: null, headers: {}, setHeader(name, value) { this.headers[name] = value; }, end() {} };
+    manager._handleRequest(req, res);
+    return res;
+  };
+  assert.strictEqual(send({}).statusCode, 401);
+  assert.strictEqual(send({ authorization: 'Bearer wrong' }).statusCode, 401);
+  assert.strictEqual(send({ authorization: manager.token }).statusCode, 401);
+  const ok = send({ authorization: `Bearer ${manager.token}` });
+  assert.strictEqual(ok.statusCode, null); // still reading the body
+  assert.ok(!('Access-Control-Allow-Origin' in ok.headers));
+  assert.notStrictEqual(new HooksManager({ store: null }).token, manager.token);
+});
+
+test('unknown hook types are rejected', () => {
+  const { event, statusCode } = runHook({ ...base, hook_event_name: 'Bogus' });
+  assert.strictEqual(event, null);
+  assert.strictEqual(statusCode, 400);
+});
+
+let failed = 0;
+for (const [name, fn] of tests) {
+  try {
+    fn();
+    console.log(`  ok    ${name}`);
+  } catch (err) {
+    failed++;
+    console.error(`  FAIL  ${name}`);
+    console.error(`        ${err.message}`);
+  }
+}
+console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,317 @@
+// Tests for McpPromptServer auth, registration, write tools, prompts and resources.
+// Plain Node: node test/mcp-prompt-server.test.js
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// ~/.claude.json is written on start: point the home dir somewhere disposable
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-home-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+
+const McpPromptServer = require('../src/core/McpPromptServer');
+const MarkdownFilesManager = require('../src/core/MarkdownFilesManager');
+const PromptLibraryManager = require('../src/core/PromptLibraryManager');
+
+function makeStore() {
+  const data = {};
+  return {
+    has: (key) => key in data,
+    get: (key, fallback) => (key in data ? JSON.parse(JSON.stringify(data[key])) : fallback),
+    set: (key, value) => { data[key] = JSON.parse(JSON.stringify(value)); }
+  };
+}
+
+async function makeServer(options = {}) {
+  const store = makeStore();
+  const promptLibraryManager = new PromptLibraryManager({
+    store, userDataPath: fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-prompts-'))
+  });
+  const changed = [];
+  const server = new McpPromptServer({
+    promptLibraryManager, promptImageManager: null, store,
+    onPromptChanged: (cwd, prompt) => changed.push([cwd, prompt.id]),
+    ...options
+  });
+  const result = await server.start();
+  assert.ok(result.success, result.error);
+  return { server, promptLibraryManager, changed };
+}
+
+// Open the GET notification stream; resolves the response, data is collected in .text
+function openStream(server) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({
+      host: '127.0.0.1', port: server.port, path: '/mcp',
+      headers: { Accept: 'text/event-stream', Authorization: `Bearer ${server.token}` }
+    }, (res) => {
+      res.text = '';
+      res.on('data', chunk => { res.text += chunk; });
+      resolve(res);
+    });
+    req.on('error', reject);
+  });
+}
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 50 && !check(); i++) await new Promise(r => setTimeout(r, 20));
+  assert.ok(check());
+};
+
+// POST one JSON-RPC request; resolves { status, body }
+function rpc(server, method, params, headers = {}) {
+  const payload = JSON.stringify({ jsonrpc: '2.0', id: 1, method, params });
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1', port: server.port, path: '/mcp', method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        Authorization: `Bearer ${server.token}`,
+        ...headers
+      }
+    }, (res) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        // Streamable HTTP answers either plain JSON or one SSE message
+        const data = text.split('\n').find(line => line.startsWith('data: '));
+        let body = null;
+        try { body = JSON.parse(data ? data.slice(6) : text); } catch {}
+        resolve({ status: res.statusCode, body });
+      });
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+const projectHeader = (project) => ({ 'X-CrossAI-Project': encodeURIComponent(project) });
+const toolNames = async (server, headers) =>
+  (await rpc(server, 'tools/list', {}, headers)).body.result.tools.map(t => t.name).sort();
+const callTool = async (server, name, args, headers) =>
+  (await rpc(server, 'tools/call', { name, arguments: args }, headers)).body.result;
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('requests need the token', async () => {
+  const { server } = await makeServer();
+  try {
+    assert.strictEqual((await rpc(server, 'tools/list', {}, { Authorization: '' })).status, 401);
+    assert.strictEqual((await rpc(server, 'tools/list', {}, { Authorization: 'Bearer nope' })).status, 401);
+    assert.strictEqual((await rpc(server, 'tools/list', {})).status, 200);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('write tools are only listed for write-enabled projects', async () => {
+  const { server } = await makeServer();
+  const project = path.join(home, 'proj');
+  try {
+    const readOnly = ['get_labels', 'get_next_prompt', 'get_prompt_images', 'get_prompts'];
+    assert.deepStrictEqual(await toolNames(server, projectHeader(project)), readOnly);
+
+    await server.setWriteAccess(project, true);
+    const config = JSON.parse(fs.readFileSync(path.join(home, '.claude.json'), 'utf-8'));
+    const entry = config.projects[project].mcpServers['cross-ai-browser-prompts'];
+    assert.strictEqual(entry.headers['X-CrossAI-Project'], encodeURIComponent(project));
+    assert.strictEqual(entry.headers.Authorization, `Bearer ${server.token}`);
+    assert.deepStrictEqual(await toolNames(server, {}), readOnly);
+    assert.ok((await toolNames(server, projectHeader(project))).includes('mark_prompt_done'));
+
+    await server.setWriteAccess(project, false);
+    assert.deepStrictEqual(await toolNames(server, projectHeader(project)), readOnly);
+    const after = JSON.parse(fs.readFileSync(path.join(home, '.claude.json'), 'utf-8'));
+    assert.ok(!after.projects[project].mcpServers['cross-ai-browser-prompts']);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('subfolders and worktrees of a write-enabled project get the write tools too', async () => {
+  const project = path.join(home, 'repo');
+  const open = [path.join(project, 'packages', 'api'), path.join(home, 'repo.worktrees', 'feature-x'), path.join(home, 'repo-other')];
+  const { server } = await makeServer({ getProjects: () => open });
+  try {
+    await server.setWriteAccess(project, true);
+    const [subfolder, worktree, sibling] = open;
+    assert.ok((await toolNames(server, projectHeader(subfolder))).includes('create_prompt'));
+    assert.ok((await toolNames(server, projectHeader(worktree))).includes('create_prompt'));
+    assert.ok(!(await toolNames(server, projectHeader(sibling))).includes('create_prompt'));
+    assert.strictEqual(server.hasWriteAccess(path.join(home, 'repo.worktreesX', 'a')), false);
+    assert.strictEqual(server.hasWriteAccess('relative/repo'), false);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('project entries follow the open projects and are all gone once stop() returns', async () => {
+  const open = [path.join(home, 'one'), path.join(home, 'two')];
+  const { server } = await makeServer({ getProjects: () => open });
+  const readProjects = () => {
+    const config = JSON.parse(fs.readFileSync(path.join(home, '.claude.json'), 'utf-8'));
+    return Object.keys(config.projects || {}).filter(p => config.projects[p].mcpServers['cross-ai-browser-prompts']);
+  };
+  assert.deepStrictEqual(readProjects(), open);
+  open.pop();
+  await server.refreshRegistration();
+  assert.deepStrictEqual(readProjects(), [path.join(home, 'one')]);
+  const stopped = server.stop();
+  assert.deepStrictEqual(readProjects(), []);
+  await stopped;
+});
+
+test('write tools work the queue and report validation errors', async () => {
+  const { server, promptLibraryManager, changed } = await makeServer();
+  const project = path.join(home, 'queue');
+  const headers = projectHeader(project);
+  try {
+    await server.setWriteAccess(project, true);
+    const created = await callTool(server, 'create_prompt', { cwd: project, prompt: 'Add tests', labels: ['qa'] }, headers);
+    const { id } = JSON.parse(created.content[0].text);
+    assert.ok(promptLibraryManager.getLabels().includes('qa'));
+
+    await callTool(server, 'mark_prompt_testing', { cwd: project, prompt_id: id }, headers);
+    assert.strictEqual(promptLibraryManager.getPromptById(project, id).testing, true);
+    await callTool(server, 'mark_prompt_done', { cwd: project, prompt_id: id }, headers);
+    assert.strictEqual(promptLibraryManager.getPromptById(project, id).done, true);
+    await callTool(server, 'set_labels', { cwd: project, prompt_id: id, labels: ['a', 'a', 'b'] }, headers);
+    assert.deepStrictEqual(promptLibraryManager.getPromptById(project, id).labels, ['a', 'b']);
+    const note = await callTool(server, 'add_note', { cwd: project, note: 'Flaky on CI' }, headers);
+    assert.strictEqual(JSON.parse(note.content[0].text).id.startsWith('prompt-'), true);
+    assert.strictEqual(changed.length, 5);
+
+    const missing = await callTool(server, 'mark_prompt_done', { cwd: project, prompt_id: 'nope' }, headers);
+    assert.strictEqual(missing.isError, true);
+    assert.match(missing.content[0].text, /not found/);
+    const elsewhere = await callTool(server, 'add_note', { cwd: path.join(home, 'other'), note: 'x' }, headers);
+    assert.match(elsewhere.content[0].text, /only work in/);
+    const tooMany = await callTool(server, 'set_labels', { cwd: project, prompt_id: id, labels: ['1', '2', '3', '4', '5', '6'] }, headers);
+    assert.strictEqual(tooMany.isError, true);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('get_next_prompt skips prompts whose blockers are not done', async () => {
+  const { server, promptLibraryManager } = await makeServer();
+  const project = path.join(home, 'blocked');
+  try {
+    const first = await promptLibraryManager.createPrompt(project, { prompt: 'Migrate schema' });
+    const second = await promptLibraryManager.createPrompt(project, { prompt: 'Use new columns', blockedBy: [first.id] });
+    await promptLibraryManager.reorderPrompts(project, [second.id, first.id]);
+    const next = async () => JSON.parse((await callTool(server, 'get_next_prompt', { cwd: project })).content[0].text);
+    assert.strictEqual((await next()).id, first.id);
+    await promptLibraryManager.markAsDone(project, first.id);
+    const unblocked = await next();
+    assert.strictEqual(unblocked.id, second.id);
+    assert.deepStrictEqual(unblocked.blockedBy, [first.id]);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('project Markdown files are resources, reads stay inside the project', async () => {
+  const project = path.join(home, 'docs project');
+  fs.mkdirSync(path.join(project, 'docs'), { recursive: true });
+  fs.writeFileSync(path.join(project, 'README.md'), '# Hello');
+  fs.writeFileSync(path.join(project, 'docs', 'a b.md'), 'nested');
+  fs.writeFileSync(path.join(project, 'secret.txt'), 'no');
+  fs.writeFileSync(path.join(home, 'outside.md'), 'outside');
+  const { server } = await makeServer({
+    getProjects: () => [project],
+    getMarkdownManager: (cwd, root) => (root === 'markdown' ? new MarkdownFilesManager(cwd) : null)
+  });
+  try {
+    const { resources } = (await rpc(server, 'resources/list', {})).body.result;
+    assert.deepStrictEqual(resources.map(r => r.name), ['docs/a b.md', 'README.md']);
+    const nested = resources[0].uri;
+    assert.strictEqual(nested, `crossai-md://markdown/${encodeURIComponent(project)}/docs/a%20b.md`);
+    const read = (await rpc(server, 'resources/read', { uri: nested })).body.result;
+    assert.strictEqual(read.contents[0].text, 'nested');
+
+    const base = `crossai-md://markdown/${encodeURIComponent(project)}`;
+    const readError = async (uri) => (await rpc(server, 'resources/read', { uri })).body.error.message;
+    assert.match(await readError(`${base}/docs/..%2F..%2Foutside.md`), /escapes/);
+    assert.match(await readError(`${base}/secret.txt`), /Only Markdown/);
+    assert.match(await readError(`crossai-md://markdown/${encodeURIComponent(home)}/outside.md`), /not open/);
+    assert.match(await readError(`crossai-md://memory/${encodeURIComponent(project)}/MEMORY.md`), /No claude memory/);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('reusable prompts are MCP prompts with their template variables as arguments', async () => {
+  const project = path.join(home, 'slash');
+  const { server, promptLibraryManager } = await makeServer({ getProjects: () => [project] });
+  try {
+    const review = await promptLibraryManager.createPrompt(project, {
+      prompt: 'Review {{file}} for {{ focus }}, then {{file}} again', title: 'Review file', reusable: true,
+      variables: [{ name: 'focus', defaultValue: 'bugs' }]
+    });
+    await promptLibraryManager.createPrompt(project, { prompt: 'One-off task' });
+    const summary = await promptLibraryManager.createPrompt(project, { prompt: 'Summarize the diff', title: 'Review: file!', reusable: true, scope: 'global' });
+    const nameOf = (prompt) => `review-file-${prompt.id.slice('prompt-'.length).replace(/-/g, '').slice(0, 6)}`;
+
+    const list = async (headers) => (await rpc(server, 'prompts/list', {}, headers)).body.result.prompts;
+    assert.deepStrictEqual((await list({})).map(p => p.name), [nameOf(summary)]);
+    const prompts = await list(projectHeader(project));
+    assert.deepStrictEqual(prompts.map(p => p.name), [nameOf(summary), nameOf(review)]);
+    assert.deepStrictEqual(prompts[1].arguments.map(a => [a.name, a.required]), [['file', true], ['focus', false]]);
+    // Unregistered projects only see global prompts
+    assert.strictEqual((await list(projectHeader(path.join(home, 'elsewhere')))).length, 1);
+
+    const get = async (args) => (await rpc(server, 'prompts/get', { name: nameOf(review), arguments: args }, projectHeader(project)))
+      .body.result.messages[0].content.text;
+    assert.strictEqual(await get({ file: 'a.js', focus: 'speed' }), 'Review a.js for speed, then a.js again');
+    assert.strictEqual(await get({ file: 'a.js' }), 'Review a.js for bugs, then a.js again');
+    // Names don't shift when other prompts go away
+    await promptLibraryManager.deletePrompt(project, summary.id);
+    assert.strictEqual(await get({ file: 'b.js' }), 'Review b.js for bugs, then b.js again');
+  } finally {
+    await server.stop();
+  }
+});
+
+test('open notification streams hear about prompt, resource list and subscribed file changes', async () => {
+  const { server, promptLibraryManager } = await makeServer({ getProjects: () => [], getMarkdownManager: () => null });
+  try {
+    await promptLibraryManager.createPrompt(home, { prompt: 'Lint', reusable: true, scope: 'global' });
+    const stream = await openStream(server);
+    assert.strictEqual(stream.statusCode, 200);
+    await waitFor(() => server.notificationServers.size === 1);
+    server.notifyResourcesChanged();
+    await waitFor(() => stream.text.includes('notifications/resources/list_changed'));
+    const uri = `crossai-md://markdown/${encodeURIComponent(home)}/NOTES.md`;
+    assert.deepStrictEqual((await rpc(server, 'resources/subscribe', { uri })).body.result, {});
+    server.notifyResourcesChanged({ root: 'markdown', project: home, relPaths: ['OTHER.md', 'NOTES.md'] });
+    await waitFor(() => stream.text.includes('notifications/resources/updated'));
+    assert.ok(stream.text.includes(uri) && !stream.text.includes('OTHER.md'));
+    await promptLibraryManager.createPrompt(home, { prompt: 'Test', reusable: true, scope: 'global' });
+    await waitFor(() => stream.text.includes('notifications/prompts/list_changed'));
+    stream.destroy();
+    await waitFor(() => server.notificationServers.size === 0);
+  } finally {
+    await server.stop();
+  }
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,88 @@
+// Tests for PermissionRulesManager ("Always allow" rules for permission cards).
+// Plain Node script (no test framework): node test/permission-rules-manager.test.js
+const assert = require('assert');
+const PermissionRulesManager = require('../src/core/PermissionRulesManager');
+
+function makeManager() {
+  const data = {};
+  const store = {
+    get: (key, fallback) => (key in data ? data[key] : fallback),
+    set: (key, value) => { data[key] = JSON.parse(JSON.stringify(value)); }
+  };
+  return new PermissionRulesManager({ store });
+}
+
+const tests = [];
+function test(name, fn) { tests.push([name, fn]); }
+
+test('a tool rule covers its folder and subfolders only', () => {
+  const rules = makeManager();
+  rules.addRule('/code/app', 'Edit', { file_path: '/code/app/a.js' });
+  assert.strictEqual(rules.isAllowed('/code/app', 'Edit', {}), true);
+  assert.strictEqual(rules.isAllowed('/code/app/src', 'Edit', {}), true);
+  assert.strictEqual(rules.isAllowed('/code/app2', 'Edit', {}), false);
+  assert.strictEqual(rules.isAllowed('/code', 'Edit', {}), false);
+  assert.strictEqual(rules.isAllowed('/code/app', 'Write', {}), false);
+});
+
+test('rules for tools that take a path only allow paths inside the project', () => {
+  const rules = makeManager();
+  rules.addRule('/code/app', 'Edit', { file_path: '/code/app/a.js' });
+  rules.addRule('/code/app', 'Glob', { path: '/code/app' });
+  rules.addRule('/code/app', 'NotebookEdit', { notebook_path: '/code/app/n.ipynb' });
+  assert.strictEqual(rules.isAllowed('/code/app', 'Edit', { file_path: '/code/app/src/b.js' }), true);
+  assert.strictEqual(rules.isAllowed('/code/app/src', 'Edit', { file_path: 'b.js' }), true);
+  assert.strictEqual(rules.isAllowed('/code/app', 'Edit', { file_path: '/etc/hosts' }), false);
+  assert.strictEqual(rules.isAllowed('/code/app', 'Edit', { file_path: '../app2/a.js' }), false);
+  assert.strictEqual(rules.isAllowed('/code/app', 'Edit', { file_path: '/code/app/../../etc/hosts' }), false);
+  assert.strictEqual(rules.isAllowed('/code/app', 'Glob', { pattern: '**/*.js', path: '/' }), false);
+  assert.strictEqual(rules.isAllowed('/code/app', 'Glob', { pattern: '**/*.js' }), true);
+  assert.strictEqual(rules.isAllowed('/code/app', 'NotebookEdit', { notebook_path: '/tmp/n.ipynb' }), false);
+  assert.strictEqual(rules.isAllowed('/code/app', 'NotebookEdit', { notebook_path: '/code/app/n.ipynb' }), true);
+});
+
+test('Bash rules allow the command plus arguments, never chained commands', () => {
+  const rules = makeManager();
+  rules.addRule('/code/app', 'Bash', { command: '  npm test ' });
+  const allowed = (command) => rules.isAllowed('/code/app', 'Bash', { command });
+  assert.strictEqual(allowed('npm test'), true);
+  assert.strictEqual(allowed('npm test -- --watch'), true);
+  assert.strictEqual(allowed('npm testing'), false);
+  assert.strictEqual(allowed('npm test && rm -rf /'), false);
+  assert.strictEqual(allowed('npm test; rm -rf /'), false);
+  assert.strictEqual(allowed('npm test $(rm -rf /)'), false);
+  assert.strictEqual(allowed('npm test > out.txt'), false);
+  assert.strictEqual(allowed('rm -rf /'), false);
+  assert.strictEqual(rules.isAllowed('/code/app', 'Bash', {}), false);
+  assert.throws(() => rules.addRule('/code/app', 'Bash', { command: ' ' }), /need a command/);
+});
+
+test('identical rules are reused and removing the last drops the project', () => {
+  const rules = makeManager();
+  const first = rules.addRule('/code/app', 'Bash', { command: 'ls' });
+  const again = rules.addRule('/code/app/', 'Bash', { command: 'ls' });
+  assert.strictEqual(again.id, first.id);
+  rules.addRule('/code/app', 'Read', {});
+  assert.deepStrictEqual(rules.listAll().map(p => p.rules.length), [2]);
+
+  assert.strictEqual(rules.removeRule('/code/app', 'missing'), false);
+  assert.strictEqual(rules.removeRule('/code/app', first.id), true);
+  assert.strictEqual(rules.isAllowed('/code/app', 'Bash', { command: 'ls' }), false);
+  const [{ rules: remaining }] = rules.listAll();
+  rules.removeRule('/code/app', remaining[0].id);
+  assert.deepStrictEqual(rules.listAll(), []);
+});
+
+let failed = 0;
+for (const [name, fn] of tests) {
+  try {
+    fn();
+    console.log(`  ok    ${name}`);
+  } catch (err) {
+    failed++;
+    console.error(`  FAIL  ${name}`);
+    console.error(`        ${err.message}`);
+  }
+}
+console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,161 @@
+// Tests for prompt library bundles (PromptBundleManager, promptMarkdown).
+// Plain Node: node test/prompt-bundle.test.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PromptBundleManager = require('../src/core/PromptBundleManager');
+const PromptLibraryManager = require('../src/core/PromptLibraryManager');
+const { formatDocument, parseDocument, parseDocuments } = require('../src/core/promptMarkdown');
+
+function makeManager() {
+  const data = {};
+  const store = {
+    has: (key) => key in data,
+    get: (key, fallback) => (key in data ? JSON.parse(JSON.stringify(data[key])) : fallback),
+    set: (key, value) => { data[key] = JSON.parse(JSON.stringify(value)); }
+  };
+  const userDataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-bundle-'));
+  return new PromptLibraryManager({ store, userDataPath });
+}
+
+// PromptImageManager needs Electron's nativeImage: keep image files in a plain folder
+function makeImages() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-bundle-images-'));
+  let next = 0;
+  return {
+    dir,
+    removed: [],
+    findLocalImagePath: (id) => (fs.existsSync(path.join(dir, `${id}.png`)) ? path.join(dir, `${id}.png`) : null),
+    addImage: async (sourcePath) => {
+      const id = `img-${++next}`;
+      fs.copyFileSync(sourcePath, path.join(dir, `${id}.png`));
+      return { success: true, image: { id, filename: path.basename(sourcePath) } };
+    },
+    async removeImages(images) { this.removed.push(...images.map(img => img.id)); }
+  };
+}
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('frontmatter values round-trip and --- rules stay in the body', () => {
+  const text = formatDocument({ id: 'prompt-1', title: 'Say "hi"\nthere', labels: ['a'] }, 'Intro\n---\nMore');
+  const { fields, body } = parseDocument(text);
+  assert.deepStrictEqual(fields, { id: 'prompt-1', title: 'Say "hi"\nthere', labels: ['a'] });
+  assert.strictEqual(body, 'Intro\n---\nMore');
+  const two = parseDocuments(`# Notes\n${text}\n---\nid: prompt-2\ntitle: Typed by hand\n---\nSecond`);
+  assert.deepStrictEqual(two.map(d => [d.fields.id, d.fields.title, d.body]),
+    [['prompt-1', 'Say "hi"\nthere', 'Intro\n---\nMore'], ['prompt-2', 'Typed by hand', 'Second']]);
+  assert.throws(() => parseDocuments('---\nid: x\nno end'), /never closed/);
+});
+
+test('JSON bundles keep IDs, links, labels, state and images', async () => {
+  const source = makeManager();
+  const images = makeImages();
+  fs.writeFileSync(path.join(images.dir, 'img-a.png'), 'png-bytes');
+  const first = await source.createPrompt('/a', { prompt: 'Schema', labels: ['db'], images: [{ id: 'img-a', filename: 'shot.png' }] });
+  const second = await source.createPrompt('/a', { prompt: 'API', blockedBy: [first.id] });
+  await source.markAsDone('/a', first.id);
+  const exporter = new PromptBundleManager({ promptLibraryManager: source, promptImageManager: images });
+  const text = exporter.toJSON(await exporter.exportBundle('/a'));
+
+  const target = makeManager();
+  const importer = new PromptBundleManager({ promptLibraryManager: target, promptImageManager: images });
+  const result = await importer.importBundle('/b', importer.parseJSON(text));
+  assert.deepStrictEqual([result.created.length, result.skipped, result.errors], [2, 0, []]);
+  assert.ok(target.getLabels().includes('db'));
+  const copy = target.getPromptById('/b', first.id);
+  assert.strictEqual(copy.done, true);
+  assert.deepStrictEqual(copy.images.map(img => [img.filename, fs.readFileSync(path.join(images.dir, `${img.id}.png`), 'utf-8')]),
+    [['shot.png', 'png-bytes']]);
+  assert.deepStrictEqual(target.getPromptById('/b', second.id).blockedBy, [first.id]);
+  assert.strictEqual(target.getRevisions('/b', second.id)[0].source, 'import');
+});
+
+test('ID collisions are skipped, overwritten or imported as copies', async () => {
+  const library = makeManager();
+  const images = makeImages();
+  const bundles = new PromptBundleManager({ promptLibraryManager: library, promptImageManager: images });
+  const original = await library.createPrompt('/p', { prompt: 'Original', images: [{ id: 'img-old', filename: 'old.png' }] });
+  const bundle = await bundles.exportBundle('/p');
+  bundle.prompts[0].prompt = 'From the bundle';
+  bundle.prompts[0].images = [];
+
+  assert.strictEqual((await bundles.importBundle('/p', bundle)).skipped, 1);
+  assert.strictEqual(library.getPromptById('/p', original.id).prompt, 'Original');
+
+  const overwritten = await bundles.importBundle('/p', bundle, { onCollision: 'overwrite' });
+  assert.strictEqual(overwritten.overwritten[0].prompt, 'From the bundle');
+  assert.deepStrictEqual(images.removed, ['img-old']);
+
+  const duplicated = await bundles.importBundle('/p', bundle, { onCollision: 'duplicate' });
+  assert.notStrictEqual(duplicated.created[0].id, original.id);
+  assert.strictEqual(library.getProjectPrompts('/p').length, 2);
+  await assert.rejects(bundles.importBundle('/p', bundle, { onCollision: 'merge' }), /Collision mode/);
+});
+
+test('an ID taken in the other scope gets a new one, so each prompt stays reachable', async () => {
+  const library = makeManager();
+  const bundles = new PromptBundleManager({ promptLibraryManager: library });
+  const global = await library.createPrompt('/p', { prompt: 'Everywhere', scope: 'global' });
+  const bundle = await bundles.exportBundle('/p', 'global');
+
+  const result = await bundles.importBundle('/p', bundle, { scope: 'project' });
+  assert.deepStrictEqual([result.created.length, result.skipped], [1, 0]);
+  assert.notStrictEqual(result.created[0].id, global.id);
+  await library.updatePrompt('/p', global.id, { prompt: 'Still editable' });
+  assert.strictEqual(library.getGlobalPrompts()[0].prompt, 'Still editable');
+  assert.strictEqual(library.getProjectPrompts('/p')[0].prompt, 'Everywhere');
+
+  // Overwriting into global must not land on a project prompt
+  const projectBundle = await bundles.exportBundle('/p');
+  projectBundle.prompts[0].prompt = 'Overwritten';
+  await bundles.importBundle('/p', projectBundle, { scope: 'global', onCollision: 'overwrite' });
+  assert.strictEqual(library.getProjectPrompts('/p')[0].prompt, 'Everywhere');
+  await assert.rejects(library.createPrompt('/p', { prompt: 'Clash' }, { id: global.id }), /already exists/);
+});
+
+test('Markdown bundles read images next to the file and nowhere else', async () => {
+  const library = makeManager();
+  const images = makeImages();
+  const bundles = new PromptBundleManager({ promptLibraryManager: library, promptImageManager: images });
+  fs.writeFileSync(path.join(images.dir, 'img-a.png'), 'png-bytes');
+  await library.createPrompt('/md', { prompt: 'Step one\n---\nStep two', title: 'Steps', images: [{ id: 'img-a', filename: 'a.png' }] });
+  await library.createPrompt('/md', { prompt: 'Remember the staging URL', type: 'note' });
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-bundle-md-'));
+  const { text, files } = bundles.toMarkdown(await bundles.exportBundle('/md'), 'prompts-images');
+  assert.deepStrictEqual(files.map(f => f.relPath), ['prompts-images/1-1.png']);
+  fs.mkdirSync(path.join(dir, 'prompts-images'));
+  fs.writeFileSync(path.join(dir, files[0].relPath), files[0].data);
+
+  const parsed = bundles.parseMarkdown(text, dir);
+  assert.deepStrictEqual(parsed.prompts.map(p => [p.type, p.title, p.prompt]),
+    [['prompt', 'Steps', 'Step one\n---\nStep two'], ['note', null, 'Remember the staging URL']]);
+  const result = await bundles.importBundle('/elsewhere', parsed);
+  assert.strictEqual(result.created[0].images.length, 1);
+
+  const escaping = text.replace('prompts-images/1-1.png', '../outside.png');
+  assert.throws(() => bundles.parseMarkdown(escaping, dir), /outside the bundle folder/);
+  assert.throws(() => bundles.parseJSON('{"format":"crossai-prompts","version":2,"prompts":[]}'), /Unsupported bundle version/);
+  assert.throws(() => bundles.parseJSON('{"format":"crossai-prompts","version":1,"prompts":[{"prompt":""}]}'), /needs prompt text/);
+  assert.throws(() => bundles.parseJSON(JSON.stringify({ format: 'crossai-prompts', version: 1,
+    prompts: [{ prompt: 'Hi', images: [{ filename: 'a.png', path: path.join(images.dir, 'img-a.png') }] }] })), /must carry its data inline/);
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,101 @@
+// Tests for "blocked by" links between prompts (PromptLibraryManager, AutoRunManager).
+// Plain Node: node test/prompt-dependencies.test.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AutoRunManager = require('../src/core/AutoRunManager');
+const PromptLibraryManager = require('../src/core/PromptLibraryManager');
+
+function makeManager() {
+  const data = {};
+  const store = {
+    has: (key) => key in data,
+    get: (key, fallback) => (key in data ? JSON.parse(JSON.stringify(data[key])) : fallback),
+    set: (key, value) => { data[key] = JSON.parse(JSON.stringify(value)); }
+  };
+  const userDataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-dependencies-'));
+  return new PromptLibraryManager({ store, userDataPath });
+}
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('blockers must be in the same scope and may not form a cycle', async () => {
+  const library = makeManager();
+  const a = await library.createPrompt('/proj', { prompt: 'Schema' });
+  const b = await library.createPrompt('/proj', { prompt: 'API', blockedBy: [a.id, a.id] });
+  const c = await library.createPrompt('/proj', { prompt: 'UI', blockedBy: [b.id] });
+  assert.deepStrictEqual(b.blockedBy, [a.id]);
+
+  await assert.rejects(library.updatePrompt('/proj', a.id, { blockedBy: [c.id] }), /dependency cycle/);
+  await assert.rejects(library.updatePrompt('/proj', a.id, { blockedBy: [a.id] }), /cannot block itself/);
+  await assert.rejects(library.createPrompt('/other', { prompt: 'Elsewhere', blockedBy: [a.id] }), /same scope/);
+  const note = await library.createPrompt('/proj', { prompt: 'Reminder', type: 'note', blockedBy: [a.id] });
+  assert.deepStrictEqual(note.blockedBy, []);
+});
+
+test('marking a blocker done unblocks its dependents, deleting unlinks it', async () => {
+  const library = makeManager();
+  const a = await library.createPrompt('/proj', { prompt: 'First' });
+  const b = await library.createPrompt('/proj', { prompt: 'Second' });
+  const c = await library.createPrompt('/proj', { prompt: 'Third', blockedBy: [a.id, b.id] });
+  const get = () => library.getPromptById('/proj', c.id);
+  assert.deepStrictEqual(library.getUnresolvedBlockers('/proj', get()).map(p => p.id), [a.id, b.id]);
+
+  await library.markAsDone('/proj', a.id);
+  assert.deepStrictEqual(library.getUnresolvedBlockers('/proj', get()).map(p => p.id), [b.id]);
+  await library.deletePrompt('/proj', b.id);
+  assert.deepStrictEqual(get().blockedBy, [a.id]);
+  assert.strictEqual(library.isBlocked('/proj', get()), false);
+  await library.clearDonePrompts('/proj');
+  assert.deepStrictEqual(get().blockedBy, []);
+});
+
+test('synced links are kept, a synced cycle keeps the current links', async () => {
+  const library = makeManager();
+  const a = await library.createPrompt('/proj', { prompt: 'First' });
+  const b = await library.createPromptFromRemote('/proj', { id: 'prompt-remote', prompt: 'Second', blockedBy: [a.id, 'prompt-not-synced-yet'] });
+  assert.deepStrictEqual(b.blockedBy, [a.id, 'prompt-not-synced-yet']);
+
+  await library.updatePromptFromRemote('/proj', a.id, { blockedBy: [b.id] });
+  assert.deepStrictEqual(library.getPromptById('/proj', a.id).blockedBy, []);
+  await library.updatePromptFromRemote('/proj', b.id, { blockedBy: [] });
+  assert.deepStrictEqual(library.getPromptById('/proj', b.id).blockedBy, []);
+});
+
+test('auto-run skips blocked prompts and says why it stopped', async () => {
+  const library = makeManager();
+  const a = await library.createPrompt('/proj', { prompt: 'First' });
+  const b = await library.createPrompt('/proj', { prompt: 'Second', blockedBy: [a.id] });
+  await library.reorderPrompts('/proj', [b.id, a.id]);
+  const sent = [];
+  const autoRun = new AutoRunManager({ promptLibraryManager: library, sendPrompt: (tabId, p) => sent.push(p.id) });
+
+  await autoRun.start('tab', '/proj');
+  assert.deepStrictEqual(sent, [a.id]);
+  await autoRun.handleStop('tab');
+  // Testing isn't done: the blocker still holds the second prompt back
+  assert.deepStrictEqual(sent, [a.id]);
+  assert.match(autoRun.getRun('tab').reason, /blocked/);
+
+  await library.markAsDone('/proj', a.id);
+  await autoRun.start('tab', '/proj');
+  assert.deepStrictEqual(sent, [a.id, b.id]);
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,116 @@
+// Tests for per-prompt revision history (PromptStorageEngine, PromptLibraryManager, lineDiff).
+// Plain Node: node test/prompt-revisions.test.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PromptLibraryManager = require('../src/core/PromptLibraryManager');
+const { diffLines } = require('../src/core/lineDiff');
+
+function makeManager() {
+  const data = {};
+  const store = {
+    has: (key) => key in data,
+    get: (key, fallback) => (key in data ? JSON.parse(JSON.stringify(data[key])) : fallback),
+    set: (key, value) => { data[key] = JSON.parse(JSON.stringify(value)); }
+  };
+  const userDataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-revisions-'));
+  return new PromptLibraryManager({ store, userDataPath });
+}
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('content changes are logged with their source, other edits are not', async () => {
+  const library = makeManager();
+  const { id } = await library.createPrompt('/proj', { prompt: 'First' }, { source: 'mcp' });
+  await library.updatePrompt('/proj', id, { isFavorite: true });
+  await library.updatePrompt('/proj', id, { prompt: 'Second', title: 'Named' });
+  await library.updatePromptFromRemote('/proj', id, { prompt: 'Third' });
+  await library.updatePromptFromRemote('/proj', id, { prompt: 'Third', order: 0 });
+
+  const revisions = library.getRevisions('/proj', id);
+  assert.deepStrictEqual(revisions.map(r => [r.source, r.title, r.prompt]),
+    [['remote', 'Named', 'Third'], ['local', 'Named', 'Second'], ['mcp', null, 'First']]);
+  assert.throws(() => library.getRevisions('/proj', 'prompt-missing'), /Prompt not found/);
+});
+
+test('the log keeps the newest revisions and seeds prompts saved before history', async () => {
+  const library = makeManager();
+  const { id } = await library.createPrompt('/proj', { prompt: 'v0' });
+  for (let i = 1; i <= 55; i++) {
+    await library.updatePrompt('/proj', id, { prompt: `v${i}` });
+  }
+  const revisions = library.getRevisions('/proj', id);
+  assert.strictEqual(revisions.length, 50);
+  assert.deepStrictEqual([revisions[0].prompt, revisions[49].prompt], ['v55', 'v6']);
+
+  // A prompt whose log is missing gets its pre-edit text as the first revision
+  const log = library.storageEngine.getRevisionLog('/proj', 'project');
+  await library.storageEngine.deleteRevisions(log, id);
+  await library.updatePrompt('/proj', id, { prompt: 'v56' });
+  assert.deepStrictEqual(library.getRevisions('/proj', id).map(r => r.prompt), ['v56', 'v55']);
+
+  await library.deletePrompt('/proj', id);
+  assert.ok(!fs.existsSync(library.storageEngine.getRevisionsPath(log, id)));
+  assert.throws(() => library.storageEngine.getRevisionsPath(log, '../escape'), /Invalid prompt ID/);
+  assert.throws(() => library.storageEngine.getRevisionsPath('..', id), /Invalid revision log/);
+});
+
+test('projects sharing a prompt ID keep their own history', async () => {
+  const library = makeManager();
+  const { id } = await library.createPrompt('/a', { prompt: 'In A' });
+  await library.createPrompt('/b', { prompt: 'In B' }, { id });
+  await library.updatePrompt('/b', id, { prompt: 'Edited in B' });
+  await library.markAsDone('/a', id);
+
+  assert.deepStrictEqual(library.getRevisions('/a', id).map(r => r.prompt), ['In A']);
+  assert.deepStrictEqual(library.getRevisions('/b', id).map(r => r.prompt), ['Edited in B', 'In B']);
+  await library.clearDonePrompts('/a');
+  assert.deepStrictEqual(library.getRevisions('/b', id).map(r => r.prompt), ['Edited in B', 'In B']);
+  await library.deletePrompt('/b', id);
+  assert.ok(!fs.existsSync(library.storageEngine.getRevisionsPath(library.storageEngine.getRevisionLog('/b', 'project'), id)));
+});
+
+test('a revision can be diffed and restored', async () => {
+  const library = makeManager();
+  const { id } = await library.createPrompt('/proj', {
+    prompt: 'Fix {{area}}\nRun tests', title: 'Fix', variables: [{ name: 'area', defaultValue: 'auth' }]
+  });
+  await library.updatePrompt('/proj', id, { prompt: 'Fix the bug\nRun tests\nCommit', title: 'Fix bug', variables: [] });
+  const [latest, first] = library.getRevisions('/proj', id);
+
+  const diff = library.diffRevisions('/proj', id, latest.id);
+  assert.deepStrictEqual(diff.title, { from: 'Fix', to: 'Fix bug' });
+  assert.deepStrictEqual(diff.lines.map(l => l.type), ['del', 'add', 'same', 'add']);
+  assert.deepStrictEqual(library.diffRevisions('/proj', id, first.id).lines.map(l => l.type), ['add', 'add']);
+
+  const restored = await library.restoreRevision('/proj', id, first.id);
+  assert.strictEqual(restored.prompt, 'Fix {{area}}\nRun tests');
+  assert.deepStrictEqual(restored.variables, [{ name: 'area', defaultValue: 'auth' }]);
+  const [newest] = library.getRevisions('/proj', id);
+  assert.deepStrictEqual([newest.source, newest.restoredFrom], ['local', first.id]);
+  await assert.rejects(() => library.restoreRevision('/proj', id, 'rev-missing'), /Revision not found/);
+});
+
+test('diffLines keeps common lines in place', () => {
+  const diff = diffLines('a\nb\nc\nd', 'a\nc\nx\nd');
+  assert.deepStrictEqual(diff.map(l => `${l.type}:${l.text}`), ['same:a', 'del:b', 'same:c', 'add:x', 'same:d']);
+  assert.deepStrictEqual(diffLines('', 'one\ntwo').map(l => l.type), ['add', 'add']);
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
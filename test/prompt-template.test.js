@@ -0,0 +1,82 @@
+// Tests for template prompts: promptTemplate and variables stored on prompts.
+// Plain Node: node test/prompt-template.test.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractVariables, fillTemplate, normalizeVariables } = require('../src/core/promptTemplate');
+const PromptLibraryManager = require('../src/core/PromptLibraryManager');
+
+function makeManager() {
+  const data = {};
+  const store = {
+    has: (key) => key in data,
+    get: (key, fallback) => (key in data ? JSON.parse(JSON.stringify(data[key])) : fallback),
+    set: (key, value) => { data[key] = JSON.parse(JSON.stringify(value)); }
+  };
+  return new PromptLibraryManager({ store, userDataPath: fs.mkdtempSync(path.join(os.tmpdir(), 'templates-')) });
+}
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('variables are extracted in order and filled, unknown text is left alone', () => {
+  const text = 'Fix {{file}} on {{ branch }} ({{file}}) {{a b}} {{}} {{1x}} {{my-var}}';
+  assert.deepStrictEqual(extractVariables(text), ['file', 'branch', 'my-var']);
+  assert.strictEqual(
+    fillTemplate(text, { file: 'a.js', branch: '', 'my-var': null }),
+    'Fix a.js on  (a.js) {{a b}} {{}} {{1x}} {{my-var}}'
+  );
+});
+
+test('variable lists are validated and built-ins dropped', () => {
+  assert.deepStrictEqual(normalizeVariables(undefined), []);
+  assert.deepStrictEqual(
+    normalizeVariables([{ name: ' tone ', defaultValue: 'terse' }, { name: 'branch', defaultValue: 'main' }, { name: 'tone' }, { name: 'n' }]),
+    [{ name: 'tone', defaultValue: 'terse' }, { name: 'n', defaultValue: '' }]
+  );
+  assert.throws(() => normalizeVariables('tone'), /must be an array/);
+  assert.throws(() => normalizeVariables([{ name: 'two words' }]), /Invalid variable name/);
+  assert.throws(() => normalizeVariables([{ name: 'x', defaultValue: 'y'.repeat(501) }]), /500 characters/);
+  const many = Array.from({ length: 21 }, (_, i) => ({ name: `v${i}` }));
+  assert.throws(() => normalizeVariables(many), /Maximum of 20/);
+});
+
+test('prompts keep their variables through create, update, duplicate and sync', async () => {
+  const library = makeManager();
+  const created = await library.createPrompt('/proj', {
+    prompt: 'Review {{file}} with a {{tone}} tone',
+    variables: [{ name: 'tone', defaultValue: 'friendly' }]
+  });
+  assert.deepStrictEqual(created.variables, [{ name: 'tone', defaultValue: 'friendly' }]);
+  await assert.rejects(() => library.createPrompt('/proj', { prompt: 'x', variables: [{ name: '' }] }), /Invalid variable name/);
+
+  await library.updatePrompt('/proj', created.id, { variables: [{ name: 'tone', defaultValue: 'strict' }] });
+  await library.updatePrompt('/proj', created.id, { title: 'Review' });
+  assert.deepStrictEqual(library.getPromptById('/proj', created.id).variables, [{ name: 'tone', defaultValue: 'strict' }]);
+
+  const copy = await library.duplicatePrompt('/proj', created.id);
+  assert.deepStrictEqual(copy.variables, [{ name: 'tone', defaultValue: 'strict' }]);
+
+  // Bad metadata from another client doesn't block the sync
+  const remote = await library.createPromptFromRemote('/proj', { id: 'prompt-remote', prompt: 'Hi {{who}}', variables: [{ name: 'no good' }] });
+  assert.deepStrictEqual(remote.variables, []);
+  await library.updatePromptFromRemote('/proj', 'prompt-remote', { variables: [{ name: 'who', defaultValue: 'team' }] });
+  assert.deepStrictEqual(library.getPromptById('/proj', 'prompt-remote').variables, [{ name: 'who', defaultValue: 'team' }]);
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,148 @@
+// Tests for prompts kept in the repository (RepoPromptStorage via PromptLibraryManager).
+// Plain Node: node test/repo-prompt-storage.test.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PromptLibraryManager = require('../src/core/PromptLibraryManager');
+
+const tmp = (prefix) => fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+const promptsDir = (project) => path.join(project, '.crossai', 'prompts');
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function makeManager() {
+  const data = {};
+  const store = {
+    has: (key) => key in data,
+    get: (key, fallback) => (key in data ? JSON.parse(JSON.stringify(data[key])) : fallback),
+    set: (key, value) => { data[key] = JSON.parse(JSON.stringify(value)); }
+  };
+  return new PromptLibraryManager({ store, userDataPath: tmp('repo-prompts-data-') });
+}
+
+// Writes files the way a clone or pull would
+function writeRepoFile(project, name, text) {
+  fs.mkdirSync(promptsDir(project), { recursive: true });
+  fs.writeFileSync(path.join(promptsDir(project), name), text);
+}
+
+function quietly(fn) {
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = originalWarn;
+  }
+}
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('a cloned folder is only used once the project opts in, then merged with local prompts', async () => {
+  const library = makeManager();
+  const project = tmp('repo-prompts-project-');
+  const local = await library.createPrompt(project, { prompt: 'Add tests', title: 'Tests' });
+  writeRepoFile(project, 'prompt-shared.md', '---\nid: prompt-shared\ntype: note\n---\nStaging is on :8080');
+
+  assert.deepStrictEqual(library.getProjectPrompts(project).map(p => p.id), [local.id]);
+  assert.strictEqual(library.isRepoStorage(project), false);
+  assert.strictEqual(library.hasUnusedRepoPrompts(project), true);
+
+  assert.strictEqual(await library.setRepoStorage(project, true), true);
+  assert.deepStrictEqual(library.getRepoStorageProjects(), [path.resolve(project)]);
+  assert.strictEqual(library.hasUnusedRepoPrompts(project), false);
+  assert.strictEqual(library.storageEngine.hasPrompts(project), false);
+  assert.deepStrictEqual(fs.readdirSync(promptsDir(project)).sort(), [`${local.id}.md`, 'prompt-shared.md']);
+  const file = fs.readFileSync(path.join(promptsDir(project), `${local.id}.md`), 'utf-8');
+  assert.ok(file.startsWith(`---\nid: "${local.id}"\ntype: "prompt"\ntitle: "Tests"\n`));
+  assert.ok(!file.includes('scope'));
+  assert.deepStrictEqual(library.getProjectPrompts(project).map(p => p.prompt).sort(), ['Add tests', 'Staging is on :8080']);
+
+  await library.updatePrompt(project, local.id, { prompt: 'Add more tests' });
+  assert.strictEqual(await library.setRepoStorage(project, false), false);
+  assert.strictEqual(fs.existsSync(path.join(project, '.crossai')), false);
+  assert.deepStrictEqual(library.getProjectPrompts(project).map(p => p.prompt).sort(), ['Add more tests', 'Staging is on :8080']);
+  await assert.rejects(library.setRepoStorage(path.join(project, 'missing'), true), /Project folder not found/);
+  await assert.rejects(library.setRepoStorage('relative/path', true), /absolute path/);
+  library.close();
+});
+
+test('files that break the library\'s rules are skipped and left alone', async () => {
+  const library = makeManager();
+  const project = tmp('repo-prompts-project-');
+  await library.setRepoStorage(project, true);
+  writeRepoFile(project, 'prompt-ok.md', '---\nid: prompt-ok\nimages: [{"id":"img-1","filename":"a.png","path":"/home/me/.ssh/id_rsa"}]\n---\nFine');
+  writeRepoFile(project, 'conflicted.md', '<<<<<<< HEAD\n---\nid: "prompt-c"\n');
+  writeRepoFile(project, 'huge.md', `---\nid: prompt-huge\n---\n${'x'.repeat(6000)}`);
+  writeRepoFile(project, 'extra.md', '---\nid: prompt-extra\nrunOnOpen: true\n---\nHi');
+  writeRepoFile(project, 'labels.md', '---\nid: prompt-labels\nlabels: [1, 2]\n---\nHi');
+  writeRepoFile(project, 'blocked.md', '---\nid: prompt-blocked\nblockedBy: ["prompt-nowhere"]\n---\nHi');
+
+  const prompts = quietly(() => library.getProjectPrompts(project));
+  assert.deepStrictEqual(prompts.map(p => p.id), ['prompt-ok']);
+  assert.deepStrictEqual(prompts[0].images, [{ id: 'img-1', filename: 'a.png' }]);
+
+  await quietly(() => library.createPrompt(project, { prompt: 'New one' }));
+  assert.strictEqual(fs.readdirSync(promptsDir(project)).length, 7);
+  library.close();
+});
+
+test('writes only touch changed files', async () => {
+  const library = makeManager();
+  const project = tmp('repo-prompts-project-');
+  await library.setRepoStorage(project, true);
+  const first = await library.createPrompt(project, { prompt: 'One' });
+  const second = await library.createPrompt(project, { prompt: 'Two' });
+  const fileA = path.join(promptsDir(project), `${first.id}.md`);
+  const before = fs.readFileSync(fileA, 'utf-8');
+  const past = new Date(Date.now() - 60000);
+  fs.utimesSync(fileA, past, past);
+
+  await library.deletePrompt(project, second.id);
+  assert.ok(Math.abs(fs.statSync(fileA).mtimeMs - past.getTime()) < 1);
+  assert.strictEqual(fs.readFileSync(fileA, 'utf-8'), before);
+  assert.deepStrictEqual(fs.readdirSync(promptsDir(project)), [`${first.id}.md`]);
+  library.close();
+});
+
+test('edits made outside the app are reported, the app\'s own writes are not', async () => {
+  const library = makeManager();
+  const project = tmp('repo-prompts-project-');
+  await library.setRepoStorage(project, true);
+  const prompt = await library.createPrompt(project, { prompt: 'One' });
+  library.getProjectPrompts(project);
+  const changes = [];
+  library.on('prompts-updated', ({ cwd, prompts }) => changes.push([cwd, prompts.length]));
+
+  await library.updatePrompt(project, prompt.id, { prompt: 'Two' });
+  changes.length = 0;
+  await sleep(600);
+  assert.deepStrictEqual(changes, []);
+
+  writeRepoFile(project, 'prompt-b.md', '---\nid: prompt-b\n---\nPulled from a teammate');
+  await sleep(600);
+  assert.deepStrictEqual(changes, [[project, 2]]);
+
+  library.releaseProject(project);
+  writeRepoFile(project, 'prompt-c.md', '---\nid: prompt-c\n---\nNot watched');
+  await sleep(600);
+  assert.strictEqual(changes.length, 1);
+  library.close();
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,115 @@
+// Tests for SelectorPackManager (built-in + userData selector packs).
+// Plain Node: node test/selector-packs.test.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SelectorPackManager = require('../src/core/SelectorPackManager');
+
+function makeManager() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'selector-packs-'));
+  return new SelectorPackManager({ userDataPath: dir });
+}
+
+function writeUserPack(mgr, pack, fileName = `${pack.serviceId}.json`) {
+  fs.writeFileSync(path.join(mgr.userDir, fileName), JSON.stringify(pack));
+}
+
+function minimalPack(overrides = {}) {
+  return {
+    schemaVersion: 1,
+    serviceId: 'chatgpt',
+    version: '99.0.0',
+    streaming: { stopButtons: [{ name: 'stop', selector: '#stop' }] },
+    messages: { assistant: ['.answer'], user: ['.question'] },
+    ...overrides
+  };
+}
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('built-in packs load and validate', () => {
+  const mgr = makeManager();
+  for (const id of ['chatgpt', 'claude', 'gemini']) {
+    const pack = mgr.getPack(id);
+    assert.ok(pack, `missing built-in pack ${id}`);
+    assert.strictEqual(pack.serviceId, id);
+  }
+  assert.deepStrictEqual(mgr.list().errors, []);
+  assert.ok(mgr.list().packs.every(p => p.source === 'builtin'));
+});
+
+test('newer user pack overrides built-in; older one is ignored', () => {
+  const mgr = makeManager();
+  writeUserPack(mgr, minimalPack());
+  let changed = mgr.load();
+  assert.deepStrictEqual(changed, ['chatgpt']);
+  assert.strictEqual(mgr.getPack('chatgpt').version, '99.0.0');
+  const entry = mgr.list().packs.find(p => p.serviceId === 'chatgpt');
+  assert.strictEqual(entry.source, 'user');
+  assert.strictEqual(entry.builtinVersion, '1.1.0');
+
+  writeUserPack(mgr, minimalPack({ version: '0.9' }));
+  changed = mgr.load();
+  assert.deepStrictEqual(changed, ['chatgpt']);
+  assert.strictEqual(mgr.list().packs.find(p => p.serviceId === 'chatgpt').source, 'builtin');
+});
+
+test('user packs can add services that have no built-in pack', () => {
+  const mgr = makeManager();
+  writeUserPack(mgr, minimalPack({ serviceId: 'custom-abc123', version: '1' }));
+  mgr.load();
+  assert.strictEqual(mgr.getPack('custom-abc123').version, '1');
+});
+
+test('invalid packs are reported and skipped', () => {
+  const mgr = makeManager();
+  writeUserPack(mgr, minimalPack({ schemaVersion: 2 }));
+  writeUserPack(mgr, minimalPack({ serviceId: 'claude', streaming: { indicators: [{ selector: 'x', textPattern: '(' }] } }));
+  writeUserPack(mgr, minimalPack({ serviceId: 'gemini' }), 'wrong-name.json');
+  fs.writeFileSync(path.join(mgr.userDir, 'broken.json'), '{ not json');
+  mgr.load();
+
+  const errors = mgr.list().errors.map(e => `${path.basename(e.file)}: ${e.error}`);
+  assert.strictEqual(errors.length, 4);
+  assert.ok(errors.some(e => /chatgpt\.json: Unsupported schemaVersion/.test(e)));
+  assert.ok(errors.some(e => /claude\.json: .*textPattern is not a valid regex/.test(e)));
+  assert.ok(errors.some(e => /wrong-name\.json: File name must be gemini\.json/.test(e)));
+  assert.ok(errors.some(e => /broken\.json/.test(e)));
+  // Built-ins still serve every service
+  assert.strictEqual(mgr.getPack('claude').version, '1.1.0');
+});
+
+test('copyToUserDir writes the effective pack once', () => {
+  const mgr = makeManager();
+  const target = mgr.copyToUserDir('claude');
+  assert.strictEqual(JSON.parse(fs.readFileSync(target, 'utf-8')).serviceId, 'claude');
+  fs.writeFileSync(target, JSON.stringify(minimalPack({ serviceId: 'claude', version: '5' })));
+  mgr.copyToUserDir('claude');
+  assert.strictEqual(JSON.parse(fs.readFileSync(target, 'utf-8')).version, '5');
+  assert.throws(() => mgr.copyToUserDir('nope'), /No selector pack/);
+});
+
+test('compareVersions orders dotted numbers numerically', () => {
+  const { compareVersions } = SelectorPackManager;
+  assert.ok(compareVersions('1.10.0', '1.9.3') > 0);
+  assert.strictEqual(compareVersions('2', '2.0.0'), 0);
+  assert.ok(compareVersions('1.0.0', '1.0.1') < 0);
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
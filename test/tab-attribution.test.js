@@ -68,6 +68,15 @@ test('exact match still beats deeper subdirectory parent', () => {
   assert.strictEqual(ids[0], 'tabB');
 });
 
+// --- Worktree tabs sit next to the repo, so the main checkout's tab never
+// --- claims their events.
+test('worktree cwd only matches the worktree tab', () => {
+  const vm = makeViewManager({ main: '/code/app', wt: '/code/app.worktrees/topic' }, 'main');
+  assert.deepStrictEqual(vm._findTabIdsForCwd('/code/app.worktrees/topic/src'), ['wt']);
+  assert.strictEqual(vm._getTabIdForHookEvent('s-wt', '/code/app.worktrees/topic', undefined), 'wt');
+  assert.deepStrictEqual(vm._findTabIdsForCwd('/code/app/src'), ['main']);
+});
+
 // --- Stale bindings: restarting Claude in a tab must free the tab so its
 // --- next session does not get pushed onto another tab.
 test('clearing a tab binding frees both maps', () => {
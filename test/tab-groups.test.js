@@ -0,0 +1,128 @@
+// Tests for tab groups in TabManager.
+// Plain Node: node test/tab-groups.test.js
+const assert = require('assert');
+const TabManager = require('../src/core/TabManager');
+
+// Minimal electron-store stand-in backed by a Map.
+function makeStore(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    get: (k, d) => (data.has(k) ? data.get(k) : d),
+    set: (k, v) => { data.set(k, v); },
+    has: (k) => data.has(k)
+  };
+}
+
+function names(tabs) {
+  return tabs.map(t => t.name);
+}
+
+function makeTabs(tabManager, count) {
+  return Array.from({ length: count }, (_, i) => tabManager.createTab('chatgpt', `T${i + 1}`));
+}
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('tabs of a group stay contiguous after ungrouped tabs', () => {
+  const tm = new TabManager(makeStore());
+  const [t1, t2, t3, t4] = makeTabs(tm, 4);
+  const work = tm.createGroup({ name: 'Work' });
+  const home = tm.createGroup({ name: 'Home' });
+
+  tm.moveTabToGroup(t1.id, work.id);
+  tm.moveTabToGroup(t3.id, home.id);
+  tm.moveTabToGroup(t2.id, work.id);
+
+  assert.deepStrictEqual(names(tm.getOrderedTabs()), ['T4', 'T1', 'T2', 'T3']);
+  assert.deepStrictEqual(names(tm.getTabsInGroup(work.id)), ['T1', 'T2']);
+  assert.deepStrictEqual(names(tm.getTabsInGroup(null)), ['T4']);
+  assert.strictEqual(t4.groupId, null);
+});
+
+test('dragging onto a tab in another group moves it into that group', () => {
+  const tm = new TabManager(makeStore());
+  const [t1, t2, t3] = makeTabs(tm, 3);
+  const group = tm.createGroup();
+  tm.moveTabToGroup(t2.id, group.id);
+  tm.moveTabToGroup(t3.id, group.id);
+
+  tm.moveTabRelative(t1.id, t3.id, 'before');
+  assert.strictEqual(tm.getTab(t1.id).groupId, group.id);
+  assert.deepStrictEqual(names(tm.getTabsInGroup(group.id)), ['T2', 'T1', 'T3']);
+
+  tm.moveTabToGroup(t3.id, null);
+  assert.deepStrictEqual(names(tm.getOrderedTabs()), ['T3', 'T2', 'T1']);
+});
+
+test('groups persist with tabs and reload', () => {
+  const store = makeStore();
+  const tm = new TabManager(store);
+  const [t1] = makeTabs(tm, 2);
+  const group = tm.createGroup({ name: 'Research', color: '#22c55e' });
+  tm.moveTabToGroup(t1.id, group.id);
+  tm.updateGroup(group.id, { collapsed: true });
+
+  const reloaded = new TabManager(store);
+  assert.deepStrictEqual(reloaded.getGroups().map(g => [g.name, g.color, g.collapsed]), [['Research', '#22c55e', true]]);
+  assert.strictEqual(reloaded.getTab(t1.id).groupId, group.id);
+  assert.deepStrictEqual(names(reloaded.getOrderedTabs()), ['T2', 'T1']);
+});
+
+test('tabs pointing at a missing group load as ungrouped', () => {
+  const store = makeStore({
+    tabs: [{ id: 'tab-1', serviceType: 'chatgpt', name: 'A', order: 0, groupId: 'group-gone' }]
+  });
+  const tm = new TabManager(store);
+  assert.strictEqual(tm.getTab('tab-1').groupId, null);
+});
+
+test('deleting a group ungroups its tabs, including archived ones', () => {
+  const tm = new TabManager(makeStore());
+  const [t1, t2, t3] = makeTabs(tm, 3);
+  const group = tm.createGroup();
+  tm.moveTabToGroup(t1.id, group.id);
+  tm.moveTabToGroup(t2.id, group.id);
+  tm.archiveTab(t2.id);
+
+  assert.strictEqual(tm.deleteGroup(group.id), true);
+  assert.strictEqual(tm.deleteGroup(group.id), false);
+  assert.deepStrictEqual(names(tm.getOrderedTabs()), ['T3', 'T1']);
+  tm.unarchiveTab(t2.id);
+  assert.strictEqual(tm.getTab(t2.id).groupId, null);
+  assert.strictEqual(t3.groupId, null);
+});
+
+test('groups reorder and validate names and colors', () => {
+  const tm = new TabManager(makeStore());
+  const [t1, t2] = makeTabs(tm, 2);
+  const a = tm.createGroup({ name: 'A' });
+  const b = tm.createGroup({ name: 'B' });
+  tm.moveTabToGroup(t1.id, a.id);
+  tm.moveTabToGroup(t2.id, b.id);
+
+  tm.moveGroupRelative(b.id, a.id, 'before');
+  assert.deepStrictEqual(tm.getGroups().map(g => g.name), ['B', 'A']);
+  assert.deepStrictEqual(names(tm.getOrderedTabs()), ['T2', 'T1']);
+
+  assert.throws(() => tm.createGroup({ name: '  ' }), /cannot be empty/);
+  assert.throws(() => tm.updateGroup(a.id, { color: 'red' }), /hex value/);
+  assert.strictEqual(tm.updateGroup('group-missing', { name: 'x' }), null);
+  assert.strictEqual(tm.moveTabToGroup(t1.id, 'group-missing'), false);
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,67 @@
+// Tests for the terminal service definitions in ServiceRegistry.
+// Plain Node: node test/terminal-services.test.js
+const assert = require('assert');
+const {
+  SERVICE_TYPES,
+  buildTerminalCommand,
+  canResumeTerminal
+} = require('../src/core/ServiceRegistry');
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('every terminal service declares how to launch it', () => {
+  const terminals = Object.values(SERVICE_TYPES).filter(s => s.type === 'terminal');
+  assert.deepStrictEqual(terminals.map(s => s.id), ['claude-code', 'codex', 'aider', 'gemini-cli', 'shell']);
+  terminals.forEach(service => {
+    const spec = service.terminal;
+    assert.ok(spec, `${service.id} has no terminal spec`);
+    assert.ok(spec.command === null || typeof spec.command === 'string');
+    assert.ok(Array.isArray(spec.args));
+    assert.strictEqual(typeof spec.supportsHooks, 'boolean');
+  });
+  assert.deepStrictEqual(terminals.filter(s => s.terminal.supportsHooks).map(s => s.id), ['claude-code']);
+});
+
+test('modes pick the new, continue and resume variants', () => {
+  const claude = SERVICE_TYPES['claude-code'];
+  assert.strictEqual(buildTerminalCommand(claude), 'claude');
+  assert.strictEqual(buildTerminalCommand(claude, 'continue'), 'claude --continue');
+  assert.strictEqual(buildTerminalCommand(claude, true), 'claude --continue');
+  assert.strictEqual(buildTerminalCommand(claude, 'resume'), 'claude --resume');
+
+  assert.strictEqual(buildTerminalCommand(SERVICE_TYPES.codex, 'continue'), 'codex resume --last');
+  // No separate resume variant: fall back to continue
+  assert.strictEqual(buildTerminalCommand(SERVICE_TYPES.aider, 'resume'), 'aider --restore-chat-history');
+});
+
+test('a plain shell runs no command and cannot resume', () => {
+  const shell = SERVICE_TYPES.shell;
+  assert.strictEqual(buildTerminalCommand(shell, 'normal'), null);
+  assert.strictEqual(buildTerminalCommand(shell, 'continue'), null);
+  assert.strictEqual(canResumeTerminal(shell), false);
+  assert.strictEqual(canResumeTerminal(SERVICE_TYPES['gemini-cli']), true);
+  assert.strictEqual(buildTerminalCommand(SERVICE_TYPES.chatgpt), null);
+});
+
+test('arguments are quoted for the target shell', () => {
+  const service = { terminal: { command: 'agent', args: ['--model', 'big model', "it's"] } };
+  assert.strictEqual(buildTerminalCommand(service, 'normal', 'darwin'), "agent --model 'big model' 'it'\\''s'");
+  assert.strictEqual(buildTerminalCommand(service, 'normal', 'win32'), "agent --model 'big model' 'it''s'");
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
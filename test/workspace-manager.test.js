@@ -0,0 +1,179 @@
+// Tests for WorkspaceManager (named tab layout snapshots).
+// Plain Node: node test/workspace-manager.test.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TabManager = require('../src/core/TabManager');
+const WorkspaceManager = require('../src/core/WorkspaceManager');
+
+// Minimal electron-store stand-in backed by a Map.
+function makeStore(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    get: (k, d) => (data.has(k) ? data.get(k) : d),
+    set: (k, v) => { data.set(k, v); },
+    has: (k) => data.has(k)
+  };
+}
+
+// Prompt panel state stand-in with the PromptLibraryManager interface.
+function makePanels() {
+  const panels = new Map();
+  return {
+    getPanelState: (tabId) => panels.get(tabId) || { visible: false, width: 300 },
+    setPanelState: (tabId, state) => { panels.set(tabId, { ...state }); }
+  };
+}
+
+function setup() {
+  const store = makeStore();
+  const tabManager = new TabManager(store);
+  const homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspaces-'));
+  const promptLibraryManager = makePanels();
+  const workspaces = new WorkspaceManager({ store, tabManager, promptLibraryManager, homeDir });
+  return { store, tabManager, homeDir, promptLibraryManager, workspaces };
+}
+
+function names(tabs) {
+  return tabs.map(t => t.name);
+}
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('capture and restore recreate tabs, groups, cwds and panel state', () => {
+  const { store, tabManager, homeDir, promptLibraryManager, workspaces } = setup();
+  const project = path.join(homeDir, 'project');
+  fs.mkdirSync(project);
+
+  const chat = tabManager.createTab('chatgpt', 'Chat');
+  const term = tabManager.createTab('claude-code', 'Agent');
+  const group = tabManager.createGroup({ name: 'Frontend', color: '#22c55e' });
+  tabManager.moveTabToGroup(term.id, group.id);
+  store.set('tabData', { [term.id]: { cwd: project } });
+  promptLibraryManager.setPanelState(term.id, { visible: true, width: 420 });
+
+  const saved = workspaces.capture('Frontend day', term.id);
+  assert.strictEqual(saved.tabCount, 2);
+  assert.deepStrictEqual(saved.services, ['chatgpt', 'claude-code']);
+
+  const result = workspaces.restore(saved.id);
+  assert.deepStrictEqual(result.archivedTabIds.sort(), [chat.id, term.id].sort());
+  assert.deepStrictEqual(result.skipped, []);
+  assert.deepStrictEqual(names(tabManager.getOrderedTabs()), ['Chat', 'Agent']);
+
+  const restored = tabManager.getTab(result.activeTabId);
+  assert.strictEqual(restored.name, 'Agent');
+  assert.strictEqual(tabManager.getGroup(restored.groupId).name, 'Frontend');
+  assert.strictEqual(store.get('tabData')[restored.id].cwd, project);
+  assert.strictEqual(promptLibraryManager.getPanelState(restored.id).width, 420);
+});
+
+test('restore can add to the current tabs instead of replacing them', () => {
+  const { tabManager, workspaces } = setup();
+  tabManager.createTab('chatgpt', 'One');
+  const saved = workspaces.capture('Solo');
+  tabManager.createTab('claude', 'Two');
+
+  const result = workspaces.restore(saved.id, { replace: false });
+  assert.deepStrictEqual(result.archivedTabIds, []);
+  assert.deepStrictEqual(names(tabManager.getOrderedTabs()), ['One', 'Two', 'One']);
+});
+
+test('tabs whose folder or service is gone are skipped', () => {
+  const { store, tabManager, homeDir, workspaces } = setup();
+  const missing = path.join(homeDir, 'deleted');
+  const term = tabManager.createTab('claude-code', 'Agent');
+  tabManager.createTab('chatgpt', 'Chat');
+  store.set('tabData', { [term.id]: { cwd: missing } });
+  const saved = workspaces.capture('Mixed');
+
+  const all = store.get('workspaces');
+  all[0].tabs.push({ serviceType: 'gone-service', name: 'Ghost', groupKey: null, cwd: null, panelState: null });
+  store.set('workspaces', all);
+
+  assert.deepStrictEqual(workspaces.getRestorable(saved.id).restorable.map(t => t.name), ['Chat']);
+  const result = workspaces.restore(saved.id);
+  assert.deepStrictEqual(names(result.tabs), ['Chat']);
+  assert.deepStrictEqual(result.skipped.map(s => s.name), ['Agent', 'Ghost']);
+  assert.match(result.skipped[0].reason, /Folder not found/);
+
+  tabManager.getOrderedTabs().forEach(t => tabManager.archiveTab(t.id));
+  store.set('tabData', { [tabManager.createTab('claude-code', 'Only').id]: { cwd: missing } });
+  const unusable = workspaces.capture('Unusable');
+  assert.throws(() => workspaces.getRestorable(unusable.id), /None of the tabs/);
+  assert.throws(() => workspaces.restore(unusable.id), /None of the tabs/);
+});
+
+test('export writes home paths as ~ and import expands them again', () => {
+  const { store, tabManager, homeDir, workspaces } = setup();
+  const project = path.join(homeDir, 'code', 'app');
+  fs.mkdirSync(project, { recursive: true });
+  const term = tabManager.createTab('claude-code', 'Agent');
+  store.set('tabData', { [term.id]: { cwd: project } });
+  const saved = workspaces.capture('Shared');
+
+  const text = workspaces.exportJSON(saved.id);
+  const data = JSON.parse(text);
+  assert.strictEqual(data.id, undefined);
+  assert.strictEqual(data.tabs[0].cwd, '~/code/app');
+
+  const imported = workspaces.importJSON(text);
+  assert.strictEqual(imported.name, 'Shared (2)');
+  const result = workspaces.restore(imported.id);
+  assert.strictEqual(store.get('tabData')[result.tabs[0].id].cwd, project);
+});
+
+test('names are validated and saving under an existing name overwrites it', () => {
+  const { tabManager, workspaces } = setup();
+  tabManager.createTab('chatgpt', 'One');
+  const first = workspaces.capture('Daily');
+  tabManager.createTab('claude', 'Two');
+  const second = workspaces.capture('daily');
+
+  assert.strictEqual(second.id, first.id);
+  assert.strictEqual(workspaces.list().length, 1);
+  assert.strictEqual(second.tabCount, 2);
+
+  const other = workspaces.capture('Other');
+  assert.throws(() => workspaces.rename(other.id, 'DAILY'), /already exists/);
+  assert.throws(() => workspaces.capture('  '), /name is required/);
+  assert.strictEqual(workspaces.rename('ws-missing', 'x'), false);
+  assert.strictEqual(workspaces.delete(other.id), true);
+  assert.strictEqual(workspaces.delete(other.id), false);
+});
+
+test('malformed imports are rejected', () => {
+  const { workspaces } = setup();
+  const valid = { version: 1, name: 'X', groups: [], tabs: [{ serviceType: 'chatgpt', name: 'A' }] };
+
+  assert.throws(() => workspaces.importJSON('{'), /not valid JSON/);
+  assert.throws(() => workspaces.importJSON(JSON.stringify({ ...valid, version: 2 })), /Unsupported workspace version/);
+  assert.throws(() => workspaces.importJSON(JSON.stringify({ ...valid, tabs: [] })), /tabs must be an array/);
+  assert.throws(() => workspaces.importJSON(JSON.stringify({ ...valid, tabs: [{ serviceType: '../x', name: 'A' }] })), /serviceType is invalid/);
+
+  const imported = workspaces.importJSON(JSON.stringify({
+    ...valid,
+    tabs: [{ serviceType: 'chatgpt', name: 'A', groupKey: 'nope', panelState: { width: 500, evil: true } }]
+  }));
+  const tab = workspaces.get(imported.id).tabs[0];
+  assert.strictEqual(tab.groupKey, null);
+  assert.deepStrictEqual(tab.panelState, { width: 500 });
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();
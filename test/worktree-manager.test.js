@@ -0,0 +1,114 @@
+// Tests for WorktreeManager (git worktree per terminal tab).
+// Plain Node: node test/worktree-manager.test.js  (needs git on PATH)
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorktreeManager = require('../src/core/WorktreeManager');
+
+// Commits made by the tests (and merge commits) need an identity.
+Object.assign(process.env, {
+  GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com'
+});
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+}
+
+function makeRepo() {
+  const base = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'worktrees-')));
+  const repo = path.join(base, 'app');
+  fs.mkdirSync(repo);
+  git(repo, 'init', '-q', '-b', 'main');
+  fs.writeFileSync(path.join(repo, 'README.md'), 'hello\n');
+  git(repo, 'add', '.');
+  git(repo, 'commit', '-q', '-m', 'initial');
+  return { base, repo };
+}
+
+function commitFile(cwd, name, content) {
+  fs.writeFileSync(path.join(cwd, name), content);
+  git(cwd, 'add', name);
+  git(cwd, 'commit', '-q', '-m', `add ${name}`);
+}
+
+const tests = [];
+const test = (name, fn) => tests.push([name, fn]);
+
+test('create puts a new branch worktree next to the repo', async () => {
+  const { base, repo } = makeRepo();
+  const manager = new WorktreeManager();
+  fs.mkdirSync(path.join(repo, 'src'));
+
+  const worktree = await manager.create(path.join(repo, 'src'), 'feature/login');
+  assert.deepStrictEqual(worktree, {
+    path: path.join(base, 'app.worktrees', 'feature-login'),
+    branch: 'feature/login',
+    repoRoot: repo,
+    baseBranch: 'main'
+  });
+  assert.strictEqual(git(worktree.path, 'symbolic-ref', '--short', 'HEAD'), 'feature/login');
+  assert.strictEqual(await manager.getRepoInfo(base), null);
+});
+
+test('create validates the branch and the folder', async () => {
+  const { base, repo } = makeRepo();
+  const manager = new WorktreeManager();
+
+  await assert.rejects(() => manager.create(repo, '  '), /Branch name is required/);
+  await assert.rejects(() => manager.create(repo, 'bad..name'), /not a valid branch name/);
+  await assert.rejects(() => manager.create(base, 'topic'), /not inside a git repository/);
+  await manager.create(repo, 'topic');
+  await assert.rejects(() => manager.create(repo, 'topic'), /already exists/);
+});
+
+test('status, merge back and cleanup', async () => {
+  const { repo } = makeRepo();
+  const manager = new WorktreeManager();
+  const worktree = await manager.create(repo, 'topic');
+
+  commitFile(worktree.path, 'feature.txt', 'done\n');
+  fs.writeFileSync(path.join(worktree.path, 'scratch.txt'), 'wip\n');
+  assert.deepStrictEqual(await manager.getStatus(worktree), { exists: true, dirty: true, ahead: 1 });
+  await assert.rejects(() => manager.checkMergeable(worktree), /uncommitted changes/);
+  await assert.rejects(() => manager.merge(worktree), /uncommitted changes/);
+
+  fs.unlinkSync(path.join(worktree.path, 'scratch.txt'));
+  assert.strictEqual((await manager.checkMergeable(worktree)).ahead, 1);
+  assert.deepStrictEqual(await manager.merge(worktree), { commits: 1 });
+  assert.ok(fs.existsSync(path.join(repo, 'feature.txt')));
+  assert.ok(!fs.existsSync(worktree.path));
+  assert.strictEqual(git(repo, 'branch', '--list', 'topic'), '');
+});
+
+test('remove keeps unmerged branches unless forced', async () => {
+  const { repo } = makeRepo();
+  const manager = new WorktreeManager();
+  const worktree = await manager.create(repo, 'experiment');
+  commitFile(worktree.path, 'idea.txt', 'maybe\n');
+
+  await manager.remove(worktree);
+  assert.ok(!fs.existsSync(worktree.path));
+  assert.match(git(repo, 'branch', '--list', 'experiment'), /experiment/);
+  await assert.rejects(() => manager.remove(worktree, { deleteBranch: true }), /not fully merged/);
+  await manager.remove(worktree, { deleteBranch: true, force: true });
+  assert.strictEqual(git(repo, 'branch', '--list', 'experiment'), '');
+});
+
+(async () => {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`  FAIL  ${name}`);
+      console.error(`        ${err.message}`);
+    }
+  }
+  console.log(failed ? `\n${failed}/${tests.length} tests failed` : `\nAll ${tests.length} tests passed`);
+  process.exit(failed ? 1 : 0);
+})();